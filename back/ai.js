@@ -0,0 +1,422 @@
+/**
+ * AI PLAYER
+ *
+ * Picks the moves for the bot players. The search works on its own copy of the
+ * board (flat array, row 0 at the bottom) so it never touches the game state
+ * that is stored in the database.
+ */
+
+const BOT_LEVELS = ["easy", "medium", "hard"],
+      WIN_SCORE = 1000000,
+      EMPTY = 0,
+      RED = 1,
+      YELLOW = 2;
+
+// How much work the hard bot and the analysis are allowed to do.
+const HARD_MAX_DEPTH = 12,
+      HARD_MAX_NODES = 200000,
+      ANALYSIS_MAX_DEPTH = 42,
+      ANALYSIS_MAX_NODES = 400000;
+
+// Scores for windows that only hold discs of one player, by number of discs.
+const WINDOW_WEIGHTS = [0, 1, 5, 50];
+
+// Random numbers for hashing positions, one per cell and colour.
+const zobristTable = [];
+
+/**
+ * Picks a column for the bot to play.
+ * @param {Array} board - Board as stored in game_state (top row first).
+ * @param {String} colour - Colour the bot plays ("red" or "yellow").
+ * @param {String} level - "easy", "medium" or "hard"
+ * @param {Integer} connect - Discs in a row needed to win.
+ * @returns {Integer} Column to play or -1 if there is no legal move.
+ */
+function chooseMove(board, colour, level, connect = 4) {
+    const position = createPosition(board, connect),
+          piece = colour === "red" ? RED : YELLOW,
+          moves = getOrderedMoves(position);
+
+    if (moves.length === 0) {
+        return -1;
+    }
+
+    switch (level) {
+        case "easy":
+            return moves[Math.floor(Math.random() * moves.length)];
+        case "medium":
+            return chooseHeuristicMove(position, piece, moves);
+        case "hard":
+            return searchBestMove(position, piece, { maxDepth: HARD_MAX_DEPTH, maxNodes: HARD_MAX_NODES }).col;
+        default:
+            throw new Error(`Unknown bot level: ${level}`);
+    }
+}
+
+/**
+ * Scores every legal column for the player to move. Columns that could be solved
+ * in the node budget get a win/loss distance in plies, the rest a heuristic score.
+ * @param {Array} board - Board as stored in game_state (top row first).
+ * @param {String} colour - Colour of the player to move.
+ * @param {Object} options - connect (discs in a row needed to win), maxDepth and maxNodes for the search.
+ * @returns {Object} Score of every column and how deep the search went.
+ */
+function analyzePosition(board, colour, { connect = 4, maxDepth = ANALYSIS_MAX_DEPTH, maxNodes = ANALYSIS_MAX_NODES } = {}) {
+    const position = createPosition(board, connect),
+          piece = colour === "red" ? RED : YELLOW,
+          moves = getOrderedMoves(position).sort((a, b) => a - b),
+          emptyCells = position.rows * position.cols - position.moves,
+          search = { nodes: 0, maxNodes, aborted: false, table: new Map() };
+    let scores = new Map(),
+        completedDepth = 0;
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        const iteration = new Map();
+        for (const col of moves) {
+            play(position, col, piece);
+            const score = isWinAt(position, position.heights[col] - 1, col, piece)
+                ? WIN_SCORE - position.moves
+                : -negamax(position, 3 - piece, depth - 1, -Infinity, Infinity, search);
+            undo(position, col);
+            if (search.aborted) {
+                break;
+            }
+            iteration.set(col, score);
+        }
+        if (search.aborted) {
+            break;
+        }
+        scores = iteration;
+        completedDepth = depth;
+        if (depth >= emptyCells || [...scores.values()].every((score) => isMateScore(position, score))) {
+            break;
+        }
+    }
+
+    const columns = moves.map((col) => describeScore(position, col, scores.get(col), completedDepth >= emptyCells));
+    return { depth: completedDepth, nodes: search.nodes, columns };
+}
+
+/**
+ * POSITION HELPER FUNCTIONS
+ */
+// copies the board into a flat array with row 0 at the bottom.
+function createPosition(board, connect = 4) {
+    const rows = board.length,
+          cols = board[0].length,
+          cells = new Int8Array(rows * cols),
+          heights = new Array(cols).fill(0);
+    let moves = 0,
+        hash = 0;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const value = board[rows - 1 - row][col];
+            if (value) {
+                const piece = value === "red" ? RED : YELLOW;
+                cells[row * cols + col] = piece;
+                heights[col] = row + 1;
+                hash ^= getZobristKey(row * cols + col, piece);
+                moves++;
+            }
+        }
+    }
+    return { rows, cols, connect, cells, heights, moves, hash };
+}
+
+// lazily fills the zobrist table so any board size can be hashed.
+function getZobristKey(index, piece) {
+    while (zobristTable.length <= index) {
+        zobristTable.push([0, randomInt32(), randomInt32()]);
+    }
+    return zobristTable[index][piece];
+}
+
+function randomInt32() {
+    return (Math.random() * 0x100000000) | 0;
+}
+
+function play(position, col, piece) {
+    const row = position.heights[col],
+          index = row * position.cols + col;
+    position.cells[index] = piece;
+    position.heights[col]++;
+    position.moves++;
+    position.hash ^= getZobristKey(index, piece);
+    return row;
+}
+
+function undo(position, col) {
+    position.heights[col]--;
+    const index = position.heights[col] * position.cols + col;
+    position.hash ^= getZobristKey(index, position.cells[index]);
+    position.cells[index] = EMPTY;
+    position.moves--;
+}
+
+// columns that are not full, the middle columns first since they are usually the best.
+function getOrderedMoves(position) {
+    const center = (position.cols - 1) / 2,
+          moves = [];
+    for (let col = 0; col < position.cols; col++) {
+        if (position.heights[col] < position.rows) {
+            moves.push(col);
+        }
+    }
+    return moves.sort((a, b) => Math.abs(a - center) - Math.abs(b - center));
+}
+
+// counts the discs in a line through the cell, in both directions.
+function isWinAt(position, row, col, piece) {
+    const { rows, cols, connect, cells } = position;
+    for (const [rowStep, colStep] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+        let count = 1;
+        for (const direction of [1, -1]) {
+            let r = row + rowStep * direction,
+                c = col + colStep * direction;
+            while (r >= 0 && r < rows && c >= 0 && c < cols && cells[r * cols + c] === piece) {
+                count++;
+                r += rowStep * direction;
+                c += colStep * direction;
+            }
+        }
+        if (count >= connect) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isWinningMove(position, col, piece) {
+    const row = play(position, col, piece),
+          win = isWinAt(position, row, col, piece);
+    undo(position, col);
+    return win;
+}
+
+// scores every window of `connect` cells that only one of the players has discs in.
+function evaluate(position, piece) {
+    const { rows, cols, connect, cells } = position,
+          other = 3 - piece,
+          center = Math.floor(cols / 2);
+    let score = 0;
+
+    for (let row = 0; row < rows; row++) {
+        if (cells[row * cols + center] === piece) {
+            score += 3;
+        } else if (cells[row * cols + center] === other) {
+            score -= 3;
+        }
+    }
+
+    for (const [rowStep, colStep] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const endRow = row + rowStep * (connect - 1),
+                      endCol = col + colStep * (connect - 1);
+                if (endRow >= rows || endCol < 0 || endCol >= cols) {
+                    continue;
+                }
+                let own = 0,
+                    theirs = 0;
+                for (let i = 0; i < connect; i++) {
+                    const cell = cells[(row + rowStep * i) * cols + col + colStep * i];
+                    if (cell === piece) {
+                        own++;
+                    } else if (cell === other) {
+                        theirs++;
+                    }
+                }
+                if (theirs === 0) {
+                    score += WINDOW_WEIGHTS[Math.min(own, WINDOW_WEIGHTS.length - 1)];
+                } else if (own === 0) {
+                    score -= WINDOW_WEIGHTS[Math.min(theirs, WINDOW_WEIGHTS.length - 1)];
+                }
+            }
+        }
+    }
+    return score;
+}
+
+// mate scores count down from WIN_SCORE by the number of discs on the board at the win.
+function isMateScore(position, score) {
+    return Math.abs(score) >= WIN_SCORE - position.rows * position.cols;
+}
+
+// turns a search score into a result, distance is counted in plies from the position.
+function describeScore(position, col, score, complete) {
+    if (score === undefined) {
+        return { col, result: null, distance: null, score: null };
+    }
+    if (isMateScore(position, score)) {
+        const distance = WIN_SCORE - Math.abs(score) - position.moves;
+        return { col, result: score > 0 ? "win" : "loss", distance, score };
+    }
+    if (complete) {
+        return { col, result: "draw", distance: null, score: 0 };
+    }
+    return { col, result: null, distance: null, score };
+}
+
+/**
+ * MEDIUM BOT
+ */
+// wins or blocks when it can, never sets up a win for the opponent and
+// otherwise plays the move with the best looking position.
+function chooseHeuristicMove(position, piece, moves) {
+    const other = 3 - piece;
+
+    const winningMove = moves.find((col) => isWinningMove(position, col, piece));
+    if (winningMove !== undefined) {
+        return winningMove;
+    }
+    const blockingMove = moves.find((col) => isWinningMove(position, col, other));
+    if (blockingMove !== undefined) {
+        return blockingMove;
+    }
+
+    const safeMoves = moves.filter((col) => {
+        play(position, col, piece);
+        const givesWin = position.heights[col] < position.rows && isWinningMove(position, col, other);
+        undo(position, col);
+        return !givesWin;
+    });
+    const candidates = safeMoves.length > 0 ? safeMoves : moves;
+
+    let bestMoves = [],
+        bestScore = -Infinity;
+    for (const col of candidates) {
+        play(position, col, piece);
+        const score = evaluate(position, piece);
+        undo(position, col);
+        if (score > bestScore) {
+            bestScore = score;
+            bestMoves = [col];
+        } else if (score === bestScore) {
+            bestMoves.push(col);
+        }
+    }
+    return bestMoves[Math.floor(Math.random() * bestMoves.length)];
+}
+
+/**
+ * HARD BOT
+ */
+const EXACT = 0,
+      LOWER_BOUND = 1,
+      UPPER_BOUND = 2;
+
+// iterative deepening negamax, the deepest search that finished in the node budget is used.
+function searchBestMove(position, piece, { maxDepth, maxNodes }) {
+    const search = { nodes: 0, maxNodes, aborted: false, table: new Map() },
+          moves = getOrderedMoves(position);
+    let best = { col: moves[0], score: 0, depth: 0 };
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        const result = searchRoot(position, piece, depth, search);
+        if (search.aborted) {
+            break;
+        }
+        best = { ...result, depth };
+        // a forced result was found, searching deeper won't change it
+        if (Math.abs(result.score) >= WIN_SCORE - position.rows * position.cols) {
+            break;
+        }
+    }
+    return { ...best, nodes: search.nodes };
+}
+
+function searchRoot(position, piece, depth, search) {
+    const entry = search.table.get(position.hash),
+          moves = orderByBestMove(getOrderedMoves(position), entry);
+    let alpha = -Infinity,
+        bestCol = moves[0];
+
+    for (const col of moves) {
+        play(position, col, piece);
+        const score = isWinAt(position, position.heights[col] - 1, col, piece)
+            ? WIN_SCORE - position.moves
+            : -negamax(position, 3 - piece, depth - 1, -Infinity, -alpha, search);
+        undo(position, col);
+        if (search.aborted) {
+            break;
+        }
+        if (score > alpha) {
+            alpha = score;
+            bestCol = col;
+        }
+    }
+    return { col: bestCol, score: alpha };
+}
+
+function negamax(position, piece, depth, alpha, beta, search) {
+    if (++search.nodes > search.maxNodes) {
+        search.aborted = true;
+        return 0;
+    }
+
+    const moves = getOrderedMoves(position);
+    if (moves.length === 0) {
+        return 0;
+    }
+    for (const col of moves) {
+        if (isWinningMove(position, col, piece)) {
+            return WIN_SCORE - position.moves - 1;
+        }
+    }
+    if (depth <= 0) {
+        return evaluate(position, piece);
+    }
+
+    const originalAlpha = alpha,
+          entry = search.table.get(position.hash);
+    if (entry && entry.depth >= depth) {
+        if (entry.flag === EXACT) {
+            return entry.score;
+        } else if (entry.flag === LOWER_BOUND) {
+            alpha = Math.max(alpha, entry.score);
+        } else {
+            beta = Math.min(beta, entry.score);
+        }
+        if (alpha >= beta) {
+            return entry.score;
+        }
+    }
+
+    let bestScore = -Infinity,
+        bestCol = moves[0];
+    for (const col of orderByBestMove(moves, entry)) {
+        play(position, col, piece);
+        const score = -negamax(position, 3 - piece, depth - 1, -beta, -alpha, search);
+        undo(position, col);
+        if (search.aborted) {
+            return 0;
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            bestCol = col;
+        }
+        alpha = Math.max(alpha, score);
+        if (alpha >= beta) {
+            break;
+        }
+    }
+
+    const flag = bestScore <= originalAlpha ? UPPER_BOUND : (bestScore >= beta ? LOWER_BOUND : EXACT);
+    search.table.set(position.hash, { depth, score: bestScore, flag, col: bestCol });
+    return bestScore;
+}
+
+// the best move from an earlier search of the position is tried first.
+function orderByBestMove(moves, entry) {
+    if (!entry || !moves.includes(entry.col)) {
+        return moves;
+    }
+    return [entry.col, ...moves.filter((col) => col !== entry.col)];
+}
+
+module.exports = {
+    BOT_LEVELS,
+    chooseMove,
+    analyzePosition,
+};
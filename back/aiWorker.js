@@ -0,0 +1,16 @@
+/**
+ * Runs the AI search in a worker thread so a long search doesn't block the
+ * server. Gets the task in workerData and posts the result back once.
+ */
+const { parentPort, workerData } = require('worker_threads'),
+      AI = require(`./ai.js`);
+
+const { task, board, colour, level, connect } = workerData;
+
+if (task === "analyze") {
+    parentPort.postMessage(AI.analyzePosition(board, colour, { connect }));
+} else if (task === "chooseMove") {
+    parentPort.postMessage(AI.chooseMove(board, colour, level, connect));
+} else {
+    throw new Error(`Unknown AI task: ${task}`);
+}
@@ -0,0 +1,501 @@
+/**
+ * API
+ *
+ * Turns the route definitions of the server into express routers. Every route
+ * has schemas for its path parameters, query and body, the request is checked
+ * against them before the handler runs and the response is checked after it.
+ * The same definitions are mounted under /api/v1 and are used to build the
+ * OpenAPI document. The routes the server had before /api/v1 are also mounted
+ * at their old paths as deprecated aliases.
+ *
+ * A route definition looks like:
+ *   {
+ *       name: "makeMove",                  operationId in the OpenAPI document
+ *       method: "post",
+ *       path: "/game/:gameId/move",
+ *       summary: "Make a move",
+ *       tags: ["Games"],
+ *       auth: true,                        needs a session, req.userId is set
+ *       legacyAuth: async (req) => ...     old path only, finds the session when the
+ *                                          request has no bearer token
+ *       params, query: { name: schema },   every query parameter is optional
+ *       body: schema,
+ *       status: 200,                       status of a successful response
+ *       response: schema,
+ *       produces: "text/plain",            leave out for JSON
+ *       legacy: "json" | "raw" | { text }, only for the routes from before /api/v1,
+ *                                          how the old path answers, see sendLegacy
+ *       handler: async (req, res) => ...   returns the response, or { error, status }
+ *   }
+ */
+
+const express = require('express');
+
+const API_VERSION = "v1",
+      API_PREFIX = `/api/${API_VERSION}`,
+      SERVER_ERROR_MESSAGE = `An error occured on the server!`;
+
+// Machine readable code of every error status, validation errors have their own code
+const ERROR_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR",
+    503: "UNAVAILABLE"
+};
+const VALIDATION_ERROR_CODE = "VALIDATION_FAILED",
+      INVALID_JSON_ERROR_CODE = "INVALID_JSON";
+
+/**
+ * SCHEMA VALIDATION
+ *
+ * Supports the part of JSON Schema the routes use: type (one or a list), enum,
+ * properties, required, additionalProperties, items, minimum, maximum,
+ * minLength, maxLength, pattern, minItems, maxItems, anyOf and $ref to a component.
+ */
+
+// finds the schema a $ref points to.
+function resolveSchema(schema, components) {
+    while (schema && schema.$ref) {
+        const name = schema.$ref.replace("#/components/schemas/", "");
+        if (!components[name]) {
+            throw new Error(`Unknown schema ${schema.$ref}`);
+        }
+        schema = components[name];
+    }
+    return schema;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case "integer": return Number.isInteger(value);
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "string": return typeof value === "string";
+        case "boolean": return typeof value === "boolean";
+        case "array": return Array.isArray(value);
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "null": return value === null;
+        default: return true;
+    }
+}
+
+// path parameters and the query are always strings, they are turned into the type of their schema.
+function coerceValue(value, types) {
+    if (typeof value !== "string") {
+        return value;
+    }
+    if ((types.includes("integer") && /^-?\d+$/.test(value)) || (types.includes("number") && value.trim() !== "" && Number.isFinite(Number(value)))) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+    return value;
+}
+
+// describes where a value is, "body.timeControl.type" or "query.page".
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {Object} schema - Schema of the value.
+ * @param {*} value - Value to check.
+ * @param {Object} options - components: schemas $ref can point to.
+ *                           coerce: turn strings into numbers and booleans first.
+ *                           strict: objects can't have properties their schema doesn't list.
+ *                           path: where the value is, used in the error messages.
+ * @returns {Object} value: the value after coercion.
+ *                   errors: list of { path, message }, empty when the value is valid.
+ */
+function validate(schema, value, { components = {}, coerce = false, strict = false, path = "" } = {}) {
+    const errors = [];
+    const check = (schema, value, path) => {
+        schema = resolveSchema(schema, components);
+        if (!schema) {
+            return value;
+        }
+        if (schema.anyOf) {
+            for (const option of schema.anyOf) {
+                const result = validate(option, value, { components, coerce, strict, path });
+                if (result.errors.length === 0) {
+                    return result.value;
+                }
+            }
+            errors.push({ path, message: "does not match any of the allowed schemas" });
+            return value;
+        }
+        const types = [].concat(schema.type || []);
+        if (coerce) {
+            value = coerceValue(value, types);
+        }
+        if (types.length > 0 && !types.some((type) => matchesType(type, value))) {
+            errors.push({ path, message: `must be ${types.join(" or ")}` });
+            return value;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+            return value;
+        }
+
+        if (typeof value === "string") {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `must match ${schema.pattern}` });
+            }
+        } else if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be at least ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be at most ${schema.maximum}` });
+            }
+        } else if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+            }
+            if (schema.items) {
+                value = value.map((item, index) => check(schema.items, item, joinPath(path, index)));
+            }
+        } else if (matchesType("object", value)) {
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({ path: joinPath(path, key), message: "is required" });
+                }
+            }
+            const checked = { ...value };
+            for (const [key, propertyValue] of Object.entries(value)) {
+                if (properties[key]) {
+                    checked[key] = check(properties[key], propertyValue, joinPath(path, key));
+                } else if (typeof schema.additionalProperties === "object") {
+                    checked[key] = check(schema.additionalProperties, propertyValue, joinPath(path, key));
+                } else if (schema.additionalProperties === false || (strict && schema.additionalProperties === undefined && schema.properties)) {
+                    errors.push({ path: joinPath(path, key), message: "is not allowed" });
+                }
+            }
+            value = checked;
+        }
+        return value;
+    };
+    value = check(schema, value, path);
+    return { value, errors };
+}
+
+// schema of the path parameters or the query of a route, as one object.
+function toObjectSchema(properties, required) {
+    return { type: "object", properties, required: required ? Object.keys(properties) : [], additionalProperties: true };
+}
+
+// checks the path parameters, query and body of a request and puts the checked values back.
+function validateRequest(route, req, components, legacy) {
+    const errors = [];
+    for (const [location, schema, options] of [
+        ["params", route.params && toObjectSchema(route.params, true), { coerce: true }],
+        ["query", route.query && toObjectSchema(route.query, false), { coerce: true }],
+        // The old routes took strings for numbers, the new ones only take the right type
+        ["body", route.body, { coerce: legacy, strict: !legacy }]
+    ]) {
+        if (!schema) {
+            continue;
+        }
+        const result = validate(schema, location === "body" && req.body === undefined ? {} : req[location],
+                                { components, path: location, ...options });
+        errors.push(...result.errors);
+        req[location] = result.value;
+    }
+    return errors;
+}
+
+/**
+ * RESPONSES
+ */
+
+/**
+ * Error in the shape of the versioned API, the WebSocket protocol uses it too.
+ * @param {Integer} status - HTTP status the error goes with, it picks the code.
+ * @param {String} message - What went wrong, for people.
+ * @param {Array} details - What was wrong with each field, optional.
+ * @param {String} code - Code to use instead of the one of the status, optional.
+ * @returns {Object} { code, message, details }
+ */
+function createError(status, message, details, code) {
+    const error = { code: code || ERROR_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST"), message };
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+// one line describing every validation error, "body.col must be integer, body.pop is not allowed".
+function describeErrors(errors) {
+    return errors.map((error) => `${error.path} ${error.message}`).join(", ");
+}
+
+function sendError(res, status, message, details, code) {
+    return res.status(status).json({ error: createError(status, message, details, code) });
+}
+
+/**
+ * The old routes answered with { message } and { error: "text" }, a few answered
+ * with the bare object ("raw") or with plain text ({ text: "Move made" }).
+ */
+function sendLegacy(res, route, status, result, isError) {
+    const mode = route.legacy;
+    if (mode.text !== undefined) {
+        return res.status(status).type('text/plain').send(isError ? result : mode.text);
+    }
+    if (isError) {
+        return res.status(status).json({ error: result });
+    }
+    if (route.produces === "text/plain") {
+        return res.status(status).type('text/plain').send(result);
+    }
+    return res.status(status).json(mode === "raw" ? result : { message: result });
+}
+
+// a response that doesn't match its schema is a bug in the server, it is logged
+// and still sent so clients aren't broken by it.
+function checkResponse(route, result, components) {
+    if (!route.response) {
+        return;
+    }
+    const { errors } = validate(route.response, JSON.parse(JSON.stringify(result === undefined ? null : result)),
+                                { components, path: "response" });
+    if (errors.length > 0) {
+        console.error(`\tResponse of ${route.method.toUpperCase()} ${route.path} does not match its schema:`, errors);
+    }
+}
+
+// runs a route: session, validation, handler and the response in the right shape.
+const createHandler = (route, { authenticate, components, legacy }) => async (req, res) => {
+    const fail = (status, message, details, code) => legacy
+        ? sendLegacy(res, route, status, message, true)
+        : sendError(res, status, message, details, code);
+
+    try {
+        if (route.auth) {
+            const session = await authenticate(req) || (legacy && route.legacyAuth ? await route.legacyAuth(req) : null);
+            if (!session) {
+                return fail(401, `Session is not verified!`);
+            }
+            req.userId = session.userId;
+            req.username = session.username;
+            req.sessionId = session.sessionId;
+        }
+
+        const errors = validateRequest(route, req, components, legacy);
+        if (errors.length > 0) {
+            return fail(400, describeErrors(errors), errors, VALIDATION_ERROR_CODE);
+        }
+
+        const result = await route.handler(req, res);
+        if (result && result.error) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+            }
+            return fail(result.status || 400, result.error);
+        }
+
+        const status = route.status || 200;
+        if (legacy) {
+            return sendLegacy(res, route, status, result, false);
+        }
+        checkResponse(route, result, components);
+        if (route.produces === "text/plain") {
+            return res.status(status).type('text/plain').send(result);
+        }
+        return res.status(status).json({ data: result });
+    } catch (error) {
+        console.error(error);
+        return fail(500, SERVER_ERROR_MESSAGE);
+    }
+};
+
+/**
+ * ROUTERS
+ */
+
+/**
+ * Builds the router with every route under /api/v1, including the OpenAPI document.
+ * @param {Array} routes - Route definitions.
+ * @param {Object} options - authenticate(req): returns the session of the request or null.
+ *                           components: schemas the routes point to with $ref.
+ * @returns {Object} The express router, mount it at API_PREFIX.
+ */
+function createRouter(routes, { authenticate, components }) {
+    const router = express.Router(),
+          openApi = createOpenApiDocument(routes, components);
+
+    router.get(`/openapi.json`, (req, res) => res.status(200).json(openApi));
+    for (const route of routes) {
+        router[route.method](route.path, createHandler(route, { authenticate, components, legacy: false }));
+    }
+    router.use((req, res) => sendError(res, 404, `No route for ${req.method} ${API_PREFIX}${req.path}`));
+    return router;
+}
+
+/**
+ * Builds the router with the routes that have a legacy answer at their old path,
+ * the answers keep their old shape and have a Deprecation header and a Link to
+ * the route that replaces them. Newer routes are only under /api/v1.
+ * @param {Array} routes - Route definitions.
+ * @param {Object} options - Same as createRouter.
+ * @returns {Object} The express router, mount it at the root.
+ */
+function createLegacyRouter(routes, { authenticate, components }) {
+    const router = express.Router();
+    for (const route of routes.filter((route) => route.legacy)) {
+        router[route.method](route.path, (req, res, next) => {
+            res.set('Deprecation', 'true');
+            res.set('Link', `<${API_PREFIX}${req.path}>; rel="successor-version"`);
+            next();
+        }, createHandler(route, { authenticate, components, legacy: true }));
+    }
+    return router;
+}
+
+/**
+ * Error handler for the requests that fail before reaching a route, mostly bodies
+ * that aren't valid JSON.
+ * @returns {Function} Express error middleware.
+ */
+function createErrorHandler() {
+    return (err, req, res, next) => {
+        if (res.headersSent) {
+            return next(err);
+        }
+        const status = err.status || err.statusCode || 500,
+              message = err.type === 'entity.parse.failed' ? "Body is not valid JSON" : (status >= 500 ? SERVER_ERROR_MESSAGE : err.message);
+        if (status >= 500) {
+            console.error(err);
+        }
+        if (req.path.startsWith(API_PREFIX)) {
+            return sendError(res, status, message, undefined, err.type === 'entity.parse.failed' ? INVALID_JSON_ERROR_CODE : undefined);
+        }
+        return res.status(status).json({ error: message });
+    };
+}
+
+/**
+ * OPENAPI DOCUMENT
+ */
+
+const ERROR_SCHEMA = {
+    type: "object",
+    required: ["error"],
+    properties: {
+        error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+                code: { type: "string", enum: [...new Set([...Object.values(ERROR_CODES), VALIDATION_ERROR_CODE, INVALID_JSON_ERROR_CODE])] },
+                message: { type: "string" },
+                details: {
+                    type: "array",
+                    description: "What was wrong with the request, only for VALIDATION_FAILED",
+                    items: { type: "object", properties: { path: { type: "string" }, message: { type: "string" } } }
+                }
+            }
+        }
+    }
+};
+
+// "/game/:gameId/move" becomes "/game/{gameId}/move", patterns like ":reply(accept|decline)" are dropped.
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)(\([^)]*\))?/g, "{$1}");
+}
+
+function createOperation(route) {
+    const parameters = [
+        ...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: "path", required: true, schema })),
+        ...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: "query", required: false, schema }))
+    ];
+    const content = route.produces === "text/plain"
+        ? { "text/plain": { schema: { type: "string" } } }
+        : { "application/json": { schema: { type: "object", required: ["data"], properties: { data: route.response || {} } } } };
+
+    const operation = {
+        operationId: route.name,
+        summary: route.summary,
+        tags: route.tags,
+        security: route.auth ? [{ bearerAuth: [] }] : [],
+        parameters,
+        responses: {
+            [route.status || 200]: { description: route.summary, content },
+            default: { $ref: "#/components/responses/Error" }
+        }
+    };
+    if (route.description) {
+        operation.description = route.description;
+    }
+    if (route.deprecated) {
+        operation.deprecated = true;
+    }
+    if (route.body) {
+        operation.requestBody = { required: true, content: { "application/json": { schema: route.body } } };
+    }
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document of the versioned API from the route definitions.
+ * @param {Array} routes - Route definitions.
+ * @param {Object} components - Schemas the routes point to with $ref.
+ * @returns {Object} The OpenAPI 3.1 document.
+ */
+function createOpenApiDocument(routes, components) {
+    const paths = {};
+    for (const route of routes) {
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = createOperation(route);
+    }
+    return {
+        openapi: "3.1.0",
+        info: {
+            title: "Connect Four API",
+            version: API_VERSION,
+            description: "Every response is { data } or { error: { code, message, details } }. The routes without "
+                       + "the /api/v1 prefix are deprecated and answer in their old shape."
+        },
+        servers: [{ url: API_PREFIX }],
+        paths,
+        components: {
+            schemas: { ...components, Error: ERROR_SCHEMA },
+            responses: {
+                Error: { description: "Something went wrong", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } }
+            },
+            securitySchemes: {
+                bearerAuth: { type: "http", scheme: "bearer", description: "Session token from POST /login" }
+            }
+        }
+    };
+}
+
+module.exports = {
+    API_PREFIX,
+    ERROR_CODES,
+    VALIDATION_ERROR_CODE,
+    INVALID_JSON_ERROR_CODE,
+    validate,
+    describeErrors,
+    createError,
+    createRouter,
+    createLegacyRouter,
+    createErrorHandler,
+    createOpenApiDocument
+};
@@ -0,0 +1,722 @@
+/**
+ * API SCHEMAS
+ *
+ * Schemas of the resources the API sends and takes, they are the components of
+ * the OpenAPI document and the routes point to them with ref(). The limits that
+ * depend on other fields (board sizes, clock lengths, dates) are checked by the
+ * logic, the schemas only check the types and the fixed limits.
+ */
+
+// Points to a component schema
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Same schema that can also be null, a $ref can't be changed so it becomes one of the options
+const nullable = (schema) => schema.$ref ? { anyOf: [schema, { type: "null" }] } : { ...schema, type: [].concat(schema.type, "null") };
+
+const id = { type: "integer", minimum: 1 },
+      dateTime = { type: "string", format: "date-time" },
+      colour = { type: "string", enum: ["red", "yellow"] },
+      board = {
+          type: "array",
+          description: "Rows of the board, top row first. Cells are null, \"red\" or \"yellow\"",
+          items: { type: "array", items: { type: ["string", "null"], enum: ["red", "yellow", null] } }
+      };
+
+// Page of a list, the items are in the property `name`
+const page = (name, items, extra = {}) => ({
+    type: "object",
+    required: ["page", "pageSize", "total", name],
+    properties: {
+        page: { type: "integer", minimum: 1 },
+        pageSize: { type: "integer", minimum: 1 },
+        total: { type: "integer", minimum: 0 },
+        ...extra,
+        [name]: { type: "array", items }
+    }
+});
+
+/**
+ * REQUEST FIELDS
+ */
+const paging = {
+    page: { type: "integer", minimum: 1, description: "Page number, starts at 1" },
+    pageSize: { type: "integer", minimum: 1, maximum: 100, description: "Items per page" }
+};
+
+const cursor = {
+    before: { ...id, description: "Only messages older than this message ID" },
+    limit: { type: "integer", minimum: 1, maximum: 100, description: "Number of messages" }
+};
+
+const timeControlProperties = {
+    type: { type: "string", enum: ["increment", "perMove", "correspondence"] },
+    initialMs: { type: "integer", minimum: 0, description: "Starting clock of an increment game" },
+    incrementMs: { type: "integer", minimum: 0, description: "Time added after every move of an increment game" },
+    perMoveMs: { type: "integer", minimum: 0, description: "Time for every move of a perMove game" },
+    daysPerMove: { type: "integer", minimum: 1, description: "Days for every move of a correspondence game" }
+};
+
+// Older clients send the time control as a JSON string, null is a game without a clock
+const timeControlInput = {
+    type: ["object", "string", "null"],
+    required: ["type"],
+    properties: timeControlProperties
+};
+
+const variantInput = {
+    variant: { type: "string", enum: ["standard", "popout", "pop10", "five-in-a-row"] },
+    rows: { type: ["integer", "null"], minimum: 4, maximum: 10 },
+    columns: { type: ["integer", "null"], minimum: 4, maximum: 9 },
+    connect: { type: ["integer", "null"], minimum: 3, maximum: 10 }
+};
+
+const passwordFields = {
+    password: { type: "string", minLength: 1 },
+    confirmPassword: { type: "string", minLength: 1 }
+};
+
+/**
+ * COMPONENTS
+ */
+const components = {
+    UserRef: {
+        type: "object",
+        required: ["userId"],
+        properties: { userId: id, username: { type: ["string", "null"] } }
+    },
+
+    Session: {
+        type: "object",
+        required: ["userId", "sessionId", "token"],
+        properties: {
+            userId: id,
+            sessionId: id,
+            token: { type: "string", description: "Send it as `Authorization: Bearer <token>`" }
+        }
+    },
+
+    SessionInfo: {
+        type: "object",
+        required: ["sessionId", "current"],
+        properties: {
+            sessionId: id,
+            ip: { type: ["string", "null"] },
+            device: { type: ["string", "null"] },
+            createdAt: nullable(dateTime),
+            lastSeenAt: nullable(dateTime),
+            expiresAt: nullable(dateTime),
+            current: { type: "boolean" }
+        }
+    },
+
+    UserListing: {
+        type: "object",
+        required: ["userId", "username"],
+        properties: {
+            userId: id,
+            username: { type: "string" },
+            displayName: { type: ["string", "null"] },
+            isBot: { type: "boolean" }
+        }
+    },
+
+    Profile: {
+        type: "object",
+        required: ["userId", "username"],
+        properties: {
+            userId: id,
+            username: { type: "string" },
+            displayName: { type: ["string", "null"] },
+            avatarUrl: { type: ["string", "null"] },
+            bio: { type: ["string", "null"] },
+            country: { type: ["string", "null"] },
+            createdAt: nullable(dateTime),
+            rating: { type: "integer" },
+            ratedGames: { type: "integer" },
+            isBot: { type: "boolean" }
+        }
+    },
+
+    ResultCount: {
+        type: "object",
+        required: ["played", "wins", "losses", "draws", "winRate"],
+        properties: {
+            played: { type: "integer" },
+            wins: { type: "integer" },
+            losses: { type: "integer" },
+            draws: { type: "integer" },
+            winRate: { type: ["number", "null"], description: "Share of the games won, null before the first game" }
+        }
+    },
+
+    Stats: {
+        type: "object",
+        required: ["userId", "username", "played", "wins", "losses", "draws"],
+        properties: {
+            userId: id,
+            username: { type: "string" },
+            played: { type: "integer" },
+            wins: { type: "integer" },
+            losses: { type: "integer" },
+            draws: { type: "integer" },
+            winRate: { type: ["number", "null"] },
+            asPlayer1: ref("ResultCount"),
+            asPlayer2: ref("ResultCount"),
+            currentStreak: { type: "integer" },
+            bestStreak: { type: "integer" },
+            mostPlayedOpponents: { type: "array", items: ref("ResultCount") }
+        }
+    },
+
+    RatingHistory: {
+        type: "object",
+        required: ["userId", "rating", "history"],
+        properties: {
+            userId: id,
+            rating: { type: "integer" },
+            ratedGames: { type: "integer" },
+            history: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        gameId: id,
+                        opponentId: id,
+                        score: { type: "number" },
+                        ratingBefore: { type: "integer" },
+                        ratingAfter: { type: "integer" },
+                        createdAt: nullable(dateTime)
+                    }
+                }
+            }
+        }
+    },
+
+    Friends: {
+        type: "object",
+        required: ["friends", "incoming", "outgoing"],
+        properties: {
+            friends: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["userId", "username", "status"],
+                    properties: {
+                        userId: id,
+                        username: { type: "string" },
+                        since: nullable(dateTime),
+                        status: { type: "string", enum: ["offline", "online", "lobby", "game"] },
+                        gameId: { type: ["integer", "null"] }
+                    }
+                }
+            },
+            incoming: { type: "array", items: ref("UserRef") },
+            outgoing: { type: "array", items: ref("UserRef") }
+        }
+    },
+
+    FriendResult: {
+        type: "object",
+        required: ["userId", "accepted"],
+        properties: {
+            userId: id,
+            accepted: { type: "boolean" },
+            status: { type: "string", description: "Presence of the new friend, only when the request was accepted" }
+        }
+    },
+
+    BlockedUser: {
+        type: "object",
+        required: ["userId", "username"],
+        properties: { userId: id, username: { type: "string" }, blockedAt: nullable(dateTime) }
+    },
+
+    ChatMessage: {
+        type: "object",
+        required: ["messageId", "room", "userId", "message"],
+        properties: {
+            messageId: id,
+            room: { type: "string" },
+            userId: id,
+            username: { type: ["string", "null"] },
+            message: { type: "string" },
+            createdAt: nullable(dateTime)
+        }
+    },
+
+    ChatHistory: {
+        type: "object",
+        required: ["room", "messages", "nextCursor"],
+        properties: {
+            room: { type: "string" },
+            messages: { type: "array", items: ref("ChatMessage") },
+            nextCursor: { type: ["integer", "null"], description: "Send it as `before` to get the next page" }
+        }
+    },
+
+    Mute: {
+        type: "object",
+        required: ["room", "userId", "mutedUntil"],
+        properties: { room: { type: "string" }, userId: id, mutedUntil: dateTime, reason: { type: ["string", "null"] } }
+    },
+
+    Report: {
+        type: "object",
+        required: ["reportId", "message"],
+        properties: {
+            reportId: id,
+            reason: { type: ["string", "null"] },
+            createdAt: nullable(dateTime),
+            reporterId: id,
+            reporterUsername: { type: ["string", "null"] },
+            message: ref("ChatMessage")
+        }
+    },
+
+    ReportResolution: {
+        type: "object",
+        required: ["reportId", "messageId", "room", "deleted"],
+        properties: { reportId: id, messageId: id, room: { type: "string" }, deleted: { type: "boolean" } }
+    },
+
+    DirectMessage: {
+        type: "object",
+        required: ["messageId", "senderId", "recipientId", "message"],
+        properties: {
+            messageId: id,
+            senderId: id,
+            recipientId: id,
+            message: { type: "string" },
+            createdAt: nullable(dateTime),
+            readAt: nullable(dateTime)
+        }
+    },
+
+    Conversations: {
+        type: "object",
+        required: ["conversations", "unread"],
+        properties: {
+            unread: { type: "integer", minimum: 0 },
+            conversations: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["userId", "unread", "lastMessage"],
+                    properties: {
+                        userId: id,
+                        username: { type: ["string", "null"] },
+                        unread: { type: "integer", minimum: 0 },
+                        blocked: { type: "boolean" },
+                        lastMessage: ref("DirectMessage")
+                    }
+                }
+            }
+        }
+    },
+
+    Conversation: {
+        type: "object",
+        required: ["userId", "messages", "nextCursor"],
+        properties: {
+            userId: id,
+            messages: { type: "array", items: ref("DirectMessage") },
+            nextCursor: { type: ["integer", "null"] }
+        }
+    },
+
+    ConversationRead: {
+        type: "object",
+        required: ["userId", "upToMessageId", "count"],
+        properties: { userId: id, upToMessageId: id, count: { type: "integer", minimum: 0 }, readAt: dateTime }
+    },
+
+    TimeControl: {
+        type: ["object", "null"],
+        description: "Clock of a game, null when it has none",
+        required: ["type"],
+        properties: timeControlProperties
+    },
+
+    BoardSize: {
+        type: "object",
+        required: ["name", "rows", "columns", "connect"],
+        properties: {
+            name: variantInput.variant,
+            rows: { type: "integer" },
+            columns: { type: "integer" },
+            connect: { type: "integer" }
+        }
+    },
+
+    Variant: {
+        type: "object",
+        required: ["name", "rows", "columns", "connect", "pops"],
+        properties: {
+            name: variantInput.variant,
+            rows: { type: "integer" },
+            columns: { type: "integer" },
+            connect: { type: "integer" },
+            pops: { type: "boolean" },
+            state: { type: ["object", "null"], description: "Pop 10 phase and captured discs, null for the other variants" }
+        }
+    },
+
+    Clocks: {
+        type: ["object", "null"],
+        description: "Remaining milliseconds keyed by user ID, null for games without a clock",
+        additionalProperties: { type: "integer" }
+    },
+
+    Offers: {
+        type: "object",
+        description: "User that made each open offer, null when there is none",
+        properties: {
+            draw: { type: ["integer", "null"] },
+            takeback: { type: ["integer", "null"] },
+            rematch: { type: ["integer", "null"] },
+            rematchGameId: { type: ["integer", "null"] }
+        }
+    },
+
+    Challenge: {
+        type: "object",
+        required: ["challengeId", "senderId", "challengerId", "status"],
+        properties: {
+            challengeId: id,
+            senderId: id,
+            senderUsername: { type: ["string", "null"] },
+            challengerId: id,
+            challengerUsername: { type: ["string", "null"] },
+            status: { type: "string", enum: ["pending", "accepted", "declined", "cancelled", "expired"] },
+            colour: { type: "string", enum: ["red", "yellow", "random"] },
+            timeControl: ref("TimeControl"),
+            rated: { type: "boolean" },
+            variant: { type: ["string", "null"] },
+            board: { type: "object" },
+            createdAt: nullable(dateTime),
+            expiresAt: nullable(dateTime),
+            gameId: { type: ["integer", "null"] }
+        }
+    },
+
+    ChallengeAnswer: {
+        type: "object",
+        required: ["challenge", "game"],
+        properties: {
+            challenge: ref("Challenge"),
+            game: {
+                type: ["object", "null"],
+                description: "Game that was started, null when the challenge was declined",
+                properties: { gameId: id, player1: id, player2: id }
+            }
+        }
+    },
+
+    Game: {
+        type: "object",
+        required: ["gameId", "gameState", "variant", "player1", "player2"],
+        properties: {
+            gameId: id,
+            gameState: { type: "string", description: "Board as JSON, top row first" },
+            variant: ref("Variant"),
+            currentTurn: { type: ["integer", "null"] },
+            player1: id,
+            player2: id,
+            winner: { type: ["integer", "null"] },
+            endReason: { type: ["string", "null"] },
+            rated: { type: "boolean" },
+            allowSpectators: { type: "boolean" },
+            timeControl: ref("TimeControl"),
+            clocks: ref("Clocks"),
+            offers: ref("Offers"),
+            analysis: { type: "boolean", description: "Imported games can only be replayed and analyzed" }
+        }
+    },
+
+    GameListing: {
+        type: "object",
+        required: ["gameId", "player1", "player2"],
+        properties: {
+            gameId: id,
+            player1: ref("UserRef"),
+            player2: ref("UserRef"),
+            currentTurn: { type: ["integer", "null"] },
+            moveCount: { type: "integer" },
+            rated: { type: "boolean" },
+            timeControl: ref("TimeControl"),
+            variant: ref("BoardSize"),
+            spectatorCount: { type: "integer", minimum: 0 }
+        }
+    },
+
+    ActiveGame: {
+        type: "object",
+        required: ["gameId", "opponent", "colour", "myTurn"],
+        properties: {
+            gameId: id,
+            opponent: ref("UserRef"),
+            colour,
+            currentTurn: { type: ["integer", "null"] },
+            myTurn: { type: "boolean" },
+            deadline: nullable(dateTime),
+            moveCount: { type: "integer" },
+            rated: { type: "boolean" },
+            correspondence: { type: "boolean" },
+            timeControl: ref("TimeControl"),
+            variant: ref("BoardSize")
+        }
+    },
+
+    GameOver: {
+        type: "object",
+        required: ["winnerId", "draw", "reason"],
+        properties: {
+            winnerId: { type: ["integer", "null"] },
+            draw: { type: "boolean" },
+            reason: { type: "string" },
+            winningCells: { type: "array", items: { type: "array", items: { type: "integer" } } },
+            ratings: { type: ["object", "null"], description: "Rating before and after keyed by user ID, null for unrated games" }
+        }
+    },
+
+    MoveResult: {
+        type: "object",
+        required: ["gameId", "playerId", "col", "row", "board", "nextTurn", "gameOver"],
+        properties: {
+            gameId: id,
+            player1: id,
+            player2: id,
+            playerId: id,
+            col: { type: "integer", minimum: 0 },
+            row: { type: "integer", minimum: 0 },
+            type: { type: "string", enum: ["drop", "pop"] },
+            board,
+            variantState: { type: ["object", "null"] },
+            nextTurn: { type: ["integer", "null"], description: "Null once the game is over" },
+            botToMove: { type: "boolean", description: "The next player is a bot, its move follows on its own" },
+            clocks: ref("Clocks"),
+            gameOver: nullable(ref("GameOver"))
+        }
+    },
+
+    GameEnded: {
+        type: "object",
+        required: ["gameId", "gameOver"],
+        properties: { gameId: id, player1: id, player2: id, gameOver: ref("GameOver") }
+    },
+
+    Move: {
+        type: "object",
+        required: ["ply", "playerId", "type", "col"],
+        properties: {
+            ply: { type: "integer", minimum: 1 },
+            playerId: id,
+            type: { type: "string", enum: ["drop", "pop"] },
+            col: { type: "integer", minimum: 0 },
+            row: { type: ["integer", "null"] },
+            createdAt: nullable(dateTime)
+        }
+    },
+
+    Replay: {
+        type: "object",
+        required: ["gameId", "ply", "totalPlies", "board"],
+        properties: {
+            gameId: id,
+            ply: { type: "integer", minimum: 0 },
+            totalPlies: { type: "integer", minimum: 0 },
+            board,
+            variantState: { type: ["object", "null"] },
+            lastMove: nullable(ref("Move"))
+        }
+    },
+
+    ImportedGame: {
+        type: "object",
+        required: ["gameId", "plies", "result"],
+        properties: { gameId: id, plies: { type: "integer", minimum: 0 }, result: { type: "string" } }
+    },
+
+    Analysis: {
+        type: "object",
+        required: ["toMove", "bestCol", "columns"],
+        properties: {
+            toMove: colour,
+            bestCol: { type: ["integer", "null"] },
+            depth: { type: "integer" },
+            nodes: { type: "integer" },
+            columns: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["col", "score"],
+                    properties: {
+                        col: { type: "integer", minimum: 0 },
+                        result: { type: ["string", "null"] },
+                        distance: { type: ["integer", "null"] },
+                        score: { type: "number" }
+                    }
+                }
+            }
+        }
+    },
+
+    Spectating: {
+        type: "object",
+        required: ["gameId", "allowSpectators"],
+        properties: { gameId: id, player1: id, player2: id, allowSpectators: { type: "boolean" } }
+    },
+
+    LeaderboardEntry: {
+        type: "object",
+        required: ["rank", "userId", "username", "rating"],
+        properties: {
+            rank: { type: "integer", minimum: 1 },
+            userId: id,
+            username: { type: "string" },
+            rating: { type: "integer" },
+            ratedGames: { type: "integer" },
+            windowGames: { type: "integer", description: "Only when a window is picked" },
+            ratingChange: { type: "number", description: "Only when a window is picked" }
+        }
+    },
+
+    Tournament: {
+        type: "object",
+        required: ["tournamentId", "name", "format", "status"],
+        properties: {
+            tournamentId: id,
+            name: { type: "string" },
+            format: { type: "string", enum: ["round-robin", "swiss", "knockout"] },
+            status: { type: "string", enum: ["registration", "running", "finished", "cancelled"] },
+            creator: ref("UserRef"),
+            registrationOpensAt: nullable(dateTime),
+            registrationClosesAt: nullable(dateTime),
+            timeControl: ref("TimeControl"),
+            rated: { type: "boolean" },
+            variant: ref("BoardSize"),
+            maxPlayers: { type: "integer" },
+            playerCount: { type: "integer", minimum: 0 },
+            totalRounds: { type: ["integer", "null"] },
+            currentRound: { type: ["integer", "null"] },
+            createdAt: nullable(dateTime),
+            startedAt: nullable(dateTime),
+            finishedAt: nullable(dateTime),
+            players: {
+                type: "array",
+                description: "Only when a single tournament is fetched",
+                items: {
+                    type: "object",
+                    properties: { userId: id, username: { type: "string" }, rating: { type: "integer" }, seed: { type: ["integer", "null"] } }
+                }
+            }
+        }
+    },
+
+    Standings: {
+        type: "object",
+        required: ["tournamentId", "status", "standings"],
+        properties: {
+            tournamentId: id,
+            status: { type: "string" },
+            currentRound: { type: ["integer", "null"] },
+            totalRounds: { type: ["integer", "null"] },
+            standings: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["rank", "userId", "points"],
+                    properties: {
+                        rank: { type: "integer", minimum: 1 },
+                        userId: id,
+                        username: { type: "string" },
+                        seed: { type: ["integer", "null"] },
+                        points: { type: "number" },
+                        wins: { type: "integer" },
+                        draws: { type: "integer" },
+                        losses: { type: "integer" },
+                        byes: { type: "integer" },
+                        buchholz: { type: "number" },
+                        sonnebornBerger: { type: "number" },
+                        roundReached: { type: "integer" },
+                        eliminated: { type: "boolean" }
+                    }
+                }
+            }
+        }
+    },
+
+    Pairing: {
+        type: "object",
+        required: ["pairingId", "round", "player1", "player2"],
+        properties: {
+            pairingId: id,
+            round: { type: "integer", minimum: 1 },
+            slot: { type: ["integer", "null"] },
+            player1: ref("UserRef"),
+            player2: nullable(ref("UserRef")),
+            gameId: { type: ["integer", "null"] },
+            result: { type: ["string", "null"] }
+        }
+    },
+
+    Bracket: {
+        type: "object",
+        required: ["tournamentId", "rounds"],
+        properties: {
+            tournamentId: id,
+            format: { type: "string" },
+            status: { type: "string" },
+            currentRound: { type: ["integer", "null"] },
+            totalRounds: { type: ["integer", "null"] },
+            rounds: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: { round: { type: "integer", minimum: 1 }, pairings: { type: "array", items: ref("Pairing") } }
+                }
+            }
+        }
+    },
+
+    Notification: {
+        type: "object",
+        required: ["notificationId", "type", "read"],
+        properties: {
+            notificationId: id,
+            userId: id,
+            type: { type: "string", enum: ["yourTurn", "deadlineApproaching", "gameEnded"] },
+            gameId: { type: ["integer", "null"] },
+            details: { type: ["object", "null"] },
+            createdAt: nullable(dateTime),
+            read: { type: "boolean" }
+        }
+    }
+};
+
+/**
+ * RESPONSES
+ */
+const responses = {
+    text: { type: "string" },
+    userPage: page("users", ref("UserListing"), { prefix: { type: "string" } }),
+    livePage: page("games", ref("GameListing")),
+    activePage: page("games", ref("ActiveGame")),
+    leaderboardPage: page("players", ref("LeaderboardEntry"), { window: { type: "string" } }),
+    tournamentPage: page("tournaments", ref("Tournament")),
+    notificationPage: page("notifications", ref("Notification"), { unread: { type: "integer", minimum: 0 } })
+};
+
+module.exports = {
+    ref,
+    nullable,
+    id,
+    board,
+    paging,
+    cursor,
+    timeControlInput,
+    variantInput,
+    passwordFields,
+    components,
+    responses
+};
@@ -45,134 +45,1716 @@ async function getUsernameById(userId) {
 }
 
 /**
- * Ger all of the usernames in the user table, this will help with UX creating an account.
- * @returns {Object} Object containing all usernames in the table.
+ * Get a page of the users whose username starts with a prefix, this will help
+ * with UX creating an account and finding other players.
+ * @param {String} prefix - Start of the username, empty for every user.
+ * @param {Integer} limit - Users per page.
+ * @param {Integer} offset - Users to skip.
+ * @returns {Object} The users and the total number of users that match.
  */
-async function getAllUsernames() {
-    const [results] = await pool.execute(`SELECT user_id, username FROM users`);
-    return results;
+async function searchUsernames(prefix, limit, offset) {
+    const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    const [users] = await pool.query(`SELECT user_id, username, display_name, bot_level FROM users
+                                      WHERE username LIKE ? AND deleted_at IS NULL
+                                      ORDER BY username LIMIT ? OFFSET ?`, [pattern, limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM users WHERE username LIKE ? AND deleted_at IS NULL`, [pattern]);
+    return { users, total: count.total };
+}
+
+/**
+ * Get the public profile of a user.
+ * @param {Integer} userId - Users ID
+ * @returns {Object} Profile fields, rating and when the account was made.
+ */
+async function getProfile(userId) {
+    const [results] = await pool.execute(`SELECT user_id, username, display_name, avatar_url, bio, country, created_at, rating, rated_games, bot_level
+                                          FROM users WHERE user_id = ? AND deleted_at IS NULL LIMIT 1`, [userId]);
+    return results[0];
+}
+
+/**
+ * Changes the profile of a user, only the fields that are given are changed.
+ * @param {Integer} userId - Users ID
+ * @param {Object} profile - displayName, avatarUrl, bio and/or country.
+ * @returns {Integer} Number of rows updated.
+ */
+async function updateProfile(userId, profile) {
+    const columns = { displayName: 'display_name', avatarUrl: 'avatar_url', bio: 'bio', country: 'country' },
+          fields = Object.keys(profile).filter((field) => columns[field]);
+    if (fields.length === 0) {
+        return 0;
+    }
+    const [results] = await pool.execute(`UPDATE users SET ${fields.map((field) => `${columns[field]} = ?`).join(', ')} WHERE user_id = ? AND deleted_at IS NULL`,
+                                         [...fields.map((field) => profile[field]), userId]);
+    return results.affectedRows;
+}
+
+/**
+ * Get the bot player for a difficulty level.
+ * @param {String} level - "easy", "medium" or "hard"
+ * @returns {Object} userId and username of the bot.
+ */
+async function getBotUser(level) {
+    const [results] = await pool.execute(`SELECT user_id, username FROM users WHERE bot_level = ? LIMIT 1`, [level]);
+    return results[0];
+}
+
+/**
+ * Get the bot level of a user, regular users don't have one.
+ * @param {Integer} userId - Users ID
+ * @returns {String} Level of the bot or null.
+ */
+async function getBotLevel(userId) {
+    const [results] = await pool.execute(`SELECT bot_level FROM users WHERE user_id = ? LIMIT 1`, [userId]);
+    return results[0] ? results[0].bot_level : null;
+}
+
+/**
+ * Get a user with their ID, deleted users are not returned.
+ * @param {Integer} userId - Users ID
+ * @returns {Object} userId, username, password hash and email of the user.
+ */
+async function getUserWithId(userId) {
+    const [results] = await pool.execute(`SELECT user_id, username, password, email FROM users WHERE user_id = ? AND deleted_at IS NULL LIMIT 1`, [userId]);
+
+    const user = results[0];
+    if(user && user.password) {
+        user.password = user.password.toString('utf8');
+        return user;
+    }
+    return null;
+}
+
+/**
+ * Get a user with their username or email, used for password resets.
+ * @param {String} username - Username of the user or null.
+ * @param {String} email - Email of the user or null.
+ * @returns {Object} userId, username and email of the user.
+ */
+async function getUserWithUsernameOrEmail(username, email) {
+    const [results] = await pool.execute(`SELECT user_id, username, email FROM users
+                                          WHERE (username = ? OR email = ?) AND deleted_at IS NULL LIMIT 1`, [username, email]);
+    return results[0];
 }
 
 /**
  * Function for creating a new user.
  * @param {String} username - Username for a new user.
  * @param {String} password - Password for the user.
+ * @param {String} email - Email for password resets, optional.
  * @returns {Object} Contains the userId of the new user.
  */
-async function addUser(username, password) {
-    const [results] = await pool.execute(`INSERT INTO users (username, password) VALUES (?, ?)`, [username, password]);
+async function addUser(username, password, email = null) {
+    const [results] = await pool.execute(`INSERT INTO users (username, password, email) VALUES (?, ?, ?)`, [username, password, email]);
     return results.insertId;
 }
 
 /**
- * Function to delete a user from the database (OPTIONAL NOT IMPLEMENTED).
- * @param {Integer} userId - Users id.
- * @param {String} username - Username of the user. 
- * @param {String} password - Password of the user.
- * @returns {Object} Contains the number of rows affected, should be >1 if deleted.
+ * Changes the password of a user.
+ * @param {Integer} userId - Users ID
+ * @param {String} password - Hash of the new password.
+ * @returns {Integer} Number of rows updated.
  */
-async function deleteUser(userId, username, password) {
-    const [results] = await pool.execute(`DELETE FROM users WHERE id = ? AND username = ? AND password = ?`, [userId, username, password]);
+async function updatePassword(userId, password) {
+    const [results] = await pool.execute(`UPDATE users SET password = ? WHERE user_id = ? AND deleted_at IS NULL`, [password, userId]);
     return results.affectedRows;
 }
 
-////////////////////////////////
-//  SESSION DATABASE QUERIES  //
-////////////////////////////////
+/**
+ * Changes the email of a user.
+ * @param {Integer} userId - Users ID
+ * @param {String} email - New email or null to remove it.
+ * @returns {Integer} Number of rows updated.
+ */
+async function updateEmail(userId, email) {
+    const [results] = await pool.execute(`UPDATE users SET email = ? WHERE user_id = ? AND deleted_at IS NULL`, [email, userId]);
+    return results.affectedRows;
+}
 
 /**
- * Function to get the stored token from the database with the session and
- * userId.
- * @param {Integer} sessionId - User's most recent session ID.
- * @param {Integer} userId - User's ID
- * @returns {Object} Contains the stored token.
+ * Deletes a user by anonymizing them, the row is kept so the games they played
+ * stay in the history. Their sessions and reset tokens are removed.
+ * @param {Integer} userId - Users id.
+ * @returns {Integer} Number of users deleted, 1 if it worked.
+ */
+async function deleteUser(userId) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [results] = await connection.execute(`UPDATE users SET username = CONCAT('#deleted-', user_id), password = '!', email = NULL, deleted_at = NOW()
+                                                    WHERE user_id = ? AND deleted_at IS NULL`, [userId]);
+        await connection.execute(`DELETE FROM session WHERE user_id = ?`, [userId]);
+        await connection.execute(`DELETE FROM password_reset WHERE user_id = ?`, [userId]);
+        await connection.commit();
+        return results.affectedRows;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+///////////////////////////////////////
+//  PASSWORD RESET DATABASE QUERIES  //
+///////////////////////////////////////
+/**
+ * Stores a password reset token for a user.
+ * @param {Integer} userId - Users ID
+ * @param {String} tokenHash - Hash of the reset token.
+ * @param {String} expiresAt - When the token expires.
+ * @returns {Integer} ID of the reset.
+ */
+async function addPasswordReset(userId, tokenHash, expiresAt) {
+    const [results] = await pool.execute(`INSERT INTO password_reset (user_id, token_hash, expires_at) VALUES (?, ?, ?)`, [userId, tokenHash, expiresAt]);
+    return results.insertId;
+}
+
+/**
+ * Get the user a password reset token is for, without using the token.
+ * @param {String} tokenHash - Hash of the reset token.
+ * @returns {Object} user_id and username, or undefined if the token can't be used.
  */
-async function getStoredSessionToken(sessionId, userId) {
-    const [results] = await pool.execute(`SELECT token FROM session WHERE session_id = ? AND user_id = ? AND expr_date > NOW();`, [sessionId, userId]);
+async function getPasswordReset(tokenHash) {
+    const [results] = await pool.execute(`SELECT r.user_id, u.username FROM password_reset r JOIN users u ON u.user_id = r.user_id
+                                          WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW() LIMIT 1`, [tokenHash]);
     return results[0];
 }
 
+/**
+ * Uses a password reset token, a token can only be used once and not after it expired.
+ * @param {String} tokenHash - Hash of the reset token.
+ * @returns {Integer} ID of the user the token was for, or null if it can't be used.
+ */
+async function usePasswordReset(tokenHash) {
+    const [results] = await pool.execute(`SELECT reset_id, user_id FROM password_reset
+                                          WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() LIMIT 1`, [tokenHash]);
+    if (!results[0]) {
+        return null;
+    }
+    const [update] = await pool.execute(`UPDATE password_reset SET used_at = NOW() WHERE reset_id = ? AND used_at IS NULL`, [results[0].reset_id]);
+    return update.affectedRows > 0 ? results[0].user_id : null;
+}
+
+//////////////////////////////////////
+//  LOGIN THROTTLE DATABASE QUERIES  //
+//////////////////////////////////////
+/**
+ * Get the failed login counters for some keys ("user:<username>", "ip:<address>").
+ * @param {Array} keys - Throttle keys.
+ * @returns {Array} failures, last failure and lockout of each key that has any.
+ */
+async function getLoginThrottles(keys) {
+    if (keys.length === 0) {
+        return [];
+    }
+    const [results] = await pool.query(`SELECT throttle_key, failures, last_failure_at, locked_until FROM login_throttle WHERE throttle_key IN (?)`, [keys]);
+    return results;
+}
+
+/**
+ * Saves the failed login counter of a key.
+ * @param {String} key - Throttle key.
+ * @param {Integer} failures - Failed logins in a row.
+ * @param {Date} lockedUntil - No login is tried for the key before this, or null.
+ */
+async function saveLoginFailure(key, failures, lockedUntil) {
+    await pool.execute(`INSERT INTO login_throttle (throttle_key, failures, last_failure_at, locked_until) VALUES (?, ?, NOW(3), ?)
+                        ON DUPLICATE KEY UPDATE failures = VALUES(failures), last_failure_at = VALUES(last_failure_at), locked_until = VALUES(locked_until)`,
+                        [key, failures, lockedUntil]);
+}
+
+/**
+ * Removes the failed login counter of a key after a successful login.
+ * @param {String} key - Throttle key.
+ */
+async function clearLoginThrottle(key) {
+    await pool.execute(`DELETE FROM login_throttle WHERE throttle_key = ?`, [key]);
+}
+
+/**
+ * Records a login attempt in the audit table.
+ * @param {Object} attempt - userId, username, ip, userAgent, success and reason of the attempt.
+ */
+async function addLoginAttempt({ userId = null, username = null, ip = null, userAgent = null, success, reason }) {
+    await pool.execute(`INSERT INTO login_attempt (user_id, username, ip, user_agent, success, reason) VALUES (?, ?, ?, ?, ?, ?)`,
+                       [userId, username, ip, userAgent, success ? 1 : 0, reason]);
+}
+
+////////////////////////////////
+//  SESSION DATABASE QUERIES  //
+////////////////////////////////
+
 /**
  * Add session to the table and return the session ID.
  * @param {Integer} userId - User's ID
- * @param {String} token - String containing user information as a checksum.
  * @param {Date} exprDate - When does the token expire.
+ * @param {String} secretHash - Hash of the secret in the user's bearer token.
+ * @param {String} ip - IP Address the user logged in from.
+ * @param {String} userAgent - Browser or app the user logged in with.
  * @returns {Integer} Session's ID
  */
-async function addSessionToUser(userId, token, exprDate) {
-    const [result] = await pool.execute(`INSERT INTO session (user_id, token, expr_date) VALUES (?, ?, ?);`, [userId, token, exprDate]);
+async function addSessionToUser(userId, exprDate, secretHash, ip = null, userAgent = null) {
+    const [result] = await pool.execute(`INSERT INTO session (user_id, expr_date, secret_hash, ip, user_agent, last_seen_at) VALUES (?, ?, ?, ?, ?, NOW());`,
+                                        [userId, exprDate, secretHash, ip, userAgent]);
     return result.insertId;
 }
 
+/**
+ * Get a session that has not expired or been revoked.
+ * @param {Integer} sessionId - Session's ID
+ * @returns {Object} The session with the user's ID and username.
+ */
+async function getActiveSession(sessionId) {
+    const [results] = await pool.execute(`SELECT s.session_id, s.user_id, s.secret_hash, s.last_seen_at, u.username
+                                          FROM session s JOIN users u ON u.user_id = s.user_id
+                                          WHERE s.session_id = ? AND s.expr_date > NOW() AND s.revoked_at IS NULL;`, [sessionId]);
+    return results[0];
+}
+
+/**
+ * Get the sessions of a user that can still be used.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} Sessions with the device, IP and dates, newest first.
+ */
+async function getActiveSessionsForUser(userId) {
+    const [results] = await pool.execute(`SELECT session_id, ip, user_agent, created_at, last_seen_at, expr_date FROM session
+                                          WHERE user_id = ? AND expr_date > NOW() AND revoked_at IS NULL
+                                          ORDER BY last_seen_at DESC, session_id DESC;`, [userId]);
+    return results;
+}
+
+/**
+ * Marks a session as used and moves its expiry date forward.
+ * @param {Integer} sessionId - Session's ID
+ * @param {String} exprDate - New expiry date.
+ * @param {String} ip - IP Address the session was used from.
+ * @returns {Integer} Number of rows updated.
+ */
+async function touchSession(sessionId, exprDate, ip) {
+    const [result] = await pool.execute(`UPDATE session SET expr_date = ?, last_seen_at = NOW(), ip = ? WHERE session_id = ?;`, [exprDate, ip, sessionId]);
+    return result.affectedRows;
+}
+
+/**
+ * Revoke a session of a user, the session has to belong to them.
+ * @param {Integer} sessionId - Session's ID
+ * @param {Integer} userId - User's ID
+ * @returns {Boolean} Was the session revoked?
+ */
+async function revokeUserSession(sessionId, userId) {
+    const [result] = await pool.execute(`UPDATE session SET revoked_at = NOW() WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL;`, [sessionId, userId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Revoke every session of a user (log out everywhere).
+ * @param {Integer} userId - User's ID
+ * @param {Integer} exceptSessionId - Session to keep, or null to revoke all of them.
+ * @returns {Array} IDs of the sessions that were revoked.
+ */
+async function revokeAllSessions(userId, exceptSessionId = null) {
+    const keepId = exceptSessionId || 0;
+    const [sessions] = await pool.execute(`SELECT session_id FROM session WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL AND expr_date > NOW();`, [userId, keepId]);
+    await pool.execute(`UPDATE session SET revoked_at = NOW() WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL;`, [userId, keepId]);
+    return sessions.map((session) => session.session_id);
+}
+
+/**
+ * Deletes the sessions that expired or were revoked.
+ * @returns {Integer} Number of sessions deleted.
+ */
+async function deleteExpiredSessions() {
+    const [result] = await pool.execute(`DELETE FROM session WHERE expr_date <= NOW() OR revoked_at IS NOT NULL;`);
+    return result.affectedRows;
+}
+
+/**
+ * Revoke a session so its token can't be used anymore.
+ * @param {Integer} sessionId - Session's ID
+ * @returns {Boolean} Was the session revoked?
+ */
+async function revokeSession(sessionId) {
+    const [result] = await pool.execute(`UPDATE session SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL;`, [sessionId]);
+    return result.affectedRows > 0;
+}
+
 /////////////////////////////////
 //  MESSAGES DATABASE QUERIES  //
 /////////////////////////////////
 
+const CHALLENGE_COLUMNS = `c.challenge_id, c.sender_id, c.challenger_id, c.time_control, c.status, c.colour, c.rated, c.variant,
+                           c.board_rows, c.board_columns, c.connect_length, c.created_at, c.expires_at, c.responded_at, c.game_id,
+                           s.username AS sender_username, t.username AS challenger_username`;
+
+/**
+ * Get a challenge with the usernames of both users.
+ * @param {Integer} challengeId - Challenge's ID
+ * @returns {Object} The challenge.
+ */
 async function getChallengeWithId(challengeId) {
-    const [result] = await pool.execute(`SELECT sender_id, challenger_id FROM challenge WHERE challenge_id = ?;`, [challengeId]);
+    const [result] = await pool.execute(`SELECT ${CHALLENGE_COLUMNS} FROM challenge c
+                                         JOIN users s ON s.user_id = c.sender_id
+                                         JOIN users t ON t.user_id = c.challenger_id
+                                         WHERE c.challenge_id = ?;`, [challengeId]);
     return result[0];
 }
 
+/**
+ * Get the pending challenges sent to or by a user that did not expire yet.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} The challenges, oldest first.
+ */
+async function getPendingChallengesForUser(userId) {
+    const [results] = await pool.execute(`SELECT ${CHALLENGE_COLUMNS} FROM challenge c
+                                          JOIN users s ON s.user_id = c.sender_id
+                                          JOIN users t ON t.user_id = c.challenger_id
+                                          WHERE (c.sender_id = ? OR c.challenger_id = ?) AND c.status = 'pending' AND c.expires_at > NOW()
+                                          ORDER BY c.created_at, c.challenge_id;`, [userId, userId]);
+    return results;
+}
+
+/**
+ * Get the pending challenge from one user to another, if there is one.
+ * @param {Integer} userId - User that sent the challenge.
+ * @param {Integer} challengerId - User the challenge was sent to.
+ * @returns {Object} The challenge's ID or undefined.
+ */
+async function getPendingChallengeBetween(userId, challengerId) {
+    const [results] = await pool.execute(`SELECT challenge_id FROM challenge
+                                          WHERE sender_id = ? AND challenger_id = ? AND status = 'pending' AND expires_at > NOW() LIMIT 1;`,
+                                         [userId, challengerId]);
+    return results[0];
+}
+
 /**
  * Challenge someone to a game of Connect Four.
  * @param {Integer} userId - User's ID
  * @param {Integer} challengerId - User ID of who you want to play against.
+ * @param {Object} options - timeControl, colour, rated, variant and board size (rows, columns, connect) of the game.
+ * @param {Date} expiresAt - When the challenge expires if it wasn't answered.
  * @returns {Integer} Challege's ID
  */
-async function sendAChallenge(userId, challengerId) {
-    const [result] = await pool.execute(`INSERT INTO challenge (sender_id, challenger_id) VALUES (?, ?);`, [userId, challengerId]);
+async function sendAChallenge(userId, challengerId, { timeControl = null, colour = "random", rated = false, variant = "standard", rows = 6, columns = 7, connect = 4 }, expiresAt) {
+    const [result] = await pool.execute(`INSERT INTO challenge (sender_id, challenger_id, time_control, colour, rated, variant, board_rows, board_columns, connect_length, expires_at)
+                                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+                                        [userId, challengerId, timeControl ? JSON.stringify(timeControl) : null, colour, rated ? 1 : 0,
+                                         variant, rows, columns, connect, expiresAt]);
     return result.insertId;
 }
 
 /**
- * Add response to the challenge.
+ * Add response to the challenge, only a pending challenge that did not expire
+ * can be answered.
  * @param {Integer} challengeId - Challenge ID you are responding to
- * @param {Integer} reply - Accept or deny (1 = accept, 0 = deny)
+ * @param {Boolean} reply - Accept or deny
  * @return {Boolean} Was the response updated?
  */
 async function sendChallengeResponse(challengeId, reply) {
-    const [result] = await pool.execute(`UPDATE challenge SET accept_deny = ? WHERE challenge_id = ?;`, [reply, challengeId]);
+    const [result] = await pool.execute(`UPDATE challenge SET accept_deny = ?, status = ?, responded_at = NOW()
+                                         WHERE challenge_id = ? AND status = 'pending' AND expires_at > NOW();`,
+                                        [reply ? 1 : 0, reply ? 'accepted' : 'declined', challengeId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Stores the game that was made from an accepted challenge.
+ * @param {Integer} challengeId - Challenge's ID
+ * @param {Integer} gameId - Game's ID
+ */
+async function setChallengeGame(challengeId, gameId) {
+    await pool.execute(`UPDATE challenge SET game_id = ? WHERE challenge_id = ?;`, [gameId, challengeId]);
+}
+
+/**
+ * Cancels a pending challenge, only the user that sent it can.
+ * @param {Integer} challengeId - Challenge's ID
+ * @param {Integer} userId - User that sent the challenge.
+ * @returns {Boolean} Was the challenge cancelled?
+ */
+async function cancelChallenge(challengeId, userId) {
+    const [result] = await pool.execute(`UPDATE challenge SET status = 'cancelled', responded_at = NOW()
+                                         WHERE challenge_id = ? AND sender_id = ? AND status = 'pending';`, [challengeId, userId]);
     return result.affectedRows > 0;
+}
 
+/**
+ * Marks the pending challenges that ran out of time as expired.
+ * @returns {Array} The challenges that expired, with the sender and the user they were for.
+ */
+async function expireChallenges() {
+    const [results] = await pool.execute(`SELECT challenge_id, sender_id, challenger_id FROM challenge
+                                          WHERE status = 'pending' AND expires_at <= NOW();`);
+    if (results.length === 0) {
+        return [];
+    }
+    await pool.query(`UPDATE challenge SET status = 'expired' WHERE challenge_id IN (?) AND status = 'pending';`,
+                     [results.map((challenge) => challenge.challenge_id)]);
+    return results;
 }
 
 /////////////////////////////
-//  GAME DATABASE QUERIES  //
+//  CHAT DATABASE QUERIES  //
 /////////////////////////////
+/**
+ * Checks if a user is a moderator.
+ * @param {Integer} userId - User's ID
+ * @returns {Boolean} Is the user a moderator?
+ */
+async function isModerator(userId) {
+    const [results] = await pool.execute(`SELECT is_moderator FROM users WHERE user_id = ? AND deleted_at IS NULL LIMIT 1;`, [userId]);
+    return Boolean(results[0] && results[0].is_moderator);
+}
 
-async function getGameWithId(gameId) {
-    const [result] = await pool.execute(`SELECT * FROM game WHERE game_id = ? LIMIT 1;`, [gameId]);
-    return result[0];
+/**
+ * Stores a chat message.
+ * @param {String} room - Room the message was sent in.
+ * @param {Integer} userId - User that sent it.
+ * @param {String} body - Text of the message.
+ * @returns {Integer} ID of the message.
+ */
+async function addChatMessage(room, userId, body) {
+    const [result] = await pool.execute(`INSERT INTO chat_message (room, user_id, body) VALUES (?, ?, ?);`, [room, userId, body]);
+    return result.insertId;
+}
+
+/**
+ * Get the newest messages of a room from before a message, messages that were
+ * deleted or sent by the hidden users are left out.
+ * @param {String} room - Room's name.
+ * @param {Integer} beforeId - Only messages older than this one, or null for the newest.
+ * @param {Integer} limit - Number of messages.
+ * @param {Array} hiddenUserIds - Users whose messages are left out.
+ * @returns {Array} The messages with the sender's username, newest first.
+ */
+async function getChatMessages(room, beforeId, limit, hiddenUserIds = []) {
+    const [results] = await pool.query(`SELECT m.message_id, m.room, m.user_id, u.username, m.body, m.created_at
+                                        FROM chat_message m JOIN users u ON u.user_id = m.user_id
+                                        WHERE m.room = ? AND m.deleted_at IS NULL AND m.message_id < ? AND m.user_id NOT IN (?)
+                                        ORDER BY m.message_id DESC LIMIT ?;`,
+                                       [room, beforeId || Number.MAX_SAFE_INTEGER, hiddenUserIds.length > 0 ? hiddenUserIds : [0], limit]);
+    return results;
+}
+
+/**
+ * Get a chat message.
+ * @param {Integer} messageId - Message's ID
+ * @returns {Object} The message or undefined.
+ */
+async function getChatMessage(messageId) {
+    const [results] = await pool.execute(`SELECT message_id, room, user_id, body, created_at, deleted_at FROM chat_message WHERE message_id = ?;`, [messageId]);
+    return results[0];
+}
+
+/**
+ * Deletes a chat message, it stays stored for the reports about it.
+ * @param {Integer} messageId - Message's ID
+ * @returns {Boolean} Was the message deleted?
+ */
+async function deleteChatMessage(messageId) {
+    const [result] = await pool.execute(`UPDATE chat_message SET deleted_at = NOW() WHERE message_id = ? AND deleted_at IS NULL;`, [messageId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Get the mute of a user in a room that is still running.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} When the mute ends and why, or undefined.
+ */
+async function getActiveMute(room, userId) {
+    const [results] = await pool.execute(`SELECT muted_until, reason FROM chat_mute
+                                          WHERE room = ? AND user_id = ? AND muted_until > NOW()
+                                          ORDER BY muted_until DESC LIMIT 1;`, [room, userId]);
+    return results[0];
+}
+
+/**
+ * Mutes a user in a room.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User to mute.
+ * @param {Integer} mutedBy - Moderator muting them.
+ * @param {Date} mutedUntil - When the mute ends.
+ * @param {String} reason - Why they were muted, optional.
+ */
+async function addMute(room, userId, mutedBy, mutedUntil, reason = null) {
+    await pool.execute(`INSERT INTO chat_mute (room, user_id, muted_by, muted_until, reason) VALUES (?, ?, ?, ?, ?);`,
+                       [room, userId, mutedBy, mutedUntil, reason]);
+}
+
+/**
+ * Ends the mutes of a user in a room.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User's ID
+ * @returns {Boolean} Was the user muted?
+ */
+async function removeMutes(room, userId) {
+    const [result] = await pool.execute(`UPDATE chat_mute SET muted_until = NOW() WHERE room = ? AND user_id = ? AND muted_until > NOW();`, [room, userId]);
+    return result.affectedRows > 0;
 }
 
-async function createGame(userId, opponentId, initialBoard) {
-    const [result] = await pool.execute(`INSERT INTO game (player1_id, player2_id, current_turn, game_state) VALUES (?, ?, ?, ?);`,
-                                             [userId, opponentId, userId, initialBoard]);
+/**
+ * Reports a chat message.
+ * @param {Integer} messageId - Message's ID
+ * @param {Integer} reporterId - User reporting it.
+ * @param {String} reason - Why it was reported, optional.
+ * @returns {Integer} ID of the report.
+ */
+async function addReport(messageId, reporterId, reason = null) {
+    const [result] = await pool.execute(`INSERT INTO chat_report (message_id, reporter_id, reason) VALUES (?, ?, ?);`, [messageId, reporterId, reason]);
     return result.insertId;
 }
 
-async function updateGameState() {
-    const [result] = pool.query("UPDATE game SET game_state = ?, current_turn = ? WHERE game_id = ?",
-                                [JSON.stringify(board), nextTurn, gameId]);
+/**
+ * Get the reports that were not resolved yet.
+ * @returns {Array} The reports with the message and the users.
+ */
+async function getOpenReports() {
+    const [results] = await pool.execute(`SELECT r.report_id, r.reason, r.created_at, r.reporter_id, ru.username AS reporter_username,
+                                                 m.message_id, m.room, m.body, m.user_id, mu.username, m.deleted_at
+                                          FROM chat_report r
+                                          JOIN chat_message m ON m.message_id = r.message_id
+                                          JOIN users ru ON ru.user_id = r.reporter_id
+                                          JOIN users mu ON mu.user_id = m.user_id
+                                          WHERE r.resolved_at IS NULL
+                                          ORDER BY r.report_id;`);
+    return results;
+}
+
+/**
+ * Get a report.
+ * @param {Integer} reportId - Report's ID
+ * @returns {Object} The report or undefined.
+ */
+async function getReport(reportId) {
+    const [results] = await pool.execute(`SELECT report_id, message_id, reporter_id, resolved_at FROM chat_report WHERE report_id = ?;`, [reportId]);
+    return results[0];
+}
+
+/**
+ * Resolves every open report of a message.
+ * @param {Integer} messageId - Message's ID
+ * @param {Integer} moderatorId - Moderator resolving them.
+ * @returns {Integer} Number of reports resolved.
+ */
+async function resolveReports(messageId, moderatorId) {
+    const [result] = await pool.execute(`UPDATE chat_report SET resolved_at = NOW(), resolved_by = ? WHERE message_id = ? AND resolved_at IS NULL;`,
+                                        [moderatorId, messageId]);
     return result.affectedRows;
 }
 
-// Export the functions to use in other files
-module.exports = {
-    getUserWithUsername,
-    getUsernameById,
-    getAllUsernames,
-    addUser,
-    deleteUser,
+///////////////////////////////////////
+//  DIRECT MESSAGE DATABASE QUERIES  //
+///////////////////////////////////////
+/**
+ * Stores a direct message.
+ * @param {Integer} senderId - User sending the message.
+ * @param {Integer} recipientId - User the message is for.
+ * @param {String} body - Text of the message.
+ * @returns {Integer} ID of the message.
+ */
+async function addDirectMessage(senderId, recipientId, body) {
+    const [result] = await pool.execute(`INSERT INTO direct_message (sender_id, recipient_id, body) VALUES (?, ?, ?);`, [senderId, recipientId, body]);
+    return result.insertId;
+}
 
-    getStoredSessionToken,
-    addSessionToUser,
+/**
+ * Get the conversations of a user, the last message with each other user and
+ * how many of their messages are unread.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} The conversations, most recent first.
+ */
+async function getConversations(userId) {
+    const [results] = await pool.execute(`SELECT t.other_id, u.username AS other_username, m.message_id, m.sender_id, m.recipient_id, m.body, m.created_at, m.read_at,
+                                                 (SELECT COUNT(*) FROM direct_message d
+                                                  WHERE d.sender_id = t.other_id AND d.recipient_id = ? AND d.read_at IS NULL) AS unread
+                                          FROM (SELECT IF(sender_id = ?, recipient_id, sender_id) AS other_id, MAX(message_id) AS last_id
+                                                FROM direct_message WHERE sender_id = ? OR recipient_id = ?
+                                                GROUP BY other_id) t
+                                          JOIN direct_message m ON m.message_id = t.last_id
+                                          JOIN users u ON u.user_id = t.other_id
+                                          ORDER BY m.message_id DESC;`, [userId, userId, userId, userId]);
+    return results;
+}
 
-    getChallengeWithId,
-    sendAChallenge,
-    sendChallengeResponse,
+/**
+ * Get the messages between two users from before a message.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Other user's ID
+ * @param {Integer} beforeId - Only messages older than this one, or null for the newest.
+ * @param {Integer} limit - Number of messages.
+ * @returns {Array} The messages, newest first.
+ */
+async function getDirectMessages(userId, otherId, beforeId, limit) {
+    const [results] = await pool.query(`SELECT message_id, sender_id, recipient_id, body, created_at, read_at FROM direct_message
+                                        WHERE ((sender_id = ? AND recipient_id = ?) OR (sender_id = ? AND recipient_id = ?)) AND message_id < ?
+                                        ORDER BY message_id DESC LIMIT ?;`,
+                                       [userId, otherId, otherId, userId, beforeId || Number.MAX_SAFE_INTEGER, limit]);
+    return results;
+}
 
-    getGameWithId,
-    createGame,
-    updateGameState,
+/**
+ * Marks the messages another user sent to a user as read, up to a message.
+ * @param {Integer} userId - User reading.
+ * @param {Integer} otherId - User that sent the messages.
+ * @param {Integer} upToId - Last message that was read.
+ * @returns {Integer} Number of messages marked as read.
+ */
+async function markDirectMessagesRead(userId, otherId, upToId) {
+    const [result] = await pool.execute(`UPDATE direct_message SET read_at = NOW(3)
+                                         WHERE recipient_id = ? AND sender_id = ? AND message_id <= ? AND read_at IS NULL;`,
+                                        [userId, otherId, upToId]);
+    return result.affectedRows;
+}
+
+///////////////////////////////
+//  FRIEND DATABASE QUERIES  //
+///////////////////////////////
+/**
+ * Get the friend request or friendship between two users, in either direction.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Other user's ID
+ * @returns {Object} requester, addressee and status, or undefined.
+ */
+async function getFriendship(userId, otherId) {
+    const [results] = await pool.execute(`SELECT requester_id, addressee_id, status FROM friendship
+                                          WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?) LIMIT 1;`,
+                                         [userId, otherId, otherId, userId]);
+    return results[0];
+}
+
+/**
+ * Sends a friend request.
+ * @param {Integer} requesterId - User sending the request.
+ * @param {Integer} addresseeId - User the request is sent to.
+ */
+async function addFriendRequest(requesterId, addresseeId) {
+    await pool.execute(`INSERT INTO friendship (requester_id, addressee_id) VALUES (?, ?);`, [requesterId, addresseeId]);
+}
+
+/**
+ * Accepts a pending friend request.
+ * @param {Integer} requesterId - User that sent the request.
+ * @param {Integer} addresseeId - User accepting it.
+ * @returns {Boolean} Was a request accepted?
+ */
+async function acceptFriendRequest(requesterId, addresseeId) {
+    const [result] = await pool.execute(`UPDATE friendship SET status = 'accepted', accepted_at = NOW()
+                                         WHERE requester_id = ? AND addressee_id = ? AND status = 'pending';`, [requesterId, addresseeId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Removes a friendship or friend request between two users, in either direction.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Other user's ID
+ * @returns {Boolean} Was anything removed?
+ */
+async function deleteFriendship(userId, otherId) {
+    const [result] = await pool.execute(`DELETE FROM friendship
+                                         WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?);`,
+                                        [userId, otherId, otherId, userId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Get the friends and friend requests of a user.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} The other user, their username, the status and who sent the request.
+ */
+async function getFriendships(userId) {
+    const [results] = await pool.execute(`SELECT f.requester_id, f.addressee_id, f.status, f.created_at, f.accepted_at,
+                                                 u.user_id AS other_id, u.username AS other_username
+                                          FROM friendship f
+                                          JOIN users u ON u.user_id = IF(f.requester_id = ?, f.addressee_id, f.requester_id)
+                                          WHERE f.requester_id = ? OR f.addressee_id = ?
+                                          ORDER BY u.username;`, [userId, userId, userId]);
+    return results;
+}
+
+/**
+ * Get the IDs of a user's friends.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} IDs of the friends.
+ */
+async function getFriendIds(userId) {
+    const [results] = await pool.execute(`SELECT IF(requester_id = ?, addressee_id, requester_id) AS friend_id FROM friendship
+                                          WHERE (requester_id = ? OR addressee_id = ?) AND status = 'accepted';`, [userId, userId, userId]);
+    return results.map((row) => row.friend_id);
+}
+
+/**
+ * Blocks a user, any friendship or friend request between them is removed.
+ * @param {Integer} blockerId - User blocking.
+ * @param {Integer} blockedId - User being blocked.
+ */
+async function addBlock(blockerId, blockedId) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute(`INSERT IGNORE INTO user_block (blocker_id, blocked_id) VALUES (?, ?);`, [blockerId, blockedId]);
+        await connection.execute(`DELETE FROM friendship WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?);`,
+                                 [blockerId, blockedId, blockedId, blockerId]);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Unblocks a user.
+ * @param {Integer} blockerId - User that blocked.
+ * @param {Integer} blockedId - User that was blocked.
+ * @returns {Boolean} Was the user blocked before?
+ */
+async function removeBlock(blockerId, blockedId) {
+    const [result] = await pool.execute(`DELETE FROM user_block WHERE blocker_id = ? AND blocked_id = ?;`, [blockerId, blockedId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Get the users someone blocked.
+ * @param {Integer} blockerId - User's ID
+ * @returns {Array} The blocked users with their username and when they were blocked.
+ */
+async function getBlockedUsers(blockerId) {
+    const [results] = await pool.execute(`SELECT b.blocked_id, u.username, b.created_at FROM user_block b
+                                          JOIN users u ON u.user_id = b.blocked_id
+                                          WHERE b.blocker_id = ? ORDER BY u.username;`, [blockerId]);
+    return results;
+}
+
+/**
+ * Get the users that blocked someone or were blocked by them.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} IDs of the users.
+ */
+async function getBlockedUserIds(userId) {
+    const [results] = await pool.execute(`SELECT blocked_id AS user_id FROM user_block WHERE blocker_id = ?
+                                          UNION SELECT blocker_id FROM user_block WHERE blocked_id = ?;`, [userId, userId]);
+    return results.map((row) => row.user_id);
+}
+
+/**
+ * Checks if either user blocked the other.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Other user's ID
+ * @returns {Boolean} Is there a block between them?
+ */
+async function isBlocked(userId, otherId) {
+    const [results] = await pool.execute(`SELECT 1 FROM user_block
+                                          WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?) LIMIT 1;`,
+                                         [userId, otherId, otherId, userId]);
+    return results.length > 0;
+}
+
+/////////////////////////////
+//  GAME DATABASE QUERIES  //
+/////////////////////////////
+
+// When the player to move runs out of time, null for games without a clock
+const MOVE_DEADLINE = `TIMESTAMPADD(MICROSECOND, IF(g.current_turn = g.player1_id, g.clock_player1_ms, g.clock_player2_ms) * 1000, g.turn_started_at)`;
+
+/**
+ * Get a game with the bot level of both players, null for players who aren't bots.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Object} The game row with player1_bot_level and player2_bot_level.
+ */
+async function getGameWithId(gameId) {
+    const [result] = await pool.execute(`SELECT g.*, p1.bot_level AS player1_bot_level, p2.bot_level AS player2_bot_level
+                                         FROM game g
+                                         LEFT JOIN users p1 ON p1.user_id = g.player1_id
+                                         LEFT JOIN users p2 ON p2.user_id = g.player2_id
+                                         WHERE g.game_id = ? LIMIT 1;`, [gameId]);
+    return result[0];
+}
+
+/**
+ * Creates a game, player 1 moves first.
+ * @param {Integer} userId - User ID of player 1.
+ * @param {Integer} opponentId - User ID of player 2.
+ * @param {String} initialBoard - JSON of the empty board.
+ * @param {Object} options - rated, timeControl, the starting clock of both players (clockMs),
+ *                           correspondence and the variant with its board size and state.
+ * @returns {Integer} The gameID
+ */
+async function createGame(userId, opponentId, initialBoard, { rated = false, timeControl = null, clockMs = null, correspondence = false, variant, variantState = null }) {
+    const [result] = await pool.execute(`INSERT INTO game (player1_id, player2_id, current_turn, game_state, rated, time_control, clock_player1_ms, clock_player2_ms, turn_started_at,
+                                                           correspondence, variant, board_rows, board_columns, connect_length, variant_state)
+                                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+                                             [userId, opponentId, userId, initialBoard, rated ? 1 : 0,
+                                              timeControl ? JSON.stringify(timeControl) : null, clockMs, clockMs, new Date(), correspondence ? 1 : 0,
+                                              variant.variant, variant.rows, variant.columns, variant.connect,
+                                              variantState ? JSON.stringify(variantState) : null]);
+    return result.insertId;
+}
+
+/**
+ * Stores an imported game that is only used for analysis, the importing user is
+ * set as both players and the game is ended right away.
+ * @param {Integer} userId - User importing the game.
+ * @param {String} board - JSON of the final board.
+ * @param {Object} headers - Headers the game was imported with.
+ * @param {Object} variant - Variant and board size the game was played with.
+ * @returns {Integer} The gameID
+ */
+async function createAnalysisGame(userId, board, headers, variant) {
+    const [result] = await pool.execute(`INSERT INTO game (player1_id, player2_id, current_turn, game_state, is_analysis, import_headers, ended_at,
+                                                           variant, board_rows, board_columns, connect_length)
+                                         VALUES (?, ?, ?, ?, 1, ?, NOW(), ?, ?, ?, ?);`,
+                                        [userId, userId, userId, board, JSON.stringify(headers),
+                                         variant.variant, variant.rows, variant.columns, variant.connect]);
+    return result.insertId;
+}
+
+/**
+ * Get all of the games a user played in, analysis games are left out.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} Games of the user, oldest first.
+ */
+async function getGamesForUser(userId) {
+    const [results] = await pool.execute(`SELECT * FROM game WHERE (player1_id = ? OR player2_id = ?) AND is_analysis = 0 ORDER BY game_id;`,
+                                         [userId, userId]);
+    return results;
+}
+
+/**
+ * Get the finished games of a user in the order they ended, analysis games are left out.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} Players, winner and end of each game.
+ */
+async function getFinishedGamesForUser(userId) {
+    const [results] = await pool.execute(`SELECT game_id, player1_id, player2_id, winner_id, end_reason, ended_at FROM game
+                                          WHERE (player1_id = ? OR player2_id = ?) AND is_analysis = 0 AND ended_at IS NOT NULL
+                                          ORDER BY ended_at, game_id;`, [userId, userId]);
+    return results;
+}
+
+/**
+ * Stores the board after a move and starts the next player's turn, the deadline
+ * warning of the last turn is cleared. Nothing is updated when the turn changed,
+ * another move was saved or the game ended since the move was checked, so only
+ * one of two moves sent at the same time is saved, even by a player keeping the turn.
+ * @param {Array} board - Board after the move.
+ * @param {Integer} nextTurn - User ID of the player to move.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} currentTurn - User ID of the player making the move.
+ * @param {Integer} plyCount - Number of moves in the game when the move was checked.
+ * @param {Object} clocks - player1Ms and player2Ms left, leave out for games without a clock.
+ * @param {Object} variantState - State of the variant after the move, leave out for variants without one.
+ * @returns {Integer} Number of rows updated.
+ */
+async function updateGameState(board, nextTurn, gameId, currentTurn, plyCount, clocks = null, variantState = null) {
+    const [result] = await pool.execute(`UPDATE game SET game_state = ?, current_turn = ?, turn_started_at = ?, ply_count = ply_count + 1,
+                                         clock_player1_ms = COALESCE(?, clock_player1_ms), clock_player2_ms = COALESCE(?, clock_player2_ms),
+                                         variant_state = COALESCE(?, variant_state), deadline_warned_at = NULL
+                                         WHERE game_id = ? AND current_turn = ? AND ply_count = ? AND ended_at IS NULL;`,
+                                        [JSON.stringify(board), nextTurn, new Date(),
+                                         clocks ? clocks.player1Ms : null, clocks ? clocks.player2Ms : null,
+                                         variantState ? JSON.stringify(variantState) : null, gameId, currentTurn, plyCount]);
+    return result.affectedRows;
+}
+
+/**
+ * Stores the result of a game, the winner is null when the game is a draw.
+ * @param {Integer} gameId - Game that ended.
+ * @param {Integer} winnerId - User ID of the winner or null for a draw.
+ * @param {String} reason - How the game ended (connect, draw, timeout, ...)
+ * @returns {Boolean} Was the game ended? False when it already had a result.
+ */
+async function endGame(gameId, winnerId, reason = null) {
+    const [result] = await pool.execute(`UPDATE game SET winner_id = ?, end_reason = ?, ended_at = NOW() WHERE game_id = ? AND ended_at IS NULL;`,
+                                        [winnerId, reason, gameId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Get a page of the games that are being played right now and can be watched.
+ * @param {Integer} limit - Games per page.
+ * @param {Integer} offset - Games to skip.
+ * @returns {Object} The games with the players' usernames and the total number of games.
+ */
+async function getLiveGames(limit, offset) {
+    const [games] = await pool.query(`SELECT g.game_id, g.player1_id, g.player2_id, g.current_turn, g.rated, g.time_control,
+                                             g.variant, g.board_rows, g.board_columns, g.connect_length,
+                                             p1.username AS player1_username, p2.username AS player2_username,
+                                             (SELECT COUNT(*) FROM game_move m WHERE m.game_id = g.game_id) AS move_count
+                                      FROM game g
+                                      JOIN users p1 ON p1.user_id = g.player1_id
+                                      JOIN users p2 ON p2.user_id = g.player2_id
+                                      WHERE g.ended_at IS NULL AND g.is_analysis = 0 AND g.allow_spectators = 1
+                                      ORDER BY g.game_id DESC LIMIT ? OFFSET ?;`, [limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM game WHERE ended_at IS NULL AND is_analysis = 0 AND allow_spectators = 1;`);
+    return { games, total: count.total };
+}
+
+/**
+ * Turns spectating a game on or off.
+ * @param {Integer} gameId - Game's ID
+ * @param {Boolean} allow - Can other users watch the game?
+ * @returns {Integer} Number of rows updated.
+ */
+async function setAllowSpectators(gameId, allow) {
+    const [result] = await pool.execute(`UPDATE game SET allow_spectators = ? WHERE game_id = ?;`, [allow ? 1 : 0, gameId]);
+    return result.affectedRows;
+}
+
+/**
+ * Get the games a user is still playing, with the bot level of both players so
+ * games against bots can be told apart.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} Unfinished games of the user.
+ */
+async function getUnfinishedGamesForUser(userId) {
+    const [results] = await pool.execute(`SELECT g.*, p1.bot_level AS player1_bot_level, p2.bot_level AS player2_bot_level
+                                          FROM game g
+                                          JOIN users p1 ON p1.user_id = g.player1_id
+                                          JOIN users p2 ON p2.user_id = g.player2_id
+                                          WHERE (g.player1_id = ? OR g.player2_id = ?) AND g.ended_at IS NULL AND g.is_analysis = 0
+                                          ORDER BY g.game_id;`, [userId, userId]);
+    return results;
+}
+
+/**
+ * Get the games that are still being played with a clock running.
+ * @returns {Array} IDs of the games.
+ */
+async function getActiveTimedGames() {
+    const [results] = await pool.execute(`SELECT game_id FROM game WHERE ended_at IS NULL AND time_control IS NOT NULL;`);
+    return results;
+}
+
+/**
+ * Get the games that are still being played where it is a bot's turn.
+ * @returns {Array} IDs of the games.
+ */
+async function getBotTurnGames() {
+    const [results] = await pool.execute(`SELECT g.game_id FROM game g
+                                          JOIN users u ON u.user_id = g.current_turn
+                                          WHERE g.ended_at IS NULL AND g.is_analysis = 0 AND u.bot_level IS NOT NULL;`);
+    return results;
+}
+
+/**
+ * Get a page of the games a user is still playing, the games waiting on the user
+ * come first and the closest move deadline before the others.
+ * @param {Integer} userId - User's ID
+ * @param {Boolean} myTurnOnly - Only get the games where it is the user's turn?
+ * @param {Integer} limit - Games per page.
+ * @param {Integer} offset - Games to skip.
+ * @returns {Object} The games with the opponent's username and deadline, and the total number of games.
+ */
+async function getActiveGamesForUser(userId, myTurnOnly, limit, offset) {
+    const filter = `(g.player1_id = ? OR g.player2_id = ?) AND g.ended_at IS NULL AND g.is_analysis = 0 ${myTurnOnly ? "AND g.current_turn = ?" : ""}`,
+          params = myTurnOnly ? [userId, userId, userId] : [userId, userId];
+    const [games] = await pool.query(`SELECT g.game_id, g.player1_id, g.player2_id, g.current_turn, g.rated, g.time_control, g.correspondence,
+                                             g.variant, g.board_rows, g.board_columns, g.connect_length, g.turn_started_at,
+                                             p1.username AS player1_username, p2.username AS player2_username,
+                                             ${MOVE_DEADLINE} AS move_deadline,
+                                             (SELECT COUNT(*) FROM game_move m WHERE m.game_id = g.game_id) AS move_count
+                                      FROM game g
+                                      JOIN users p1 ON p1.user_id = g.player1_id
+                                      JOIN users p2 ON p2.user_id = g.player2_id
+                                      WHERE ${filter}
+                                      ORDER BY g.current_turn = ? DESC, move_deadline IS NULL, move_deadline, g.game_id
+                                      LIMIT ? OFFSET ?;`, [...params, userId, limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM game g WHERE ${filter};`, params);
+    return { games, total: count.total };
+}
+
+/**
+ * Get the correspondence games whose move deadline comes before the given time and
+ * whose player to move was not warned yet this turn.
+ * @param {Date} before - Deadlines up to this time are returned.
+ * @returns {Array} The games with their move deadline.
+ */
+async function getGamesNearDeadline(before) {
+    const [results] = await pool.execute(`SELECT g.*, ${MOVE_DEADLINE} AS move_deadline FROM game g
+                                          WHERE g.correspondence = 1 AND g.ended_at IS NULL AND g.deadline_warned_at IS NULL
+                                          AND ${MOVE_DEADLINE} <= ?
+                                          ORDER BY move_deadline;`, [before]);
+    return results;
+}
+
+/**
+ * Remembers that the player to move was warned about their deadline.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Boolean} Was the game updated? False when the warning was already sent.
+ */
+async function setDeadlineWarned(gameId) {
+    const [result] = await pool.execute(`UPDATE game SET deadline_warned_at = NOW() WHERE game_id = ? AND deadline_warned_at IS NULL;`, [gameId]);
+    return result.affectedRows > 0;
+}
+
+// Column of every kind of offer and when it can be made
+const GAME_OFFERS = {
+    draw: { column: "draw_offered_by", condition: "ended_at IS NULL" },
+    takeback: { column: "takeback_requested_by", condition: "ended_at IS NULL" },
+    rematch: { column: "rematch_offered_by", condition: "ended_at IS NOT NULL AND rematch_game_id IS NULL" }
+};
+
+/**
+ * Stores an offer a player made to their opponent, only one offer of a kind can
+ * be open at a time.
+ * @param {Integer} gameId - Game's ID
+ * @param {String} offer - "draw", "takeback" or "rematch"
+ * @param {Integer} userId - Player making the offer.
+ * @returns {Boolean} Was the offer stored? False when one is already open or the game is not in the right state.
+ */
+async function setGameOffer(gameId, offer, userId) {
+    const { column, condition } = GAME_OFFERS[offer];
+    const [result] = await pool.execute(`UPDATE game SET ${column} = ? WHERE game_id = ? AND ${column} IS NULL AND ${condition};`,
+                                        [userId, gameId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Removes an open offer once it was answered.
+ * @param {Integer} gameId - Game's ID
+ * @param {String} offer - "draw", "takeback" or "rematch"
+ * @param {Integer} userId - Player that made the offer.
+ * @returns {Boolean} Was the offer removed? False when that player had no offer open.
+ */
+async function clearGameOffer(gameId, offer, userId) {
+    const { column, condition } = GAME_OFFERS[offer];
+    const [result] = await pool.execute(`UPDATE game SET ${column} = NULL WHERE game_id = ? AND ${column} = ? AND ${condition};`,
+                                        [gameId, userId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Removes the offers a move answers, the opponent's draw offer and any takeback request.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} playerId - Player who moved.
+ * @returns {Integer} Number of rows updated.
+ */
+async function clearOffersAfterMove(gameId, playerId) {
+    const [result] = await pool.execute(`UPDATE game SET draw_offered_by = IF(draw_offered_by = ?, draw_offered_by, NULL), takeback_requested_by = NULL
+                                         WHERE game_id = ? AND (draw_offered_by IS NOT NULL OR takeback_requested_by IS NOT NULL);`,
+                                        [playerId, gameId]);
+    return result.affectedRows;
+}
+
+/**
+ * Takes back the last move of a game once the takeback request is accepted, the
+ * player who made the move is to move again with the clocks they had before it.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player that asked for the takeback.
+ * @param {Array} board - Board without the last move.
+ * @param {Object} variantState - State of the variant without the last move, null for variants without one.
+ * @returns {Boolean} Was the move taken back? False when the request was no longer open.
+ */
+async function undoLastMove(gameId, userId, board, variantState) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [[lastMove]] = await connection.execute(`SELECT clock_player1_ms, clock_player2_ms FROM game_move
+                                                       WHERE game_id = ? ORDER BY ply DESC LIMIT 1 FOR UPDATE;`, [gameId]);
+        const [result] = await connection.execute(`UPDATE game SET takeback_requested_by = NULL, game_state = ?, current_turn = ?, turn_started_at = ?,
+                                                   variant_state = ?, deadline_warned_at = NULL, ply_count = ply_count - 1,
+                                                   clock_player1_ms = COALESCE(?, clock_player1_ms), clock_player2_ms = COALESCE(?, clock_player2_ms)
+                                                   WHERE game_id = ? AND takeback_requested_by = ? AND ended_at IS NULL;`,
+                                                  [JSON.stringify(board), userId, new Date(),
+                                                   variantState ? JSON.stringify(variantState) : null,
+                                                   lastMove ? lastMove.clock_player1_ms : null, lastMove ? lastMove.clock_player2_ms : null,
+                                                   gameId, userId]);
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return false;
+        }
+        await connection.execute(`DELETE FROM game_move WHERE game_id = ? ORDER BY ply DESC LIMIT 1;`, [gameId]);
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Stores the game a rematch was played in.
+ * @param {Integer} gameId - Game the rematch was offered after.
+ * @param {Integer} rematchGameId - Game of the rematch.
+ * @returns {Integer} Number of rows updated.
+ */
+async function setRematchGame(gameId, rematchGameId) {
+    const [result] = await pool.execute(`UPDATE game SET rematch_game_id = ? WHERE game_id = ?;`, [rematchGameId, gameId]);
+    return result.affectedRows;
+}
+
+/////////////////////////////
+//  MOVE DATABASE QUERIES  //
+/////////////////////////////
+
+/**
+ * Stores a move made in a game, the ply is the next one in the game.
+ * @param {Integer} gameId - Game the move was made in.
+ * @param {Integer} playerId - Player who made the move.
+ * @param {Integer} col - Column the disc was dropped in or popped from.
+ * @param {Integer} row - Row the disc landed in or was popped from.
+ * @param {String} moveType - "drop" or "pop"
+ * @param {Object} clocks - player1Ms and player2Ms left before the move, leave out for games without a clock.
+ * @returns {Integer} Move's ID
+ */
+async function addMove(gameId, playerId, col, row, moveType = "drop", clocks = null) {
+    const [result] = await pool.execute(`INSERT INTO game_move (game_id, ply, player_id, col_index, row_index, move_type, clock_player1_ms, clock_player2_ms)
+                                         SELECT ?, COALESCE(MAX(ply), 0) + 1, ?, ?, ?, ?, ?, ? FROM game_move WHERE game_id = ?;`,
+                                        [gameId, playerId, col, row, moveType,
+                                         clocks ? clocks.player1Ms : null, clocks ? clocks.player2Ms : null, gameId]);
+    return result.insertId;
+}
+
+/**
+ * Stores all of the moves of an imported game at once.
+ * @param {Integer} gameId - Game the moves belong to.
+ * @param {Array} moves - Moves with the playerId, col, row and type, in order.
+ * @returns {Integer} Number of moves stored.
+ */
+async function addMoves(gameId, moves) {
+    if (moves.length === 0) {
+        return 0;
+    }
+    const rows = moves.map((move, index) => [gameId, index + 1, move.playerId, move.col, move.row, move.type || "drop"]);
+    const [result] = await pool.query(`INSERT INTO game_move (game_id, ply, player_id, col_index, row_index, move_type) VALUES ?;`, [rows]);
+    return result.affectedRows;
+}
+
+/**
+ * Get the moves of several games at once.
+ * @param {Array} gameIds - IDs of the games.
+ * @returns {Array} Moves of the games ordered by game and ply.
+ */
+async function getMovesForGames(gameIds) {
+    if (gameIds.length === 0) {
+        return [];
+    }
+    const [results] = await pool.query(`SELECT game_id, ply, player_id, col_index, row_index, move_type, created_at FROM game_move
+                                        WHERE game_id IN (?) ORDER BY game_id, ply;`, [gameIds]);
+    return results;
+}
+
+/**
+ * Get all of the moves of a game in the order they were made.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Array} Moves of the game.
+ */
+async function getMovesForGame(gameId) {
+    const [results] = await pool.execute(`SELECT ply, player_id, col_index, row_index, move_type, created_at FROM game_move WHERE game_id = ? ORDER BY ply;`, [gameId]);
+    return results;
+}
+
+///////////////////////////////
+//  RATING DATABASE QUERIES  //
+///////////////////////////////
+
+/**
+ * Get the current rating of the players.
+ * @param {Array} userIds - IDs of the users.
+ * @returns {Array} user_id, rating and rated_games of every user.
+ */
+async function getRatings(userIds) {
+    const [results] = await pool.query(`SELECT user_id, rating, rated_games FROM users WHERE user_id IN (?);`, [userIds]);
+    return results;
+}
+
+/**
+ * Counts a finished unrated game for the players.
+ * @param {Array} userIds - IDs of the players.
+ * @returns {Integer} Number of users updated.
+ */
+async function addUnratedGame(userIds) {
+    const [result] = await pool.query(`UPDATE users SET unrated_games = unrated_games + 1 WHERE user_id IN (?);`, [userIds]);
+    return result.affectedRows;
+}
+
+/**
+ * Stores the rating changes of a rated game, the rating is changed by the
+ * difference so games ending at the same time don't overwrite each other.
+ * @param {Integer} gameId - Game that was rated.
+ * @param {Array} changes - userId, opponentId, score, ratingBefore and ratingAfter of each player.
+ * @returns {Boolean} Were the ratings saved?
+ */
+async function saveRatingChanges(gameId, changes) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        for (const change of changes) {
+            await connection.execute(`UPDATE users SET rating = rating + ?, rated_games = rated_games + 1 WHERE user_id = ?;`,
+                                     [change.ratingAfter - change.ratingBefore, change.userId]);
+            await connection.execute(`INSERT INTO rating_history (user_id, game_id, opponent_id, score, rating_before, rating_after) VALUES (?, ?, ?, ?, ?, ?);`,
+                                     [change.userId, gameId, change.opponentId, change.score, change.ratingBefore, change.ratingAfter]);
+        }
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Get the rating history of a user, oldest first.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} Rating change of every rated game.
+ */
+async function getRatingHistory(userId) {
+    const [results] = await pool.execute(`SELECT game_id, opponent_id, score, rating_before, rating_after, created_at FROM rating_history
+                                          WHERE user_id = ? ORDER BY created_at, history_id;`, [userId]);
+    return results;
+}
+
+/**
+ * Get a page of the leaderboard. With a start date only players that played a
+ * rated game since then are listed, with their rating change in that window.
+ * @param {Integer} limit - Players per page.
+ * @param {Integer} offset - Players to skip.
+ * @param {String} since - Start of the window or null for all time.
+ * @returns {Object} The players on the page and the total number of players.
+ */
+async function getLeaderboard(limit, offset, since) {
+    if (!since) {
+        const [players] = await pool.query(`SELECT user_id, username, rating, rated_games FROM users
+                                            WHERE rated_games > 0 AND bot_level IS NULL
+                                            ORDER BY rating DESC, user_id LIMIT ? OFFSET ?;`, [limit, offset]);
+        const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM users WHERE rated_games > 0 AND bot_level IS NULL;`);
+        return { players, total: count.total };
+    }
+
+    const [players] = await pool.query(`SELECT u.user_id, u.username, u.rating, u.rated_games,
+                                               COUNT(h.history_id) AS window_games,
+                                               SUM(h.rating_after - h.rating_before) AS rating_change
+                                        FROM rating_history h JOIN users u ON u.user_id = h.user_id
+                                        WHERE h.created_at >= ? AND u.bot_level IS NULL
+                                        GROUP BY u.user_id, u.username, u.rating, u.rated_games
+                                        ORDER BY u.rating DESC, u.user_id LIMIT ? OFFSET ?;`, [since, limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(DISTINCT h.user_id) AS total FROM rating_history h
+                                        JOIN users u ON u.user_id = h.user_id
+                                        WHERE h.created_at >= ? AND u.bot_level IS NULL;`, [since]);
+    return { players, total: count.total };
+}
+
+///////////////////////////////////
+//  TOURNAMENT DATABASE QUERIES  //
+///////////////////////////////////
+
+const TOURNAMENT_COLUMNS = `t.*, u.username AS creator_username,
+                            (SELECT COUNT(*) FROM tournament_player p WHERE p.tournament_id = t.tournament_id) AS player_count`;
+
+/**
+ * Creates a tournament that is open for registration.
+ * @param {Integer} creatorId - User creating the tournament.
+ * @param {Object} tournament - name, format, registrationOpensAt, registrationClosesAt, timeControl,
+ *                              rated, variant (with the board size), maxPlayers and rounds.
+ * @returns {Integer} The tournament's ID
+ */
+async function createTournament(creatorId, { name, format, registrationOpensAt, registrationClosesAt, timeControl, rated, variant, maxPlayers, rounds }) {
+    const [result] = await pool.execute(`INSERT INTO tournament (name, format, creator_id, registration_opens_at, registration_closes_at, time_control, rated,
+                                                                 variant, board_rows, board_columns, connect_length, max_players, total_rounds)
+                                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+                                        [name, format, creatorId, registrationOpensAt, registrationClosesAt, JSON.stringify(timeControl), rated ? 1 : 0,
+                                         variant.variant, variant.rows, variant.columns, variant.connect, maxPlayers, rounds]);
+    return result.insertId;
+}
+
+/**
+ * Get a tournament with the creator's username and the number of players.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Object} The tournament.
+ */
+async function getTournament(tournamentId) {
+    const [results] = await pool.execute(`SELECT ${TOURNAMENT_COLUMNS} FROM tournament t
+                                          JOIN users u ON u.user_id = t.creator_id
+                                          WHERE t.tournament_id = ? LIMIT 1;`, [tournamentId]);
+    return results[0];
+}
+
+/**
+ * Get a page of the tournaments, newest first.
+ * @param {String} status - Only tournaments with this status, all of them when null.
+ * @param {Integer} limit - Tournaments per page.
+ * @param {Integer} offset - Tournaments to skip.
+ * @returns {Object} The tournaments and the total number of them.
+ */
+async function getTournaments(status, limit, offset) {
+    const where = status ? `WHERE t.status = ?` : ``,
+          params = status ? [status] : [];
+    const [tournaments] = await pool.query(`SELECT ${TOURNAMENT_COLUMNS} FROM tournament t
+                                            JOIN users u ON u.user_id = t.creator_id
+                                            ${where} ORDER BY t.tournament_id DESC LIMIT ? OFFSET ?;`, [...params, limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM tournament t ${where};`, params);
+    return { tournaments, total: count.total };
+}
+
+/**
+ * Get the tournaments whose registration closed but were not started yet.
+ * @returns {Array} IDs of the tournaments.
+ */
+async function getTournamentsToStart() {
+    const [results] = await pool.execute(`SELECT tournament_id FROM tournament WHERE status = 'registration' AND registration_closes_at <= NOW();`);
+    return results.map((result) => result.tournament_id);
+}
+
+/**
+ * Registers a player for a tournament, only while it is open for registration
+ * and not full.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User joining.
+ * @returns {Boolean} Was the player added?
+ */
+async function addTournamentPlayer(tournamentId, userId) {
+    const [result] = await pool.execute(`INSERT IGNORE INTO tournament_player (tournament_id, user_id)
+                                         SELECT t.tournament_id, ? FROM tournament t
+                                         WHERE t.tournament_id = ? AND t.status = 'registration'
+                                         AND t.registration_opens_at <= NOW() AND t.registration_closes_at > NOW()
+                                         AND (SELECT COUNT(*) FROM tournament_player p WHERE p.tournament_id = t.tournament_id) < t.max_players;`,
+                                        [userId, tournamentId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Takes a player out of a tournament that did not start yet.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User leaving.
+ * @returns {Boolean} Was the player removed?
+ */
+async function removeTournamentPlayer(tournamentId, userId) {
+    const [result] = await pool.execute(`DELETE p FROM tournament_player p
+                                         JOIN tournament t ON t.tournament_id = p.tournament_id
+                                         WHERE p.tournament_id = ? AND p.user_id = ? AND t.status = 'registration';`,
+                                        [tournamentId, userId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Get the players of a tournament with their rating.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Array} user_id, username, rating, seed and joined_at of every player.
+ */
+async function getTournamentPlayers(tournamentId) {
+    const [results] = await pool.execute(`SELECT p.user_id, u.username, u.rating, p.seed, p.joined_at FROM tournament_player p
+                                          JOIN users u ON u.user_id = p.user_id
+                                          WHERE p.tournament_id = ? ORDER BY p.seed, u.rating DESC, p.joined_at;`, [tournamentId]);
+    return results;
+}
+
+/**
+ * Starts a tournament that is still open for registration and stores the seed
+ * of every player.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Array} seeds - User IDs of the players, best seed first.
+ * @param {Integer} totalRounds - Number of rounds that will be played.
+ * @returns {Boolean} Was the tournament started? False when it already was.
+ */
+async function startTournament(tournamentId, seeds, totalRounds) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.execute(`UPDATE tournament SET status = 'running', started_at = NOW(), total_rounds = ?
+                                                   WHERE tournament_id = ? AND status = 'registration';`, [totalRounds, tournamentId]);
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return false;
+        }
+        for (const [index, userId] of seeds.entries()) {
+            await connection.execute(`UPDATE tournament_player SET seed = ? WHERE tournament_id = ? AND user_id = ?;`,
+                                     [index + 1, tournamentId, userId]);
+        }
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Moves a running tournament on to the next round.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} round - Round that is being played now.
+ * @returns {Boolean} Was the round changed? False when another update already did.
+ */
+async function setTournamentRound(tournamentId, round) {
+    const [result] = await pool.execute(`UPDATE tournament SET current_round = ? WHERE tournament_id = ? AND status = 'running' AND current_round = ?;`,
+                                        [round, tournamentId, round - 1]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Ends a tournament, either because every round was played or because it was cancelled.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {String} status - "finished" or "cancelled"
+ * @returns {Boolean} Was the tournament ended? False when it already was.
+ */
+async function endTournament(tournamentId, status) {
+    const [result] = await pool.execute(`UPDATE tournament SET status = ?, finished_at = NOW()
+                                         WHERE tournament_id = ? AND status IN ('registration', 'running');`, [status, tournamentId]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Stores the pairings of a round.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} round - Round the pairings are for.
+ * @param {Array} pairings - slot, player1Id, player2Id, gameId and result of every pairing.
+ * @returns {Integer} Number of pairings stored.
+ */
+async function addPairings(tournamentId, round, pairings) {
+    if (pairings.length === 0) {
+        return 0;
+    }
+    const rows = pairings.map((pairing) => [tournamentId, round, pairing.slot, pairing.player1Id,
+                                            pairing.player2Id || null, pairing.gameId || null, pairing.result || null]);
+    const [result] = await pool.query(`INSERT INTO tournament_pairing (tournament_id, round, slot, player1_id, player2_id, game_id, result) VALUES ?;`, [rows]);
+    return result.affectedRows;
+}
+
+/**
+ * Get every pairing of a tournament with the usernames of the players.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Array} The pairings ordered by round and slot.
+ */
+async function getPairings(tournamentId) {
+    const [results] = await pool.execute(`SELECT tp.*, p1.username AS player1_username, p2.username AS player2_username
+                                          FROM tournament_pairing tp
+                                          JOIN users p1 ON p1.user_id = tp.player1_id
+                                          LEFT JOIN users p2 ON p2.user_id = tp.player2_id
+                                          WHERE tp.tournament_id = ? ORDER BY tp.round, tp.slot, tp.pairing_id;`, [tournamentId]);
+    return results;
+}
+
+/**
+ * Get the tournament games that ended but whose result was not stored in the pairing yet.
+ * @returns {Array} The pairings with the winner of their game.
+ */
+async function getEndedPairings() {
+    const [results] = await pool.execute(`SELECT tp.pairing_id, tp.tournament_id, tp.round, tp.player1_id, tp.player2_id, g.winner_id
+                                          FROM tournament_pairing tp
+                                          JOIN tournament t ON t.tournament_id = tp.tournament_id
+                                          JOIN game g ON g.game_id = tp.game_id
+                                          WHERE tp.result IS NULL AND g.ended_at IS NOT NULL AND t.status = 'running'
+                                          ORDER BY tp.tournament_id, tp.pairing_id;`);
+    return results;
+}
+
+/**
+ * Stores the result of a pairing once its game ended.
+ * @param {Integer} pairingId - Pairing's ID
+ * @param {String} result - "1-0", "0-1" or "1/2-1/2"
+ * @returns {Boolean} Was the result stored? False when it already had one.
+ */
+async function setPairingResult(pairingId, result) {
+    const [update] = await pool.execute(`UPDATE tournament_pairing SET result = ? WHERE pairing_id = ? AND result IS NULL;`, [result, pairingId]);
+    return update.affectedRows > 0;
+}
+
+/////////////////////////////////////
+//  NOTIFICATION DATABASE QUERIES  //
+/////////////////////////////////////
+
+/**
+ * Stores a notification for a user, it is sent out by the next delivery run.
+ * @param {Integer} userId - User the notification is for.
+ * @param {String} type - "yourTurn", "deadlineApproaching" or "gameEnded"
+ * @param {Integer} gameId - Game the notification is about.
+ * @param {Object} details - Extra details for the type of notification.
+ * @returns {Integer} Notification's ID
+ */
+async function addNotification(userId, type, gameId, details) {
+    const [result] = await pool.execute(`INSERT INTO notification (user_id, type, game_id, details) VALUES (?, ?, ?, ?);`,
+                                        [userId, type, gameId, JSON.stringify(details)]);
+    return result.insertId;
+}
+
+/**
+ * Get a page of the notifications of a user, newest first.
+ * @param {Integer} userId - User's ID
+ * @param {Boolean} unreadOnly - Leave out the notifications that were read?
+ * @param {Integer} limit - Notifications per page.
+ * @param {Integer} offset - Notifications to skip.
+ * @returns {Object} The notifications, their total and the number of unread notifications.
+ */
+async function getNotifications(userId, unreadOnly, limit, offset) {
+    const filter = `user_id = ? ${unreadOnly ? "AND read_at IS NULL" : ""}`;
+    const [notifications] = await pool.query(`SELECT * FROM notification WHERE ${filter}
+                                              ORDER BY notification_id DESC LIMIT ? OFFSET ?;`, [userId, limit, offset]);
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total, COALESCE(SUM(read_at IS NULL), 0) AS unread FROM notification WHERE user_id = ?;`, [userId]);
+    return { notifications, total: unreadOnly ? Number(count.unread) : count.total, unread: Number(count.unread) };
+}
+
+/**
+ * Get the notifications that were not sent out yet, with the details of the user
+ * they are for.
+ * @param {Integer} limit - Most notifications to get.
+ * @returns {Array} The notifications, oldest first.
+ */
+async function getUndeliveredNotifications(limit) {
+    const [results] = await pool.query(`SELECT n.*, u.username, u.email FROM notification n
+                                        JOIN users u ON u.user_id = n.user_id
+                                        WHERE n.delivered_at IS NULL ORDER BY n.notification_id LIMIT ?;`, [limit]);
+    return results;
+}
+
+/**
+ * Marks notifications as sent out.
+ * @param {Array} notificationIds - IDs of the notifications.
+ * @returns {Integer} Number of notifications updated.
+ */
+async function markNotificationsDelivered(notificationIds) {
+    if (notificationIds.length === 0) {
+        return 0;
+    }
+    const [result] = await pool.query(`UPDATE notification SET delivered_at = NOW(3) WHERE notification_id IN (?) AND delivered_at IS NULL;`, [notificationIds]);
+    return result.affectedRows;
+}
+
+/**
+ * Marks the notifications of a user as read.
+ * @param {Integer} userId - User's ID
+ * @param {Array} notificationIds - IDs of the notifications, null marks all of them.
+ * @returns {Integer} Number of notifications updated.
+ */
+async function markNotificationsRead(userId, notificationIds = null) {
+    if (notificationIds && notificationIds.length === 0) {
+        return 0;
+    }
+    const [result] = notificationIds
+        ? await pool.query(`UPDATE notification SET read_at = NOW(3) WHERE user_id = ? AND notification_id IN (?) AND read_at IS NULL;`, [userId, notificationIds])
+        : await pool.query(`UPDATE notification SET read_at = NOW(3) WHERE user_id = ? AND read_at IS NULL;`, [userId]);
+    return result.affectedRows;
+}
+
+// Export the functions to use in other files
+module.exports = {
+    getUserWithUsername,
+    getUserWithId,
+    getUserWithUsernameOrEmail,
+    getUsernameById,
+    searchUsernames,
+    getProfile,
+    updateProfile,
+    getBotUser,
+    getBotLevel,
+    addUser,
+    updatePassword,
+    updateEmail,
+    deleteUser,
+
+    addPasswordReset,
+    getPasswordReset,
+    usePasswordReset,
+
+    getLoginThrottles,
+    saveLoginFailure,
+    clearLoginThrottle,
+    addLoginAttempt,
+
+    addSessionToUser,
+    getActiveSession,
+    getActiveSessionsForUser,
+    touchSession,
+    revokeSession,
+    revokeUserSession,
+    revokeAllSessions,
+    deleteExpiredSessions,
+
+    isModerator,
+    addChatMessage,
+    getChatMessages,
+    getChatMessage,
+    deleteChatMessage,
+    getActiveMute,
+    addMute,
+    removeMutes,
+    addReport,
+    getOpenReports,
+    getReport,
+    resolveReports,
+
+    addDirectMessage,
+    getConversations,
+    getDirectMessages,
+    markDirectMessagesRead,
+
+    getFriendship,
+    addFriendRequest,
+    acceptFriendRequest,
+    deleteFriendship,
+    getFriendships,
+    getFriendIds,
+    addBlock,
+    removeBlock,
+    getBlockedUsers,
+    getBlockedUserIds,
+    isBlocked,
+
+    getChallengeWithId,
+    getPendingChallengesForUser,
+    getPendingChallengeBetween,
+    sendAChallenge,
+    sendChallengeResponse,
+    setChallengeGame,
+    cancelChallenge,
+    expireChallenges,
+
+    getGameWithId,
+    createGame,
+    createAnalysisGame,
+    getGamesForUser,
+    getFinishedGamesForUser,
+    updateGameState,
+    endGame,
+    getActiveTimedGames,
+    getBotTurnGames,
+    getUnfinishedGamesForUser,
+    getLiveGames,
+    setAllowSpectators,
+    getActiveGamesForUser,
+    getGamesNearDeadline,
+    setDeadlineWarned,
+    setGameOffer,
+    clearGameOffer,
+    clearOffersAfterMove,
+    undoLastMove,
+    setRematchGame,
+
+    addMove,
+    addMoves,
+    getMovesForGame,
+    getMovesForGames,
+
+    getRatings,
+    addUnratedGame,
+    saveRatingChanges,
+    getRatingHistory,
+    getLeaderboard,
+
+    createTournament,
+    getTournament,
+    getTournaments,
+    getTournamentsToStart,
+    addTournamentPlayer,
+    removeTournamentPlayer,
+    getTournamentPlayers,
+    startTournament,
+    setTournamentRound,
+    endTournament,
+    addPairings,
+    getPairings,
+    getEndedPairings,
+    setPairingResult,
+
+    addNotification,
+    getNotifications,
+    getUndeliveredNotifications,
+    markNotificationsDelivered,
+    markNotificationsRead,
 };
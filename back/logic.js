@@ -7,35 +7,63 @@
  */
 
 const DB = require(`./db.js`),
+      AI = require(`./ai.js`),
+      mailer = require(`./mailer.js`),
+      notifier = require(`./notifier.js`),
       bcrypt = require('bcrypt'), 
-      crypto = require('crypto');
+      crypto = require('crypto'),
+      fs = require('fs'),
+      path = require('path'),
+      { Worker } = require('worker_threads');
 
 /**
  * This will be used to make sure that the username and password are valid
  * and safe to be entered into the database.
+ * Failed logins are throttled per account and per IP address, every attempt is
+ * recorded in the audit table.
  * @param {String} username - Username provided.
  * @param {String} password - Password provided.
+ * @param {String} ip - IP Address of the user.
+ * @param {String} userAgent - Browser or app the user is logging in with.
  * @returns {Object} Object of the user is returned (UserID and SessionID)
  */
-async function getUserWithUsernamePassword(username, password) {
+async function getUserWithUsernamePassword(username, password, ip = null, userAgent = null) {
     if(!password) {
-        return { error: "Please enter a password!" }
+        return { error: "Please enter a password!", status: 401 }
     }
+    const attempt = {
+        username: username ? String(username).slice(0, 64) : null,
+        ip: ip ? String(ip).slice(0, 45) : null,
+        userAgent: userAgent ? String(userAgent).slice(0, 255) : null
+    };
+
     // Validate username
-    username = validateSanitizeUsername(username);
+    username = username ? validateSanitizeUsername(String(username)) : null;
+
+    const throttleKeys = getThrottleKeys(username, attempt.ip),
+          throttles = await DB.getLoginThrottles(Object.values(throttleKeys)),
+          retryAfterMs = getLoginRetryAfter(throttles, Date.now());
+    if(retryAfterMs > 0) {
+        await DB.addLoginAttempt({ ...attempt, success: false, reason: "locked" });
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        return { error: `Too many failed logins, try again in ${retryAfter} seconds!`, status: 429, retryAfter };
+    }
 
     // Send to database and return the result
-    let response = await DB.getUserWithUsername(username);
-    if(!response) {
-        return { error: "Username or password incorrect!" }
+    let response = username ? await DB.getUserWithUsername(username) : null;
+    const compare = response ? await comparePasswords(password, response.password) : false;
+    if(!compare) {
+        await recordLoginFailure(throttleKeys, throttles, Date.now());
+        await DB.addLoginAttempt({ ...attempt, userId: response ? response.user_id : null, success: false,
+                                   reason: response ? "bad_password" : "unknown_user" });
+        return { error: "Username or password incorrect!", status: 401 };
     }
-    let testPassword = response.password;
-    const compare = await comparePasswords(password, testPassword);
-    if(compare) {
-        return response;
-    } else {
-        return { error: "Username or password incorrect!" };
+
+    if(throttleKeys.account) {
+        await DB.clearLoginThrottle(throttleKeys.account);
     }
+    await DB.addLoginAttempt({ ...attempt, userId: response.user_id, success: true, reason: "ok" });
+    return response;
 }
 
 /**
@@ -43,15 +71,20 @@ async function getUserWithUsernamePassword(username, password) {
  * will validate both the username and password before entering to the database.
  * @param {String} username - Username provided 
  * @param {String} password - Password provided
+ * @param {String} confirmPassword - Password typed a second time.
+ * @param {String} email - Email for password resets, optional.
  * @returns {Object} Object containing the userId.
  */
-async function addUser(username, password, confirmPassword) {
+async function addUser(username, password, confirmPassword, email = null) {
     if(!password || !confirmPassword)   {
        let response = { error: "Passwords are blank!" }
        return response;
     }
-    let checkMatching = checkMatchingPasswords(password, confirmPassword),
-        passHash = await hashString(password);
+    email = email ? validateEmail(email) : null;
+    if(email === false) {
+        return { error: "Email is not valid!" };
+    }
+    let checkMatching = checkMatchingPasswords(password, confirmPassword);
 
     if(!checkMatching) {
         let response = {error: "Passwords are not matching!"}
@@ -59,37 +92,164 @@ async function addUser(username, password, confirmPassword) {
     }
 
     // Validate username
-    username = validateSanitizeUsername(username);
-    password = passHash;
+    username = validateSanitizeUsername(String(username || ''));
+    if(!username) {
+        return { error: "Username must be 3 to 15 letters, numbers, _ or -!" };
+    }
+
+    const policyError = checkPasswordPolicy(password, username);
+    if(policyError) {
+        return { error: policyError };
+    }
+    password = await hashString(password);
 
     // Send to database and return the result
-    let response = await DB.addUser(username, password);
-    return response;
+    let userId = await DB.addUser(username, password, email);
+    return { userId };
 }
 
 /**
- * This will be used to delete the user. userId, username, and password must be
- * provided so someone who knows the username and password can't delete any user.
+ * This will be used to delete the user. The password is checked again so
+ * someone with a stolen session can't delete the account. The user is
+ * anonymized instead of removed, their unfinished games are lost and their
+ * finished games stay in the history.
  * @param {Integer} userId - User's Id
- * @param {Strign} username - Username (got the username with the user's id)
- * @param {String} password - Provided password (should be hashed already)
- * @returns {Object} Object containing the affected rows, should be >1.
+ * @param {String} password - Provided password
+ * @returns {Object} The sessions that were revoked and the games that ended, or an error.
  */
-async function deleteUser(userId, username, password) {
-    let passHash = await hashString(password);
+async function deleteUser(userId, password) {
+    const user = await DB.getUserWithId(userId);
+    if(!user || !password || !(await comparePasswords(password, user.password))) {
+        return { error: "Password is incorrect!", status: 401 };
+    }
 
-    // Validate the username
-    username = validateSanitizeUsername(username);
-    password = passHash;
+    const endedGames = [];
+    for (const game of await DB.getUnfinishedGamesForUser(userId)) {
+        const winnerId = game.player1_id === user.user_id ? game.player2_id : game.player1_id;
+        endedGames.push({
+            gameId: game.game_id,
+            player1: game.player1_id,
+            player2: game.player2_id,
+            gameOver: await recordGameResult(game, winnerId, "abandoned")
+        });
+    }
 
-    if(userId && username && password) {
-        // Send to database and return the result
-        let response = await DB.deleteUser(userId, username, password);
-        return response;
-    } else {
-        let response = {error: "Was not able to delete account!"}
-        return response;
+    const revokedSessions = await DB.revokeAllSessions(userId);
+    await DB.deleteUser(userId);
+    return { revokedSessions, endedGames };
+}
+
+/**
+ * Changes the password of a logged in user, the current password has to be
+ * given. The user's other sessions are logged out.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} sessionId - Session making the change, it stays logged in.
+ * @param {String} currentPassword - Password the user has now.
+ * @param {String} password - New password.
+ * @param {String} confirmPassword - New password typed a second time.
+ * @returns {Object} The sessions that were revoked, or an error.
+ */
+async function changePassword(userId, sessionId, currentPassword, password, confirmPassword) {
+    if(!currentPassword || !password || !confirmPassword) {
+        return { error: "Passwords are blank!", status: 400 };
+    }
+    if(!checkMatchingPasswords(password, confirmPassword)) {
+        return { error: "Passwords are not matching!", status: 400 };
+    }
+
+    const user = await DB.getUserWithId(userId);
+    if(!user || !(await comparePasswords(currentPassword, user.password))) {
+        return { error: "Current password is incorrect!", status: 401 };
+    }
+
+    const policyError = checkPasswordPolicy(password, user.username);
+    if(policyError) {
+        return { error: policyError, status: 400 };
+    }
+
+    await DB.updatePassword(userId, await hashString(password));
+    const revokedSessions = await DB.revokeAllSessions(userId, sessionId);
+    return { revokedSessions };
+}
+
+/**
+ * Changes the email used for password resets.
+ * @param {Integer} userId - User's ID
+ * @param {String} email - New email, empty to remove it.
+ * @returns {Object} The saved email, or an error.
+ */
+async function setEmail(userId, email) {
+    email = email ? validateEmail(email) : null;
+    if(email === false) {
+        return { error: "Email is not valid!", status: 400 };
+    }
+    await DB.updateEmail(userId, email);
+    return { email };
+}
+
+/**
+ * Starts a password reset, a single use token is mailed to the user. Nothing
+ * tells the caller if the account exists so this can't be used to look up users.
+ * Either the username or the email is enough to find the account.
+ * @param {String} username - Username of the account, or null.
+ * @param {String} email - Email of the account, or null.
+ */
+async function requestPasswordReset(username, email) {
+    username = username ? validateSanitizeUsername(String(username)) : null;
+    email = email ? validateEmail(email) : null;
+    if(!username && !email) {
+        return;
+    }
+
+    const user = await DB.getUserWithUsernameOrEmail(username, email || null);
+    if(!user || !user.email) {
+        return;
+    }
+
+    const token = crypto.randomBytes(PASSWORD_RESET_TOKEN_BYTES).toString('hex'),
+          expiresAt = formatDateForSQL(new Date(Date.now() + PASSWORD_RESET_TTL_MS));
+    await DB.addPasswordReset(user.user_id, hashTokenPart(token), expiresAt);
+    await mailer.sendMail(user.email, "Reset your Connect Four password",
+        `Hi ${user.username},\n\nUse this code to reset your password: ${token}\n` +
+        `It can be used once and expires in ${PASSWORD_RESET_TTL_MS / 60000} minutes. ` +
+        `If you did not ask to reset your password you can ignore this mail.`);
+}
+
+/**
+ * Sets a new password with a reset token, every session of the user is logged out.
+ * @param {String} token - Reset token from the mail.
+ * @param {String} password - New password.
+ * @param {String} confirmPassword - New password typed a second time.
+ * @returns {Object} The user and the sessions that were revoked, or an error.
+ */
+async function resetPassword(token, password, confirmPassword) {
+    if(!password || !confirmPassword) {
+        return { error: "Passwords are blank!", status: 400 };
+    }
+    if(!checkMatchingPasswords(password, confirmPassword)) {
+        return { error: "Passwords are not matching!", status: 400 };
     }
+
+    // The token is only used up once the password passes the policy, which needs the username
+    const tokenHash = token ? hashTokenPart(String(token)) : null,
+          reset = tokenHash ? await DB.getPasswordReset(tokenHash) : null;
+    if(!reset) {
+        return { error: "Reset code is not valid or has expired!", status: 400 };
+    }
+
+    const policyError = checkPasswordPolicy(password, reset.username);
+    if(policyError) {
+        return { error: policyError, status: 400 };
+    }
+
+    const userId = await DB.usePasswordReset(tokenHash);
+    if(!userId) {
+        return { error: "Reset code is not valid or has expired!", status: 400 };
+    }
+
+    await DB.updatePassword(userId, await hashString(password));
+    const revokedSessions = await DB.revokeAllSessions(userId);
+    return { userId, revokedSessions };
 }
 
 /**
@@ -103,201 +263,3968 @@ async function getUsernameById(userId) {
 }
 
 /**
- * Will make and store the users session in the database.
- * @param {Integer} ip - IP Address of the user. 
- * @param {Integer} userId - UserId of the user.
- * @param {String} username - User's username
- * @returns {Object} contains the id of the session.
+ * Get a page of the user directory, users can be searched by the start of their username.
+ * @param {String} prefix - Start of the username, leave out for every user.
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Users per page.
+ * @returns {Object} The users and the paging details.
  */
-async function setSession(ip, userId, username) {
-    username = validateSanitizeUsername(username);
-    const exprDate = generateExperationDate(),
-          token = createSessionToken(ip, userId, username);
-        
-    let response = await DB.addSessionToUser(userId, token, exprDate);
-    return response;
+async function searchUsers(prefix, page, pageSize) {
+    prefix = String(prefix || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 15);
+    const paging = parsePaging(page, pageSize),
+          { users, total } = await DB.searchUsernames(prefix, paging.pageSize, paging.offset);
+
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        prefix,
+        users: users.map((user) => ({
+            userId: user.user_id,
+            username: user.username,
+            displayName: user.display_name,
+            isBot: Boolean(user.bot_level)
+        }))
+    };
 }
 
 /**
- * Get the stored token in the database that corresponds to
- * the userId and the sessionId.
- * @param {Integer} sessionId - ID of the session.
- * @param {Integer} userId - ID of the user.
- * @returns {String} Token that was stored in the database.
+ * Get the public profile of a user.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} The profile or an error when there is no such user.
  */
-async function getSessionTokenWithIdUserId(sessionId, userId) {
-    const response = await DB.getStoredSessionToken(sessionId, userId);
-    return response.token;
+async function getProfile(userId) {
+    const user = await DB.getProfile(userId);
+    if (!user) {
+        return { error: "No user found!", status: 404 };
+    }
+    return {
+        userId: user.user_id,
+        username: user.username,
+        displayName: user.display_name,
+        avatarUrl: user.avatar_url,
+        bio: user.bio,
+        country: user.country,
+        createdAt: user.created_at,
+        rating: user.rating,
+        ratedGames: user.rated_games,
+        isBot: Boolean(user.bot_level)
+    };
 }
 
-async function getChallengeWithId(challengeId) {
-    const response = await DB.getChallengeWithId(challengeId);
-    return response;
+/**
+ * Changes the profile of a user. Fields that are left out are not changed and
+ * empty fields are cleared.
+ * @param {Integer} userId - User's ID
+ * @param {Object} changes - displayName, avatarUrl, bio and/or country.
+ * @returns {Object} The changed profile or an error.
+ */
+async function updateProfile(userId, changes) {
+    const profile = {};
+    for (const field of Object.keys(PROFILE_FIELDS)) {
+        if (!changes || changes[field] === undefined) {
+            continue;
+        }
+        const value = validateProfileField(field, changes[field]);
+        if (value === false) {
+            return { error: PROFILE_FIELDS[field].error, status: 400 };
+        }
+        profile[field] = value;
+    }
+    if (Object.keys(profile).length === 0) {
+        return { error: `Nothing to change, send ${Object.keys(PROFILE_FIELDS).join(", ")}`, status: 400 };
+    }
+
+    await DB.updateProfile(userId, profile);
+    return getProfile(userId);
 }
 
 /**
- * Send a game invite to a challenger.
- * @param {Integer} userId - User sending the challenge.
- * @param {Integer} challengerId - User they want to face.
- * @returns {Integer} Challenge_Id of the made record.
+ * Get the statistics of a player from their finished games, analysis games are
+ * not counted.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} Results, win rate by colour, streaks and most played opponents.
  */
-async function sendChallenge(userId, challengerId) {
-    const response = await DB.sendAChallenge(userId, challengerId);
-    return response;
+async function getUserStats(userId) {
+    userId = Number(userId);
+    const user = await DB.getProfile(userId);
+    if (!user) {
+        return { error: "No user found!", status: 404 };
+    }
+
+    const games = await DB.getFinishedGamesForUser(userId),
+          overall = createResultCount(),
+          asPlayer1 = createResultCount(),
+          asPlayer2 = createResultCount(),
+          opponents = new Map();
+    let currentStreak = 0,
+        bestStreak = 0;
+
+    for (const game of games) {
+        const result = game.winner_id === null ? "draws" : (game.winner_id === userId ? "wins" : "losses"),
+              opponentId = game.player1_id === userId ? game.player2_id : game.player1_id;
+
+        for (const count of [overall, game.player1_id === userId ? asPlayer1 : asPlayer2]) {
+            count.played++;
+            count[result]++;
+        }
+
+        if (!opponents.has(opponentId)) {
+            opponents.set(opponentId, { userId: opponentId, ...createResultCount() });
+        }
+        opponents.get(opponentId).played++;
+        opponents.get(opponentId)[result]++;
+
+        currentStreak = result === "wins" ? currentStreak + 1 : 0;
+        bestStreak = Math.max(bestStreak, currentStreak);
+    }
+
+    const mostPlayed = [...opponents.values()]
+        .sort((a, b) => b.played - a.played || a.userId - b.userId)
+        .slice(0, MOST_PLAYED_OPPONENTS);
+    for (const opponent of mostPlayed) {
+        const opponentUser = await DB.getUsernameById(opponent.userId);
+        opponent.username = opponentUser ? opponentUser.username : "?";
+    }
+
+    return {
+        userId,
+        username: user.username,
+        ...withWinRate(overall),
+        asPlayer1: withWinRate(asPlayer1),
+        asPlayer2: withWinRate(asPlayer2),
+        currentStreak,
+        bestStreak,
+        mostPlayedOpponents: mostPlayed.map(withWinRate)
+    };
 }
 
 /**
- * Respnose to the game challenge, accept or decline it and store in 
- * database.
- * @param {Integer} challengeId - Challenge ID of the game request.
- * @param {Integer} reply - Accept or deny (1 = accept, 0 = deny)
- * @return {Boolean} Was the response sent?
+ * Checks a user can be in a chat room. Anyone can be in the lobby and named
+ * rooms, a game room is for the players and, when it is allowed, spectators.
+ * @param {String} room - Room's name, "lobby" or a game ID.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} The room's name, or an error.
  */
-async function sendChallengeResponse(challengeId, reply) {
-    if(reply === "accept") {
-        reply = true;
-    } else if (reply === "decline") {
-        reply = false;
-    } else {
-        return { error: 'There was an error sending the reply!' }
+async function canAccessRoom(room, userId) {
+    room = String(room || '');
+    if (!CHAT_ROOM_REGEX.test(room)) {
+        return { error: "Room name is not valid", status: 400 };
     }
-    const response = await DB.sendChallengeResponse(challengeId, reply);
-    return response;
+    if (!/^\d+$/.test(room)) {
+        return { room };
+    }
+
+    const game = await DB.getGameWithId(room);
+    if (!game || game.is_analysis) {
+        return { error: "Game not found", status: 404 };
+    }
+    const isPlayer = Number(userId) === game.player1_id || Number(userId) === game.player2_id;
+    if (!isPlayer && !game.allow_spectators) {
+        return { error: "Chat of this game is only for the players", status: 403 };
+    }
+    return { room };
 }
 
-async function getGameWithId(gameId) {
-    const response = await DB.getGameWithId(gameId);
-    return response;
+/**
+ * Stores a chat message from a user, the sender comes from their session. Muted
+ * users and users sending too fast are stopped and bad words are hidden.
+ * @param {Integer} userId - User sending the message.
+ * @param {String} username - Username of the sender.
+ * @param {String} room - Room the message is for.
+ * @param {String} text - Text of the message.
+ * @returns {Object} The stored message, or an error.
+ */
+async function postChatMessage(userId, username, room, text) {
+    text = typeof text === "string" ? text.replace(/[\u0000-\u001f\u007f]/g, " ").trim() : "";
+    if (!text) {
+        return { error: "Message is empty", status: 400 };
+    }
+    if (text.length > CHAT_MAX_LENGTH) {
+        return { error: `Message can't be longer than ${CHAT_MAX_LENGTH} characters`, status: 400 };
+    }
+
+    const mute = await DB.getActiveMute(String(room), userId);
+    if (mute) {
+        return { error: `You are muted in this room until ${new Date(mute.muted_until).toISOString()}`, status: 403 };
+    }
+    const waitMs = takeChatRateLimit(userId, Date.now());
+    if (waitMs > 0) {
+        return { error: `You are sending messages too fast, wait ${Math.ceil(waitMs / 1000)} seconds`, status: 429 };
+    }
+
+    text = filterProfanity(text);
+    const messageId = await DB.addChatMessage(String(room), userId, text);
+    return { messageId, room: String(room), userId: Number(userId), username, message: text, createdAt: new Date() };
 }
 
 /**
- * Creates the game with a null gamestate.
+ * Get a page of the chat history of a room, newest messages first. Messages of
+ * users that blocked or were blocked by the reader are left out.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User reading the history.
+ * @param {Integer} before - Cursor, only messages older than this message ID.
+ * @param {Integer} limit - Number of messages.
+ * @returns {Object} The messages and the cursor for the next page, or an error.
+ */
+async function getChatHistory(room, userId, before = null, limit = CHAT_HISTORY_SIZE) {
+    const access = await canAccessRoom(room, userId);
+    if (access.error) {
+        return access;
+    }
+    before = parseInt(before, 10) || null;
+    limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || CHAT_HISTORY_SIZE));
+
+    const hiddenUserIds = await DB.getBlockedUserIds(userId),
+          rows = await DB.getChatMessages(access.room, before, limit + 1, hiddenUserIds),
+          messages = rows.slice(0, limit).map(formatChatMessage);
+    return {
+        room: access.room,
+        messages,
+        nextCursor: rows.length > limit ? messages[messages.length - 1].messageId : null
+    };
+}
+
+/**
+ * Checks if a user is a moderator.
  * @param {Integer} userId - User's ID
- * @param {Integer} opponentId - Opponent ID
- * @return {Integer} The gameID
+ * @returns {Boolean} Is the user a moderator?
  */
-async function createGame(userId, opponentId) {
-    const initialBoard = Array(6).fill(null).map(() => Array(7).fill(null));
-    const response = await DB.createGame(userId, opponentId, JSON.stringify(initialBoard));
-    console.log("In Logic : ", response);
+async function isModerator(userId) {
+    const response = await DB.isModerator(userId);
     return response;
 }
 
-async function updateGameState(board, nextTurn, gameId) {
-    const response = DB.updateGameState(board, nextTurn, gameId);
-    return response;
+/**
+ * Mutes a user in a room, only moderators can.
+ * @param {Integer} moderatorId - Moderator muting.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User to mute.
+ * @param {Integer} minutes - How long the mute lasts.
+ * @param {String} reason - Why the user was muted, optional.
+ * @returns {Object} The mute, or an error.
+ */
+async function muteUser(moderatorId, room, userId, minutes = DEFAULT_MUTE_MINUTES, reason = null) {
+    const check = await checkModeration(moderatorId, room, userId);
+    if (check.error) {
+        return check;
+    }
+    minutes = Number(minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+        return { error: `Minutes must be between 1 and ${MAX_MUTE_MINUTES}`, status: 400 };
+    }
+
+    const mutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    reason = reason ? String(reason).slice(0, 255) : null;
+    await DB.addMute(check.room, check.userId, moderatorId, mutedUntil, reason);
+    return { room: check.room, userId: check.userId, mutedUntil, reason };
 }
 
 /**
- * VALIDATION AND SANITIZATION OF ALL THE PARAMETERS BEING SENT TO THE DATABASE
- * MAKES SURE ALL OF THE VALUES ARE IN THE CORRECT FORM AND CANNOT DAMAGE
- * THE DATABASE.
+ * Ends the mute of a user in a room, only moderators can.
+ * @param {Integer} moderatorId - Moderator unmuting.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User to unmute.
+ * @returns {Object} The room and user, or an error.
  */
-// Helper function to hash a given string.
-async function hashString(value) {
-    const hashedString = await bcrypt.hash(value, 10);
-    return hashedString;
+async function unmuteUser(moderatorId, room, userId) {
+    const check = await checkModeration(moderatorId, room, userId);
+    if (check.error) {
+        return check;
+    }
+    if (!(await DB.removeMutes(check.room, check.userId))) {
+        return { error: "User is not muted in this room", status: 404 };
+    }
+    return { room: check.room, userId: check.userId };
 }
 
-// hashing using crypto for consistency
-function hashTokenPart(value) {
-    return crypto.createHash('sha256').update(value).digest('hex');
+/**
+ * Checks a moderator can kick a user from a room, the socket is removed by the server.
+ * @param {Integer} moderatorId - Moderator kicking.
+ * @param {String} room - Room's name.
+ * @param {Integer} userId - User to kick.
+ * @returns {Object} The room and user, or an error.
+ */
+async function kickUser(moderatorId, room, userId) {
+    const check = await checkModeration(moderatorId, room, userId);
+    return check;
 }
 
 /**
- * USER HELPER FUNCTIONS
+ * Reports a chat message to the moderators.
+ * @param {Integer} userId - User reporting.
+ * @param {Integer} messageId - Message being reported.
+ * @param {String} reason - Why it was reported, optional.
+ * @returns {Object} The report's ID, or an error.
  */
-// checks and removes if the username has unallowed characters
-function validateSanitizeUsername(username) {
-    username = username.replace(/[^a-zA-Z0-9_-]/g, '');
+async function reportMessage(userId, messageId, reason = null) {
+    const message = await DB.getChatMessage(messageId);
+    if (!message || message.deleted_at) {
+        return { error: "Message was not found", status: 404 };
+    }
+    if (message.user_id === Number(userId)) {
+        return { error: "You can't report your own message", status: 400 };
+    }
+    try {
+        const reportId = await DB.addReport(message.message_id, userId, reason ? String(reason).slice(0, 255) : null);
+        return { reportId, messageId: message.message_id };
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { error: "You already reported this message", status: 409 };
+        }
+        throw error;
+    }
+}
 
-    const usernameRegex = /^[a-zA-Z0-9_-]{3,15}$/;
-    let valid = usernameRegex.test(username);
-    return valid ? username : null;
+/**
+ * Get the reports that still need a moderator, only moderators can.
+ * @param {Integer} moderatorId - Moderator's ID
+ * @returns {Array} The reports, or an error.
+ */
+async function getReports(moderatorId) {
+    if (!(await DB.isModerator(moderatorId))) {
+        return { error: "Only moderators can do this", status: 403 };
+    }
+    const reports = await DB.getOpenReports();
+    return reports.map((report) => ({
+        reportId: report.report_id,
+        reason: report.reason,
+        createdAt: report.created_at,
+        reporterId: report.reporter_id,
+        reporterUsername: report.reporter_username,
+        message: { ...formatChatMessage(report), deleted: Boolean(report.deleted_at) }
+    }));
 }
 
-// Sees if the passHash matches the other password hash.
-async function comparePasswords(password, testPassHash) {
-    const match = await bcrypt.compare(password, testPassHash);
-    return match;
+/**
+ * Resolves the reports of a message, the moderator can delete the message too.
+ * @param {Integer} moderatorId - Moderator's ID
+ * @param {Integer} reportId - Report being resolved.
+ * @param {Boolean} deleteMessage - Should the reported message be deleted?
+ * @returns {Object} The message, its room and if it was deleted, or an error.
+ */
+async function resolveReport(moderatorId, reportId, deleteMessage = false) {
+    if (!(await DB.isModerator(moderatorId))) {
+        return { error: "Only moderators can do this", status: 403 };
+    }
+    const report = await DB.getReport(reportId);
+    if (!report || report.resolved_at) {
+        return { error: "Report was not found", status: 404 };
+    }
+
+    const message = await DB.getChatMessage(report.message_id),
+          deleted = deleteMessage === true && await DB.deleteChatMessage(message.message_id);
+    await DB.resolveReports(message.message_id, moderatorId);
+    return { reportId: report.report_id, messageId: message.message_id, room: message.room, deleted };
 }
 
-// This ensures that the password that is given can be hashed and retrieved.
-function checkMatchingPasswords(password, confirmPassword) {
-    return password === confirmPassword;
+/**
+ * Sends a direct message, it is stored so the recipient gets it even when they
+ * are offline. Users that blocked each other can't message.
+ * @param {Integer} senderId - User sending the message.
+ * @param {String} senderUsername - Username of the sender.
+ * @param {Integer} recipientId - User the message is for.
+ * @param {String} text - Text of the message.
+ * @returns {Object} The stored message, or an error.
+ */
+async function sendDirectMessage(senderId, senderUsername, recipientId, text) {
+    recipientId = Number(recipientId);
+    text = typeof text === "string" ? text.replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, " ").trim() : "";
+    if (!text) {
+        return { error: "Message is empty", status: 400 };
+    }
+    if (text.length > DIRECT_MESSAGE_MAX_LENGTH) {
+        return { error: `Message can't be longer than ${DIRECT_MESSAGE_MAX_LENGTH} characters`, status: 400 };
+    }
+
+    const check = await checkOtherUser(senderId, recipientId, "message");
+    if (check.error) {
+        return check;
+    }
+    const waitMs = takeChatRateLimit(senderId, Date.now());
+    if (waitMs > 0) {
+        return { error: `You are sending messages too fast, wait ${Math.ceil(waitMs / 1000)} seconds`, status: 429 };
+    }
+
+    const messageId = await DB.addDirectMessage(senderId, recipientId, text);
+    return {
+        messageId,
+        senderId: Number(senderId),
+        senderUsername,
+        recipientId,
+        message: text,
+        createdAt: new Date(),
+        readAt: null
+    };
 }
 
 /**
- * SESSION HEPLER FUNCTIONS
+ * Get the conversations of a user with the last message and the unread count of each.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} The conversations and the total unread messages.
  */
-// function will make the session token (ip, username, userid which are hashed and woven together)
-function createSessionToken(ip, userId, username) {
-    const ipHash = hashTokenPart(String(ip)),
-        userIdHash = hashTokenPart(String(userId)),
-        usernameHash = hashTokenPart(username);
-    
-    const token = createWeave(ipHash, userIdHash, usernameHash);
-    return token;
+async function getConversations(userId) {
+    const blockedIds = new Set(await DB.getBlockedUserIds(userId)),
+          rows = await DB.getConversations(userId);
+
+    const conversations = rows.map((row) => ({
+        userId: row.other_id,
+        username: row.other_username,
+        unread: Number(row.unread),
+        blocked: blockedIds.has(row.other_id),
+        lastMessage: formatDirectMessage(row)
+    }));
+    return { conversations, unread: conversations.reduce((total, conversation) => total + conversation.unread, 0) };
 }
 
-// helper function to weave the values together.
-function createWeave(hash1, hash2, hash3) {
-    const hashLength = Math.max(hash1.length, hash2.length, hash3.length);
-    let weavedToken = '';
+/**
+ * Get a page of the messages between two users, newest messages first.
+ * @param {Integer} userId - User reading.
+ * @param {Integer} otherId - Other user in the conversation.
+ * @param {Integer} before - Cursor, only messages older than this message ID.
+ * @param {Integer} limit - Number of messages.
+ * @returns {Object} The messages and the cursor for the next page.
+ */
+async function getConversation(userId, otherId, before = null, limit = CHAT_HISTORY_SIZE) {
+    otherId = Number(otherId);
+    if (!Number.isInteger(otherId)) {
+        return { error: "No user found!", status: 404 };
+    }
+    before = parseInt(before, 10) || null;
+    limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || CHAT_HISTORY_SIZE));
+
+    const rows = await DB.getDirectMessages(userId, otherId, before, limit + 1),
+          messages = rows.slice(0, limit).map(formatDirectMessage);
+    return {
+        userId: otherId,
+        messages,
+        nextCursor: rows.length > limit ? messages[messages.length - 1].messageId : null
+    };
+}
 
-    // hashes are the same length so there should not be an index out of bounds
-    for (let i = 0; i < hashLength; i++) {
-        weavedToken += hash1[i];
-        weavedToken += hash2[i];
-        weavedToken += hash3[i];
+/**
+ * Marks the messages from another user as read, the other user gets a read receipt.
+ * @param {Integer} userId - User reading.
+ * @param {Integer} otherId - User that sent the messages.
+ * @param {Integer} upToMessageId - Last message that was read.
+ * @returns {Object} How many messages were marked, or an error.
+ */
+async function markConversationRead(userId, otherId, upToMessageId) {
+    otherId = Number(otherId);
+    upToMessageId = Number(upToMessageId);
+    if (!Number.isInteger(otherId) || !Number.isInteger(upToMessageId)) {
+        return { error: "userId and messageId are required", status: 400 };
     }
-    return weavedToken;
+    const count = await DB.markDirectMessagesRead(userId, otherId, upToMessageId);
+    return { userId: otherId, upToMessageId, count, readAt: new Date() };
 }
 
-// generates the expiration date of the token 3 days from now.
-function generateExperationDate() {
-    const exprDate = new Date();
-    exprDate.setDate(exprDate.getDate() + 3); // Modify the date by adding 3 days
-    const formatedExprDate = formatDateForSQL(exprDate);
-    return formatedExprDate;
+/**
+ * Sends a friend request. When the other user already sent one to this user the
+ * two become friends right away.
+ * @param {Integer} userId - User sending the request.
+ * @param {Integer} otherId - User the request is for.
+ * @returns {Object} Was the friendship accepted, or an error.
+ */
+async function sendFriendRequest(userId, otherId) {
+    const check = await checkOtherUser(userId, otherId, "send a friend request to");
+    if (check.error) {
+        return check;
+    }
+    otherId = check.userId;
+
+    const friendship = await DB.getFriendship(userId, otherId);
+    if (friendship && friendship.status === "accepted") {
+        return { error: "You are already friends!", status: 409 };
+    }
+    if (friendship && friendship.requester_id === Number(userId)) {
+        return { error: "Friend request was already sent!", status: 409 };
+    }
+    if (friendship) {
+        await DB.acceptFriendRequest(otherId, userId);
+        return { userId: otherId, accepted: true };
+    }
+
+    await DB.addFriendRequest(userId, otherId);
+    return { userId: otherId, accepted: false };
 }
 
-// helper to format the date for sql.
-function formatDateForSQL(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
+/**
+ * Accepts or declines a friend request that was sent to the user.
+ * @param {Integer} userId - User the request was sent to.
+ * @param {Integer} requesterId - User that sent the request.
+ * @param {Boolean} accept - Accept or decline the request.
+ * @returns {Object} Was the request accepted, or an error.
+ */
+async function respondToFriendRequest(userId, requesterId, accept) {
+    const friendship = await DB.getFriendship(userId, requesterId);
+    if (!friendship || friendship.status !== "pending" || friendship.requester_id !== Number(requesterId)) {
+        return { error: "Friend request was not found!", status: 404 };
+    }
+    if (accept) {
+        await DB.acceptFriendRequest(requesterId, userId);
+    } else {
+        await DB.deleteFriendship(userId, requesterId);
+    }
+    return { userId: Number(requesterId), accepted: Boolean(accept) };
+}
 
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+/**
+ * Removes a friend, or cancels a friend request the user sent.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Friend to remove.
+ * @returns {Object} The removed friend, or an error.
+ */
+async function removeFriend(userId, otherId) {
+    const removed = await DB.deleteFriendship(userId, otherId);
+    if (!removed) {
+        return { error: "Friend was not found!", status: 404 };
+    }
+    return { userId: Number(otherId) };
 }
 
+/**
+ * Get the friends of a user and the friend requests sent to and by them.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} friends, incoming and outgoing requests.
+ */
+async function getFriends(userId) {
+    const friendships = await DB.getFriendships(userId),
+          friends = { friends: [], incoming: [], outgoing: [] };
 
+    for (const friendship of friendships) {
+        const other = { userId: friendship.other_id, username: friendship.other_username };
+        if (friendship.status === "accepted") {
+            friends.friends.push({ ...other, since: friendship.accepted_at });
+        } else if (friendship.requester_id === Number(userId)) {
+            friends.outgoing.push({ ...other, createdAt: friendship.created_at });
+        } else {
+            friends.incoming.push({ ...other, createdAt: friendship.created_at });
+        }
+    }
+    return friends;
+}
 
 /**
- * GAME HELPER FUNCTIONS
+ * Get the IDs of a user's friends, used to send them presence updates.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} IDs of the friends.
  */
+async function getFriendIds(userId) {
+    const response = await DB.getFriendIds(userId);
+    return response;
+}
 
-module.exports = {
-    hashString,
-    
-    getUserWithUsernamePassword,
-    addUser,
-    deleteUser,
-    getUsernameById,
+/**
+ * Blocks a user. They can't challenge or message the user or see their status
+ * anymore, and they stop being friends.
+ * @param {Integer} userId - User blocking.
+ * @param {Integer} otherId - User to block.
+ * @returns {Object} The blocked user and if a friendship was removed, or an error.
+ */
+async function blockUser(userId, otherId) {
+    const check = await checkOtherUser(userId, otherId, "block");
+    if (check.error) {
+        return check;
+    }
+    const friendship = await DB.getFriendship(userId, check.userId);
+    await DB.addBlock(userId, check.userId);
+    return { userId: check.userId, removedFriendship: Boolean(friendship) };
+}
 
-    setSession,
-    createSessionToken,
-    getSessionTokenWithIdUserId,
+/**
+ * Unblocks a user.
+ * @param {Integer} userId - User that blocked.
+ * @param {Integer} otherId - User to unblock.
+ * @returns {Object} The unblocked user, or an error.
+ */
+async function unblockUser(userId, otherId) {
+    const removed = await DB.removeBlock(userId, otherId);
+    if (!removed) {
+        return { error: "User is not blocked!", status: 404 };
+    }
+    return { userId: Number(otherId) };
+}
 
-    getChallengeWithId,
-    sendChallenge,
-    sendChallengeResponse,
+/**
+ * Get the users someone blocked.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} The blocked users.
+ */
+async function getBlockedUsers(userId) {
+    const blocked = await DB.getBlockedUsers(userId);
+    return blocked.map((user) => ({ userId: user.blocked_id, username: user.username, blockedAt: user.created_at }));
+}
 
-    getGameWithId,
-    createGame,
-    updateGameState,
+/**
+ * Get the users that can't reach a user because one of them blocked the other.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} IDs of the users.
+ */
+async function getBlockedUserIds(userId) {
+    const response = await DB.getBlockedUserIds(userId);
+    return response;
+}
+
+/**
+ * Checks if either user blocked the other.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} otherId - Other user's ID
+ * @returns {Boolean} Is there a block between them?
+ */
+async function isBlocked(userId, otherId) {
+    const response = await DB.isBlocked(userId, otherId);
+    return response;
+}
+
+/**
+ * Will make and store the users session in the database.
+ * @param {Integer} ip - IP Address of the user. 
+ * @param {Integer} userId - UserId of the user.
+ * @param {String} userAgent - Browser or app the user logged in with.
+ * @returns {Object} contains the id of the session and the bearer token for it.
+ */
+async function setSession(ip, userId, userAgent = null) {
+    const exprDate = generateExperationDate(),
+          secret = crypto.randomBytes(SESSION_SECRET_BYTES).toString('hex');
+        
+    let sessionId = await DB.addSessionToUser(userId, exprDate, hashTokenPart(secret),
+                                              String(ip).slice(0, 45), userAgent ? String(userAgent).slice(0, 255) : null);
+    return { sessionId, token: `${sessionId}.${secret}` };
+}
+
+/**
+ * Checks a bearer token from a request and gets the user it belongs to. The
+ * session must not be expired or revoked. Using a session moves its expiry date
+ * forward, so active users stay logged in even when their IP address changes.
+ * @param {String} bearerToken - Token given at login ("<sessionId>.<secret>").
+ * @param {String} ip - IP Address of the user.
+ * @returns {Object} userId, username and sessionId, or null when the token is not valid.
+ */
+async function verifySession(bearerToken, ip) {
+    const [sessionId, secret] = String(bearerToken || '').split('.');
+    if (!/^\d+$/.test(sessionId) || !secret) {
+        return null;
+    }
+
+    const session = await DB.getActiveSession(sessionId);
+    if (!session || !session.secret_hash || !compareHashes(hashTokenPart(secret), session.secret_hash)) {
+        return null;
+    }
+
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+    if (Date.now() - lastSeen > SESSION_REFRESH_INTERVAL_MS) {
+        await DB.touchSession(session.session_id, generateExperationDate(), String(ip).slice(0, 45));
+    }
+    return { userId: session.user_id, username: session.username, sessionId: session.session_id };
+}
+
+/**
+ * Get the sessions a user is logged in with, so they can see their devices.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} currentSessionId - Session making the request.
+ * @returns {Array} Sessions with the device, IP and dates.
+ */
+async function getSessions(userId, currentSessionId) {
+    const sessions = await DB.getActiveSessionsForUser(userId);
+    return sessions.map((session) => ({
+        sessionId: session.session_id,
+        ip: session.ip,
+        device: session.user_agent,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        expiresAt: session.expr_date,
+        current: session.session_id === currentSessionId
+    }));
+}
+
+/**
+ * Revokes one of the user's sessions, for example a lost device.
+ * @param {Integer} sessionId - Session to revoke.
+ * @param {Integer} userId - User the session has to belong to.
+ * @returns {Boolean} Was the session revoked?
+ */
+async function revokeUserSession(sessionId, userId) {
+    const response = await DB.revokeUserSession(sessionId, userId);
+    return response;
+}
+
+/**
+ * Revokes every session of the user (log out everywhere).
+ * @param {Integer} userId - User's ID
+ * @returns {Array} IDs of the sessions that were revoked.
+ */
+async function revokeAllSessions(userId) {
+    const response = await DB.revokeAllSessions(userId);
+    return response;
+}
+
+/**
+ * Removes the sessions that expired or were revoked, run on a schedule.
+ * @returns {Integer} Number of sessions removed.
+ */
+async function cleanupExpiredSessions() {
+    const response = await DB.deleteExpiredSessions();
+    return response;
+}
+
+/**
+ * Revokes a session, the token can't be used after this (logout).
+ * @param {Integer} sessionId - ID of the session.
+ * @returns {Boolean} Was the session revoked?
+ */
+async function revokeSession(sessionId) {
+    const response = await DB.revokeSession(sessionId);
+    return response;
+}
+
+async function getChallengeWithId(challengeId) {
+    const response = await DB.getChallengeWithId(challengeId);
+    return response;
+}
+
+/**
+ * Get the pending challenges of a user, the ones sent to them and the ones
+ * they sent, so they can see them when they log in.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} incoming and outgoing challenges.
+ */
+async function getChallenges(userId) {
+    const challenges = (await DB.getPendingChallengesForUser(userId)).map(formatChallenge);
+    return {
+        incoming: challenges.filter((challenge) => challenge.challengerId === Number(userId)),
+        outgoing: challenges.filter((challenge) => challenge.senderId === Number(userId))
+    };
+}
+
+/**
+ * Send a game invite to a challenger. The challenge waits until it is answered,
+ * cancelled or expires, so it can be sent to users who are offline.
+ * @param {Integer} userId - User sending the challenge.
+ * @param {Integer} challengerId - User they want to face.
+ * @param {Object} options - timeControl, colour (red, yellow or random), rated, variant and
+ *                           the board size (rows, columns, connect), optional.
+ * @returns {Object} The challenge that was made, or an error.
+ */
+async function sendChallenge(userId, challengerId, options = {}) {
+    challengerId = Number(challengerId);
+    if (Number(userId) === challengerId) {
+        return { error: "You can't challenge yourself!", status: 400 };
+    }
+    const challenger = Number.isInteger(challengerId) ? await DB.getProfile(challengerId) : null;
+    if (!challenger) {
+        return null;
+    }
+    if (challenger.bot_level) {
+        return { error: "Bots can't be challenged, start a bot game instead!", status: 400 };
+    }
+    if (await DB.isBlocked(userId, challengerId)) {
+        return { error: "You can't challenge this user!", status: 403 };
+    }
+
+    options = parseChallengeOptions(options || {});
+    if (options.error) {
+        return options;
+    }
+    if (await DB.getPendingChallengeBetween(userId, challengerId)) {
+        return { error: "You already challenged this user!", status: 409 };
+    }
+
+    const expiresAt = formatDateForSQL(new Date(Date.now() + CHALLENGE_TTL_MS)),
+          challengeId = await DB.sendAChallenge(userId, challengerId, options, expiresAt);
+    return formatChallenge(await DB.getChallengeWithId(challengeId));
+}
+
+/**
+ * Respnose to the game challenge, accept or decline it and store in 
+ * database. Accepting creates the game, the colours are given out the way the
+ * sender asked for.
+ * @param {Integer} challengeId - Challenge ID of the game request.
+ * @param {String} reply - "accept" or "decline"
+ * @param {Integer} userId - User replying, must be the one that was challenged.
+ * @return {Object} The challenge and the game that was made, or an error.
+ */
+async function sendChallengeResponse(challengeId, reply, userId) {
+    if(reply === "accept") {
+        reply = true;
+    } else if (reply === "decline") {
+        reply = false;
+    } else {
+        return { error: 'There was an error sending the reply!', status: 400 }
+    }
+    const challenge = await DB.getChallengeWithId(challengeId);
+    if (!challenge) {
+        return false;
+    }
+    if (challenge.challenger_id !== Number(userId)) {
+        return { error: "This challenge was not sent to you!", status: 403 };
+    }
+    const status = getChallengeStatus(challenge);
+    if (status !== "pending" || !(await DB.sendChallengeResponse(challenge.challenge_id, reply))) {
+        return { error: `Challenge is ${status === "pending" ? "no longer pending" : status}!`, status: 409 };
+    }
+
+    if (!reply) {
+        return { challenge: formatChallenge({ ...challenge, status: "declined" }), game: null };
+    }
+
+    const senderIsRed = challenge.colour === "random" ? crypto.randomInt(2) === 0 : challenge.colour === PLAYER1_COLOUR,
+          [player1, player2] = senderIsRed ? [challenge.sender_id, challenge.challenger_id] : [challenge.challenger_id, challenge.sender_id],
+          gameId = await createGame(player1, player2, {
+              rated: Boolean(challenge.rated),
+              timeControl: readTimeControl(challenge),
+              variant: challenge.variant,
+              rows: challenge.board_rows,
+              columns: challenge.board_columns,
+              connect: challenge.connect_length
+          });
+    await DB.setChallengeGame(challenge.challenge_id, gameId);
+
+    return {
+        challenge: formatChallenge({ ...challenge, status: "accepted", game_id: gameId }),
+        game: { gameId, player1, player2 }
+    };
+}
+
+/**
+ * Cancels a pending challenge, only the user that sent it can.
+ * @param {Integer} challengeId - Challenge's ID
+ * @param {Integer} userId - User cancelling.
+ * @returns {Object} The cancelled challenge, or an error.
+ */
+async function cancelChallenge(challengeId, userId) {
+    const challenge = await DB.getChallengeWithId(challengeId);
+    if (!challenge || challenge.sender_id !== Number(userId)) {
+        return { error: "Challenge was not found!", status: 404 };
+    }
+    if (!(await DB.cancelChallenge(challenge.challenge_id, userId))) {
+        return { error: `Challenge is ${getChallengeStatus(challenge)}!`, status: 409 };
+    }
+    return formatChallenge({ ...challenge, status: "cancelled" });
+}
+
+/**
+ * Marks the challenges that were not answered in time as expired, run on a schedule.
+ * @returns {Array} challengeId, senderId and challengerId of each expired challenge.
+ */
+async function expireChallenges() {
+    const expired = await DB.expireChallenges();
+    return expired.map((challenge) => ({
+        challengeId: challenge.challenge_id,
+        senderId: challenge.sender_id,
+        challengerId: challenge.challenger_id
+    }));
+}
+
+async function getGameWithId(gameId) {
+    const response = await DB.getGameWithId(gameId);
+    return response;
+}
+
+/**
+ * Creates the game with an empty board of the variant's size. In a correspondence
+ * game player 1 is notified that it is their turn. The players aren't checked here,
+ * games only come from accepted challenges, matchmaking, rematches and tournaments.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} opponentId - Opponent ID
+ * @param {Object} options - rated: does the game change the players' ratings?
+ *                           timeControl: clock for the game, see parseTimeControl.
+ *                           variant, rows, columns, connect: rules and board, see parseVariant.
+ * @return {Integer} The gameID
+ */
+async function createGame(userId, opponentId, { rated = false, timeControl = null, variant, rows, columns, connect } = {}) {
+    timeControl = parseTimeControl(timeControl);
+    if (timeControl && timeControl.error) {
+        return timeControl;
+    }
+    const gameVariant = parseVariant({ variant, rows, columns, connect });
+    if (gameVariant.error) {
+        return gameVariant;
+    }
+
+    const initialBoard = createEmptyBoard(gameVariant.rows, gameVariant.columns),
+          clockMs = timeControl ? getStartingClockMs(timeControl) : null,
+          correspondence = Boolean(timeControl && timeControl.type === "correspondence");
+    const response = await DB.createGame(userId, opponentId, JSON.stringify(initialBoard), {
+        rated: rated === true || rated === "true",
+        timeControl,
+        clockMs,
+        correspondence,
+        variant: gameVariant,
+        variantState: createVariantState(gameVariant)
+    });
+    if (correspondence) {
+        await DB.addNotification(userId, "yourTurn", response, { opponentId: Number(opponentId), deadline: new Date(Date.now() + clockMs) });
+    }
+    return response;
+}
+
+/**
+ * Creates a game against one of the bot players, the user always moves first.
+ * The bots only know how to drop discs, so variants with pops can't be played.
+ * @param {Integer} userId - User's ID
+ * @param {String} level - Difficulty of the bot ("easy", "medium" or "hard")
+ * @param {Object} options - variant, rows, columns and connect, see parseVariant.
+ * @return {Object} The gameID and the bot's user ID
+ */
+async function createBotGame(userId, level, { variant, rows, columns, connect } = {}) {
+    if (!AI.BOT_LEVELS.includes(level)) {
+        return { error: `Level must be one of ${AI.BOT_LEVELS.join(", ")}`, status: 400 };
+    }
+    const gameVariant = parseVariant({ variant, rows, columns, connect });
+    if (gameVariant.error) {
+        return gameVariant;
+    }
+    if (gameVariant.pops) {
+        return { error: `Bots can't play ${gameVariant.variant}`, status: 400 };
+    }
+    const bot = await DB.getBotUser(level);
+    if (!bot) {
+        return { error: "Bot player was not found!", status: 404 };
+    }
+
+    const gameId = await createGame(userId, bot.user_id, gameVariant);
+    return { gameId, botId: bot.user_id };
+}
+
+/**
+ * Lets the bot play its move when it is the bot's turn. The move goes through
+ * makeMove like any other player's move. The search runs in a worker, when too
+ * many are busy or the search fails the bot plays its medium move right away so
+ * the game never waits on it.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Object} Result of the move, or null when it is not a bot's turn.
+ */
+async function playBotMove(gameId) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game || isGameOver(game)) {
+        return null;
+    }
+    const level = getBotLevel(game, game.current_turn);
+    if (!level) {
+        return null;
+    }
+
+    const board = JSON.parse(game.game_state),
+          colour = game.current_turn === game.player1_id ? PLAYER1_COLOUR : PLAYER2_COLOUR,
+          connect = getGameVariant(game).connect;
+    let col = null;
+    if (activeBotMoves < MAX_ACTIVE_BOT_MOVES) {
+        activeBotMoves++;
+        try {
+            col = await runAiWorker({ task: "chooseMove", board, colour, level, connect });
+        } catch (err) {
+            // The medium move below is played instead
+        } finally {
+            activeBotMoves--;
+        }
+    }
+    if (col === null) {
+        col = AI.chooseMove(board, colour, "medium", connect);
+    }
+    return makeMove(gameId, game.current_turn, col);
+}
+
+/**
+ * Scores every legal column for the player whose turn it is in the game.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Object} The colour to move and the analysis of every column.
+ */
+async function analyzeGame(gameId) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+    if (isGameOver(game)) {
+        return { error: "Game is already over", status: 409 };
+    }
+    const variant = getGameVariant(game);
+    if (variant.pops) {
+        return { error: `Games of ${variant.variant} can't be analyzed`, status: 409 };
+    }
+
+    const colour = game.current_turn === game.player1_id ? PLAYER1_COLOUR : PLAYER2_COLOUR;
+    return analyzeBoard(JSON.parse(game.game_state), colour, variant.connect);
+}
+
+/**
+ * Scores every legal column of a board that is not tied to a game. When no colour
+ * is given it is worked out from the number of discs of each colour.
+ * @param {Array} board - Board in the same format as game_state, of any supported size.
+ * @param {String} toMove - Colour to move ("red" or "yellow"), optional.
+ * @param {Integer} connect - Discs in a row needed to win, 4 when left out.
+ * @returns {Object} The colour to move and the analysis of every column.
+ */
+async function analyzeBoard(board, toMove, connect) {
+    const boardError = validateBoard(board);
+    if (boardError) {
+        return { error: boardError, status: 400 };
+    }
+    const variant = parseVariant({ rows: board.length, columns: board[0].length, connect });
+    if (variant.error) {
+        return variant;
+    }
+
+    const colour = toMove || getColourToMove(board);
+    if (colour !== PLAYER1_COLOUR && colour !== PLAYER2_COLOUR) {
+        return { error: "Could not work out whose turn it is!", status: 400 };
+    }
+    if (activeAnalyses >= MAX_ACTIVE_ANALYSES) {
+        return { error: "Too many analyses running, try again shortly", status: 503 };
+    }
+
+    activeAnalyses++;
+    try {
+        const analysis = await runAiWorker({ task: "analyze", board, colour, connect: variant.connect });
+        const best = analysis.columns.reduce((bestColumn, column) =>
+            bestColumn === null || column.score > bestColumn.score ? column : bestColumn, null);
+        return { toMove: colour, bestCol: best ? best.col : null, ...analysis };
+    } finally {
+        activeAnalyses--;
+    }
+}
+
+/**
+ * Plays a disc for the player in the given column by the rules of the game's
+ * variant. The server is the only one deciding if the move wins or draws the
+ * game, when it does the result is written to the game row right away.
+ * @param {Integer} gameId - Game the move is made in.
+ * @param {Integer} playerId - Player making the move.
+ * @param {Integer} col - Column the disc is dropped in or popped from, starting at 0.
+ * @param {Boolean} pop - Pop the player's bottom disc out of the column, only for variants with pops.
+ * @returns {Object} The placed disc, next turn, if a bot is to move and the result
+ *                   if the game ended, or an error with the status code to send back.
+ */
+async function makeMove(gameId, playerId, col, pop = false) {
+    playerId = Number(playerId);
+    col = Number(col);
+    pop = pop === true || pop === "true";
+    if (!Number.isInteger(col) || col < 0) {
+        return { error: "Invalid column", status: 400 };
+    }
+
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+    const variant = getGameVariant(game);
+    if (col >= variant.columns) {
+        return { error: "Invalid column", status: 400 };
+    }
+    if (game.is_analysis) {
+        return { error: "Analysis games can't be played", status: 409 };
+    }
+    if (isGameOver(game)) {
+        return { error: "Game is already over", status: 409 };
+    }
+    if (game.current_turn !== playerId) {
+        return { error: "Not your turn", status: 400 };
+    }
+
+    // A move that comes in after the clock ran out loses the game on time
+    const now = new Date();
+    if (getRemainingMs(game, now) <= 0) {
+        const timeout = await recordTimeout(game);
+        return { error: "Your time ran out", status: 409, ...timeout };
+    }
+
+    const board = JSON.parse(game.game_state),
+          state = readVariantState(game),
+          colour = playerId === game.player1_id ? PLAYER1_COLOUR : PLAYER2_COLOUR,
+          move = applyMove(board, variant, state, colour, col, pop);
+    if (move.error) {
+        return { error: move.error, status: 400 };
+    }
+
+    // Nobody wins when the next player can't move, except in Pop 10 where they pass
+    const opponentId = playerId === game.player1_id ? game.player2_id : game.player1_id,
+          colourOf = (userId) => userId === game.player1_id ? PLAYER1_COLOUR : PLAYER2_COLOUR,
+          winnerId = move.winner ? (move.winner === PLAYER1_COLOUR ? game.player1_id : game.player2_id) : null;
+    let nextTurn = move.again ? playerId : opponentId,
+        draw = false;
+    if (!winnerId && !hasLegalMove(board, variant, state, colourOf(nextTurn))) {
+        const otherTurn = nextTurn === playerId ? opponentId : playerId;
+        if (variant.variant === "pop10" && hasLegalMove(board, variant, state, colourOf(otherTurn))) {
+            nextTurn = otherTurn;
+        } else {
+            draw = true;
+        }
+    }
+
+    const clocks = advanceClocks(game, now);
+    // Another move or the end of the game got in first, the board of this one is stale
+    if (!(await DB.updateGameState(board, nextTurn, gameId, playerId, game.ply_count, clocks, state))) {
+        return { error: "The game changed before the move was saved, try again", status: 409 };
+    }
+    await DB.addMove(gameId, playerId, col, move.row, move.type,
+                     clocks ? { player1Ms: game.clock_player1_ms, player2Ms: game.clock_player2_ms } : null);
+    if (game.draw_offered_by || game.takeback_requested_by) {
+        await DB.clearOffersAfterMove(game.game_id, playerId);
+    }
+
+    let gameOver = null;
+    if (winnerId || draw) {
+        // A resign or timeout that ended the game after the move was saved wins over the move
+        const reason = winnerId ? (variant.variant === "pop10" ? "captured" : "connect") : "draw";
+        gameOver = await recordGameResult(game, winnerId, reason, move.winningCells || []);
+    } else if (game.correspondence && nextTurn !== playerId) {
+        const deadline = new Date(now.getTime() + (nextTurn === game.player1_id ? clocks.player1Ms : clocks.player2Ms));
+        await DB.addNotification(nextTurn, "yourTurn", game.game_id, { opponentId: playerId, deadline });
+    }
+
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        playerId, col, row: move.row, board,
+        type: move.type,
+        variantState: state,
+        nextTurn: gameOver ? null : nextTurn,
+        botToMove: !gameOver && Boolean(getBotLevel(game, nextTurn)),
+        clocks: formatClocks(game, clocks),
+        gameOver
+    };
+}
+
+/**
+ * Get how much time the player to move has left, used to know when their clock
+ * runs out.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Object} The player to move and their remaining time, null for games without a clock.
+ */
+async function getClock(gameId) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game || isGameOver(game) || !game.time_control) {
+        return null;
+    }
+    return { gameId: game.game_id, currentTurn: game.current_turn, remainingMs: getRemainingMs(game, new Date()) };
+}
+
+/**
+ * Ends the game on time when the player to move has run out of time.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Object} The game result, or null when nobody ran out of time.
+ */
+async function checkTimeout(gameId) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game || isGameOver(game) || getRemainingMs(game, new Date()) > 0) {
+        return null;
+    }
+    return recordTimeout(game);
+}
+
+/**
+ * Get the games with a running clock, used to start watching them again when the
+ * server starts.
+ * @returns {Array} IDs of the games.
+ */
+async function getActiveTimedGames() {
+    const games = await DB.getActiveTimedGames();
+    return games.map((game) => game.game_id);
+}
+
+/**
+ * Get the games waiting on a bot's move, used to let the bots play them when the
+ * server starts.
+ * @returns {Array} IDs of the games.
+ */
+async function getBotTurnGames() {
+    const games = await DB.getBotTurnGames();
+    return games.map((game) => game.game_id);
+}
+
+/**
+ * Get the current rating of a user, used to place them in the matchmaking queue.
+ * @param {Integer} userId - User's ID
+ * @returns {Integer} The user's rating.
+ */
+async function getRating(userId) {
+    const [user] = await DB.getRatings([userId]);
+    return user ? user.rating : DEFAULT_RATING;
+}
+
+/**
+ * Pairs up the players waiting in the matchmaking queue. Players are matched with
+ * the closest rating they can find, and the allowed rating gap grows the longer a
+ * player waits. The player who gets red is picked at random.
+ * @param {Array} queue - Waiting players with userId, rating, rated and joinedAt.
+ * @param {Integer} now - Current time in milliseconds.
+ * @returns {Array} Pairs of players [red, yellow] that should play each other.
+ */
+function findMatches(queue, now) {
+    const waiting = [...queue].sort((a, b) => a.joinedAt - b.joinedAt),
+          matched = new Set(),
+          matches = [];
+
+    for (const player of waiting) {
+        if (matched.has(player.userId)) {
+            continue;
+        }
+
+        let opponent = null;
+        for (const candidate of waiting) {
+            if (candidate.userId === player.userId || matched.has(candidate.userId) || candidate.rated !== player.rated) {
+                continue;
+            }
+            const gap = Math.abs(candidate.rating - player.rating),
+                  allowedGap = Math.max(getAllowedRatingGap(player, now), getAllowedRatingGap(candidate, now));
+            if (gap <= allowedGap && (!opponent || gap < Math.abs(opponent.rating - player.rating))) {
+                opponent = candidate;
+            }
+        }
+
+        if (opponent) {
+            matched.add(player.userId);
+            matched.add(opponent.userId);
+            matches.push(Math.random() < 0.5 ? [player, opponent] : [opponent, player]);
+        }
+    }
+    return matches;
+}
+
+/**
+ * Get everything a player needs to pick their unfinished games back up after
+ * reconnecting: the board, whose turn it is, the clocks and the last move.
+ * @param {Integer} userId - User's ID
+ * @returns {Array} State of every unfinished game of the user.
+ */
+async function getUnfinishedGames(userId) {
+    userId = Number(userId);
+    const games = await DB.getUnfinishedGamesForUser(userId),
+          moves = await DB.getMovesForGames(games.map((game) => game.game_id));
+
+    return games.map((game) => {
+        const gameMoves = moves.filter((move) => move.game_id === game.game_id),
+              opponentIsPlayer1 = game.player2_id === userId;
+        return {
+            gameId: game.game_id,
+            player1: game.player1_id,
+            player2: game.player2_id,
+            opponentId: opponentIsPlayer1 ? game.player1_id : game.player2_id,
+            opponentIsBot: Boolean(opponentIsPlayer1 ? game.player1_bot_level : game.player2_bot_level),
+            board: JSON.parse(game.game_state),
+            variant: formatVariant(game),
+            correspondence: Boolean(game.correspondence),
+            currentTurn: game.current_turn,
+            clocks: getLiveClocks(game),
+            offers: formatOffers(game),
+            moveCount: gameMoves.length,
+            lastMove: gameMoves.length > 0 ? formatMove(gameMoves[gameMoves.length - 1]) : null
+        };
+    });
+}
+
+/**
+ * Ends the game with a loss for a player that disconnected and did not come back
+ * in time.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player that disconnected.
+ * @returns {Object} The game result, or null when the game was already over.
+ */
+async function forfeitGame(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId);
+    if (!game || isGameOver(game) || (userId !== game.player1_id && userId !== game.player2_id)) {
+        return null;
+    }
+
+    const winnerId = userId === game.player1_id ? game.player2_id : game.player1_id;
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        gameOver: await recordGameResult(game, winnerId, "disconnect")
+    };
+}
+
+/**
+ * Ends the game with a loss for the player that resigned.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player resigning.
+ * @returns {Object} The game result or an error with the status code to send back.
+ */
+async function resignGame(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = getPlayerError(game, userId, true);
+    if (error) {
+        return error;
+    }
+
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        gameOver: await recordGameResult(game, getOpponentId(game, userId), "resign")
+    };
+}
+
+/**
+ * Offers the opponent a draw, the offer stands until they answer it or make a move.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player offering the draw.
+ * @returns {Object} The offer to send to the game or an error with the status code to send back.
+ */
+async function offerDraw(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = await getOfferError(game, userId, true);
+    if (error) {
+        return error;
+    }
+    if (game.draw_offered_by === getOpponentId(game, userId)) {
+        return { error: "Your opponent already offered a draw", status: 409 };
+    }
+    if (!(await DB.setGameOffer(game.game_id, "draw", userId))) {
+        return { error: "You already offered a draw", status: 409 };
+    }
+    return createOfferResult(game, { action: "drawOffered", userId });
+}
+
+/**
+ * Accepts or declines the draw the opponent offered, accepting ends the game in a draw.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player answering the offer.
+ * @param {Boolean} accept - Is the draw accepted?
+ * @returns {Object} The game result or the answer to send to the game, or an error with the status code to send back.
+ */
+async function answerDrawOffer(gameId, userId, accept) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = getPlayerError(game, userId, true);
+    if (error) {
+        return error;
+    }
+    if (!(await DB.clearGameOffer(game.game_id, "draw", getOpponentId(game, userId)))) {
+        return { error: "There is no draw offer to answer", status: 409 };
+    }
+    if (!accept) {
+        return createOfferResult(game, { action: "drawDeclined", userId });
+    }
+
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        gameOver: await recordGameResult(game, null, "agreement")
+    };
+}
+
+/**
+ * Asks the opponent to take back the last move, only the player who made it can ask.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player asking for the takeback.
+ * @returns {Object} The request to send to the game or an error with the status code to send back.
+ */
+async function requestTakeback(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = await getOfferError(game, userId, true);
+    if (error) {
+        return error;
+    }
+
+    const moves = await DB.getMovesForGame(game.game_id),
+          lastMove = moves[moves.length - 1];
+    if (!lastMove || lastMove.player_id !== userId) {
+        return { error: "You can only take back your own last move", status: 409 };
+    }
+    if (!(await DB.setGameOffer(game.game_id, "takeback", userId))) {
+        return { error: "You already asked for a takeback", status: 409 };
+    }
+    return createOfferResult(game, { action: "takebackRequested", userId, ply: lastMove.ply });
+}
+
+/**
+ * Accepts or declines the opponent's takeback request. Accepting removes the last
+ * move, the board is rebuilt from the moves before it and the opponent is to move
+ * again with the clocks both players had before the move.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player answering the request.
+ * @param {Boolean} accept - Is the takeback accepted?
+ * @returns {Object} The answer with the new board to send to the game or an error with the status code to send back.
+ */
+async function answerTakeback(gameId, userId, accept) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = getPlayerError(game, userId, true);
+    if (error) {
+        return error;
+    }
+
+    const requesterId = getOpponentId(game, userId);
+    if (!accept) {
+        if (!(await DB.clearGameOffer(game.game_id, "takeback", requesterId))) {
+            return { error: "There is no takeback request to answer", status: 409 };
+        }
+        return createOfferResult(game, { action: "takebackDeclined", userId });
+    }
+
+    const moves = await DB.getMovesForGame(game.game_id),
+          lastMove = moves[moves.length - 1];
+    if (game.takeback_requested_by !== requesterId || !lastMove || lastMove.player_id !== requesterId) {
+        return { error: "There is no takeback request to answer", status: 409 };
+    }
+    const { board, state } = replayMoves(game, moves.slice(0, -1));
+    if (!(await DB.undoLastMove(game.game_id, requesterId, board, state))) {
+        return { error: "There is no takeback request to answer", status: 409 };
+    }
+
+    const clocks = getLiveClocks(await DB.getGameWithId(game.game_id));
+    return createOfferResult(game, {
+        action: "takebackAccepted",
+        userId,
+        undoneMove: formatMove(lastMove),
+        board,
+        variantState: state,
+        currentTurn: requesterId,
+        clocks
+    });
+}
+
+/**
+ * Offers the opponent a rematch once the game is over, the colours are swapped.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player offering the rematch.
+ * @returns {Object} The offer to send to the game or an error with the status code to send back.
+ */
+async function offerRematch(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = await getOfferError(game, userId, false);
+    if (error) {
+        return error;
+    }
+    if (game.rematch_game_id) {
+        return { error: "The rematch was already played", status: 409 };
+    }
+    if (game.rematch_offered_by === getOpponentId(game, userId)) {
+        return { error: "Your opponent already offered a rematch", status: 409 };
+    }
+    if (!(await DB.setGameOffer(game.game_id, "rematch", userId))) {
+        return { error: "You already offered a rematch", status: 409 };
+    }
+    return createOfferResult(game, { action: "rematchOffered", userId });
+}
+
+/**
+ * Accepts or declines the opponent's rematch offer. Accepting starts a game with
+ * the same rules and clock where the colours are swapped.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player answering the offer.
+ * @param {Boolean} accept - Is the rematch accepted?
+ * @returns {Object} The answer to send to the game with the new game when it was accepted,
+ *                   or an error with the status code to send back.
+ */
+async function answerRematch(gameId, userId, accept) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId),
+          error = getPlayerError(game, userId, false);
+    if (error) {
+        return error;
+    }
+    if (!(await DB.clearGameOffer(game.game_id, "rematch", getOpponentId(game, userId)))) {
+        return { error: "There is no rematch offer to answer", status: 409 };
+    }
+    if (!accept) {
+        return createOfferResult(game, { action: "rematchDeclined", userId });
+    }
+
+    const variant = getGameVariant(game),
+          rematchGameId = await createGame(game.player2_id, game.player1_id, {
+              rated: Boolean(game.rated),
+              timeControl: readTimeControl(game),
+              variant: variant.variant,
+              rows: variant.rows,
+              columns: variant.columns,
+              connect: variant.connect
+          });
+    await DB.setRematchGame(game.game_id, rematchGameId);
+    return {
+        ...createOfferResult(game, { action: "rematchAccepted", userId, rematchGameId }),
+        rematch: { gameId: rematchGameId, player1: game.player2_id, player2: game.player1_id }
+    };
+}
+
+/**
+ * Get a page of the games being played right now that allow spectators.
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Games per page.
+ * @returns {Object} The live games and the paging details.
+ */
+async function getLiveGames(page, pageSize) {
+    const paging = parsePaging(page, pageSize),
+          { games, total } = await DB.getLiveGames(paging.pageSize, paging.offset);
+
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        games: games.map((game) => ({
+            gameId: game.game_id,
+            player1: { userId: game.player1_id, username: game.player1_username },
+            player2: { userId: game.player2_id, username: game.player2_username },
+            currentTurn: game.current_turn,
+            moveCount: game.move_count,
+            rated: Boolean(game.rated),
+            timeControl: game.time_control,
+            variant: { name: game.variant, rows: game.board_rows, columns: game.board_columns, connect: game.connect_length }
+        }))
+    };
+}
+
+/**
+ * Get the state of a live game for a user that wants to watch it. The players
+ * can't spectate their own game and games with spectating off can't be watched.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - User that wants to watch.
+ * @returns {Object} Snapshot of the board, turn, clocks and last move.
+ */
+async function getSpectatorSnapshot(gameId, userId) {
+    userId = Number(userId);
+    const game = await DB.getGameWithId(gameId);
+    if (!game || game.is_analysis) {
+        return { error: "Game not found", status: 404 };
+    }
+    if (isGameOver(game)) {
+        return { error: "Game is already over", status: 409 };
+    }
+    if (userId === game.player1_id || userId === game.player2_id) {
+        return { error: "You are playing in this game", status: 400 };
+    }
+    if (!game.allow_spectators) {
+        return { error: "Spectating is turned off for this game", status: 403 };
+    }
+
+    const moves = await DB.getMovesForGame(gameId);
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        board: JSON.parse(game.game_state),
+        variant: formatVariant(game),
+        currentTurn: game.current_turn,
+        clocks: getLiveClocks(game),
+        offers: formatOffers(game),
+        moveCount: moves.length,
+        lastMove: moves.length > 0 ? formatMove(moves[moves.length - 1]) : null
+    };
+}
+
+/**
+ * Turns spectating on or off for a game, only the players can change it.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} userId - Player changing the setting.
+ * @param {Boolean} allow - Can other users watch the game?
+ * @returns {Object} The game and the new setting.
+ */
+async function setAllowSpectators(gameId, userId, allow) {
+    userId = Number(userId);
+    if (typeof allow !== "boolean") {
+        return { error: "allow must be true or false", status: 400 };
+    }
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+    if (userId !== game.player1_id && userId !== game.player2_id) {
+        return { error: "Only the players can change spectating", status: 403 };
+    }
+
+    await DB.setAllowSpectators(gameId, allow);
+    return { gameId: game.game_id, player1: game.player1_id, player2: game.player2_id, allowSpectators: allow };
+}
+
+/**
+ * Get a page of the leaderboard, optionally only for players that played rated
+ * games in the last week, month or year.
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Players per page.
+ * @param {String} window - "all" (default), "week", "month" or "year"
+ * @returns {Object} The ranked players on the page and the paging details.
+ */
+async function getLeaderboard(page, pageSize, window = "all") {
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+        return { error: `Window must be one of ${LEADERBOARD_WINDOWS.join(", ")}`, status: 400 };
+    }
+    const paging = parsePaging(page, pageSize),
+          since = getWindowStart(window),
+          { players, total } = await DB.getLeaderboard(paging.pageSize, paging.offset, since);
+
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        window,
+        players: players.map((player, index) => ({
+            rank: paging.offset + index + 1,
+            userId: player.user_id,
+            username: player.username,
+            rating: player.rating,
+            ratedGames: player.rated_games,
+            ...(since ? { windowGames: player.window_games, ratingChange: Number(player.rating_change) } : {})
+        }))
+    };
+}
+
+/**
+ * Get the rating of a user and how it changed with every rated game.
+ * @param {Integer} userId - User's ID
+ * @returns {Object} Current rating, game counts and the rating history.
+ */
+async function getRatingHistory(userId) {
+    const [user] = await DB.getRatings([userId]);
+    if (!user) {
+        return { error: "No user found!", status: 404 };
+    }
+    const history = await DB.getRatingHistory(userId);
+    return {
+        userId: user.user_id,
+        rating: user.rating,
+        ratedGames: user.rated_games,
+        history: history.map((entry) => ({
+            gameId: entry.game_id,
+            opponentId: entry.opponent_id,
+            score: Number(entry.score),
+            ratingBefore: entry.rating_before,
+            ratingAfter: entry.rating_after,
+            createdAt: entry.created_at
+        }))
+    };
+}
+
+/**
+ * Get the moves of a game in the order they were played.
+ * @param {Integer} gameId - Game's ID
+ * @returns {Array} Moves with the ply, player, column, row and when it was made.
+ */
+async function getGameMoves(gameId) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+    const moves = await DB.getMovesForGame(gameId);
+    return moves.map(formatMove);
+}
+
+/**
+ * Rebuilds the board of a game as it was after the given ply, ply 0 is the
+ * empty board. Without a ply the board after the last move is returned.
+ * @param {Integer} gameId - Game's ID
+ * @param {Integer} ply - Number of moves to replay.
+ * @returns {Object} The board at that ply and the move that led to it.
+ */
+async function replayGame(gameId, ply) {
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+
+    const moves = await DB.getMovesForGame(gameId);
+    ply = (ply === undefined || ply === null || ply === "") ? moves.length : Number(ply);
+    if (!Number.isInteger(ply) || ply < 0 || ply > moves.length) {
+        return { error: `Ply must be between 0 and ${moves.length}`, status: 400 };
+    }
+
+    const { board, state } = replayMoves(game, moves.slice(0, ply));
+    return {
+        gameId: game.game_id,
+        ply,
+        totalPlies: moves.length,
+        board,
+        variantState: state,
+        lastMove: ply > 0 ? formatMove(moves[ply - 1]) : null
+    };
+}
+
+/**
+ * Exports a game as text, either just the column sequence ("4453...") or with
+ * headers for the players, result and dates in front of it.
+ * @param {Integer} gameId - Game's ID
+ * @param {String} format - "moves" or "pgn" (default)
+ * @returns {String} The game as text.
+ */
+async function exportGame(gameId, format = "pgn") {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Format must be one of ${EXPORT_FORMATS.join(", ")}`, status: 400 };
+    }
+    const game = await DB.getGameWithId(gameId);
+    if (!game) {
+        return { error: "Game not found", status: 404 };
+    }
+
+    const moves = await DB.getMovesForGame(gameId),
+          usernames = await getUsernamesForGames([game]);
+    return formatGameText(game, moves, usernames, format);
+}
+
+/**
+ * Exports every game a user played, one after the other.
+ * @param {Integer} userId - User's ID
+ * @param {String} format - "moves" or "pgn" (default)
+ * @returns {String} All of the games as text separated by a blank line.
+ */
+async function exportUserGames(userId, format = "pgn") {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Format must be one of ${EXPORT_FORMATS.join(", ")}`, status: 400 };
+    }
+    const user = await DB.getUsernameById(userId);
+    if (!user) {
+        return { error: "No user found!", status: 404 };
+    }
+
+    const games = await DB.getGamesForUser(userId),
+          moves = await DB.getMovesForGames(games.map((game) => game.game_id)),
+          usernames = await getUsernamesForGames(games);
+
+    return games.map((game) => {
+        const gameMoves = moves.filter((move) => move.game_id === game.game_id);
+        return formatGameText(game, gameMoves, usernames, format);
+    }).join("\n\n");
+}
+
+/**
+ * Imports a game from text. Every move is checked against the rules before the
+ * game is stored as an analysis-only game of the user.
+ * @param {Integer} userId - User importing the game.
+ * @param {String} text - Column sequence, optionally with headers in front.
+ * @returns {Object} The gameId, number of plies and the result of the game.
+ */
+async function importGame(userId, text) {
+    const parsed = parseGameText(text);
+    if (parsed.error) {
+        return { error: parsed.error, status: 400 };
+    }
+    const variant = parseVariant(parsed.variant);
+    if (variant.error) {
+        return variant;
+    }
+    // Players can move twice in a row in Pop 10, so the ply doesn't tell whose move it was
+    if (variant.variant === "pop10") {
+        return { error: `Games of ${variant.variant} can't be imported`, status: 400 };
+    }
+
+    const board = createEmptyBoard(variant.rows, variant.columns),
+          state = createVariantState(variant),
+          moves = [];
+    let result = "*";
+    for (const [index, { col, pop }] of parsed.moves.entries()) {
+        if (result !== "*") {
+            return { error: `Move ${index + 1}: the game was already over`, status: 400 };
+        }
+        if (col < 0 || col >= variant.columns) {
+            return { error: `Move ${index + 1}: column ${col + 1} is not on the board`, status: 400 };
+        }
+        const move = applyMove(board, variant, state, getColourForPly(index + 1), col, pop);
+        if (move.error) {
+            return { error: `Move ${index + 1} in column ${col + 1}: ${move.error}`, status: 400 };
+        }
+        moves.push({ playerId: userId, col, row: move.row, type: move.type });
+
+        if (move.winner) {
+            result = move.winner === PLAYER1_COLOUR ? RESULT_PLAYER1_WINS : RESULT_PLAYER2_WINS;
+        } else if (!hasLegalMove(board, variant, state, getColourForPly(index + 2))) {
+            result = RESULT_DRAW;
+        }
+    }
+
+    // A result can be given for games that were resigned, but it can't go against the board.
+    const givenResult = parsed.headers.Result;
+    if (givenResult && givenResult !== "*" && result !== "*" && givenResult !== result) {
+        return { error: `Result ${givenResult} does not match the moves (${result})`, status: 400 };
+    }
+    const headers = { ...parsed.headers, Result: result !== "*" ? result : (givenResult || "*") };
+
+    const gameId = await DB.createAnalysisGame(userId, JSON.stringify(board), headers, variant);
+    await DB.addMoves(gameId, moves);
+    return { gameId, plies: moves.length, result: headers.Result };
+}
+
+/**
+ * Creates a tournament that players can join until registration closes. It starts
+ * on its own once registration closed, or earlier when the creator starts it.
+ * @param {Integer} userId - User creating the tournament.
+ * @param {Object} options - name, format (round-robin, swiss or knockout), registrationOpensAt
+ *                           (now when left out), registrationClosesAt, timeControl, rated, maxPlayers,
+ *                           rounds (Swiss only) and the variant with its board (variant, rows, columns, connect).
+ * @returns {Object} The tournament or an error.
+ */
+async function createTournament(userId, options = {}) {
+    const tournament = parseTournamentOptions(options || {});
+    if (tournament.error) {
+        return tournament;
+    }
+    const tournamentId = await DB.createTournament(userId, tournament);
+    return formatTournament(await DB.getTournament(tournamentId));
+}
+
+/**
+ * Get a page of the tournaments, newest first.
+ * @param {String} status - registration, running, finished or cancelled, optional.
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Tournaments per page.
+ * @returns {Object} The tournaments and the paging details.
+ */
+async function getTournaments(status, page, pageSize) {
+    if (status && !TOURNAMENT_STATUSES.includes(status)) {
+        return { error: `Status must be one of ${TOURNAMENT_STATUSES.join(", ")}`, status: 400 };
+    }
+    const paging = parsePaging(page, pageSize),
+          { tournaments, total } = await DB.getTournaments(status || null, paging.pageSize, paging.offset);
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        tournaments: tournaments.map(formatTournament)
+    };
+}
+
+/**
+ * Get a tournament with its players.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Object} The tournament and its players, best seed first once it started.
+ */
+async function getTournament(tournamentId) {
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    const players = await DB.getTournamentPlayers(tournamentId);
+    return {
+        ...formatTournament(tournament),
+        players: players.map((player) => ({ userId: player.user_id, username: player.username, rating: player.rating, seed: player.seed }))
+    };
+}
+
+/**
+ * Registers the user for a tournament while registration is open.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User joining.
+ * @returns {Object} Event for the players and watchers of the tournament, or an error.
+ */
+async function joinTournament(tournamentId, userId) {
+    userId = Number(userId);
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    const registrationError = getRegistrationError(tournament);
+    if (registrationError) {
+        return { error: registrationError, status: 409 };
+    }
+    const players = await DB.getTournamentPlayers(tournament.tournament_id);
+    if (players.some((player) => player.user_id === userId)) {
+        return { error: "You already joined this tournament!", status: 409 };
+    }
+    if (players.length >= tournament.max_players) {
+        return { error: "Tournament is full!", status: 409 };
+    }
+    if (!(await DB.addTournamentPlayer(tournament.tournament_id, userId))) {
+        return { error: "Could not join the tournament!", status: 409 };
+    }
+    return createTournamentEvent(tournament, [...players.map((player) => player.user_id), userId], "tournamentPlayerJoined",
+                                 { userId, playerCount: players.length + 1 });
+}
+
+/**
+ * Takes the user out of a tournament that did not start yet.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User leaving.
+ * @returns {Object} Event for the players and watchers of the tournament, or an error.
+ */
+async function leaveTournament(tournamentId, userId) {
+    userId = Number(userId);
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    if (tournament.status !== "registration") {
+        return { error: `Tournament is ${tournament.status}, players can't leave it!`, status: 409 };
+    }
+    if (!(await DB.removeTournamentPlayer(tournament.tournament_id, userId))) {
+        return { error: "You are not in this tournament!", status: 404 };
+    }
+    const players = await DB.getTournamentPlayers(tournament.tournament_id);
+    return createTournamentEvent(tournament, [...players.map((player) => player.user_id), userId], "tournamentPlayerLeft",
+                                 { userId, playerCount: players.length });
+}
+
+/**
+ * Starts a tournament before registration closes, only its creator can do this.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User starting the tournament.
+ * @returns {Array} Events for the players and watchers, the first round's games included.
+ */
+async function startTournament(tournamentId, userId) {
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    if (tournament.creator_id !== Number(userId)) {
+        return { error: "Only the creator can start the tournament!", status: 403 };
+    }
+    if (tournament.status !== "registration") {
+        return { error: `Tournament is already ${tournament.status}!`, status: 409 };
+    }
+    if (tournament.player_count < MIN_TOURNAMENT_PLAYERS) {
+        return { error: `A tournament needs at least ${MIN_TOURNAMENT_PLAYERS} players!`, status: 409 };
+    }
+    return beginTournament(tournament);
+}
+
+/**
+ * Cancels a tournament that did not start yet, only its creator can do this.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @param {Integer} userId - User cancelling the tournament.
+ * @returns {Object} Event for the players and watchers of the tournament, or an error.
+ */
+async function cancelTournament(tournamentId, userId) {
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    if (tournament.creator_id !== Number(userId)) {
+        return { error: "Only the creator can cancel the tournament!", status: 403 };
+    }
+    if (tournament.status !== "registration" || !(await DB.endTournament(tournament.tournament_id, "cancelled"))) {
+        return { error: `Tournament is ${tournament.status}, it can't be cancelled!`, status: 409 };
+    }
+    const players = await DB.getTournamentPlayers(tournament.tournament_id);
+    return createTournamentEvent(tournament, players.map((player) => player.user_id), "tournamentCancelled", { reason: "cancelled" });
+}
+
+/**
+ * Get the standings of a tournament. Players are ranked on points, then Buchholz
+ * (points of their opponents) and then Sonneborn-Berger (points of the opponents
+ * they beat plus half of the ones they drew). Knockout players are ranked on how
+ * far they got first.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Object} The round being played and the standings.
+ */
+async function getTournamentStandings(tournamentId) {
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    const players = await DB.getTournamentPlayers(tournament.tournament_id),
+          pairings = await DB.getPairings(tournament.tournament_id);
+    return {
+        tournamentId: tournament.tournament_id,
+        status: tournament.status,
+        currentRound: tournament.current_round,
+        totalRounds: tournament.total_rounds,
+        standings: getStandings(tournament, players, pairings)
+    };
+}
+
+/**
+ * Get the pairings of every round of a tournament. In knockout the slot is the
+ * place in the bracket, the winners of slots 1 and 2 meet in slot 1 of the next
+ * round, and a slot has more than one game when a draw was replayed.
+ * @param {Integer} tournamentId - Tournament's ID
+ * @returns {Object} The rounds with their pairings.
+ */
+async function getTournamentBracket(tournamentId) {
+    const tournament = await DB.getTournament(tournamentId);
+    if (!tournament) {
+        return { error: "Tournament was not found!", status: 404 };
+    }
+    const pairings = await DB.getPairings(tournament.tournament_id),
+          rounds = [];
+    for (const pairing of pairings) {
+        if (!rounds[pairing.round - 1]) {
+            rounds[pairing.round - 1] = { round: pairing.round, pairings: [] };
+        }
+        rounds[pairing.round - 1].pairings.push(formatPairing(pairing));
+    }
+    return {
+        tournamentId: tournament.tournament_id,
+        format: tournament.format,
+        status: tournament.status,
+        currentRound: tournament.current_round,
+        totalRounds: tournament.total_rounds,
+        rounds: rounds.filter(Boolean)
+    };
+}
+
+/**
+ * Moves every tournament along, run on a schedule. Starts the tournaments whose
+ * registration closed, stores the results of the tournament games that ended and
+ * pairs the next round once every game of a round is over.
+ * @returns {Array} Events for the players and watchers, with the games that were created.
+ */
+async function advanceTournaments() {
+    const events = [];
+    for (const tournamentId of await DB.getTournamentsToStart()) {
+        events.push(...await beginTournament(await DB.getTournament(tournamentId)));
+    }
+
+    const updated = new Set();
+    for (const pairing of await DB.getEndedPairings()) {
+        const result = pairing.winner_id === null ? RESULT_DRAW
+                     : pairing.winner_id === pairing.player1_id ? RESULT_PLAYER1_WINS : RESULT_PLAYER2_WINS;
+        if (await DB.setPairingResult(pairing.pairing_id, result)) {
+            updated.add(pairing.tournament_id);
+        }
+    }
+    for (const tournamentId of updated) {
+        events.push(...await continueTournament(tournamentId));
+    }
+    return events;
+}
+
+/**
+ * Get a page of the games a user is still playing, the games waiting on them
+ * first with the closest move deadline first.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Games per page.
+ * @returns {Object} The games and the paging details.
+ */
+async function getActiveGames(userId, page, pageSize) {
+    return getGamesPage(Number(userId), false, page, pageSize);
+}
+
+/**
+ * Get a page of the games where it is the user's turn, the closest move deadline
+ * first.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Games per page.
+ * @returns {Object} The games and the paging details.
+ */
+async function getMyTurnGames(userId, page, pageSize) {
+    return getGamesPage(Number(userId), true, page, pageSize);
+}
+
+// page of the unfinished games of a user, see getActiveGames and getMyTurnGames.
+async function getGamesPage(userId, myTurnOnly, page, pageSize) {
+    const paging = parsePaging(page, pageSize),
+          { games, total } = await DB.getActiveGamesForUser(userId, myTurnOnly, paging.pageSize, paging.offset);
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        games: games.map((game) => formatActiveGame(game, userId))
+    };
+}
+
+/**
+ * Get a page of the notifications of a user, newest first.
+ * @param {Integer} userId - User's ID
+ * @param {Integer} page - Page number starting at 1.
+ * @param {Integer} pageSize - Notifications per page.
+ * @param {Boolean} unreadOnly - Leave out the notifications that were read?
+ * @returns {Object} The notifications, the number of unread ones and the paging details.
+ */
+async function getNotifications(userId, page, pageSize, unreadOnly = false) {
+    const paging = parsePaging(page, pageSize),
+          { notifications, total, unread } = await DB.getNotifications(Number(userId), unreadOnly === true || unreadOnly === "true",
+                                                                        paging.pageSize, paging.offset);
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        unread,
+        notifications: notifications.map(formatNotification)
+    };
+}
+
+/**
+ * Marks notifications of a user as read.
+ * @param {Integer} userId - User's ID
+ * @param {Array} notificationIds - IDs of the notifications, leave out to mark all of them.
+ * @returns {Object} How many notifications were marked, or an error with the status code to send back.
+ */
+async function markNotificationsRead(userId, notificationIds) {
+    if (notificationIds !== undefined && notificationIds !== null) {
+        if (!Array.isArray(notificationIds) || !notificationIds.every((id) => Number.isInteger(Number(id)) && Number(id) > 0)) {
+            return { error: "notificationIds must be a list of notification IDs", status: 400 };
+        }
+        notificationIds = notificationIds.map(Number);
+    }
+    const marked = await DB.markNotificationsRead(Number(userId), notificationIds || null);
+    return { marked };
+}
+
+/**
+ * Warns the players of correspondence games that their move deadline is close,
+ * once per turn. Short move times are warned when a quarter of the time is left.
+ * @returns {Integer} Number of players warned.
+ */
+async function warnDeadlines() {
+    const now = new Date(),
+          games = await DB.getGamesNearDeadline(new Date(now.getTime() + DEADLINE_WARNING_MS));
+
+    let warned = 0;
+    for (const game of games) {
+        const remainingMs = getRemainingMs(game, now),
+              warnBeforeMs = Math.min(DEADLINE_WARNING_MS, getStartingClockMs(readTimeControl(game)) / 4);
+        if (remainingMs <= 0 || remainingMs > warnBeforeMs || !(await DB.setDeadlineWarned(game.game_id))) {
+            continue;
+        }
+        await DB.addNotification(game.current_turn, "deadlineApproaching", game.game_id, { deadline: game.move_deadline, remainingMs });
+        warned++;
+    }
+    return warned;
+}
+
+/**
+ * Sends out the notifications that were not delivered yet. The ones for users
+ * that are online are returned so the server can send them over the WebSocket,
+ * the others go through the notification transport. Every notification is only
+ * tried once, a transport that fails doesn't hold up the ones after it.
+ * @param {Array} onlineUserIds - IDs of the users that are connected.
+ * @returns {Object} online: notifications to send over the WebSocket.
+ *                   errors: errors of the transport.
+ */
+async function deliverNotifications(onlineUserIds) {
+    const online = new Set(onlineUserIds.map(String)),
+          notifications = await DB.getUndeliveredNotifications(NOTIFICATION_BATCH_SIZE);
+    if (notifications.length === 0) {
+        return { online: [], errors: [] };
+    }
+
+    const toSend = [],
+          errors = [];
+    for (const notification of notifications) {
+        if (online.has(String(notification.user_id))) {
+            toSend.push(formatNotification(notification));
+            continue;
+        }
+        try {
+            await notifier.sendNotification(formatNotification(notification), notification);
+        } catch (err) {
+            errors.push(err);
+        }
+    }
+    await DB.markNotificationsDelivered(notifications.map((notification) => notification.notification_id));
+    return { online: toSend, errors };
+}
+
+/**
+ * VALIDATION AND SANITIZATION OF ALL THE PARAMETERS BEING SENT TO THE DATABASE
+ * MAKES SURE ALL OF THE VALUES ARE IN THE CORRECT FORM AND CANNOT DAMAGE
+ * THE DATABASE.
+ */
+const DEFAULT_PAGE_SIZE = 20,
+      MAX_PAGE_SIZE = 100;
+
+// Helper function to hash a given string.
+async function hashString(value) {
+    const hashedString = await bcrypt.hash(value, 10);
+    return hashedString;
+}
+
+// hashing using crypto for consistency
+function hashTokenPart(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// compares two hex hashes in constant time.
+function compareHashes(hash1, hash2) {
+    const buffer1 = Buffer.from(hash1, 'hex'),
+          buffer2 = Buffer.from(hash2, 'hex');
+    return buffer1.length === buffer2.length && crypto.timingSafeEqual(buffer1, buffer2);
+}
+
+// reads the page and page size from a request, the page size is capped.
+function parsePaging(page, pageSize) {
+    page = Math.max(1, parseInt(page, 10) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+    return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * USER HELPER FUNCTIONS
+ */
+// checks and removes if the username has unallowed characters
+function validateSanitizeUsername(username) {
+    username = username.replace(/[^a-zA-Z0-9_-]/g, '');
+
+    const usernameRegex = /^[a-zA-Z0-9_-]{3,15}$/;
+    let valid = usernameRegex.test(username);
+    return valid ? username : null;
+}
+
+// checks the email looks like an address, returns the trimmed email or false
+function validateEmail(email) {
+    email = String(email).trim().toLowerCase();
+    return email.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : false;
+}
+
+// Sees if the passHash matches the other password hash.
+async function comparePasswords(password, testPassHash) {
+    const match = await bcrypt.compare(password, testPassHash);
+    return match;
+}
+
+// This ensures that the password that is given can be hashed and retrieved.
+function checkMatchingPasswords(password, confirmPassword) {
+    return password === confirmPassword;
+}
+
+/**
+ * CHALLENGE HELPER FUNCTIONS
+ */
+const CHALLENGE_COLOURS = ["red", "yellow", "random"],
+      CHALLENGE_TTL_MS = Number(process.env.CHALLENGE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// checks the options of a new challenge and fills in the defaults
+function parseChallengeOptions({ timeControl = null, colour = "random", rated = false, variant, rows, columns, connect }) {
+    if (!CHALLENGE_COLOURS.includes(colour)) {
+        return { error: `Colour must be one of ${CHALLENGE_COLOURS.join(", ")}`, status: 400 };
+    }
+    const gameVariant = parseVariant({ variant, rows, columns, connect });
+    if (gameVariant.error) {
+        return gameVariant;
+    }
+    timeControl = parseTimeControl(timeControl);
+    if (timeControl && timeControl.error) {
+        return timeControl;
+    }
+    return { timeControl, colour, rated: rated === true || rated === "true", ...gameVariant };
+}
+
+// a pending challenge that ran out of time is expired even before the expiry job marks it
+function getChallengeStatus(challenge) {
+    if (challenge.status === "pending" && challenge.expires_at && new Date(challenge.expires_at).getTime() <= Date.now()) {
+        return "expired";
+    }
+    return challenge.status;
+}
+
+// challenge in the shape it is sent to clients
+function formatChallenge(challenge) {
+    return {
+        challengeId: challenge.challenge_id,
+        senderId: challenge.sender_id,
+        senderUsername: challenge.sender_username,
+        challengerId: challenge.challenger_id,
+        challengerUsername: challenge.challenger_username,
+        status: getChallengeStatus(challenge),
+        colour: challenge.colour,
+        timeControl: readTimeControl(challenge),
+        rated: Boolean(challenge.rated),
+        variant: challenge.variant,
+        board: { rows: challenge.board_rows, columns: challenge.board_columns, connect: challenge.connect_length },
+        createdAt: challenge.created_at,
+        expiresAt: challenge.expires_at,
+        gameId: challenge.game_id
+    };
+}
+
+/**
+ * CHAT HELPER FUNCTIONS
+ */
+const CHAT_ROOM_REGEX = /^[a-zA-Z0-9_-]{1,64}$/,
+      CHAT_MAX_LENGTH = 500,
+      CHAT_HISTORY_SIZE = 50,
+      CHAT_RATE_LIMIT = { messages: 5, windowMs: 10 * 1000 },
+      DEFAULT_MUTE_MINUTES = 10,
+      MAX_MUTE_MINUTES = 7 * 24 * 60,
+      PROFANITY = ["fuck", "shit", "bitch", "asshole", "bastard", "cunt", "dick", "piss", "slut", "whore", "wanker"]
+          .concat((process.env.CHAT_BLOCKED_WORDS || "").split(",").map((word) => word.trim().toLowerCase()).filter(Boolean));
+
+const PROFANITY_REGEX = new RegExp(`\\b(${PROFANITY.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join("|")})(s|es|ed|er|ers|ing)?\\b`, "gi");
+
+// times each user sent their last messages, for the rate limit
+const chatActivity = new Map();
+
+// counts a message against the user's rate limit, returns how long they have to
+// wait or 0 when the message can be sent.
+function takeChatRateLimit(userId, now) {
+    const recent = (chatActivity.get(String(userId)) || []).filter((time) => now - time < CHAT_RATE_LIMIT.windowMs);
+    if (recent.length >= CHAT_RATE_LIMIT.messages) {
+        chatActivity.set(String(userId), recent);
+        return CHAT_RATE_LIMIT.windowMs - (now - recent[0]);
+    }
+    recent.push(now);
+    chatActivity.set(String(userId), recent);
+    return 0;
+}
+
+// hides bad words behind asterisks
+function filterProfanity(text) {
+    return text.replace(PROFANITY_REGEX, (word) => "*".repeat(word.length));
+}
+
+// checks the moderator, room and user of a mute or kick
+async function checkModeration(moderatorId, room, userId) {
+    if (!(await DB.isModerator(moderatorId))) {
+        return { error: "Only moderators can do this", status: 403 };
+    }
+    room = String(room || '');
+    if (!CHAT_ROOM_REGEX.test(room)) {
+        return { error: "Room name is not valid", status: 400 };
+    }
+    userId = Number(userId);
+    if (!Number.isInteger(userId) || !(await DB.getProfile(userId))) {
+        return { error: "No user found!", status: 404 };
+    }
+    if (userId === Number(moderatorId)) {
+        return { error: "You can't moderate yourself", status: 400 };
+    }
+    return { room, userId };
+}
+
+// chat message in the shape it is sent to clients
+function formatChatMessage(message) {
+    return {
+        messageId: message.message_id,
+        room: message.room,
+        userId: message.user_id,
+        username: message.username,
+        message: message.body,
+        createdAt: message.created_at
+    };
+}
+
+/**
+ * DIRECT MESSAGE HELPER FUNCTIONS
+ */
+const DIRECT_MESSAGE_MAX_LENGTH = 1000;
+
+// direct message in the shape it is sent to clients
+function formatDirectMessage(message) {
+    return {
+        messageId: message.message_id,
+        senderId: message.sender_id,
+        recipientId: message.recipient_id,
+        message: message.body,
+        createdAt: message.created_at,
+        readAt: message.read_at
+    };
+}
+
+/**
+ * FRIEND HELPER FUNCTIONS
+ */
+// checks the other user of a friend request or block exists and isn't the user
+// or a bot, returns their ID or an error.
+async function checkOtherUser(userId, otherId, action) {
+    otherId = Number(otherId);
+    if (otherId === Number(userId)) {
+        return { error: `You can't ${action} yourself!`, status: 400 };
+    }
+    const other = Number.isInteger(otherId) ? await DB.getProfile(otherId) : null;
+    if (!other) {
+        return { error: "No user found!", status: 404 };
+    }
+    if (other.bot_level) {
+        return { error: `You can't ${action} a bot!`, status: 400 };
+    }
+    if (action !== "block" && await DB.isBlocked(userId, otherId)) {
+        return { error: `You can't ${action} this user!`, status: 403 };
+    }
+    return { userId: otherId };
+}
+
+/**
+ * PROFILE HELPER FUNCTIONS
+ */
+const PROFILE_FIELDS = {
+          displayName: { maxLength: 30, error: "Display name can't be longer than 30 characters!" },
+          avatarUrl: { maxLength: 500, error: "Avatar URL must be an http or https link!" },
+          bio: { maxLength: 500, error: "Bio can't be longer than 500 characters!" },
+          country: { maxLength: 2, error: "Country must be a two letter country code!" }
+      },
+      MOST_PLAYED_OPPONENTS = 5;
+
+// checks a profile field, returns the value to store, null to clear it or false when it is not valid
+function validateProfileField(field, value) {
+    if (value === null || value === "") {
+        return null;
+    }
+    if (typeof value !== "string") {
+        return false;
+    }
+    value = value.replace(/[\u0000-\u001f\u007f]/g, field === "bio" ? (char) => (char === "\n" ? char : "") : "").trim();
+    if (value.length === 0) {
+        return null;
+    }
+    if (value.length > PROFILE_FIELDS[field].maxLength) {
+        return false;
+    }
+
+    if (field === "country") {
+        value = value.toUpperCase();
+        return /^[A-Z]{2}$/.test(value) ? value : false;
+    }
+    if (field === "avatarUrl") {
+        try {
+            const url = new URL(value);
+            return url.protocol === "http:" || url.protocol === "https:" ? url.toString() : false;
+        } catch (error) {
+            return false;
+        }
+    }
+    return value;
+}
+
+// counts of the results of some games
+function createResultCount() {
+    return { played: 0, wins: 0, losses: 0, draws: 0 };
+}
+
+// adds the share of the games that were won, null when no games were played
+function withWinRate(count) {
+    return { ...count, winRate: count.played > 0 ? Math.round((count.wins / count.played) * 1000) / 1000 : null };
+}
+
+/**
+ * PASSWORD POLICY HELPER FUNCTIONS
+ */
+const PASSWORD_CLASSES = {
+          lower: { pattern: /[a-z]/, name: "a lowercase letter" },
+          upper: { pattern: /[A-Z]/, name: "an uppercase letter" },
+          digit: { pattern: /[0-9]/, name: "a number" },
+          symbol: { pattern: /[^a-zA-Z0-9]/, name: "a symbol" }
+      },
+      COMMON_PASSWORDS = [
+          "password", "password1", "password123", "passw0rd", "123456", "12345678", "123456789",
+          "1234567890", "qwerty", "qwerty123", "qwertyuiop", "abc123", "letmein", "welcome",
+          "welcome1", "iloveyou", "admin", "admin123", "monkey", "dragon", "football",
+          "baseball", "sunshine", "princess", "trustno1", "connectfour", "connect4"
+      ];
+
+// Settings for passwords, they can be changed with environment variables
+const PASSWORD_POLICY = {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: 72, // bcrypt only uses the first 72 bytes
+    requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || "lower,upper,digit")
+        .split(",").map((name) => name.trim()).filter((name) => PASSWORD_CLASSES[name]),
+    blocklist: new Set(COMMON_PASSWORDS.concat(readPasswordBlocklist(process.env.PASSWORD_BLOCKLIST_FILE)))
+};
+
+// reads extra blocked passwords from a file with one password on each line
+function readPasswordBlocklist(file) {
+    if (!file) {
+        return [];
+    }
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/).map((line) => line.trim().toLowerCase()).filter(Boolean);
+}
+
+// checks a new password against the policy, returns a message with everything
+// that is wrong with it or null when it can be used.
+function checkPasswordPolicy(password, username) {
+    password = String(password);
+    if (PASSWORD_POLICY.blocklist.has(password.toLowerCase())) {
+        return "Password is too common, please choose another one!";
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        return "Password can't contain your username!";
+    }
+    if (Buffer.byteLength(password) > PASSWORD_POLICY.maxLength) {
+        return `Password can't be longer than ${PASSWORD_POLICY.maxLength} characters!`;
+    }
+
+    const problems = [];
+    if (password.length < PASSWORD_POLICY.minLength) {
+        problems.push(`be at least ${PASSWORD_POLICY.minLength} characters long`);
+    }
+    const missing = PASSWORD_POLICY.requiredClasses.filter((name) => !PASSWORD_CLASSES[name].pattern.test(password));
+    if (missing.length > 0) {
+        const names = missing.map((name) => PASSWORD_CLASSES[name].name);
+        problems.push(`contain ${names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0]}`);
+    }
+    return problems.length > 0 ? `Password must ${problems.join(" and ")}!` : null;
+}
+
+/**
+ * LOGIN THROTTLE HELPER FUNCTIONS
+ */
+const LOGIN_LIMITS = {
+          account: { freeAttempts: 3, lockoutAfter: 10 },
+          ip: { freeAttempts: 10, lockoutAfter: 50 }
+      },
+      LOGIN_BACKOFF_BASE_MS = 1000,
+      LOGIN_BACKOFF_MAX_MS = 5 * 60 * 1000,
+      LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+      LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// keys the failed logins are counted under, the account is left out when the username is not valid
+function getThrottleKeys(username, ip) {
+    const keys = {};
+    if (username) {
+        keys.account = `user:${username.toLowerCase()}`;
+    }
+    if (ip) {
+        keys.ip = `ip:${ip}`;
+    }
+    return keys;
+}
+
+// how long until a login can be tried again, 0 when it is not throttled
+function getLoginRetryAfter(throttles, now) {
+    return throttles.reduce((longest, throttle) => {
+        const lockedUntil = throttle.locked_until ? new Date(throttle.locked_until).getTime() : 0;
+        return Math.max(longest, lockedUntil - now);
+    }, 0);
+}
+
+// counts a failed login for every key, after the free attempts the wait doubles
+// each time and enough failures in a row lock the key for a while. Failures
+// older than the window are forgotten.
+async function recordLoginFailure(throttleKeys, throttles, now) {
+    for (const [type, key] of Object.entries(throttleKeys)) {
+        const limits = LOGIN_LIMITS[type],
+              throttle = throttles.find((row) => row.throttle_key === key),
+              recent = throttle && now - new Date(throttle.last_failure_at).getTime() < LOGIN_FAILURE_WINDOW_MS,
+              failures = (recent ? throttle.failures : 0) + 1;
+
+        let lockedUntil = null;
+        if (failures >= limits.lockoutAfter) {
+            lockedUntil = new Date(now + LOGIN_LOCKOUT_MS);
+        } else if (failures > limits.freeAttempts) {
+            const delay = LOGIN_BACKOFF_BASE_MS * Math.pow(2, failures - limits.freeAttempts - 1);
+            lockedUntil = new Date(now + Math.min(delay, LOGIN_BACKOFF_MAX_MS));
+        }
+        await DB.saveLoginFailure(key, failures, lockedUntil);
+    }
+}
+
+/**
+ * PASSWORD RESET HELPER FUNCTIONS
+ */
+const PASSWORD_RESET_TOKEN_BYTES = 32,
+      PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * SESSION HEPLER FUNCTIONS
+ */
+const SESSION_SECRET_BYTES = 32,
+      SESSION_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// generates the expiration date of the token 3 days from now.
+function generateExperationDate() {
+    const exprDate = new Date();
+    exprDate.setDate(exprDate.getDate() + 3); // Modify the date by adding 3 days
+    const formatedExprDate = formatDateForSQL(exprDate);
+    return formatedExprDate;
+}
+
+// helper to format the date for sql.
+function formatDateForSQL(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const seconds = String(date.getSeconds()).padStart(2, '0');
+
+    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+}
+
+
+
+/**
+ * GAME HELPER FUNCTIONS
+ */
+const BOARD_ROWS = 6,
+      BOARD_COLUMNS = 7,
+      CONNECT_LENGTH = 4,
+      PLAYER1_COLOUR = "red",
+      PLAYER2_COLOUR = "yellow";
+
+// The four directions a line can run in: horizontal, vertical and both diagonals.
+const LINE_DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+// Variants a game can be played with and their board. In the variants with pops a
+// player can also take their own disc out of the bottom row. Standard and PopOut
+// can be played on a custom board, the others always use their own size.
+const GAME_VARIANTS = {
+    "standard": { rows: BOARD_ROWS, columns: BOARD_COLUMNS, connect: CONNECT_LENGTH, pops: false, customBoard: true },
+    "popout": { rows: BOARD_ROWS, columns: BOARD_COLUMNS, connect: CONNECT_LENGTH, pops: true, customBoard: true },
+    "pop10": { rows: BOARD_ROWS, columns: BOARD_COLUMNS, connect: CONNECT_LENGTH, pops: true, customBoard: false },
+    "five-in-a-row": { rows: 6, columns: 9, connect: 5, pops: false, customBoard: false }
+};
+
+// Columns stay below 10 so every move is still one digit in the move notation.
+const MIN_BOARD_SIZE = 4,
+      MAX_BOARD_ROWS = 10,
+      MAX_BOARD_COLUMNS = 9,
+      MIN_CONNECT_LENGTH = 3,
+      POP10_TARGET = 10;
+
+// board is stored top row first, discs fall towards the last row.
+function createEmptyBoard(rows = BOARD_ROWS, columns = BOARD_COLUMNS) {
+    return Array(rows).fill(null).map(() => Array(columns).fill(null));
+}
+
+// reads the variant and board size picked for a game, the board size can only be
+// changed for the variants that allow a custom board.
+function parseVariant({ variant = "standard", rows, columns, connect } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(GAME_VARIANTS, variant)) {
+        return { error: `Variant must be one of ${Object.keys(GAME_VARIANTS).join(", ")}`, status: 400 };
+    }
+    const rules = GAME_VARIANTS[variant];
+
+    const isSet = (value) => value !== undefined && value !== null && value !== "",
+          changed = (value, size) => isSet(value) && Number(value) !== size;
+    if (!rules.customBoard && (changed(rows, rules.rows) || changed(columns, rules.columns) || changed(connect, rules.connect))) {
+        return { error: `The board size can't be changed for ${variant}`, status: 400 };
+    }
+
+    rows = isSet(rows) ? Number(rows) : rules.rows;
+    columns = isSet(columns) ? Number(columns) : rules.columns;
+    connect = isSet(connect) ? Number(connect) : rules.connect;
+    if (!Number.isInteger(rows) || rows < MIN_BOARD_SIZE || rows > MAX_BOARD_ROWS) {
+        return { error: `Rows must be a whole number from ${MIN_BOARD_SIZE} to ${MAX_BOARD_ROWS}`, status: 400 };
+    }
+    if (!Number.isInteger(columns) || columns < MIN_BOARD_SIZE || columns > MAX_BOARD_COLUMNS) {
+        return { error: `Columns must be a whole number from ${MIN_BOARD_SIZE} to ${MAX_BOARD_COLUMNS}`, status: 400 };
+    }
+    const maxConnect = Math.max(rows, columns);
+    if (!Number.isInteger(connect) || connect < MIN_CONNECT_LENGTH || connect > maxConnect) {
+        return { error: `Connect must be a whole number from ${MIN_CONNECT_LENGTH} to ${maxConnect}`, status: 400 };
+    }
+    return { variant, rows, columns, connect, pops: rules.pops };
+}
+
+// variant and board size stored with a game, older games were all standard.
+function getGameVariant(game) {
+    const variant = game.variant || "standard";
+    return {
+        variant,
+        rows: game.board_rows || BOARD_ROWS,
+        columns: game.board_columns || BOARD_COLUMNS,
+        connect: game.connect_length || CONNECT_LENGTH,
+        pops: GAME_VARIANTS[variant].pops
+    };
+}
+
+// Pop 10 starts by filling the board, then discs are popped out of fours until a
+// player has captured enough of them. The other variants don't need any state.
+function createVariantState(variant) {
+    if (variant.variant !== "pop10") {
+        return null;
+    }
+    return { phase: "setup", captured: { [PLAYER1_COLOUR]: 0, [PLAYER2_COLOUR]: 0 }, pendingDrop: false };
+}
+
+// mysql2 returns JSON columns already parsed, but be safe if it is still a string.
+function readVariantState(game) {
+    if (!game.variant_state) {
+        return createVariantState(getGameVariant(game));
+    }
+    return typeof game.variant_state === "string" ? JSON.parse(game.variant_state) : game.variant_state;
+}
+
+// variant of a game in the shape it is sent to clients.
+function formatVariant(game) {
+    const variant = getGameVariant(game);
+    return {
+        name: variant.variant,
+        rows: variant.rows,
+        columns: variant.columns,
+        connect: variant.connect,
+        pops: variant.pops,
+        state: readVariantState(game)
+    };
+}
+
+// level of a player of the game when they are a bot, null for users.
+function getBotLevel(game, userId) {
+    return (userId === game.player1_id ? game.player1_bot_level : game.player2_bot_level) || null;
+}
+
+// a game is over once it has an end date, draws don't have a winner.
+function isGameOver(game) {
+    return Boolean(game.ended_at || game.winner_id);
+}
+
+// drops the disc in the column, returns the row it landed in or -1 if the column is full.
+function dropDisc(board, col, colour) {
+    for (let row = board.length - 1; row >= 0; row--) {
+        if (!board[row][col]) {
+            board[row][col] = colour;
+            return row;
+        }
+    }
+    return -1;
+}
+
+// takes the bottom disc out of the column, the discs above it fall down one row.
+function popDisc(board, col) {
+    const colour = board[board.length - 1][col];
+    for (let row = board.length - 1; row > 0; row--) {
+        board[row][col] = board[row - 1][col];
+    }
+    board[0][col] = null;
+    return colour;
+}
+
+// checks every line going through the disc, returns the cells of the winning line
+// or null when there is no line of `connect` discs.
+function getWinningCells(board, row, col, connect = CONNECT_LENGTH) {
+    const colour = board[row][col];
+    if (!colour) {
+        return null;
+    }
+
+    for (const [rowStep, colStep] of LINE_DIRECTIONS) {
+        const cells = [[row, col]];
+        for (const direction of [1, -1]) {
+            let r = row + rowStep * direction,
+                c = col + colStep * direction;
+            while (board[r] && board[r][c] === colour) {
+                cells.push([r, c]);
+                r += rowStep * direction;
+                c += colStep * direction;
+            }
+        }
+        if (cells.length >= connect) {
+            return cells.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        }
+    }
+    return null;
+}
+
+// red always starts, so odd plies are red and even plies are yellow.
+function getColourForPly(ply) {
+    return ply % 2 === 1 ? PLAYER1_COLOUR : PLAYER2_COLOUR;
+}
+
+// shape of a stored move that is sent to the client.
+function formatMove(move) {
+    return {
+        ply: move.ply,
+        playerId: move.player_id,
+        type: move.move_type || "drop",
+        col: move.col_index,
+        row: move.row_index,
+        createdAt: move.created_at
+    };
+}
+
+// the top row fills up last so only it has to be checked.
+function isBoardFull(board) {
+    return board[0].every((cell) => cell !== null);
+}
+
+// in Pop 10's setup discs go in the lowest row that still has room.
+function isLowestOpenRow(board, col) {
+    const heights = board[0].map((_, column) => board.filter((row) => row[column] !== null).length);
+    return heights[col] === Math.min(...heights);
+}
+
+// colour that made a stored move, imported games have the same user on both sides.
+function getMoveColour(game, move) {
+    if (game.is_analysis) {
+        return getColourForPly(move.ply);
+    }
+    return move.player_id === game.player1_id ? PLAYER1_COLOUR : PLAYER2_COLOUR;
+}
+
+// board and variant state after playing the stored moves from an empty board.
+function replayMoves(game, moves) {
+    const variant = getGameVariant(game),
+          board = createEmptyBoard(variant.rows, variant.columns),
+          state = createVariantState(variant);
+    for (const move of moves) {
+        applyMove(board, variant, state, getMoveColour(game, move), move.col_index, move.move_type === "pop");
+    }
+    return { board, state };
+}
+
+// can the player make any move? Drops need a column with room, pops a disc of
+// their own in the bottom row.
+function hasLegalMove(board, variant, state, colour) {
+    const canDrop = board[0].some((cell) => cell === null),
+          canPop = variant.pops && board[board.length - 1].some((cell) => cell === colour);
+    if (variant.variant !== "pop10") {
+        return canDrop || canPop;
+    }
+    if (state.phase === "setup" || state.pendingDrop) {
+        return canDrop;
+    }
+    return canPop;
+}
+
+/**
+ * Plays a move on the board by the rules of the variant, the board and the
+ * variant state are changed in place.
+ * @param {Array} board - Board the move is made on.
+ * @param {Object} variant - Variant of the game, see getGameVariant.
+ * @param {Object} state - State of the variant, null for variants without one.
+ * @param {String} colour - Colour of the player moving.
+ * @param {Integer} col - Column of the move.
+ * @param {Boolean} pop - Pop the bottom disc of the column instead of dropping one.
+ * @returns {Object} The type and row of the move, the winning colour and line,
+ *                   and if the same player moves again, or an error.
+ */
+function applyMove(board, variant, state, colour, col, pop) {
+    const pop10 = variant.variant === "pop10";
+    if (pop) {
+        return applyPop(board, variant, state, colour, col);
+    }
+    if (pop10 && state.phase === "play" && !state.pendingDrop) {
+        return { error: "Pop one of your discs from the bottom row" };
+    }
+    if (pop10 && state.phase === "setup" && board[0][col] === null && !isLowestOpenRow(board, col)) {
+        return { error: "Fill the lower rows first" };
+    }
+
+    const row = dropDisc(board, col, colour);
+    if (row === -1) {
+        return { error: "Column is full" };
+    }
+
+    // Lines made while dropping don't count in Pop 10, only popping them does
+    if (pop10) {
+        state.pendingDrop = false;
+        if (state.phase === "setup" && isBoardFull(board)) {
+            state.phase = "play";
+        }
+        return { type: "drop", row, winner: null, winningCells: null, again: false };
+    }
+
+    const winningCells = getWinningCells(board, row, col, variant.connect);
+    return { type: "drop", row, winner: winningCells ? colour : null, winningCells, again: false };
+}
+
+// pops the player's own bottom disc. In PopOut the falling discs can make a line for
+// either player, a line for the player popping wins even when the opponent got one too.
+// In Pop 10 a disc that was part of a line is captured and the player goes again,
+// any other disc has to be dropped back on the board by the same player.
+function applyPop(board, variant, state, colour, col) {
+    const bottom = board.length - 1;
+    if (!variant.pops) {
+        return { error: "Discs can't be popped in this variant" };
+    }
+    if (variant.variant === "pop10" && state.phase === "setup") {
+        return { error: "Discs can only be popped once the board is full" };
+    }
+    if (variant.variant === "pop10" && state.pendingDrop) {
+        return { error: "Drop the disc you popped back on the board first" };
+    }
+    if (board[bottom][col] !== colour) {
+        return { error: "You can only pop your own disc from the bottom row" };
+    }
+
+    if (variant.variant === "pop10") {
+        const captured = Boolean(getWinningCells(board, bottom, col, variant.connect));
+        popDisc(board, col);
+        if (captured) {
+            state.captured[colour]++;
+        } else {
+            state.pendingDrop = true;
+        }
+        const winner = state.captured[colour] >= POP10_TARGET ? colour : null;
+        return { type: "pop", row: bottom, winner, winningCells: null, captured, again: true };
+    }
+
+    popDisc(board, col);
+    const lines = new Map();
+    for (let row = bottom; row >= 0 && board[row][col]; row--) {
+        const cells = getWinningCells(board, row, col, variant.connect);
+        if (cells && !lines.has(board[row][col])) {
+            lines.set(board[row][col], cells);
+        }
+    }
+    const winner = lines.has(colour) ? colour : ([...lines.keys()][0] || null);
+    return { type: "pop", row: bottom, winner, winningCells: winner ? lines.get(winner) : null, again: false };
+}
+
+/**
+ * RATING HELPER FUNCTIONS
+ */
+const LEADERBOARD_WINDOWS = ["all", "week", "month", "year"],
+      DEFAULT_RATING = 1200,
+      NEW_PLAYER_GAMES = 30,
+      NEW_PLAYER_K_FACTOR = 40,
+      K_FACTOR = 20;
+
+// ends the game and changes the ratings when it is rated, the players of a
+// correspondence game are notified. Returns the result to send to the game,
+// with the rating changes by user ID or null when the game was not rated. When
+// another request ended the game first the result it stored is returned instead.
+// The winner is always worked out by the server (a win on the board, resign,
+// timeout...), never taken from a request.
+async function recordGameResult(game, winnerId, reason, winningCells = []) {
+    if (winnerId !== null && winnerId !== game.player1_id && winnerId !== game.player2_id) {
+        throw new Error(`Winner ${winnerId} is not a player of game ${game.game_id}`);
+    }
+    const ended = await DB.endGame(game.game_id, winnerId, reason);
+    if (!ended) {
+        const stored = await DB.getGameWithId(game.game_id);
+        return { winnerId: stored.winner_id, draw: stored.winner_id === null, reason: stored.end_reason, winningCells: [], ratings: null };
+    }
+
+    const gameOver = { winnerId, draw: winnerId === null, reason, winningCells, ratings: null };
+
+    const playerIds = [game.player1_id, game.player2_id];
+    if (game.correspondence) {
+        for (const playerId of playerIds) {
+            await DB.addNotification(playerId, "gameEnded", game.game_id, { winnerId, draw: winnerId === null, reason });
+        }
+    }
+    if (!game.rated) {
+        await DB.addUnratedGame(playerIds);
+        return gameOver;
+    }
+
+    const ratings = await DB.getRatings(playerIds),
+          player1 = ratings.find((rating) => rating.user_id === game.player1_id),
+          player2 = ratings.find((rating) => rating.user_id === game.player2_id),
+          player1Score = winnerId === null ? 0.5 : (winnerId === game.player1_id ? 1 : 0);
+
+    const changes = [
+        calculateRatingChange(player1, player2, player1Score),
+        calculateRatingChange(player2, player1, 1 - player1Score)
+    ];
+    await DB.saveRatingChanges(game.game_id, changes);
+
+    gameOver.ratings = Object.fromEntries(changes.map((change) => [change.userId, { before: change.ratingBefore, after: change.ratingAfter }]));
+    return gameOver;
+}
+
+// Elo rating change, new players move faster until they have played enough rated games.
+function calculateRatingChange(player, opponent, score) {
+    const expected = 1 / (1 + Math.pow(10, (opponent.rating - player.rating) / 400)),
+          kFactor = player.rated_games < NEW_PLAYER_GAMES ? NEW_PLAYER_K_FACTOR : K_FACTOR;
+    return {
+        userId: player.user_id,
+        opponentId: opponent.user_id,
+        score,
+        ratingBefore: player.rating,
+        ratingAfter: Math.round(player.rating + kFactor * (score - expected))
+    };
+}
+
+/**
+ * CLOCK HELPER FUNCTIONS
+ */
+// Time controls are either a total time with an increment added after every
+// move, a fixed amount of time for every move, or a number of days for every
+// move in correspondence games.
+const TIME_CONTROL_TYPES = ["increment", "perMove", "correspondence"],
+      MIN_CLOCK_MS = 10 * 1000,
+      MAX_CLOCK_MS = 3 * 60 * 60 * 1000,
+      MAX_INCREMENT_MS = 60 * 1000,
+      DAY_MS = 24 * 60 * 60 * 1000,
+      MAX_DAYS_PER_MOVE = 14;
+
+// validates a time control from a request, returns null when there is no clock.
+function parseTimeControl(timeControl) {
+    if (!timeControl) {
+        return null;
+    }
+    if (typeof timeControl === "string") {
+        try {
+            timeControl = JSON.parse(timeControl);
+        } catch (err) {
+            return { error: "Time control is not valid JSON!", status: 400 };
+        }
+    }
+
+    const { type } = timeControl;
+    if (!TIME_CONTROL_TYPES.includes(type)) {
+        return { error: `Time control type must be one of ${TIME_CONTROL_TYPES.join(", ")}`, status: 400 };
+    }
+    if (type === "increment") {
+        const initialMs = Number(timeControl.initialMs),
+              incrementMs = Number(timeControl.incrementMs || 0);
+        if (!Number.isInteger(initialMs) || initialMs < MIN_CLOCK_MS || initialMs > MAX_CLOCK_MS) {
+            return { error: `initialMs must be between ${MIN_CLOCK_MS} and ${MAX_CLOCK_MS}`, status: 400 };
+        }
+        if (!Number.isInteger(incrementMs) || incrementMs < 0 || incrementMs > MAX_INCREMENT_MS) {
+            return { error: `incrementMs must be between 0 and ${MAX_INCREMENT_MS}`, status: 400 };
+        }
+        return { type, initialMs, incrementMs };
+    }
+    if (type === "correspondence") {
+        const daysPerMove = Number(timeControl.daysPerMove);
+        if (!Number.isInteger(daysPerMove) || daysPerMove < 1 || daysPerMove > MAX_DAYS_PER_MOVE) {
+            return { error: `daysPerMove must be between 1 and ${MAX_DAYS_PER_MOVE}`, status: 400 };
+        }
+        return { type, daysPerMove };
+    }
+
+    const perMoveMs = Number(timeControl.perMoveMs);
+    if (!Number.isInteger(perMoveMs) || perMoveMs < MIN_CLOCK_MS || perMoveMs > MAX_CLOCK_MS) {
+        return { error: `perMoveMs must be between ${MIN_CLOCK_MS} and ${MAX_CLOCK_MS}`, status: 400 };
+    }
+    return { type, perMoveMs };
+}
+
+// mysql2 returns JSON columns already parsed, but be safe if it is still a string.
+function readTimeControl(game) {
+    if (!game.time_control) {
+        return null;
+    }
+    return typeof game.time_control === "string" ? JSON.parse(game.time_control) : game.time_control;
+}
+
+function getStartingClockMs(timeControl) {
+    if (timeControl.type === "correspondence") {
+        return timeControl.daysPerMove * DAY_MS;
+    }
+    return timeControl.type === "increment" ? timeControl.initialMs : timeControl.perMoveMs;
+}
+
+// time the player to move has left, Infinity for games without a clock.
+function getRemainingMs(game, now) {
+    if (!readTimeControl(game)) {
+        return Infinity;
+    }
+    const stored = game.current_turn === game.player1_id ? game.clock_player1_ms : game.clock_player2_ms,
+          elapsed = now - new Date(game.turn_started_at);
+    return stored - elapsed;
+}
+
+// clocks of both players after the player to move made their move.
+function advanceClocks(game, now) {
+    const timeControl = readTimeControl(game);
+    if (!timeControl) {
+        return null;
+    }
+
+    const remaining = getRemainingMs(game, now),
+          moverClock = timeControl.type === "increment" ? remaining + timeControl.incrementMs : getStartingClockMs(timeControl),
+          moverIsPlayer1 = game.current_turn === game.player1_id;
+    return {
+        player1Ms: moverIsPlayer1 ? moverClock : game.clock_player1_ms,
+        player2Ms: moverIsPlayer1 ? game.clock_player2_ms : moverClock
+    };
+}
+
+// clocks sent to the clients, keyed by the user ID of each player.
+function formatClocks(game, clocks) {
+    if (!clocks) {
+        return null;
+    }
+    return { [game.player1_id]: clocks.player1Ms, [game.player2_id]: clocks.player2Ms };
+}
+
+/**
+ * Clocks of both players as they are right now, the player to move has the time
+ * since their turn started taken off.
+ * @param {Object} game - Game row.
+ * @returns {Object} Remaining time keyed by user ID, null for games without a clock.
+ */
+function getLiveClocks(game) {
+    if (!readTimeControl(game)) {
+        return null;
+    }
+    const live = formatClocks(game, { player1Ms: game.clock_player1_ms, player2Ms: game.clock_player2_ms });
+    if (!isGameOver(game)) {
+        live[game.current_turn] = Math.max(0, getRemainingMs(game, new Date()));
+    }
+    return live;
+}
+
+// the player to move lost on time, the opponent wins.
+async function recordTimeout(game) {
+    const winnerId = game.current_turn === game.player1_id ? game.player2_id : game.player1_id;
+    return {
+        gameId: game.game_id,
+        player1: game.player1_id,
+        player2: game.player2_id,
+        gameOver: await recordGameResult(game, winnerId, "timeout")
+    };
+}
+
+/**
+ * CORRESPONDENCE HELPER FUNCTIONS
+ */
+const DEADLINE_WARNING_MS = DAY_MS,
+      NOTIFICATION_BATCH_SIZE = 100;
+
+// game waiting on or played by a user, as it is listed to them.
+function formatActiveGame(game, userId) {
+    const isPlayer1 = game.player1_id === userId;
+    return {
+        gameId: game.game_id,
+        opponent: isPlayer1 ? { userId: game.player2_id, username: game.player2_username }
+                            : { userId: game.player1_id, username: game.player1_username },
+        colour: isPlayer1 ? PLAYER1_COLOUR : PLAYER2_COLOUR,
+        currentTurn: game.current_turn,
+        myTurn: game.current_turn === userId,
+        deadline: game.move_deadline,
+        moveCount: game.move_count,
+        rated: Boolean(game.rated),
+        correspondence: Boolean(game.correspondence),
+        timeControl: game.time_control,
+        variant: { name: game.variant, rows: game.board_rows, columns: game.board_columns, connect: game.connect_length }
+    };
+}
+
+function formatNotification(notification) {
+    return {
+        notificationId: notification.notification_id,
+        userId: notification.user_id,
+        type: notification.type,
+        gameId: notification.game_id,
+        details: typeof notification.details === "string" ? JSON.parse(notification.details) : notification.details,
+        createdAt: notification.created_at,
+        read: notification.read_at !== null
+    };
+}
+
+/**
+ * GAME OFFER HELPER FUNCTIONS
+ */
+function getOpponentId(game, userId) {
+    return userId === game.player1_id ? game.player2_id : game.player1_id;
+}
+
+// checks that the user plays in the game and that the game is still going, or
+// is over when inPlay is false.
+function getPlayerError(game, userId, inPlay) {
+    if (!game || game.is_analysis) {
+        return { error: "Game not found", status: 404 };
+    }
+    if (userId !== game.player1_id && userId !== game.player2_id) {
+        return { error: "Only the players can do that", status: 403 };
+    }
+    if (inPlay && isGameOver(game)) {
+        return { error: "Game is already over", status: 409 };
+    }
+    if (!inPlay && !isGameOver(game)) {
+        return { error: "Game is not over yet", status: 409 };
+    }
+    return null;
+}
+
+// same as getPlayerError, bots never answer offers so they can't be made to them.
+async function getOfferError(game, userId, inPlay) {
+    const error = getPlayerError(game, userId, inPlay);
+    if (error) {
+        return error;
+    }
+    if (await DB.getBotLevel(getOpponentId(game, userId))) {
+        return { error: "Bots don't answer offers", status: 409 };
+    }
+    return null;
+}
+
+function createOfferResult(game, event) {
+    return { gameId: game.game_id, player1: game.player1_id, player2: game.player2_id, event };
+}
+
+/**
+ * Offers of a game that were not answered yet, the user ID of the player who made
+ * each one or null.
+ * @param {Object} game - Game row.
+ * @returns {Object} The open draw, takeback and rematch offers and the game of the rematch.
+ */
+function formatOffers(game) {
+    return {
+        draw: game.draw_offered_by || null,
+        takeback: game.takeback_requested_by || null,
+        rematch: game.rematch_offered_by || null,
+        rematchGameId: game.rematch_game_id || null
+    };
+}
+
+/**
+ * MATCHMAKING HELPER FUNCTIONS
+ */
+const MATCH_BASE_RATING_GAP = 100,
+      MATCH_GAP_STEP = 50,
+      MATCH_GAP_STEP_MS = 10000,
+      MATCH_MAX_RATING_GAP = 800;
+
+// rating gap a waiting player accepts, it widens every few seconds up to a limit.
+function getAllowedRatingGap(player, now) {
+    const steps = Math.floor((now - player.joinedAt) / MATCH_GAP_STEP_MS);
+    return Math.min(MATCH_MAX_RATING_GAP, MATCH_BASE_RATING_GAP + steps * MATCH_GAP_STEP);
+}
+
+// start of a leaderboard window formatted for sql, null for all time.
+function getWindowStart(window) {
+    const days = { week: 7, month: 30, year: 365 }[window];
+    if (!days) {
+        return null;
+    }
+    const start = new Date();
+    start.setDate(start.getDate() - days);
+    return formatDateForSQL(start);
+}
+
+/**
+ * TOURNAMENT HELPER FUNCTIONS
+ */
+const TOURNAMENT_FORMATS = ["round-robin", "swiss", "knockout"],
+      TOURNAMENT_STATUSES = ["registration", "running", "finished", "cancelled"],
+      TOURNAMENT_NAME_MAX_LENGTH = 100,
+      MIN_TOURNAMENT_PLAYERS = 2,
+      MAX_TOURNAMENT_PLAYERS = 64,
+      MAX_ROUND_ROBIN_PLAYERS = 16,
+      MAX_SWISS_ROUNDS = 15,
+      DEFAULT_TOURNAMENT_PLAYERS = 16,
+      MAX_REGISTRATION_MS = 30 * 24 * 60 * 60 * 1000,
+      SWISS_PAIRING_BUDGET = 10000;
+
+// reads the options of a new tournament. Tournaments always have a clock so a
+// player that doesn't show up can't hold up a round.
+function parseTournamentOptions({ name, format, registrationOpensAt, registrationClosesAt, timeControl, rated = false,
+                                  maxPlayers, rounds, variant, rows, columns, connect }) {
+    name = typeof name === "string" ? name.trim() : "";
+    if (!name || name.length > TOURNAMENT_NAME_MAX_LENGTH) {
+        return { error: `Name must be 1 to ${TOURNAMENT_NAME_MAX_LENGTH} characters`, status: 400 };
+    }
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+        return { error: `Format must be one of ${TOURNAMENT_FORMATS.join(", ")}`, status: 400 };
+    }
+
+    const now = Date.now(),
+          opensAt = registrationOpensAt ? new Date(registrationOpensAt) : new Date(now),
+          closesAt = new Date(registrationClosesAt);
+    if (isNaN(opensAt.getTime()) || !registrationClosesAt || isNaN(closesAt.getTime())) {
+        return { error: "registrationOpensAt and registrationClosesAt must be dates", status: 400 };
+    }
+    if (closesAt <= opensAt || closesAt.getTime() <= now) {
+        return { error: "Registration must close in the future and after it opens", status: 400 };
+    }
+    if (closesAt.getTime() - now > MAX_REGISTRATION_MS) {
+        return { error: "Registration can't close more than 30 days from now", status: 400 };
+    }
+
+    timeControl = parseTimeControl(timeControl);
+    if (!timeControl) {
+        return { error: "Tournaments need a time control", status: 400 };
+    } else if (timeControl.error) {
+        return timeControl;
+    }
+    const gameVariant = parseVariant({ variant, rows, columns, connect });
+    if (gameVariant.error) {
+        return gameVariant;
+    }
+
+    const playerLimit = format === "round-robin" ? MAX_ROUND_ROBIN_PLAYERS : MAX_TOURNAMENT_PLAYERS;
+    maxPlayers = maxPlayers === undefined || maxPlayers === null ? Math.min(DEFAULT_TOURNAMENT_PLAYERS, playerLimit) : Number(maxPlayers);
+    if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_TOURNAMENT_PLAYERS || maxPlayers > playerLimit) {
+        return { error: `maxPlayers must be from ${MIN_TOURNAMENT_PLAYERS} to ${playerLimit} for ${format}`, status: 400 };
+    }
+    if (rounds !== undefined && rounds !== null) {
+        rounds = Number(rounds);
+        if (format !== "swiss") {
+            return { error: "Only Swiss tournaments can set the number of rounds", status: 400 };
+        }
+        if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_SWISS_ROUNDS) {
+            return { error: `Rounds must be from 1 to ${MAX_SWISS_ROUNDS}`, status: 400 };
+        }
+    }
+
+    return {
+        name, format, timeControl, maxPlayers,
+        registrationOpensAt: formatDateForSQL(opensAt),
+        registrationClosesAt: formatDateForSQL(closesAt),
+        rated: rated === true || rated === "true",
+        variant: gameVariant,
+        rounds: rounds || null
+    };
+}
+
+// why a player can't join the tournament right now, null when they can.
+function getRegistrationError(tournament) {
+    const now = Date.now();
+    if (tournament.status !== "registration") {
+        return `Tournament is ${tournament.status}!`;
+    }
+    if (new Date(tournament.registration_opens_at).getTime() > now) {
+        return "Registration is not open yet!";
+    }
+    if (new Date(tournament.registration_closes_at).getTime() <= now) {
+        return "Registration is closed!";
+    }
+    return null;
+}
+
+// rounds a tournament lasts: everyone meets once in a round-robin, a knockout
+// halves the field every round and Swiss plays enough rounds to find a winner.
+function getTotalRounds(format, playerCount, rounds) {
+    const roundRobinRounds = playerCount % 2 === 0 ? playerCount - 1 : playerCount,
+          halvings = Math.ceil(Math.log2(playerCount));
+    if (format === "round-robin") {
+        return roundRobinRounds;
+    }
+    if (format === "knockout") {
+        return halvings;
+    }
+    return Math.min(rounds || halvings, roundRobinRounds);
+}
+
+// options of the games played in the tournament.
+function getTournamentGameOptions(tournament) {
+    return {
+        rated: Boolean(tournament.rated),
+        timeControl: readTimeControl(tournament),
+        variant: tournament.variant,
+        rows: tournament.board_rows,
+        columns: tournament.board_columns,
+        connect: tournament.connect_length
+    };
+}
+
+// seeds the players by rating and pairs the first round. A tournament that doesn't
+// have enough players when registration closes is cancelled.
+async function beginTournament(tournament) {
+    const players = await DB.getTournamentPlayers(tournament.tournament_id),
+          playerIds = players.map((player) => player.user_id);
+    if (players.length < MIN_TOURNAMENT_PLAYERS) {
+        if (await DB.endTournament(tournament.tournament_id, "cancelled")) {
+            return [createTournamentEvent(tournament, playerIds, "tournamentCancelled", { reason: "not enough players" })];
+        }
+        return [];
+    }
+
+    const seeds = [...players].sort((a, b) => b.rating - a.rating || new Date(a.joined_at) - new Date(b.joined_at))
+                              .map((player) => player.user_id),
+          totalRounds = getTotalRounds(tournament.format, seeds.length, tournament.total_rounds);
+    if (!(await DB.startTournament(tournament.tournament_id, seeds, totalRounds))) {
+        return [];
+    }
+
+    const started = await DB.getTournament(tournament.tournament_id),
+          seeded = await DB.getTournamentPlayers(tournament.tournament_id);
+    return [
+        createTournamentEvent(started, playerIds, "tournamentStarted", { tournament: formatTournament(started) }),
+        ...await createRound(started, seeded, [], 1)
+    ];
+}
+
+// sends the new standings after a result and moves on once the round is over. A
+// drawn knockout game is replayed right away with the colours swapped.
+async function continueTournament(tournamentId) {
+    const tournament = await DB.getTournament(tournamentId),
+          players = await DB.getTournamentPlayers(tournamentId),
+          playerIds = players.map((player) => player.user_id);
+    let pairings = await DB.getPairings(tournamentId);
+    const events = [createTournamentEvent(tournament, playerIds, "tournamentStandings", { standings: getStandings(tournament, players, pairings) })];
+
+    let roundPairings = pairings.filter((pairing) => pairing.round === tournament.current_round);
+    if (tournament.format === "knockout") {
+        const replays = [];
+        for (const [slot, slotPairings] of groupBySlot(roundPairings)) {
+            const last = slotPairings[slotPairings.length - 1];
+            if (slotPairings.every((pairing) => pairing.result) && !getSlotWinner(slotPairings)) {
+                const gameId = await createGame(last.player2_id, last.player1_id, getTournamentGameOptions(tournament));
+                replays.push({ slot, player1Id: last.player2_id, player2Id: last.player1_id, gameId });
+            }
+        }
+        if (replays.length > 0) {
+            await DB.addPairings(tournamentId, tournament.current_round, replays);
+            pairings = await DB.getPairings(tournamentId);
+            roundPairings = pairings.filter((pairing) => pairing.round === tournament.current_round);
+            const replayed = roundPairings.filter((pairing) => replays.some((replay) => replay.gameId === pairing.game_id));
+            events.push(createTournamentEvent(tournament, playerIds, "tournamentReplay",
+                                              { round: tournament.current_round, pairings: replayed.map(formatPairing) }, replays));
+        }
+    }
+    if (roundPairings.some((pairing) => !pairing.result)) {
+        return events;
+    }
+
+    if (tournament.current_round < tournament.total_rounds) {
+        return [...events, ...await createRound(tournament, players, pairings, tournament.current_round + 1)];
+    }
+    if (!(await DB.endTournament(tournamentId, "finished"))) {
+        return events;
+    }
+    const standings = getStandings(tournament, players, pairings);
+    return [...events, createTournamentEvent(tournament, playerIds, "tournamentFinished", { winnerId: standings[0].userId, standings })];
+}
+
+// pairs a round by the tournament's format and creates its games, byes don't get a game.
+async function createRound(tournament, players, pairings, round) {
+    if (!(await DB.setTournamentRound(tournament.tournament_id, round))) {
+        return [];
+    }
+    const seeds = players.map((player) => player.user_id),
+          planned = tournament.format === "round-robin" ? pairRoundRobin(seeds, round)
+                  : tournament.format === "swiss" ? pairSwiss(tournament, players, pairings)
+                  : pairKnockout(seeds, pairings, round);
+
+    const created = [];
+    for (const pairing of planned) {
+        if (pairing.player2Id === null) {
+            created.push({ ...pairing, result: "bye" });
+        } else {
+            const gameId = await createGame(pairing.player1Id, pairing.player2Id, getTournamentGameOptions(tournament));
+            created.push({ ...pairing, gameId });
+        }
+    }
+    await DB.addPairings(tournament.tournament_id, round, created);
+    const roundPairings = (await DB.getPairings(tournament.tournament_id)).filter((pairing) => pairing.round === round);
+    return [createTournamentEvent(tournament, seeds, "tournamentRound", { round, pairings: roundPairings.map(formatPairing) },
+                                  created.filter((pairing) => pairing.gameId))];
+}
+
+// circle method: the first seed stays put and the others rotate one place every round.
+// The null added for an odd number of players is the bye.
+function pairRoundRobin(seeds, round) {
+    const players = seeds.length % 2 === 0 ? [...seeds] : [...seeds, null],
+          rest = players.slice(1),
+          shift = (round - 1) % rest.length,
+          order = [players[0], ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)],
+          pairings = [];
+
+    for (let slot = 0; slot < order.length / 2; slot++) {
+        let player1Id = order[slot],
+            player2Id = order[order.length - 1 - slot];
+        // colours change every round so nobody keeps the same colour
+        if ((round + slot) % 2 === 0) {
+            [player1Id, player2Id] = [player2Id, player1Id];
+        }
+        if (player1Id === null) {
+            [player1Id, player2Id] = [player2Id, player1Id];
+        }
+        pairings.push({ slot: slot + 1, player1Id, player2Id });
+    }
+    return pairings;
+}
+
+// Swiss (Monrad): players are paired with the next player in the standings, nobody
+// plays the same opponent twice while that can be avoided and the lowest player
+// without one gets the bye. The player who had red less often gets red.
+function pairSwiss(tournament, players, pairings) {
+    const standings = new Map(getStandings(tournament, players, pairings).map((standing) => [standing.userId, standing])),
+          played = new Set(),
+          redGames = new Map(players.map((player) => [player.user_id, 0]));
+    for (const pairing of pairings) {
+        if (pairing.player2_id) {
+            played.add(`${pairing.player1_id}:${pairing.player2_id}`).add(`${pairing.player2_id}:${pairing.player1_id}`);
+            redGames.set(pairing.player1_id, redGames.get(pairing.player1_id) + 1);
+        }
+    }
+
+    let order = players.map((player) => player.user_id)
+                       .sort((a, b) => standings.get(b).points - standings.get(a).points || standings.get(a).seed - standings.get(b).seed);
+    const pairs = [];
+    if (order.length % 2 === 1) {
+        const byePlayer = [...order].reverse().find((userId) => standings.get(userId).byes === 0) || order[order.length - 1];
+        order = order.filter((userId) => userId !== byePlayer);
+        pairs.push([byePlayer, null]);
+    }
+
+    const matched = findSwissPairs(order, played, { left: SWISS_PAIRING_BUDGET }) ||
+                    order.filter((_, index) => index % 2 === 0).map((userId, index) => [userId, order[index * 2 + 1]]);
+    return [...matched, ...pairs].map(([player1Id, player2Id], index) => {
+        if (player2Id !== null && redGames.get(player2Id) < redGames.get(player1Id)) {
+            [player1Id, player2Id] = [player2Id, player1Id];
+        }
+        return { slot: index + 1, player1Id, player2Id };
+    });
+}
+
+// pairs the players in order with the first opponent they didn't play yet, going
+// back when that leaves players that can't be paired. Gives up after the budget.
+function findSwissPairs(players, played, budget) {
+    if (players.length === 0) {
+        return [];
+    }
+    const [first, ...rest] = players;
+    for (const [index, opponent] of rest.entries()) {
+        if (--budget.left < 0) {
+            return null;
+        }
+        if (played.has(`${first}:${opponent}`)) {
+            continue;
+        }
+        const pairs = findSwissPairs(rest.filter((_, other) => other !== index), played, budget);
+        if (pairs) {
+            return [[first, opponent], ...pairs];
+        }
+    }
+    return null;
+}
+
+// first round: the seeds are placed so the best two can only meet in the final,
+// the best seeds get the byes when the field isn't a power of two. After that the
+// winners of two neighbouring slots meet.
+function pairKnockout(seeds, pairings, round) {
+    if (round === 1) {
+        const bracketOrder = getBracketOrder(2 ** Math.ceil(Math.log2(seeds.length))),
+              pairs = [];
+        for (let slot = 0; slot < bracketOrder.length / 2; slot++) {
+            const player1Id = seeds[bracketOrder[slot * 2] - 1],
+                  player2Id = seeds[bracketOrder[slot * 2 + 1] - 1];
+            pairs.push({ slot: slot + 1, player1Id, player2Id: player2Id === undefined ? null : player2Id });
+        }
+        return pairs;
+    }
+
+    const winners = new Map([...groupBySlot(pairings.filter((pairing) => pairing.round === round - 1))]
+                                .map(([slot, slotPairings]) => [slot, getSlotWinner(slotPairings)])),
+          pairs = [];
+    for (let slot = 1; slot * 2 <= winners.size; slot++) {
+        pairs.push({ slot, player1Id: winners.get(slot * 2 - 1), player2Id: winners.get(slot * 2) });
+    }
+    return pairs;
+}
+
+// seed numbers in bracket order, [1, 4, 2, 3] for four players.
+function getBracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const count = order.length * 2;
+        order = order.flatMap((seed) => [seed, count + 1 - seed]);
+    }
+    return order;
+}
+
+function groupBySlot(pairings) {
+    const slots = new Map();
+    for (const pairing of pairings) {
+        if (!slots.has(pairing.slot)) {
+            slots.set(pairing.slot, []);
+        }
+        slots.get(pairing.slot).push(pairing);
+    }
+    return slots;
+}
+
+// winner of a knockout slot is the winner of its last game, null while it is still drawn.
+function getSlotWinner(slotPairings) {
+    const last = slotPairings[slotPairings.length - 1];
+    if (last.result === "bye" || last.result === RESULT_PLAYER1_WINS) {
+        return last.player1_id;
+    }
+    return last.result === RESULT_PLAYER2_WINS ? last.player2_id : null;
+}
+
+// points of player 1 for a finished pairing, a bye counts as a win.
+function getPairingScore(result) {
+    if (result === "bye" || result === RESULT_PLAYER1_WINS) {
+        return 1;
+    }
+    return result === RESULT_DRAW ? 0.5 : 0;
+}
+
+// points, results and tie-breaks of every player, best first.
+function getStandings(tournament, players, pairings) {
+    const standings = new Map(players.map((player) => [player.user_id, {
+        userId: player.user_id,
+        username: player.username,
+        seed: player.seed,
+        points: 0, wins: 0, draws: 0, losses: 0, byes: 0,
+        buchholz: 0, sonnebornBerger: 0,
+        roundReached: 0, eliminated: false,
+        games: []
+    }]));
+
+    for (const pairing of pairings) {
+        const player1 = standings.get(pairing.player1_id),
+              player2 = standings.get(pairing.player2_id);
+        for (const standing of [player1, player2]) {
+            if (standing) {
+                standing.roundReached = Math.max(standing.roundReached, pairing.round);
+            }
+        }
+        if (!pairing.result || !player1) {
+            continue;
+        }
+        const score = getPairingScore(pairing.result);
+        player1.points += score;
+        if (pairing.result === "bye") {
+            player1.byes++;
+            continue;
+        }
+        if (!player2) {
+            continue;
+        }
+        player2.points += 1 - score;
+        for (const [standing, opponentId, points] of [[player1, player2.userId, score], [player2, player1.userId, 1 - score]]) {
+            standing.games.push({ opponentId, points });
+            standing[points === 1 ? "wins" : points === 0 ? "losses" : "draws"]++;
+        }
+    }
+
+    if (tournament.format === "knockout") {
+        for (const slotPairings of groupBySlot(pairings.map((pairing) => ({ ...pairing, slot: `${pairing.round}:${pairing.slot}` }))).values()) {
+            const winnerId = getSlotWinner(slotPairings),
+                  last = slotPairings[slotPairings.length - 1];
+            const loser = winnerId && standings.get(winnerId === last.player1_id ? last.player2_id : last.player1_id);
+            if (loser) {
+                loser.eliminated = true;
+            }
+        }
+    }
+
+    for (const standing of standings.values()) {
+        for (const game of standing.games) {
+            const opponentPoints = standings.get(game.opponentId).points;
+            standing.buchholz += opponentPoints;
+            standing.sonnebornBerger += game.points * opponentPoints;
+        }
+        delete standing.games;
+    }
+
+    const knockout = tournament.format === "knockout";
+    return [...standings.values()]
+        .sort((a, b) => (knockout ? (a.eliminated - b.eliminated) || (b.roundReached - a.roundReached) : 0) ||
+                        b.points - a.points || b.buchholz - a.buchholz || b.sonnebornBerger - a.sonnebornBerger ||
+                        (a.seed || Infinity) - (b.seed || Infinity))
+        .map((standing, index) => ({ rank: index + 1, ...standing }));
+}
+
+// tournament in the shape it is sent to clients.
+function formatTournament(tournament) {
+    return {
+        tournamentId: tournament.tournament_id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        creator: { userId: tournament.creator_id, username: tournament.creator_username },
+        registrationOpensAt: tournament.registration_opens_at,
+        registrationClosesAt: tournament.registration_closes_at,
+        timeControl: readTimeControl(tournament),
+        rated: Boolean(tournament.rated),
+        variant: { name: tournament.variant, rows: tournament.board_rows, columns: tournament.board_columns, connect: tournament.connect_length },
+        maxPlayers: tournament.max_players,
+        playerCount: Number(tournament.player_count),
+        totalRounds: tournament.total_rounds,
+        currentRound: tournament.current_round,
+        createdAt: tournament.created_at,
+        startedAt: tournament.started_at,
+        finishedAt: tournament.finished_at
+    };
+}
+
+// pairing in the shape it is sent to clients.
+function formatPairing(pairing) {
+    return {
+        pairingId: pairing.pairing_id,
+        round: pairing.round,
+        slot: pairing.slot,
+        player1: { userId: pairing.player1_id, username: pairing.player1_username },
+        player2: pairing.player2_id ? { userId: pairing.player2_id, username: pairing.player2_username } : null,
+        gameId: pairing.game_id,
+        result: pairing.result
+    };
+}
+
+// an update the server sends to the players and watchers of a tournament, the
+// games are started for their players like any other game.
+function createTournamentEvent(tournament, playerIds, action, details, games = []) {
+    return {
+        tournamentId: tournament.tournament_id,
+        playerIds,
+        games: games.map((pairing) => ({ gameId: pairing.gameId, player1: pairing.player1Id, player2: pairing.player2Id })),
+        message: { action, tournamentId: tournament.tournament_id, ...details }
+    };
+}
+
+/**
+ * AI HELPER FUNCTIONS
+ */
+const AI_WORKER_PATH = path.join(__dirname, `aiWorker.js`),
+      AI_WORKER_TIME_LIMIT_MS = 5000,
+      MAX_ACTIVE_ANALYSES = 2,
+      MAX_ACTIVE_BOT_MOVES = 4;
+let activeAnalyses = 0,
+    activeBotMoves = 0;
+
+// runs the search in a worker thread, it is stopped if it goes over the time limit.
+function runAiWorker(workerData) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(AI_WORKER_PATH, { workerData });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new Error("AI search took too long"));
+        }, AI_WORKER_TIME_LIMIT_MS);
+
+        worker.once("message", (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        });
+        worker.once("error", (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+// checks the board has a supported size, only holds discs and has no floating discs.
+function validateBoard(board) {
+    const rows = Array.isArray(board) ? board.length : 0,
+          columns = rows > 0 && Array.isArray(board[0]) ? board[0].length : 0;
+    if (rows < MIN_BOARD_SIZE || rows > MAX_BOARD_ROWS || columns < MIN_BOARD_SIZE || columns > MAX_BOARD_COLUMNS ||
+        !board.every((row) => Array.isArray(row) && row.length === columns)) {
+        return `Board must be ${MIN_BOARD_SIZE} to ${MAX_BOARD_ROWS} rows of the same number of cells, from ${MIN_BOARD_SIZE} to ${MAX_BOARD_COLUMNS}`;
+    }
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const cell = board[row][col];
+            if (cell !== null && cell !== PLAYER1_COLOUR && cell !== PLAYER2_COLOUR) {
+                return `Cells must be null, "${PLAYER1_COLOUR}" or "${PLAYER2_COLOUR}"`;
+            }
+            if (cell !== null && row < rows - 1 && board[row + 1][col] === null) {
+                return `Disc in column ${col + 1} is floating`;
+            }
+        }
+    }
+    return null;
+}
+
+// red moves first so it is red's turn when both have the same number of discs.
+function getColourToMove(board) {
+    const cells = board.flat(),
+          red = cells.filter((cell) => cell === PLAYER1_COLOUR).length,
+          yellow = cells.filter((cell) => cell === PLAYER2_COLOUR).length;
+    if (red === yellow) {
+        return PLAYER1_COLOUR;
+    }
+    return red === yellow + 1 ? PLAYER2_COLOUR : null;
+}
+
+/**
+ * NOTATION HELPER FUNCTIONS
+ */
+const EXPORT_FORMATS = ["pgn", "moves"],
+      RESULT_PLAYER1_WINS = "1-0",
+      RESULT_PLAYER2_WINS = "0-1",
+      RESULT_DRAW = "1/2-1/2",
+      RESULT_TOKENS = [RESULT_PLAYER1_WINS, RESULT_PLAYER2_WINS, RESULT_DRAW, "*"],
+      IMPORT_HEADERS = ["Event", "Site", "Date", "EndDate", "Red", "Yellow", "Result", "Variant", "Board", "Connect"];
+
+// looks up the usernames of every player in the games at once.
+async function getUsernamesForGames(games) {
+    const userIds = [...new Set(games.flatMap((game) => [game.player1_id, game.player2_id]))],
+          usernames = new Map();
+    for (const userId of userIds) {
+        const user = await DB.getUsernameById(userId);
+        usernames.set(userId, user ? user.username : "?");
+    }
+    return usernames;
+}
+
+// result of a game written the same way as in chess notation.
+function getResultToken(game) {
+    if (game.winner_id && game.winner_id === game.player1_id) {
+        return RESULT_PLAYER1_WINS;
+    } else if (game.winner_id && game.winner_id === game.player2_id) {
+        return RESULT_PLAYER2_WINS;
+    }
+    return game.ended_at ? RESULT_DRAW : "*";
+}
+
+// dates in the headers are written as YYYY.MM.DD
+function formatHeaderDate(date) {
+    return date ? formatDateForSQL(new Date(date)).slice(0, 10).replace(/-/g, ".") : "????.??.??";
+}
+
+// turns a game and its moves into text, columns are written 1 - 7.
+function formatGameText(game, moves, usernames, format) {
+    const moveText = moves.map((move) => `${move.move_type === "pop" ? "p" : ""}${move.col_index + 1}`).join("");
+    if (format === "moves") {
+        return moveText;
+    }
+
+    const headers = game.is_analysis ? parseStoredHeaders(game.import_headers) : {
+        Event: "Connect Four",
+        Site: "ConnectFour",
+        Date: formatHeaderDate(moves.length > 0 ? moves[0].created_at : null),
+        EndDate: formatHeaderDate(game.ended_at),
+        Red: usernames.get(game.player1_id),
+        Yellow: usernames.get(game.player2_id),
+        Result: getResultToken(game)
+    };
+    const variant = getGameVariant(game);
+    if (variant.variant !== "standard" || variant.rows !== BOARD_ROWS || variant.columns !== BOARD_COLUMNS || variant.connect !== CONNECT_LENGTH) {
+        headers.Variant = variant.variant;
+        headers.Board = `${variant.rows}x${variant.columns}`;
+        headers.Connect = String(variant.connect);
+    }
+    headers.GameId = String(game.game_id);
+
+    const headerText = Object.entries(headers).map(([name, value]) => `[${name} "${value}"]`).join("\n");
+    return `${headerText}\n\n${moveText} ${headers.Result || "*"}`;
+}
+
+// mysql2 returns JSON columns already parsed, but be safe if it is still a string.
+function parseStoredHeaders(headers) {
+    if (!headers) {
+        return {};
+    }
+    return typeof headers === "string" ? JSON.parse(headers) : { ...headers };
+}
+
+// reads the headers and the column sequence out of an imported game.
+function parseGameText(text) {
+    if (typeof text !== "string" || !text.trim()) {
+        return { error: "No game was provided!" };
+    }
+
+    const headers = {},
+          moveLines = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim(),
+              header = trimmed.match(/^\[(\w+)\s+"([^"]*)"\]$/);
+        if (header) {
+            if (IMPORT_HEADERS.includes(header[1])) {
+                headers[header[1]] = header[2].slice(0, 100);
+            }
+        } else if (trimmed) {
+            moveLines.push(trimmed);
+        }
+    }
+
+    const tokens = moveLines.join(" ").split(/\s+/).filter(Boolean);
+    // the result after the moves is dropped even when the headers already have one
+    if (tokens.length > 0 && RESULT_TOKENS.includes(tokens[tokens.length - 1])) {
+        const result = tokens.pop();
+        headers.Result = headers.Result || result;
+    }
+    const moveText = tokens.join("");
+    if (!/^(p?[0-9])*$/.test(moveText)) {
+        return { error: "Moves must be a sequence of column numbers, pops start with a p!" };
+    }
+    if (headers.Result && !RESULT_TOKENS.includes(headers.Result)) {
+        return { error: `Result must be one of ${RESULT_TOKENS.join(", ")}` };
+    }
+    const boardSize = headers.Board ? headers.Board.match(/^(\d+)x(\d+)$/) : null;
+    if (headers.Board && !boardSize) {
+        return { error: "Board must be given as rows x columns, like 6x7" };
+    }
+
+    return {
+        headers,
+        variant: {
+            variant: headers.Variant || "standard",
+            rows: boardSize ? boardSize[1] : undefined,
+            columns: boardSize ? boardSize[2] : undefined,
+            connect: headers.Connect
+        },
+        moves: (moveText.match(/p?[0-9]/g) || []).map((token) => ({ col: Number(token.slice(-1)) - 1, pop: token[0] === "p" }))
+    };
+}
+
+module.exports = {
+    hashString,
+    
+    getUserWithUsernamePassword,
+    addUser,
+    deleteUser,
+    changePassword,
+    setEmail,
+    requestPasswordReset,
+    resetPassword,
+    getUsernameById,
+    searchUsers,
+    getProfile,
+    updateProfile,
+    getUserStats,
+
+    canAccessRoom,
+    postChatMessage,
+    getChatHistory,
+    isModerator,
+    muteUser,
+    unmuteUser,
+    kickUser,
+    reportMessage,
+    getReports,
+    resolveReport,
+
+    sendDirectMessage,
+    getConversations,
+    getConversation,
+    markConversationRead,
+
+    sendFriendRequest,
+    respondToFriendRequest,
+    removeFriend,
+    getFriends,
+    getFriendIds,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    getBlockedUserIds,
+    isBlocked,
+
+    setSession,
+    verifySession,
+    revokeSession,
+    getSessions,
+    revokeUserSession,
+    revokeAllSessions,
+    cleanupExpiredSessions,
+
+    getChallengeWithId,
+    getChallenges,
+    sendChallenge,
+    sendChallengeResponse,
+    cancelChallenge,
+    expireChallenges,
+
+    getGameWithId,
+    createGame,
+    createBotGame,
+    playBotMove,
+    analyzeGame,
+    analyzeBoard,
+    makeMove,
+    getClock,
+    getLiveClocks,
+    formatVariant,
+    checkTimeout,
+    getActiveTimedGames,
+    getBotTurnGames,
+    getUnfinishedGames,
+    forfeitGame,
+    resignGame,
+    offerDraw,
+    answerDrawOffer,
+    requestTakeback,
+    answerTakeback,
+    offerRematch,
+    answerRematch,
+    formatOffers,
+    getLiveGames,
+    getSpectatorSnapshot,
+    setAllowSpectators,
+    getLeaderboard,
+    getRatingHistory,
+    getRating,
+    findMatches,
+    getGameMoves,
+    replayGame,
+    exportGame,
+    exportUserGames,
+    importGame,
+
+    createTournament,
+    getTournaments,
+    getTournament,
+    joinTournament,
+    leaveTournament,
+    startTournament,
+    cancelTournament,
+    getTournamentStandings,
+    getTournamentBracket,
+    advanceTournaments,
+
+    getActiveGames,
+    getMyTurnGames,
+    getNotifications,
+    markNotificationsRead,
+    warnDeadlines,
+    deliverNotifications,
 
+    // Pure functions the tests check on their own
+    createEmptyBoard,
+    parseVariant,
+    createVariantState,
+    getWinningCells,
+    applyMove,
+    applyPop,
+    hasLegalMove,
+    pairRoundRobin,
+    pairSwiss,
+    pairKnockout,
+    getStandings,
+    calculateRatingChange,
+    formatGameText,
+    parseGameText,
+    parseTimeControl,
+    advanceClocks,
+    checkPasswordPolicy,
+    validateProfileField,
+    filterProfanity,
+    takeChatRateLimit,
 };
@@ -0,0 +1,77 @@
+/**
+ * MAILER
+ *
+ * Sends the emails for the server (password resets). The transport can be
+ * swapped for a real one with setTransport. Without one the mail is not sent,
+ * only who it was for and its subject are logged since the body can hold a reset
+ * code. While developing the mail can be read in a file of MAIL_OUTBOX_DIR, or
+ * on the console with MAIL_TRANSPORT=console.
+ */
+
+const fs = require('fs'),
+      path = require('path');
+
+// Logs that a mail could not be sent, the body is left out
+const logTransport = {
+    async send(mail) {
+        console.warn(`\tNo mail transport is set up, mail to ${mail.to} was not sent: ${mail.subject}`);
+    }
+};
+
+// Writes the whole mail to the console, only for development
+const consoleTransport = {
+    async send(mail) {
+        console.log(`\tMail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+    }
+};
+
+// Writes every mail to its own file in the outbox folder
+const createFileTransport = (outboxDir) => ({
+    async send(mail) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.txt`,
+              contents = `To: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`;
+        await fs.promises.writeFile(path.join(outboxDir, fileName), contents);
+    }
+});
+
+// picks the transport from the environment, see the top of the file.
+function getDefaultTransport(env) {
+    if (env.MAIL_OUTBOX_DIR) {
+        return createFileTransport(env.MAIL_OUTBOX_DIR);
+    }
+    return env.MAIL_TRANSPORT === "console" ? consoleTransport : logTransport;
+}
+
+let transport = getDefaultTransport(process.env);
+
+/**
+ * Use a different transport for sending mail, it needs a send(mail) function
+ * that returns a promise.
+ * @param {Object} newTransport - Transport with a send function.
+ */
+function setTransport(newTransport) {
+    if (!newTransport || typeof newTransport.send !== "function") {
+        throw new Error("Mail transport needs a send function");
+    }
+    transport = newTransport;
+}
+
+/**
+ * Sends an email with the current transport.
+ * @param {String} to - Address the mail is sent to.
+ * @param {String} subject - Subject of the mail.
+ * @param {String} text - Body of the mail.
+ */
+async function sendMail(to, subject, text) {
+    await transport.send({ to, subject, text });
+}
+
+module.exports = {
+    sendMail,
+    setTransport,
+    getDefaultTransport,
+    logTransport,
+    consoleTransport,
+    createFileTransport
+};
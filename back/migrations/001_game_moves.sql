@@ -0,0 +1,13 @@
+-- Every accepted move is stored in order so finished games can be replayed.
+CREATE TABLE game_move (
+    move_id    INT AUTO_INCREMENT PRIMARY KEY,
+    game_id    INT NOT NULL,
+    ply        INT NOT NULL,
+    player_id  INT NOT NULL,
+    col_index  TINYINT NOT NULL,
+    row_index  TINYINT NOT NULL,
+    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    UNIQUE KEY uq_game_move_ply (game_id, ply),
+    FOREIGN KEY (game_id) REFERENCES game(game_id) ON DELETE CASCADE,
+    FOREIGN KEY (player_id) REFERENCES users(user_id)
+);
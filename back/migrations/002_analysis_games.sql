@@ -0,0 +1,5 @@
+-- Imported games are only kept for analysis, they can't be played and keep the
+-- headers (players, result, dates) they were imported with.
+ALTER TABLE game
+    ADD COLUMN is_analysis    TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN import_headers JSON NULL;
@@ -0,0 +1,9 @@
+-- Bot players are regular users with a level, their password can never match a
+-- bcrypt hash so nobody can log in as them.
+ALTER TABLE users
+    ADD COLUMN bot_level VARCHAR(10) NULL;
+
+INSERT INTO users (username, password, bot_level) VALUES
+    ('bot-easy', '!', 'easy'),
+    ('bot-medium', '!', 'medium'),
+    ('bot-hard', '!', 'hard');
@@ -0,0 +1,24 @@
+-- Elo ratings. Only games created as rated change a rating, rated and unrated
+-- games are counted separately.
+ALTER TABLE users
+    ADD COLUMN rating        INT NOT NULL DEFAULT 1200,
+    ADD COLUMN rated_games   INT NOT NULL DEFAULT 0,
+    ADD COLUMN unrated_games INT NOT NULL DEFAULT 0;
+
+ALTER TABLE game
+    ADD COLUMN rated TINYINT(1) NOT NULL DEFAULT 0;
+
+CREATE TABLE rating_history (
+    history_id    INT AUTO_INCREMENT PRIMARY KEY,
+    user_id       INT NOT NULL,
+    game_id       INT NOT NULL,
+    opponent_id   INT NOT NULL,
+    score         DECIMAL(2, 1) NOT NULL,
+    rating_before INT NOT NULL,
+    rating_after  INT NOT NULL,
+    created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_rating_history_user (user_id, created_at),
+    KEY idx_rating_history_created (created_at),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (game_id) REFERENCES game(game_id) ON DELETE CASCADE
+);
@@ -0,0 +1,11 @@
+-- Time controls are picked when a challenge or game is created. The clocks are
+-- stored with the game so they survive a server restart.
+ALTER TABLE game
+    ADD COLUMN time_control     JSON NULL,
+    ADD COLUMN clock_player1_ms INT NULL,
+    ADD COLUMN clock_player2_ms INT NULL,
+    ADD COLUMN turn_started_at  DATETIME(3) NULL,
+    ADD COLUMN end_reason       VARCHAR(20) NULL;
+
+ALTER TABLE challenge
+    ADD COLUMN time_control JSON NULL;
@@ -0,0 +1,3 @@
+-- Players can turn off spectating for their game.
+ALTER TABLE game
+    ADD COLUMN allow_spectators TINYINT(1) NOT NULL DEFAULT 1;
@@ -0,0 +1,5 @@
+-- Sessions are used through a bearer token "<session_id>.<secret>", only a hash
+-- of the secret is stored. Revoked sessions can't be used anymore.
+ALTER TABLE session
+    ADD COLUMN secret_hash CHAR(64) NULL,
+    ADD COLUMN revoked_at  DATETIME NULL;
@@ -0,0 +1,7 @@
+-- Sessions keep the device they were made on so users can see and revoke them.
+-- last_seen_at is used to slide the expiry date while a session is being used.
+ALTER TABLE session
+    ADD COLUMN ip           VARCHAR(45) NULL,
+    ADD COLUMN user_agent   VARCHAR(255) NULL,
+    ADD COLUMN created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN last_seen_at DATETIME NULL;
@@ -0,0 +1,18 @@
+-- Accounts can have an email for password resets. Deleted accounts are kept and
+-- anonymized so the finished games they played stay in the history.
+ALTER TABLE users
+    ADD COLUMN email      VARCHAR(255) NULL,
+    ADD COLUMN deleted_at DATETIME NULL,
+    ADD UNIQUE KEY uq_users_email (email);
+
+-- Reset tokens can be used once and expire, only a hash of the token is stored.
+CREATE TABLE password_reset (
+    reset_id   INT AUTO_INCREMENT PRIMARY KEY,
+    user_id    INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at    DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_password_reset_token (token_hash),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,22 @@
+-- Failed logins are counted per account ("user:<username>") and per IP address
+-- ("ip:<address>") so the backoff and lockouts still apply after a restart.
+CREATE TABLE login_throttle (
+    throttle_key    VARCHAR(80) PRIMARY KEY,
+    failures        INT NOT NULL DEFAULT 0,
+    last_failure_at DATETIME(3) NOT NULL,
+    locked_until    DATETIME(3) NULL
+);
+
+-- Every login attempt, kept for auditing.
+CREATE TABLE login_attempt (
+    attempt_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id    INT NULL,
+    username   VARCHAR(64) NULL,
+    ip         VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    success    TINYINT(1) NOT NULL,
+    reason     VARCHAR(32) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_login_attempt_user (user_id, created_at),
+    KEY idx_login_attempt_ip (ip, created_at)
+);
@@ -0,0 +1,12 @@
+-- Public profile of a user. Country is an ISO 3166-1 alpha-2 code.
+ALTER TABLE users
+    ADD COLUMN display_name VARCHAR(30) NULL,
+    ADD COLUMN avatar_url   VARCHAR(500) NULL,
+    ADD COLUMN bio          VARCHAR(500) NULL,
+    ADD COLUMN country      CHAR(2) NULL,
+    ADD COLUMN created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Finished games of a player are read for the statistics.
+ALTER TABLE game
+    ADD KEY idx_game_player1_ended (player1_id, ended_at),
+    ADD KEY idx_game_player2_ended (player2_id, ended_at);
@@ -0,0 +1,24 @@
+-- A friend request is one row from the requester to the addressee, it becomes
+-- a friendship when it is accepted.
+CREATE TABLE friendship (
+    requester_id INT NOT NULL,
+    addressee_id INT NOT NULL,
+    status       ENUM('pending', 'accepted') NOT NULL DEFAULT 'pending',
+    created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accepted_at  DATETIME NULL,
+    PRIMARY KEY (requester_id, addressee_id),
+    KEY idx_friendship_addressee (addressee_id, status),
+    FOREIGN KEY (requester_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (addressee_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Blocked users can't challenge, message or see the status of the user that blocked them.
+CREATE TABLE user_block (
+    blocker_id INT NOT NULL,
+    blocked_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id),
+    KEY idx_user_block_blocked (blocked_id),
+    FOREIGN KEY (blocker_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,17 @@
+-- Challenges keep their state and options. A pending challenge expires at
+-- expires_at, accepting it creates the game stored in game_id.
+ALTER TABLE challenge
+    ADD COLUMN status       ENUM('pending', 'accepted', 'declined', 'cancelled', 'expired') NOT NULL DEFAULT 'pending',
+    ADD COLUMN colour       ENUM('red', 'yellow', 'random') NOT NULL DEFAULT 'random',
+    ADD COLUMN rated        TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN variant      VARCHAR(32) NOT NULL DEFAULT 'standard',
+    ADD COLUMN created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN expires_at   DATETIME NULL,
+    ADD COLUMN responded_at DATETIME NULL,
+    ADD COLUMN game_id      INT NULL,
+    ADD KEY idx_challenge_status_expires (status, expires_at),
+    ADD KEY idx_challenge_challenger_status (challenger_id, status),
+    ADD KEY idx_challenge_sender_status (sender_id, status);
+
+-- Challenges from before this had no expiry, the answered ones keep their answer.
+UPDATE challenge SET status = CASE accept_deny WHEN 1 THEN 'accepted' WHEN 0 THEN 'declined' ELSE 'expired' END;
@@ -0,0 +1,44 @@
+-- Moderators can mute and kick users in chat rooms and handle reports.
+ALTER TABLE users
+    ADD COLUMN is_moderator TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Chat messages of the lobby and game rooms. room is "lobby" or a game ID.
+CREATE TABLE chat_message (
+    message_id INT AUTO_INCREMENT PRIMARY KEY,
+    room       VARCHAR(64) NOT NULL,
+    user_id    INT NOT NULL,
+    body       VARCHAR(500) NOT NULL,
+    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    deleted_at DATETIME NULL,
+    KEY idx_chat_message_room (room, message_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- A muted user can't send messages in the room until muted_until.
+CREATE TABLE chat_mute (
+    mute_id     INT AUTO_INCREMENT PRIMARY KEY,
+    room        VARCHAR(64) NOT NULL,
+    user_id     INT NOT NULL,
+    muted_by    INT NOT NULL,
+    reason      VARCHAR(255) NULL,
+    muted_until DATETIME NOT NULL,
+    created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_chat_mute_user (user_id, room, muted_until),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (muted_by) REFERENCES users(user_id)
+);
+
+-- Messages reported by users, a moderator resolves the report.
+CREATE TABLE chat_report (
+    report_id   INT AUTO_INCREMENT PRIMARY KEY,
+    message_id  INT NOT NULL,
+    reporter_id INT NOT NULL,
+    reason      VARCHAR(255) NULL,
+    created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME NULL,
+    resolved_by INT NULL,
+    UNIQUE KEY uq_chat_report (message_id, reporter_id),
+    KEY idx_chat_report_open (resolved_at),
+    FOREIGN KEY (message_id) REFERENCES chat_message(message_id) ON DELETE CASCADE,
+    FOREIGN KEY (reporter_id) REFERENCES users(user_id)
+);
@@ -0,0 +1,13 @@
+-- One-to-one messages. read_at is set when the recipient reads the message.
+CREATE TABLE direct_message (
+    message_id   INT AUTO_INCREMENT PRIMARY KEY,
+    sender_id    INT NOT NULL,
+    recipient_id INT NOT NULL,
+    body         VARCHAR(1000) NOT NULL,
+    created_at   DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    read_at      DATETIME(3) NULL,
+    KEY idx_direct_message_pair (sender_id, recipient_id, message_id),
+    KEY idx_direct_message_unread (recipient_id, read_at),
+    FOREIGN KEY (sender_id) REFERENCES users(user_id),
+    FOREIGN KEY (recipient_id) REFERENCES users(user_id)
+);
@@ -0,0 +1,17 @@
+-- Every game is played with a variant and board size. variant_state holds the
+-- extra state some variants need (Pop 10's phase and captured discs).
+ALTER TABLE game
+    ADD COLUMN variant        VARCHAR(32) NOT NULL DEFAULT 'standard',
+    ADD COLUMN board_rows     TINYINT NOT NULL DEFAULT 6,
+    ADD COLUMN board_columns  TINYINT NOT NULL DEFAULT 7,
+    ADD COLUMN connect_length TINYINT NOT NULL DEFAULT 4,
+    ADD COLUMN variant_state  JSON NULL;
+
+-- A move either drops a disc in a column or pops a disc out of its bottom row.
+ALTER TABLE game_move
+    ADD COLUMN move_type ENUM('drop', 'pop') NOT NULL DEFAULT 'drop';
+
+ALTER TABLE challenge
+    ADD COLUMN board_rows     TINYINT NOT NULL DEFAULT 6,
+    ADD COLUMN board_columns  TINYINT NOT NULL DEFAULT 7,
+    ADD COLUMN connect_length TINYINT NOT NULL DEFAULT 4;
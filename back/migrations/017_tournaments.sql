@@ -0,0 +1,55 @@
+-- Tournaments are played as round-robin, Swiss or knockout. Players register
+-- until registration_closes_at, then the server pairs them round by round.
+CREATE TABLE tournament (
+    tournament_id          INT AUTO_INCREMENT PRIMARY KEY,
+    name                   VARCHAR(100) NOT NULL,
+    format                 ENUM('round-robin', 'swiss', 'knockout') NOT NULL,
+    status                 ENUM('registration', 'running', 'finished', 'cancelled') NOT NULL DEFAULT 'registration',
+    creator_id             INT NOT NULL,
+    registration_opens_at  DATETIME NOT NULL,
+    registration_closes_at DATETIME NOT NULL,
+    time_control           JSON NOT NULL,
+    rated                  TINYINT(1) NOT NULL DEFAULT 0,
+    variant                VARCHAR(32) NOT NULL DEFAULT 'standard',
+    board_rows             TINYINT NOT NULL DEFAULT 6,
+    board_columns          TINYINT NOT NULL DEFAULT 7,
+    connect_length         TINYINT NOT NULL DEFAULT 4,
+    max_players            INT NOT NULL,
+    total_rounds           INT NULL,
+    current_round          INT NOT NULL DEFAULT 0,
+    created_at             DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at             DATETIME NULL,
+    finished_at            DATETIME NULL,
+    KEY idx_tournament_status_closes (status, registration_closes_at),
+    FOREIGN KEY (creator_id) REFERENCES users(user_id)
+);
+
+-- Seeds are given by rating when the tournament starts.
+CREATE TABLE tournament_player (
+    tournament_id INT NOT NULL,
+    user_id       INT NOT NULL,
+    seed          INT NULL,
+    joined_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tournament_id, user_id),
+    KEY idx_tournament_player_user (user_id),
+    FOREIGN KEY (tournament_id) REFERENCES tournament(tournament_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- One row per game of a round, byes have no player2 and no game. In knockout the
+-- slot is the place in the bracket, a drawn game is replayed in the same slot.
+CREATE TABLE tournament_pairing (
+    pairing_id    INT AUTO_INCREMENT PRIMARY KEY,
+    tournament_id INT NOT NULL,
+    round         INT NOT NULL,
+    slot          INT NOT NULL,
+    player1_id    INT NOT NULL,
+    player2_id    INT NULL,
+    game_id       INT NULL,
+    result        ENUM('1-0', '0-1', '1/2-1/2', 'bye') NULL,
+    created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_tournament_pairing_round (tournament_id, round, slot),
+    KEY idx_tournament_pairing_game (game_id),
+    FOREIGN KEY (tournament_id) REFERENCES tournament(tournament_id) ON DELETE CASCADE,
+    FOREIGN KEY (game_id) REFERENCES game(game_id)
+);
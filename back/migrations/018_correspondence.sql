@@ -0,0 +1,26 @@
+-- Correspondence games give every move days instead of minutes. The player to
+-- move is warned once per turn when their deadline gets close, deadline_warned_at
+-- is cleared again by the next move.
+ALTER TABLE game
+    ADD COLUMN correspondence     TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN deadline_warned_at DATETIME NULL,
+    ADD KEY idx_game_turn_ended (current_turn, ended_at),
+    ADD KEY idx_game_correspondence_ended (correspondence, ended_at);
+
+-- Notifications for the players of correspondence games. delivered_at is set once
+-- the notification went out over the WebSocket or the notification transport,
+-- read_at when the user marks it as read.
+CREATE TABLE notification (
+    notification_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id         INT NOT NULL,
+    type            ENUM('yourTurn', 'deadlineApproaching', 'gameEnded') NOT NULL,
+    game_id         INT NULL,
+    details         JSON NULL,
+    created_at      DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    delivered_at    DATETIME(3) NULL,
+    read_at         DATETIME(3) NULL,
+    KEY idx_notification_user (user_id, notification_id),
+    KEY idx_notification_delivered (delivered_at),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (game_id) REFERENCES game(game_id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- Offers a player made to their opponent that were not answered yet. A draw offer
+-- lapses when the opponent moves and a takeback request when anyone moves.
+-- rematch_game_id is the game started when a rematch was accepted.
+ALTER TABLE game
+    ADD COLUMN draw_offered_by       INT NULL,
+    ADD COLUMN takeback_requested_by INT NULL,
+    ADD COLUMN rematch_offered_by    INT NULL,
+    ADD COLUMN rematch_game_id       INT NULL,
+    ADD FOREIGN KEY (rematch_game_id) REFERENCES game(game_id);
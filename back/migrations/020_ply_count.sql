@@ -0,0 +1,8 @@
+-- Number of moves made in a game. A move is only saved when the count is still
+-- the one it was checked against, so two moves of a player keeping the turn
+-- (Pop 10) can't both be played on the same board.
+ALTER TABLE game
+    ADD COLUMN ply_count INT NOT NULL DEFAULT 0;
+
+UPDATE game g
+SET g.ply_count = (SELECT COUNT(*) FROM game_move m WHERE m.game_id = g.game_id);
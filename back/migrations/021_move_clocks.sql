@@ -0,0 +1,5 @@
+-- Clocks of both players before a move was made, a takeback puts them back.
+-- NULL for games without a clock and for moves stored before this column.
+ALTER TABLE game_move
+    ADD COLUMN clock_player1_ms INT NULL,
+    ADD COLUMN clock_player2_ms INT NULL;
@@ -0,0 +1,7 @@
+-- Sessions are only used through their bearer token, the old token woven from
+-- hashes of the IP, user ID and username is not used anymore. Sessions made
+-- before bearer tokens can't be used either, so they are removed.
+DELETE FROM session WHERE secret_hash IS NULL;
+
+ALTER TABLE session
+    DROP COLUMN token;
@@ -0,0 +1,102 @@
+/**
+ * NOTIFIER
+ *
+ * Sends the notifications of users that are not connected (correspondence game
+ * turns, deadlines and results). The transport can be swapped with setTransport,
+ * by default the notification is posted to NOTIFICATION_WEBHOOK_URL when it is set
+ * and mailed to the user otherwise, so while developing it ends up wherever the
+ * mailer writes its mail.
+ */
+
+const http = require('http'),
+      https = require('https'),
+      mailer = require(`./mailer.js`);
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Subject and text of the mail for every type of notification
+const describeNotification = (notification) => {
+    const { type, gameId, details } = notification;
+    if (type === "yourTurn") {
+        return { subject: `Your move in game ${gameId}`, text: `It is your turn in game ${gameId}, make your move before ${details.deadline}.` };
+    }
+    if (type === "deadlineApproaching") {
+        return { subject: `Your move in game ${gameId} is due soon`, text: `You have until ${details.deadline} to move in game ${gameId} or you lose on time.` };
+    }
+    const outcome = details.draw ? "ended in a draw" : (details.winnerId === notification.userId ? "was won by you" : "was lost");
+    return { subject: `Game ${gameId} is over`, text: `Game ${gameId} ${outcome} (${details.reason}).` };
+};
+
+// Mails the notification to the user, users without an email are skipped
+const emailTransport = {
+    async send(notification, user) {
+        if (!user.email) {
+            return;
+        }
+        const { subject, text } = describeNotification(notification);
+        await mailer.sendMail(user.email, subject, text);
+    }
+};
+
+// Writes the notification to the console
+const consoleTransport = {
+    async send(notification, user) {
+        console.log(`\tNotification for ${user.username}: ${describeNotification(notification).text}`);
+    }
+};
+
+// Posts every notification as JSON to the webhook URL
+const createWebhookTransport = (url) => ({
+    send(notification, user) {
+        const body = JSON.stringify({ ...notification, username: user.username }),
+              client = url.startsWith("https:") ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: "POST",
+                timeout: WEBHOOK_TIMEOUT_MS,
+                headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) }
+            }, (response) => {
+                response.resume();
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Notification webhook answered with ${response.statusCode}`));
+                }
+            });
+            request.on("timeout", () => request.destroy(new Error("Notification webhook timed out")));
+            request.on("error", reject);
+            request.end(body);
+        });
+    }
+});
+
+let transport = process.env.NOTIFICATION_WEBHOOK_URL ? createWebhookTransport(process.env.NOTIFICATION_WEBHOOK_URL) : emailTransport;
+
+/**
+ * Use a different transport for sending notifications, it needs a
+ * send(notification, user) function that returns a promise.
+ * @param {Object} newTransport - Transport with a send function.
+ */
+function setTransport(newTransport) {
+    if (!newTransport || typeof newTransport.send !== "function") {
+        throw new Error("Notification transport needs a send function");
+    }
+    transport = newTransport;
+}
+
+/**
+ * Sends a notification with the current transport.
+ * @param {Object} notification - Notification as it is sent over the WebSocket.
+ * @param {Object} user - user_id, username and email of the user it is for.
+ */
+async function sendNotification(notification, user) {
+    await transport.send(notification, { userId: user.user_id, username: user.username, email: user.email });
+}
+
+module.exports = {
+    sendNotification,
+    setTransport,
+    emailTransport,
+    consoleTransport,
+    createWebhookTransport
+};
@@ -6,237 +6,1256 @@ const express    = require('express'),
       app        = express(),
       cors       = require('cors'),
       bodyParser = require('body-parser'),
-      db         = require(`./db.js`),
+      api        = require(`./api.js`),
+      schemas    = require(`./apiSchemas.js`),
       logic      = require(`./logic.js`),
       http       = require('http'),
+      proxyaddr  = require('proxy-addr'),
       WebSocket  = require('ws');
 
+const protocol   = require(`./socket/protocol.js`),
+      lobby      = require(`./socket/lobby.js`),
+      chat       = require(`./socket/chat.js`),
+      challenges = require(`./socket/challenge.js`),
+      games      = require(`./socket/game.js`);
+
+const { userSockets, rooms, matchQueue, spectators, tournamentWatchers, sendToUser, sendToGame, sendToPlayers,
+        joinRoom, removeSpectator, getPresence, updatePresence } = require(`./socket/state.js`),
+      { sendChatHistory, deliverDirectMessage, readConversation } = chat,
+      { createChallenge, answerChallenge, withdrawChallenge } = challenges,
+      { resumeGames, handleDisconnect, sendStartGame, watchClock, playMove, runGameAction } = games,
+      { sendFriendsPresence, sendTournamentEvent } = lobby;
+
+// Proxies in front of the server, a comma separated list of addresses, subnets or
+// "loopback". X-Forwarded-For is only read when the request came through one of them,
+// otherwise anyone could pick the IP their logins are throttled and audited under.
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '').split(',').map((proxy) => proxy.trim()).filter(Boolean),
+      trustProxy = proxyaddr.compile(TRUSTED_PROXIES);
+
+app.set('trust proxy', TRUSTED_PROXIES);
 app.use(cors());
 app.use(bodyParser.json());
 
-// Helper to ensure that the ip is ipv4
+// Helper to ensure that the ip is ipv4, works for the WebSocket upgrade request too
 const getClientIp = (req) => {
-    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress || req.ip;
+    const ip = proxyaddr(req, trustProxy);
     return ip === '::1' ? '127.0.0.1' : ip;
 };
 
-// Handle login requests
-app.post(`/login`, async (req, res) => {
-    const { username, password } = req.body;
+// Helper to read the session token from the Authorization header ("Bearer <token>")
+const getBearerToken = (req) => {
+    const header = req.headers['authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
 
-    try {
-        const result = await logic.getUserWithUsernamePassword(username, password);
-
-        if (result.length === 0) {
-            // User was not found username or password is incorrect.
-            return res.status(401).json({ error: 'Invalid username or password' });
-        } else if (result.error) {
-            return res.status(401).json(result);
-        } 
-        const userId = result.user_id;
-        
-        // User was found now we should make the session token.
-        const clientIp = getClientIp(req);
-        const sessionId = await logic.setSession(clientIp, userId, username);
-        return res.status(200).json({ message: { userId: userId, sessionId: sessionId } });
-
-    } catch (error) {
-        console.log(error);
-        return res.status(500).json({ error: `Internal Server Error Occured` });
-    }
-});
+// Helper to find the session of a request, routes that need a logged in user take
+// the acting user from the session and not from the request body.
+const getRequestSession = (req) => logic.verifySession(getBearerToken(req), getClientIp(req));
 
-// Handle creating account
-app.post(`/createAccount`, async (req, res) => {
-    const { username, password, confirmPassword } = req.body;
+// Checks the session before a WebSocket is upgraded. Browsers can't set headers on
+// a WebSocket so the token can also be sent as the `token` query parameter.
+const verifyWebSocketClient = (info, done) => {
+    const urlParams = new URLSearchParams(info.req.url.split('?')[1]),
+          token = getBearerToken(info.req) || urlParams.get('token');
 
-    try {
-        const result = await logic.addUser(username, password, confirmPassword);
-        if(result.error) {
-            return res.status(401).json(result);
-        } else {
-            return res.status(201).json({ message: { userId: result.userId } });
-        }
-    } catch (error) {
-        if (error.code === 'ER_DUP_ENTRY') { 
-            return res.status(400).json({ error: `Username already exists` });
-        } else {
-            console.log(error);
-            return res.status(500).json({ error: `An error occurred on the server` });
+    logic.verifySession(token, getClientIp(info.req))
+        .then((session) => {
+            if (!session) {
+                return done(false, 401, `Session is not verified!`);
+            }
+            info.req.session = session;
+            done(true);
+        })
+        .catch((err) => {
+            console.error("Error verifying WebSocket session:", err);
+            done(false, 500, `An error occured on the server!`);
+        });
+};
+
+// Helper to close the sockets that were opened with a session that was revoked
+const closeSessionSockets = (sessionId) => {
+    for (const client of wss.clients) {
+        if (client.sessionId === sessionId) {
+            client.close(4001, "Session revoked");
         }
     }
-});
+};
 
-app.post(`/getUsername`, async (req, res) => {
-    const { userId } = req.body;
-    try {
-        const result = await logic.getUsernameById(userId);
-        if(!result) {
-            return res.status(404).json({ error: `No user found!` });
-        }
-        return res.status(200).json({ message: result });
-    } catch (error) {
-        console.log(error);
-        return res.status(500).json({ error: `An error occurred on the server` });
-    }
-});
+/**
+ * Every HTTP route, see api.js for what a route definition holds. They are served
+ * under /api/v1 and at their old paths, which answer the way they used to.
+ */
+const { ref, id, paging, cursor, timeControlInput, variantInput, passwordFields, responses } = schemas;
 
-app.get(`/usernames`, async (req, res) => {
-    try {
-        const results = await db.getAllUsernames();
-        return res.status(200).json({ message: results });
-    } catch (error) {
-        console.log(error);
-        return res.status(500).json({ error: `An error occurred on the server` });
-    }
-});
+const room = { type: "string", pattern: "^[a-zA-Z0-9_-]{1,64}$", description: "\"lobby\", a game ID or a named room" },
+      exportFormat = { type: "string", enum: ["pgn", "moves"] },
+      userIdBody = { type: "object", required: ["userId"], properties: { userId: id } };
 
-app.post(`/checkSession`, async (req, res) => {
-    const { userId, sessionId } = req.body;
-    try {
-        const clientIp = getClientIp(req);
-        const username = await logic.getUsernameById(userId);
-        const token = logic.createSessionToken(clientIp, userId, username);
-        
-        // Get the stored session checksum
-        const storedToken = await logic.getSessionTokenWithIdUserId(sessionId, userId);
-        if (!storedToken || storedToken !== token) {
-            return res.status(401).json({ error: `Session is not verified!` });
-        } 
-
-        return res.status(200).json({message: username});
-    } catch (error) {
-        return res.status(500).json({ error: `An error occured on the server!` });
-    }
-});
+const routes = [
+    /**
+     * ACCOUNTS AND SESSIONS
+     */
+    {
+        name: "login",
+        method: "post",
+        path: "/login",
+        summary: "Log in and get a session token",
+        tags: ["Accounts"],
+        legacy: "json",
+        body: {
+            type: "object",
+            required: ["username", "password"],
+            properties: { username: { type: "string" }, password: { type: "string" } }
+        },
+        response: ref("Session"),
+        handler: async (req) => {
+            const { username, password } = req.body,
+                  clientIp = getClientIp(req),
+                  result = await logic.getUserWithUsernamePassword(username, password, clientIp, req.headers['user-agent']);
 
-app.post(`/sendChallenge`, async (req,res) => {
-    const { userId, challengerId } = req.body;
-    try {
-        const challengeId = await logic.sendChallenge(userId, challengerId);
-        if (!challengeId) {
-            return res.status(404).json({ error: "Challenger not found!" });
-        }
-        return res.status(200).json({ message: challengeId});
-    } catch (error) {
-        return res.status(500).json({ error: `An error occured on the server!` });
-    }
-});
+            if (!result || result.length === 0) {
+                // User was not found username or password is incorrect.
+                return { error: 'Invalid username or password', status: 401 };
+            } else if (result.error) {
+                return { ...result, status: result.status || 401 };
+            }
+            const userId = result.user_id;
 
-app.post(`/challengeResponse`, async (req, res) => {
-    const { challengeId, reply } = req.body;
-    try {
-        const response = logic.sendChallengeResponse(challengeId, reply);
-        if(!response) {
-            return res.status(404).json({ error: "Challenge was not found!" });
+            // User was found now we should make the session token.
+            const session = await logic.setSession(clientIp, userId, req.headers['user-agent']);
+            return { userId: userId, sessionId: session.sessionId, token: session.token };
         }
-        return res.status(200).json({ message: response });
-    } catch (error) {
-        return res.status(500).json({ error: `An error occured on the server!` });
-    }
-});
-
-app.post(`/game/create`, async (req, res) => {
-    const { userId, opponentId } = req.body;
-    try {
-        const response = await logic.createGame(userId, opponentId);
-        if (!response) {
-            return res.status(404).json({ error: "Game was not found!" });
-        }
-        return res.status(200).json({ message: response });
-    } catch (error) {
-        console.error(error);
-        return res.status(500).json({ error: "An error occurred on the server!" });
-    }
-});
+    },
+    {
+        name: "createAccount",
+        method: "post",
+        path: "/createAccount",
+        summary: "Create an account",
+        tags: ["Accounts"],
+        legacy: "json",
+        body: {
+            type: "object",
+            required: ["username", "password", "confirmPassword"],
+            properties: { username: { type: "string" }, ...passwordFields, email: { type: ["string", "null"] } }
+        },
+        status: 201,
+        response: { type: "object", required: ["userId"], properties: { userId: id } },
+        handler: async (req) => {
+            const { username, password, confirmPassword, email } = req.body;
+            try {
+                const result = await logic.addUser(username, password, confirmPassword, email);
+                if (result.error) {
+                    return { error: result.error, status: result.status || 400 };
+                }
+                return { userId: result.userId };
+            } catch (error) {
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return { error: error.message.includes('email') ? `Email is already used` : `Username already exists`, status: 409 };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: "getUsername",
+        method: "post",
+        path: "/getUsername",
+        summary: "Get the username of a user",
+        tags: ["Users"],
+        legacy: "json",
+        body: userIdBody,
+        response: { type: "string" },
+        handler: async (req) => {
+            const result = await logic.getUsernameById(req.body.userId);
+            if (!result) {
+                return { error: `No user found!`, status: 404 };
+            }
+            return result;
+        }
+    },
+    {
+        name: "searchUsers",
+        method: "get",
+        path: "/usernames",
+        summary: "User directory, prefix searches by the start of the username",
+        tags: ["Users"],
+        legacy: "json",
+        query: { prefix: { type: "string", maxLength: 15 }, ...paging },
+        response: responses.userPage,
+        handler: (req) => logic.searchUsers(req.query.prefix, req.query.page, req.query.pageSize)
+    },
+    {
+        // The session is checked before the handler, the username is sent back
+        name: "checkSession",
+        method: "post",
+        path: "/checkSession",
+        summary: "Check the session token, answers with the username",
+        tags: ["Accounts"],
+        legacy: "json",
+        auth: true,
+        // Old clients send the { userId, sessionId, token } their login answered with
+        // in the body. A session ID alone can't be checked, the token has to come with it.
+        legacyAuth: async (req) => {
+            const { userId, sessionId, token } = req.body || {},
+                  session = await logic.verifySession(token, getClientIp(req));
+            return session && Number(userId) === session.userId && Number(sessionId) === session.sessionId ? session : null;
+        },
+        response: { type: "string" },
+        handler: async (req) => req.username
+    },
+    {
+        name: "logout",
+        method: "post",
+        path: "/logout",
+        summary: "Log out of this session",
+        tags: ["Accounts"],
+        auth: true,
+        response: responses.text,
+        handler: async (req) => {
+            await logic.revokeSession(req.sessionId);
+            closeSessionSockets(req.sessionId);
+            return "Logged out";
+        }
+    },
+    {
+        // Log out everywhere, every session of the user is revoked
+        name: "logoutEverywhere",
+        method: "post",
+        path: "/logout/all",
+        summary: "Log out of every session",
+        tags: ["Accounts"],
+        auth: true,
+        response: { type: "object", required: ["revoked"], properties: { revoked: { type: "integer", minimum: 0 } } },
+        handler: async (req) => {
+            const sessionIds = await logic.revokeAllSessions(req.userId);
+            sessionIds.forEach(closeSessionSockets);
+            return { revoked: sessionIds.length };
+        }
+    },
+    {
+        name: "getSessions",
+        method: "get",
+        path: "/sessions",
+        summary: "Sessions the user is logged in with",
+        tags: ["Accounts"],
+        auth: true,
+        response: { type: "array", items: ref("SessionInfo") },
+        handler: (req) => logic.getSessions(req.userId, req.sessionId)
+    },
+    {
+        name: "revokeSession",
+        method: "delete",
+        path: "/sessions/:sessionId",
+        summary: "Log out of one of the user's sessions",
+        tags: ["Accounts"],
+        auth: true,
+        params: { sessionId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const { sessionId } = req.params;
+            if (!(await logic.revokeUserSession(sessionId, req.userId))) {
+                return { error: `Session was not found!`, status: 404 };
+            }
+            closeSessionSockets(sessionId);
+            return "Session revoked";
+        }
+    },
+    {
+        name: "changePassword",
+        method: "post",
+        path: "/account/password",
+        summary: "Change the password, the other sessions are logged out",
+        tags: ["Accounts"],
+        auth: true,
+        body: {
+            type: "object",
+            required: ["currentPassword", "password", "confirmPassword"],
+            properties: { currentPassword: { type: "string" }, ...passwordFields }
+        },
+        response: responses.text,
+        handler: async (req) => {
+            const { currentPassword, password, confirmPassword } = req.body,
+                  result = await logic.changePassword(req.userId, req.sessionId, currentPassword, password, confirmPassword);
+            if (result.error) {
+                return result;
+            }
+            result.revokedSessions.forEach(closeSessionSockets);
+            return "Password changed";
+        }
+    },
+    {
+        name: "setEmail",
+        method: "post",
+        path: "/account/email",
+        summary: "Set or clear the email used for password resets",
+        tags: ["Accounts"],
+        auth: true,
+        body: { type: "object", required: ["email"], properties: { email: { type: ["string", "null"] } } },
+        response: { type: "object", required: ["email"], properties: { email: { type: ["string", "null"] } } },
+        handler: async (req) => {
+            try {
+                const result = await logic.setEmail(req.userId, req.body.email);
+                if (result.error) {
+                    return result;
+                }
+                return { email: result.email };
+            } catch (error) {
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return { error: `Email is already used`, status: 409 };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        // The answer is the same whether or not the account exists
+        name: "requestPasswordReset",
+        method: "post",
+        path: "/account/password-reset",
+        summary: "Mail a password reset code",
+        tags: ["Accounts"],
+        // The account is found by its username or its email, one of them is enough
+        body: {
+            anyOf: ["username", "email"].map((field) => ({
+                type: "object",
+                required: [field],
+                properties: { username: { type: "string" }, email: { type: "string" } }
+            }))
+        },
+        response: responses.text,
+        handler: async (req) => {
+            await logic.requestPasswordReset(req.body.username, req.body.email);
+            return "If the account has an email a reset code was sent to it";
+        }
+    },
+    {
+        name: "resetPassword",
+        method: "post",
+        path: "/account/password-reset/confirm",
+        summary: "Set a new password with a reset code",
+        tags: ["Accounts"],
+        body: {
+            type: "object",
+            required: ["token", "password", "confirmPassword"],
+            properties: { token: { type: "string" }, ...passwordFields }
+        },
+        response: responses.text,
+        handler: async (req) => {
+            const { token, password, confirmPassword } = req.body,
+                  result = await logic.resetPassword(token, password, confirmPassword);
+            if (result.error) {
+                return result;
+            }
+            result.revokedSessions.forEach(closeSessionSockets);
+            return "Password changed";
+        }
+    },
+    {
+        // The account is anonymized, unfinished games are lost and the user is logged out everywhere
+        name: "deleteAccount",
+        method: "delete",
+        path: "/account",
+        summary: "Delete the account",
+        tags: ["Accounts"],
+        auth: true,
+        body: { type: "object", required: ["password"], properties: { password: { type: "string" } } },
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.deleteUser(req.userId, req.body.password);
+            if (result.error) {
+                return result;
+            }
+            for (const game of result.endedGames) {
+                sendToGame(game, { action: "gameOver", gameId: game.gameId, ...game.gameOver });
+            }
+            result.revokedSessions.forEach(closeSessionSockets);
+            console.log(`\tUser ${req.userId} deleted their account`);
+            return "Account deleted";
+        }
+    },
 
-app.get('/game/:gameId', async (req, res) => {
-    const { gameId } = req.params;
+    /**
+     * FRIENDS AND BLOCKS
+     */
+    {
+        // Friends and friend requests, with the status of each friend
+        name: "getFriends",
+        method: "get",
+        path: "/friends",
+        summary: "Friends and friend requests, with what each friend is doing",
+        tags: ["Friends"],
+        auth: true,
+        response: ref("Friends"),
+        handler: async (req) => {
+            const friends = await logic.getFriends(req.userId);
+            friends.friends = friends.friends.map((friend) => ({ ...friend, ...getPresence(friend.userId) }));
+            return friends;
+        }
+    },
+    {
+        name: "sendFriendRequest",
+        method: "post",
+        path: "/friends",
+        summary: "Send a friend request, accepts the request when the user already sent one",
+        tags: ["Friends"],
+        auth: true,
+        body: userIdBody,
+        response: ref("FriendResult"),
+        handler: async (req) => {
+            const result = await logic.sendFriendRequest(req.userId, req.body.userId);
+            if (result.error) {
+                return result;
+            }
+            if (result.accepted) {
+                sendToUser(result.userId, { action: "friendAccepted", userId: req.userId, username: req.username });
+                sendToUser(result.userId, { action: "presence", userId: req.userId, ...getPresence(req.userId) });
+            } else {
+                sendToUser(result.userId, { action: "friendRequest", userId: req.userId, username: req.username });
+            }
+            return { ...result, ...(result.accepted ? getPresence(result.userId) : {}) };
+        }
+    },
+    {
+        name: "answerFriendRequest",
+        method: "post",
+        path: "/friends/:userId/:reply(accept|decline)",
+        summary: "Accept or decline a friend request",
+        tags: ["Friends"],
+        auth: true,
+        params: { userId: id, reply: { type: "string", enum: ["accept", "decline"] } },
+        response: ref("FriendResult"),
+        handler: async (req) => {
+            const accept = req.params.reply === "accept",
+                  result = await logic.respondToFriendRequest(req.userId, req.params.userId, accept);
+            if (result.error) {
+                return result;
+            }
+            if (accept) {
+                sendToUser(result.userId, { action: "friendAccepted", userId: req.userId, username: req.username });
+                sendToUser(result.userId, { action: "presence", userId: req.userId, ...getPresence(req.userId) });
+            }
+            return { ...result, ...(accept ? getPresence(result.userId) : {}) };
+        }
+    },
+    {
+        // Removes a friend or cancels a friend request
+        name: "removeFriend",
+        method: "delete",
+        path: "/friends/:userId",
+        summary: "Remove a friend or cancel a friend request",
+        tags: ["Friends"],
+        auth: true,
+        params: { userId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.removeFriend(req.userId, req.params.userId);
+            if (result.error) {
+                return result;
+            }
+            sendToUser(result.userId, { action: "friendRemoved", userId: req.userId });
+            return "Friend removed";
+        }
+    },
+    {
+        name: "getBlockedUsers",
+        method: "get",
+        path: "/blocks",
+        summary: "Users the user blocked",
+        tags: ["Friends"],
+        auth: true,
+        response: { type: "array", items: ref("BlockedUser") },
+        handler: (req) => logic.getBlockedUsers(req.userId)
+    },
+    {
+        name: "blockUser",
+        method: "post",
+        path: "/blocks",
+        summary: "Block a user, ends the friendship too",
+        tags: ["Friends"],
+        auth: true,
+        body: userIdBody,
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.blockUser(req.userId, req.body.userId);
+            if (result.error) {
+                return result;
+            }
+            // The blocked user is only told the friendship ended, not that they were blocked
+            if (result.removedFriendship) {
+                sendToUser(result.userId, { action: "friendRemoved", userId: req.userId });
+            }
+            return "User blocked";
+        }
+    },
+    {
+        name: "unblockUser",
+        method: "delete",
+        path: "/blocks/:userId",
+        summary: "Unblock a user",
+        tags: ["Friends"],
+        auth: true,
+        params: { userId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.unblockUser(req.userId, req.params.userId);
+            return result.error ? result : "User unblocked";
+        }
+    },
 
-    try {
-        // Fetch game details from the database
-        const game = await logic.getGameWithId(gameId);
-        console.log(game);
-        if (!game) {
-            return res.status(404).json({ error: "Game not found" });
-        }
-
-        // Return the game state
-        return res.status(200).json({
-            gameId: game.game_id,
-            gameState: game.game_state,
-            currentTurn: game.current_turn,
-            player1: game.player1_id,
-            player2: game.player2_id,
-            winner: game.winner_id
-        });
-    } catch (error) {
-        console.error("Error fetching game state:", error);
-        return res.status(500).json({ error: "Internal server error" });
-    }
-});
+    /**
+     * CHAT AND DIRECT MESSAGES
+     */
+    {
+        // Chat history of a room, ?before=<messageId> gets the page before a message
+        name: "getChatHistory",
+        method: "get",
+        path: "/rooms/:room/messages",
+        summary: "Chat history of a room, newest first",
+        tags: ["Chat"],
+        auth: true,
+        params: { room },
+        query: cursor,
+        response: ref("ChatHistory"),
+        handler: (req) => logic.getChatHistory(req.params.room, req.userId, req.query.before, req.query.limit)
+    },
+    {
+        name: "muteUser",
+        method: "post",
+        path: "/rooms/:room/mute",
+        summary: "Mute a user in a room, moderators only",
+        tags: ["Moderation"],
+        auth: true,
+        params: { room },
+        body: {
+            type: "object",
+            required: ["userId"],
+            properties: { userId: id, minutes: { type: "integer", minimum: 1 }, reason: { type: ["string", "null"], maxLength: 255 } }
+        },
+        response: ref("Mute"),
+        handler: async (req) => {
+            const { userId, minutes, reason } = req.body,
+                  mute = await logic.muteUser(req.userId, req.params.room, userId, minutes, reason);
+            if (mute.error) {
+                return mute;
+            }
+            sendToUser(mute.userId, { action: "muted", ...mute });
+            return mute;
+        }
+    },
+    {
+        name: "unmuteUser",
+        method: "delete",
+        path: "/rooms/:room/mute/:userId",
+        summary: "End the mute of a user in a room, moderators only",
+        tags: ["Moderation"],
+        auth: true,
+        params: { room, userId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.unmuteUser(req.userId, req.params.room, req.params.userId);
+            if (result.error) {
+                return result;
+            }
+            sendToUser(result.userId, { action: "unmuted", room: result.room });
+            return "User unmuted";
+        }
+    },
+    {
+        // The user is taken out of the room, they can join again unless they are muted too
+        name: "kickUser",
+        method: "post",
+        path: "/rooms/:room/kick",
+        summary: "Take a user out of a room, moderators only",
+        tags: ["Moderation"],
+        auth: true,
+        params: { room },
+        body: userIdBody,
+        response: responses.text,
+        handler: async (req) => {
+            const result = await logic.kickUser(req.userId, req.params.room, req.body.userId);
+            if (result.error) {
+                return result;
+            }
+            const socket = userSockets.get(String(result.userId));
+            if (socket && rooms.has(result.room) && rooms.get(result.room).has(socket)) {
+                removeSpectator(result.room, socket);
+                rooms.get(result.room).delete(socket);
+                sendToUser(result.userId, { action: "kicked", room: result.room });
+                await updatePresence(result.userId);
+            }
+            return "User kicked";
+        }
+    },
+    {
+        name: "reportMessage",
+        method: "post",
+        path: "/messages/:messageId/report",
+        summary: "Report a chat message to the moderators",
+        tags: ["Moderation"],
+        auth: true,
+        params: { messageId: id },
+        body: { type: "object", properties: { reason: { type: ["string", "null"], maxLength: 255 } } },
+        status: 201,
+        response: { type: "object", required: ["reportId", "messageId"], properties: { reportId: id, messageId: id } },
+        handler: (req) => logic.reportMessage(req.userId, req.params.messageId, req.body.reason)
+    },
+    {
+        name: "getReports",
+        method: "get",
+        path: "/reports",
+        summary: "Reports that need a moderator, moderators only",
+        tags: ["Moderation"],
+        auth: true,
+        response: { type: "array", items: ref("Report") },
+        handler: (req) => logic.getReports(req.userId)
+    },
+    {
+        name: "resolveReport",
+        method: "post",
+        path: "/reports/:reportId/resolve",
+        summary: "Resolve the reports of a message and maybe delete it, moderators only",
+        tags: ["Moderation"],
+        auth: true,
+        params: { reportId: id },
+        body: { type: "object", properties: { deleteMessage: { type: "boolean" } } },
+        response: ref("ReportResolution"),
+        handler: async (req) => {
+            const result = await logic.resolveReport(req.userId, req.params.reportId, req.body.deleteMessage);
+            if (result.error) {
+                return result;
+            }
+            if (result.deleted && rooms.has(result.room)) {
+                for (const client of rooms.get(result.room)) {
+                    if (client.readyState === WebSocket.OPEN) {
+                        client.send(JSON.stringify({ action: "messageDeleted", room: result.room, messageId: result.messageId }));
+                    }
+                }
+            }
+            return result;
+        }
+    },
+    {
+        name: "getConversations",
+        method: "get",
+        path: "/conversations",
+        summary: "Direct message conversations with their last message and unread count",
+        tags: ["Messages"],
+        auth: true,
+        response: ref("Conversations"),
+        handler: (req) => logic.getConversations(req.userId)
+    },
+    {
+        // Messages with another user, ?before=<messageId> gets the page before a message
+        name: "getConversation",
+        method: "get",
+        path: "/conversations/:userId/messages",
+        summary: "Direct messages with another user, newest first",
+        tags: ["Messages"],
+        auth: true,
+        params: { userId: id },
+        query: cursor,
+        response: ref("Conversation"),
+        handler: (req) => logic.getConversation(req.userId, req.params.userId, req.query.before, req.query.limit)
+    },
+    {
+        name: "sendDirectMessage",
+        method: "post",
+        path: "/conversations/:userId/messages",
+        summary: "Send a direct message",
+        tags: ["Messages"],
+        auth: true,
+        params: { userId: id },
+        body: { type: "object", required: ["message"], properties: { message: { type: "string" } } },
+        status: 201,
+        response: ref("DirectMessage"),
+        handler: (req) => deliverDirectMessage(req.userId, req.username, req.params.userId, req.body.message)
+    },
+    {
+        name: "readConversation",
+        method: "post",
+        path: "/conversations/:userId/read",
+        summary: "Mark the messages from another user as read, up to a message",
+        tags: ["Messages"],
+        auth: true,
+        params: { userId: id },
+        body: { type: "object", required: ["messageId"], properties: { messageId: id } },
+        response: ref("ConversationRead"),
+        handler: (req) => readConversation(req.userId, req.params.userId, req.body.messageId)
+    },
 
-app.post('/game/:gameId/move', async (req, res) => {
-    const { gameId } = req.params;
-    const { playerId, col } = req.body;
+    /**
+     * CHALLENGES
+     */
+    {
+        name: "sendChallenge",
+        method: "post",
+        path: "/sendChallenge",
+        summary: "Challenge another user to a game",
+        tags: ["Challenges"],
+        legacy: "json",
+        auth: true,
+        body: {
+            type: "object",
+            required: ["challengerId"],
+            properties: {
+                challengerId: id,
+                timeControl: timeControlInput,
+                colour: { type: "string", enum: ["red", "yellow", "random"] },
+                rated: { type: "boolean" },
+                ...variantInput
+            }
+        },
+        response: ref("Challenge"),
+        handler: async (req) => {
+            const { challengerId, timeControl, colour, rated, variant, rows, columns, connect } = req.body,
+                  challenge = await createChallenge(req.userId, challengerId, { timeControl, colour, rated, variant, rows, columns, connect });
+            return challenge || { error: "Challenger not found!", status: 404 };
+        }
+    },
+    {
+        // Accepting a challenge creates the game and starts it for both players
+        name: "answerChallenge",
+        method: "post",
+        path: "/challengeResponse",
+        summary: "Accept or decline a challenge",
+        tags: ["Challenges"],
+        legacy: "json",
+        auth: true,
+        body: {
+            type: "object",
+            required: ["challengeId", "reply"],
+            properties: { challengeId: id, reply: { type: "string", enum: ["accept", "decline"] } }
+        },
+        response: ref("ChallengeAnswer"),
+        handler: async (req) => {
+            const response = await answerChallenge(req.body.challengeId, req.body.reply, req.userId);
+            return response || { error: "Challenge was not found!", status: 404 };
+        }
+    },
+    {
+        // Pending challenges sent to and by the user
+        name: "getChallenges",
+        method: "get",
+        path: "/challenges",
+        summary: "Pending challenges sent to and by the user",
+        tags: ["Challenges"],
+        auth: true,
+        response: {
+            type: "object",
+            required: ["incoming", "outgoing"],
+            properties: { incoming: { type: "array", items: ref("Challenge") }, outgoing: { type: "array", items: ref("Challenge") } }
+        },
+        handler: (req) => logic.getChallenges(req.userId)
+    },
+    {
+        name: "cancelChallenge",
+        method: "post",
+        path: "/challenges/:challengeId/cancel",
+        summary: "Withdraw a challenge the user sent",
+        tags: ["Challenges"],
+        auth: true,
+        params: { challengeId: id },
+        response: ref("Challenge"),
+        handler: (req) => withdrawChallenge(req.params.challengeId, req.userId)
+    },
 
-    if (col < 0 || col >= 7) {
-        return res.status(400).send("Invalid column");
-    }
+    /**
+     * GAMES
+     */
+    {
+        name: "getLiveGames",
+        method: "get",
+        path: "/games/live",
+        summary: "Games being played right now, with their number of spectators",
+        tags: ["Games"],
+        query: paging,
+        response: responses.livePage,
+        handler: async (req) => {
+            const liveGames = await logic.getLiveGames(req.query.page, req.query.pageSize);
+            for (const game of liveGames.games) {
+                const watching = spectators.get(String(game.gameId));
+                game.spectatorCount = watching ? watching.sockets.size : 0;
+            }
+            return liveGames;
+        }
+    },
+    {
+        name: "getActiveGames",
+        method: "get",
+        path: "/games/active",
+        summary: "Unfinished games of the user",
+        tags: ["Games"],
+        auth: true,
+        query: paging,
+        response: responses.activePage,
+        handler: (req) => logic.getActiveGames(req.userId, req.query.page, req.query.pageSize)
+    },
+    {
+        name: "getMyTurnGames",
+        method: "get",
+        path: "/games/my-turn",
+        summary: "Unfinished games where it is the user's turn, the closest deadline first",
+        tags: ["Games"],
+        auth: true,
+        query: paging,
+        response: responses.activePage,
+        handler: (req) => logic.getMyTurnGames(req.userId, req.query.page, req.query.pageSize)
+    },
+    {
+        name: "createBotGame",
+        method: "post",
+        path: "/game/bot",
+        summary: "Start a game against a bot",
+        tags: ["Games"],
+        auth: true,
+        body: {
+            type: "object",
+            required: ["level"],
+            properties: { level: { type: "string", enum: ["easy", "medium", "hard"] }, ...variantInput }
+        },
+        response: { type: "object", required: ["gameId", "botId"], properties: { gameId: id, botId: id } },
+        handler: (req) => {
+            const { level, variant, rows, columns, connect } = req.body;
+            return logic.createBotGame(req.userId, level, { variant, rows, columns, connect });
+        }
+    },
+    {
+        name: "getGame",
+        method: "get",
+        path: "/game/:gameId",
+        summary: "State of a game",
+        tags: ["Games"],
+        params: { gameId: id },
+        response: ref("Game"),
+        // The old route answered with the game itself
+        legacy: "raw",
+        handler: async (req) => {
+            const game = await logic.getGameWithId(req.params.gameId);
+            if (!game) {
+                return { error: "Game not found", status: 404 };
+            }
+            return {
+                gameId: game.game_id,
+                gameState: game.game_state,
+                variant: logic.formatVariant(game),
+                currentTurn: game.current_turn,
+                player1: game.player1_id,
+                player2: game.player2_id,
+                winner: game.winner_id,
+                endReason: game.end_reason,
+                rated: Boolean(game.rated),
+                allowSpectators: Boolean(game.allow_spectators),
+                timeControl: game.time_control,
+                clocks: logic.getLiveClocks(game),
+                offers: logic.formatOffers(game),
+                analysis: Boolean(game.is_analysis)
+            };
+        }
+    },
+    {
+        name: "makeMove",
+        method: "post",
+        path: "/game/:gameId/move",
+        summary: "Drop a disc in a column, or pop one out in the variants with pops",
+        tags: ["Games"],
+        auth: true,
+        params: { gameId: id },
+        body: {
+            type: "object",
+            required: ["col"],
+            properties: { col: { type: "integer", minimum: 0, description: "Column, the left one is 0" }, pop: { type: "boolean" } }
+        },
+        response: ref("MoveResult"),
+        legacy: { text: "Move made" },
+        handler: (req) => playMove(req.params.gameId, req.userId, req.body.col, req.body.pop)
+    },
+    {
+        // Kept for old clients, it used to take the winner from the body. The
+        // caller resigns so the result is never one a player picked.
+        name: "endGame",
+        method: "post",
+        path: "/game/:gameId/end",
+        summary: "Resign a game, the opponent wins",
+        tags: ["Games"],
+        auth: true,
+        deprecated: true,
+        params: { gameId: id },
+        body: { type: "object", properties: { winnerId: { ...id, description: "Ignored, the opponent of the caller wins" } } },
+        response: ref("GameEnded"),
+        legacy: { text: "Game ended" },
+        handler: (req) => runGameAction("resign", req.params.gameId, req.userId)
+    },
+    {
+        name: "setAllowSpectators",
+        method: "post",
+        path: "/game/:gameId/spectators",
+        summary: "Turn spectating on or off, players only",
+        tags: ["Games"],
+        auth: true,
+        params: { gameId: id },
+        body: { type: "object", required: ["allow"], properties: { allow: { type: "boolean" } } },
+        response: ref("Spectating"),
+        handler: async (req) => {
+            const result = await logic.setAllowSpectators(req.params.gameId, req.userId, req.body.allow);
+            if (result.error) {
+                return result;
+            }
 
-    const game = await logic.getGameWithId(gameId);
-    if (!game) {
-        return res.status(404).send("Game not found");
-    }
+            // Everyone watching is sent away when spectating is turned off
+            const watching = spectators.get(String(result.gameId));
+            if (!result.allowSpectators && watching) {
+                for (const client of [...watching.sockets]) {
+                    if (client.readyState === WebSocket.OPEN) {
+                        client.send(JSON.stringify({ action: "spectateStopped", gameId: result.gameId, reason: "Spectating was turned off" }));
+                    }
+                    removeSpectator(result.gameId, client);
+                }
+            }
+            sendToPlayers(result, { action: "spectatorsAllowed", gameId: result.gameId, allow: result.allowSpectators });
+            return result;
+        }
+    },
 
-    if (game.current_turn !== playerId) {
-        return res.status(400).send("Not your turn");
-    }
+    /**
+     * REPLAYS, EXPORTS AND ANALYSIS
+     */
+    {
+        name: "getGameMoves",
+        method: "get",
+        path: "/game/:gameId/moves",
+        summary: "Moves of a game in order",
+        tags: ["Replays"],
+        params: { gameId: id },
+        response: { type: "array", items: ref("Move") },
+        handler: (req) => logic.getGameMoves(req.params.gameId)
+    },
+    {
+        name: "replayGame",
+        method: "get",
+        path: "/game/:gameId/replay",
+        summary: "Board of a game after a number of plies, the last one when ply is left out",
+        tags: ["Replays"],
+        params: { gameId: id },
+        query: { ply: { type: "integer", minimum: 0 } },
+        response: ref("Replay"),
+        handler: (req) => logic.replayGame(req.params.gameId, req.query.ply)
+    },
+    {
+        name: "exportGame",
+        method: "get",
+        path: "/game/:gameId/export",
+        summary: "Game as PGN style text or as its list of moves",
+        tags: ["Replays"],
+        params: { gameId: id },
+        query: { format: exportFormat },
+        produces: "text/plain",
+        handler: (req) => logic.exportGame(req.params.gameId, req.query.format)
+    },
+    {
+        name: "exportUserGames",
+        method: "get",
+        path: "/users/:userId/games/export",
+        summary: "Every finished game of a user as text",
+        tags: ["Replays"],
+        params: { userId: id },
+        query: { format: exportFormat },
+        produces: "text/plain",
+        handler: (req) => logic.exportUserGames(req.params.userId, req.query.format)
+    },
+    {
+        name: "importGame",
+        method: "post",
+        path: "/game/import",
+        summary: "Import a game from text as an analysis game",
+        tags: ["Replays"],
+        auth: true,
+        body: { type: "object", required: ["text"], properties: { text: { type: "string", minLength: 1 } } },
+        status: 201,
+        response: ref("ImportedGame"),
+        handler: (req) => logic.importGame(req.userId, req.body.text)
+    },
+    {
+        name: "analyzeGame",
+        method: "post",
+        path: "/game/:gameId/analyze",
+        summary: "Score every column of the current position of a game",
+        tags: ["Analysis"],
+        auth: true,
+        params: { gameId: id },
+        response: ref("Analysis"),
+        handler: (req) => logic.analyzeGame(req.params.gameId)
+    },
+    {
+        name: "analyzeBoard",
+        method: "post",
+        path: "/analyze",
+        summary: "Score every column of a board",
+        tags: ["Analysis"],
+        auth: true,
+        body: {
+            type: "object",
+            required: ["board"],
+            properties: {
+                board: schemas.board,
+                toMove: { type: ["string", "null"], enum: ["red", "yellow", null], description: "Worked out from the discs when left out" },
+                connect: { type: ["integer", "null"], minimum: 3, maximum: 10 }
+            }
+        },
+        response: ref("Analysis"),
+        handler: (req) => logic.analyzeBoard(req.body.board, req.body.toMove, req.body.connect)
+    },
 
-    const board = JSON.parse(game.game_state);
-    let placed = false;
-    for (let row = board.length - 1; row >= 0; row--) {
-        if (!board[row][col]) {
-            board[row][col] = playerId === game.player1_id ? "red" : "yellow";
-            placed = true;
-            break;
+    /**
+     * RATINGS AND PROFILES
+     */
+    {
+        name: "getLeaderboard",
+        method: "get",
+        path: "/leaderboard",
+        summary: "Players by rating, or by rating gained within a window",
+        tags: ["Ratings"],
+        query: { ...paging, window: { type: "string", enum: ["all", "week", "month", "year"] } },
+        response: responses.leaderboardPage,
+        handler: (req) => logic.getLeaderboard(req.query.page, req.query.pageSize, req.query.window)
+    },
+    {
+        name: "getProfile",
+        method: "get",
+        path: "/users/:userId/profile",
+        summary: "Public profile of a user",
+        tags: ["Users"],
+        params: { userId: id },
+        response: ref("Profile"),
+        handler: (req) => logic.getProfile(req.params.userId)
+    },
+    {
+        // Users can only change their own profile
+        name: "updateProfile",
+        method: "patch",
+        path: "/users/:userId/profile",
+        summary: "Change the user's own profile, empty fields are cleared",
+        tags: ["Users"],
+        auth: true,
+        params: { userId: id },
+        body: {
+            type: "object",
+            properties: {
+                displayName: { type: ["string", "null"], maxLength: 30 },
+                avatarUrl: { type: ["string", "null"], maxLength: 500 },
+                bio: { type: ["string", "null"], maxLength: 500 },
+                country: { type: ["string", "null"], maxLength: 2 }
+            }
+        },
+        response: ref("Profile"),
+        handler: (req) => {
+            if (req.params.userId !== req.userId) {
+                return { error: `You can only change your own profile!`, status: 403 };
+            }
+            return logic.updateProfile(req.userId, req.body);
         }
-    }
-
-    if (!placed) {
-        return res.status(400).send("Column is full");
-    }
+    },
+    {
+        name: "getUserStats",
+        method: "get",
+        path: "/users/:userId/stats",
+        summary: "Results, win rates, streaks and most played opponents of a user",
+        tags: ["Ratings"],
+        params: { userId: id },
+        response: ref("Stats"),
+        handler: (req) => logic.getUserStats(req.params.userId)
+    },
+    {
+        name: "getRatingHistory",
+        method: "get",
+        path: "/users/:userId/rating-history",
+        summary: "Rating of a user after every rated game",
+        tags: ["Ratings"],
+        params: { userId: id },
+        response: ref("RatingHistory"),
+        handler: (req) => logic.getRatingHistory(req.params.userId)
+    },
 
-    // Update database and notify players
-    const nextTurn = playerId === game.player1_id ? game.player2_id : game.player1_id;
-    await logic.updateGameState(board, nextTurn, gameId);
-    const moveMessage = { action: "gameMove", gameId, col, row, playerId };
+    /**
+     * TOURNAMENTS
+     */
+    {
+        name: "getTournaments",
+        method: "get",
+        path: "/tournaments",
+        summary: "Tournaments, newest first",
+        tags: ["Tournaments"],
+        query: { status: { type: "string", enum: ["registration", "running", "finished", "cancelled"] }, ...paging },
+        response: responses.tournamentPage,
+        handler: (req) => logic.getTournaments(req.query.status, req.query.page, req.query.pageSize)
+    },
+    {
+        name: "createTournament",
+        method: "post",
+        path: "/tournaments",
+        summary: "Create a tournament",
+        tags: ["Tournaments"],
+        auth: true,
+        body: {
+            type: "object",
+            required: ["name", "format", "registrationClosesAt", "timeControl"],
+            properties: {
+                name: { type: "string", minLength: 1, maxLength: 100 },
+                format: { type: "string", enum: ["round-robin", "swiss", "knockout"] },
+                registrationOpensAt: { type: ["string", "null"], format: "date-time" },
+                registrationClosesAt: { type: "string", format: "date-time" },
+                timeControl: timeControlInput,
+                rated: { type: "boolean" },
+                maxPlayers: { type: "integer", minimum: 2, maximum: 64 },
+                rounds: { type: ["integer", "null"], minimum: 1 },
+                ...variantInput
+            }
+        },
+        response: ref("Tournament"),
+        handler: async (req) => {
+            const tournament = await logic.createTournament(req.userId, req.body);
+            if (!tournament.error) {
+                console.log(`\tTournament ${tournament.tournamentId} created by User ${req.userId}`);
+            }
+            return tournament;
+        }
+    },
+    {
+        name: "getTournament",
+        method: "get",
+        path: "/tournaments/:tournamentId",
+        summary: "Tournament with its players",
+        tags: ["Tournaments"],
+        params: { tournamentId: id },
+        response: ref("Tournament"),
+        handler: (req) => logic.getTournament(req.params.tournamentId)
+    },
+    {
+        name: "getTournamentStandings",
+        method: "get",
+        path: "/tournaments/:tournamentId/standings",
+        summary: "Standings of a tournament",
+        tags: ["Tournaments"],
+        params: { tournamentId: id },
+        response: ref("Standings"),
+        handler: (req) => logic.getTournamentStandings(req.params.tournamentId)
+    },
+    {
+        name: "getTournamentBracket",
+        method: "get",
+        path: "/tournaments/:tournamentId/bracket",
+        summary: "Pairings of every round of a tournament",
+        tags: ["Tournaments"],
+        params: { tournamentId: id },
+        response: ref("Bracket"),
+        handler: (req) => logic.getTournamentBracket(req.params.tournamentId)
+    },
+    {
+        name: "joinTournament",
+        method: "post",
+        path: "/tournaments/:tournamentId/join",
+        summary: "Register for a tournament",
+        tags: ["Tournaments"],
+        auth: true,
+        params: { tournamentId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const event = await logic.joinTournament(req.params.tournamentId, req.userId);
+            if (event.error) {
+                return event;
+            }
+            await sendTournamentEvent(event);
+            return "Joined the tournament";
+        }
+    },
+    {
+        name: "leaveTournament",
+        method: "post",
+        path: "/tournaments/:tournamentId/leave",
+        summary: "Leave a tournament before it starts",
+        tags: ["Tournaments"],
+        auth: true,
+        params: { tournamentId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const event = await logic.leaveTournament(req.params.tournamentId, req.userId);
+            if (event.error) {
+                return event;
+            }
+            await sendTournamentEvent(event);
+            return "Left the tournament";
+        }
+    },
+    {
+        // The creator can start the tournament before registration closes
+        name: "startTournament",
+        method: "post",
+        path: "/tournaments/:tournamentId/start",
+        summary: "Start a tournament before registration closes, creator only",
+        tags: ["Tournaments"],
+        auth: true,
+        params: { tournamentId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const events = await logic.startTournament(req.params.tournamentId, req.userId);
+            if (events.error) {
+                return events;
+            }
+            for (const event of events) {
+                await sendTournamentEvent(event);
+            }
+            return "Tournament started";
+        }
+    },
+    {
+        name: "cancelTournament",
+        method: "post",
+        path: "/tournaments/:tournamentId/cancel",
+        summary: "Cancel a tournament, creator only",
+        tags: ["Tournaments"],
+        auth: true,
+        params: { tournamentId: id },
+        response: responses.text,
+        handler: async (req) => {
+            const event = await logic.cancelTournament(req.params.tournamentId, req.userId);
+            if (event.error) {
+                return event;
+            }
+            await sendTournamentEvent(event);
+            return "Tournament cancelled";
+        }
+    },
 
-    if (userSockets.has(game.player1_id)) {
-        userSockets.get(game.player1_id).send(JSON.stringify(moveMessage));
-    }
-    if (userSockets.has(game.player2_id)) {
-        userSockets.get(game.player2_id).send(JSON.stringify(moveMessage));
+    /**
+     * NOTIFICATIONS
+     */
+    {
+        name: "getNotifications",
+        method: "get",
+        path: "/notifications",
+        summary: "Notifications of the user, newest first",
+        tags: ["Notifications"],
+        auth: true,
+        query: { ...paging, unread: { type: "boolean", description: "Only the unread notifications" } },
+        response: responses.notificationPage,
+        handler: (req) => logic.getNotifications(req.userId, req.query.page, req.query.pageSize, req.query.unread)
+    },
+    {
+        name: "markNotificationsRead",
+        method: "post",
+        path: "/notifications/read",
+        summary: "Mark notifications as read, every notification when notificationIds is left out",
+        tags: ["Notifications"],
+        auth: true,
+        body: { type: "object", properties: { notificationIds: { type: ["array", "null"], items: id } } },
+        response: { type: "object", required: ["marked"], properties: { marked: { type: "integer", minimum: 0 } } },
+        handler: (req) => logic.markNotificationsRead(req.userId, req.body.notificationIds)
     }
+];
 
-    res.status(200).send("Move made");
-});
-
-app.post('/game/:gameId/end', async (req, res) => {
-    const { gameId } = req.params;
-    const { winnerId } = req.body;
-
-    try {
-        await pool.query(
-            "UPDATE game SET winner_id = ?, ended_at = NOW() WHERE game_id = ?",
-            [winnerId, gameId]
-        );
-        res.status(200).send("Game ended");
-    } catch (err) {
-        console.error(err);
-        res.status(500).send("Error ending game");
-    }
-});
+const apiOptions = { authenticate: getRequestSession, components: schemas.components };
+app.use(api.API_PREFIX, api.createRouter(routes, apiOptions));
+app.use(api.createLegacyRouter(routes, apiOptions));
+app.use(api.createErrorHandler());
 
 
 /**
@@ -244,35 +1263,46 @@ app.post('/game/:gameId/end', async (req, res) => {
  * user in the lobby.
  */
 const server = http.createServer(app),
-      wss = new WebSocket.Server({ server }),
-      userSockets = new Map(),
-      storedChallenges = new Map(),
-      rooms = new Map();
-
-rooms.set("lobby", new Set()); // Initialize the lobby
+      wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient }),
+      handleMessage = protocol.createDispatcher([lobby, chat, challenges, games]);
 
 wss.on('connection', (ws, req) => {
     console.log("\tNew WebSocket client connected");
 
-    // Example: Extract userId from query parameters (or headers/session)
-    console.log("\tNew WebSocket client connected");
-
-    // Parse query parameters
+    // The user comes from the session checked in verifyWebSocketClient
     const urlParams = new URLSearchParams(req.url.split('?')[1]);
-    const userId = urlParams.get('userId');
+    const userId = req.session ? String(req.session.userId) : null;
     const gameId = urlParams.get('gameId');
 
+    // Clients that don't ask for a protocol version speak the first one
+    if (!protocol.negotiate(ws, urlParams.get('protocol'))) {
+        console.log("\tConnection rejected: Unsupported protocol");
+        ws.close(4002, "Unsupported protocol");
+        return;
+    }
+
     if (userId) {
+        ws.sessionId = req.session.sessionId;
+        ws.userId = userId;
         userSockets.set(userId, ws); // Map the WebSocket to the userId
         console.log(`\tUser ${userId} connected`);
 
         if (gameId) {
-            // Add user to the game room
-            if (!rooms.has(gameId)) {
-                rooms.set(gameId, new Set());
-            }
-            rooms.get(gameId).add(ws);
-            console.log(`\tUser ${userId} added to game room: ${gameId}`);
+            // Add user to the game room, checked like the join action so the chat
+            // of a game without spectators stays with its players
+            logic.canAccessRoom(gameId, userId)
+                .then((access) => {
+                    if (access.error) {
+                        console.log(`\tUser ${userId} can't join game room ${gameId}: ${access.error}`);
+                        return;
+                    }
+                    if (ws.readyState === WebSocket.OPEN) {
+                        joinRoom(access.room, ws);
+                        console.log(`\tUser ${userId} added to game room: ${access.room}`);
+                        return updatePresence(userId);
+                    }
+                })
+                .catch((err) => console.error("Error joining game room:", err));
 
             // Remove from lobby if necessary
             if (rooms.has("lobby") && rooms.get("lobby").has(ws)) {
@@ -284,193 +1314,40 @@ wss.on('connection', (ws, req) => {
             rooms.get("lobby").add(ws);
             console.log(`\tUser ${userId} added to lobby`);
         }
+
+        sendChatHistory(ws, userId, gameId || "lobby").catch((err) => console.error("Error sending chat history:", err));
+        resumeGames(ws, userId)
+            .then(() => updatePresence(userId))
+            .catch((err) => console.error("Error resuming games:", err));
+        sendFriendsPresence(ws, userId).catch((err) => console.error("Error sending presence:", err));
     } else {
-        console.log("\tConnection rejected: No userId provided");
-        ws.close(); // Close the connection if userId is not provided
+        console.log("\tConnection rejected: No session provided");
+        ws.close(); // Close the connection if there is no session
         return;
     }
 
-    // Handle incoming messages
-    ws.on('message', async (message) => {
-        try {
-            const data = JSON.parse(message);
-            const { room, action, challengeId = null, message: textMessage, targetUserId } = data;
-
-            switch (action) {
-                case "join":
-                    if (!rooms.has(room)) {
-                        rooms.set(room, new Set());
-                    }
-                    rooms.get(room).add(ws);
-                    console.log(`\tUser ${userId} joined room: ${room}`);
-                    break;
-
-                case "leave":
-                    if (rooms.has(room)) {
-                        rooms.get(room).delete(ws);
-                        console.log(`\tUser ${userId} left room: ${room}`);
-                    }
-                    break;
-
-                case "message":
-                    if (rooms.has(room)) {
-                        // Broadcast message to the specified room
-                        for (const client of rooms.get(room)) {
-                            if (client.readyState === WebSocket.OPEN) {
-                                client.send(JSON.stringify({ action: "message", room, message: textMessage }));
-                            }
-                        }
-                    } else {
-                        ws.send(JSON.stringify({ error: "Room does not exist" }));
-                    }
-                    break;
-
-                case "sendChallenge":
-                    if (data.targetUserId && userSockets.has(data.targetUserId)) {
-                        const targetSocket = userSockets.get(data.targetUserId);
-                        const challengeMessage = {
-                            action: "challenge",
-                            challengeId: data.challengeId,
-                            senderId: userId,
-                            message: data.message,
-                        };
-
-                        targetSocket.send(JSON.stringify(challengeMessage));
-                        console.log(`\tChallenge sent from User ${userId} to User ${data.targetUserId}`);
-                    } else {
-                        ws.send(JSON.stringify({ error: "Target user is not connected" }));
-                    }
-                    break;
-
-                case "declineChallenge":                
-                    const { challengeId } = data;
+    // Every action is handled by the lobby, chat, challenge or game module, see socket/protocol.js
+    ws.on('message', (message) => handleMessage(ws, { userId, username: req.session.username }, message));
 
-                    if (!challengeId) {
-                        ws.send(JSON.stringify({ error: "challengeId is required to decline a challenge" }));
-                        break;
-                    }
-
-                    try {
-                        const challege = await logic.getChallengeWithId(challengeId);
-                        if (challege.length === 0) {
-                            ws.send(JSON.stringify({ error: `Challenge with ID ${challengeId} not found` }));
-                            console.log(`\tChallenge ${challengeId} not found`);
-                            break;
-                        }
-                        const sendId = String(challege.sender_id);
-
-                        // Ensure the sender is online
-                        if (userSockets.has(sendId)) {
-                            const senderSocket = userSockets.get(sendId);
-                            const declineMessage = {
-                                action: "challengeDeclined",
-                                challengeId,
-                                message: "Challenge declined",
-                                userId
-                            };
-
-                            senderSocket.send(JSON.stringify(declineMessage));
-                            console.log(`\tChallenge ${challengeId} declined by User ${userId}`);
-                        } else {
-                            console.log(`\tFailed to send decline message:  User${sendId} not connected`);
-                        }
-                    } catch (err) {
-                        console.error("Error declining challenge:", err);
-                        ws.send(JSON.stringify({ error: "Failed to decline challenge" }));
-                    }
-                    break;
-
-                case "startGame":
-                    const { senderId, accepterId } = data;
-
-                    const game = await logic.createGame(senderId, accepterId);
-
-                    // Notify the sender to start the game
-                    if (userSockets.has(senderId)) {
-                        const senderSocket = userSockets.get(senderId);
-                        senderSocket.send(
-                            JSON.stringify({
-                                action: "startGame",
-                                opponentId: accepterId,
-                                gameId: game,
-                            })
-                        );
-                    }
-
-                    // Notify the accepter to start the game
-                    if (userSockets.has(accepterId)) {
-                        const accepterSocket = userSockets.get(accepterId);
-                        accepterSocket.send(
-                            JSON.stringify({
-                                action: "startGame",
-                                opponentId: senderId,
-                                gameId: game,
-                            })
-                        );
-                    }
-
-                    console.log(`Game started between User ${senderId} and User ${accepterId}`);
-                    break;
-                
-                case "gameChat":
-                    const { gameId, sender } = data;
-                    if (gameRooms.has(gameId)) {
-                        const gameRoom = gameRooms.get(gameId);
-                        for (const client of gameRoom) {
-                            if (client.readyState === WebSocket.OPEN) {
-                                client.send(
-                                    JSON.stringify({
-                                        action: "gameChat",
-                                        gameId,
-                                        sender,
-                                        message: textMessage,
-                                    })
-                                );
-                            }
-                        }
-                        console.log(`Game chat message sent in room ${gameId}: ${textMessage}`);
-                    } else {
-                        ws.send(JSON.stringify({ error: "Game room does not exist" }));
-                    }
-                    break;
-                case "gameMove":
-                    const { gmId, col, row, playerId, board } = data;
-
-                    // Update the database here (already handled in your backend)
-
-                    // Broadcast the move to the opponent
-                    if (gameRooms.has(gmId)) {
-                        const gameRoom = gameRooms.get(gmId);
-                        for (const client of gameRoom) {
-                            if (client.readyState === WebSocket.OPEN) {
-                                client.send(
-                                    JSON.stringify({
-                                        action: "gameMove",
-                                        gameId: gmId,
-                                        col: col,
-                                        row: row,
-                                        playerId: playerId,
-                                        board: board,
-                                    })
-                                );
-                            }
-                        }
-                    }
-                    break;
+    ws.on('close', () => {
+        // Remove the user from userSockets and the matchmaking queue, unless they
+        // already connected again with a new socket
+        if (userSockets.get(userId) === ws) {
+            userSockets.delete(userId);
+            matchQueue.delete(userId);
+            handleDisconnect(userId).catch((err) => console.error("Error handling disconnect:", err));
+        }
+        console.log(`\tUser ${userId} disconnected`);
 
-                default:
-                    ws.send(JSON.stringify({ error: "Unknown action" }));
+        // Stop spectating any games and watching any tournaments
+        for (const gameId of [...spectators.keys()]) {
+            removeSpectator(gameId, ws);
+        }
+        for (const [tournamentId, watching] of tournamentWatchers.entries()) {
+            if (watching.delete(ws) && watching.size === 0) {
+                tournamentWatchers.delete(tournamentId);
             }
-        } catch (err) {
-            console.error("Invalid message format:", err);
-            ws.send(JSON.stringify({ error: "Invalid message format" }));
         }
-    });
-
-    ws.on('close', () => {
-        // Remove the user from userSockets
-        userSockets.delete(userId);
-        console.log(`\tUser ${userId} disconnected`);
 
         // Remove the client from all rooms
         for (const [room, clients] of rooms.entries()) {
@@ -483,8 +1360,148 @@ wss.on('connection', (ws, req) => {
                 }
             }
         }
+        updatePresence(userId).catch((err) => console.error("Error updating presence:", err));
     });
 });
 
+/**
+ * Matchmaking, pairs the players waiting in the queue every few seconds and
+ * starts their game the same way an accepted challenge does.
+ */
+const MATCHMAKING_INTERVAL_MS = 2000;
+
+const runMatchmaking = async () => {
+    const matches = logic.findMatches([...matchQueue.values()], Date.now());
+    for (const [player1, player2] of matches) {
+        matchQueue.delete(player1.userId);
+        matchQueue.delete(player2.userId);
+        try {
+            const game = await logic.createGame(player1.userId, player2.userId, { rated: player1.rated });
+            sendStartGame(player1.userId, player2.userId, game);
+            console.log(`Matched User ${player1.userId} with User ${player2.userId} in game ${game}`);
+        } catch (err) {
+            console.error("Error creating matched game:", err);
+        }
+    }
+};
+
+setInterval(() => {
+    runMatchmaking().catch((err) => console.error("Error running matchmaking:", err));
+}, MATCHMAKING_INTERVAL_MS);
+
+// Expired and revoked sessions are removed every hour
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+setInterval(() => {
+    logic.cleanupExpiredSessions()
+        .then((removed) => console.log(`\tRemoved ${removed} expired sessions`))
+        .catch((err) => console.error("Error removing expired sessions:", err));
+}, SESSION_CLEANUP_INTERVAL_MS);
+
+// Challenges that were not answered in time expire, both users are told
+const CHALLENGE_EXPIRY_INTERVAL_MS = 30 * 1000;
+
+setInterval(() => {
+    logic.expireChallenges()
+        .then((expired) => {
+            for (const challenge of expired) {
+                const message = { action: "challengeExpired", challengeId: challenge.challengeId };
+                sendToUser(challenge.senderId, message);
+                sendToUser(challenge.challengerId, message);
+            }
+        })
+        .catch((err) => console.error("Error expiring challenges:", err));
+}, CHALLENGE_EXPIRY_INTERVAL_MS);
+
+/**
+ * Tournaments, starts them when registration closes, stores the results of their
+ * games and pairs the next round. Only one run at a time so a drawn knockout
+ * game is never replayed twice.
+ */
+const TOURNAMENT_INTERVAL_MS = 5000;
+let advancingTournaments = false;
+
+const runTournaments = async () => {
+    if (advancingTournaments) {
+        return;
+    }
+    advancingTournaments = true;
+    try {
+        const events = await logic.advanceTournaments();
+        for (const event of events) {
+            await sendTournamentEvent(event);
+        }
+    } finally {
+        advancingTournaments = false;
+    }
+};
+
+setInterval(() => {
+    runTournaments().catch((err) => console.error("Error running tournaments:", err));
+}, TOURNAMENT_INTERVAL_MS);
+
+/**
+ * Notifications of correspondence games, sent over the WebSocket to the users that
+ * are online and through the notification transport to the others. The players
+ * to move are warned when their deadline gets close.
+ */
+const NOTIFICATION_INTERVAL_MS = 5000,
+      DEADLINE_WARNING_INTERVAL_MS = 60 * 1000;
+let deliveringNotifications = false;
+
+const runNotifications = async () => {
+    if (deliveringNotifications) {
+        return;
+    }
+    deliveringNotifications = true;
+    try {
+        const { online, errors } = await logic.deliverNotifications([...userSockets.keys()]);
+        for (const notification of online) {
+            sendToUser(notification.userId, { action: "notification", notification });
+        }
+        for (const err of errors) {
+            console.error("Error sending notification:", err);
+        }
+    } finally {
+        deliveringNotifications = false;
+    }
+};
+
+setInterval(() => {
+    runNotifications().catch((err) => console.error("Error delivering notifications:", err));
+}, NOTIFICATION_INTERVAL_MS);
+
+setInterval(() => {
+    logic.warnDeadlines()
+        .then((warned) => {
+            if (warned > 0) {
+                console.log(`\tWarned ${warned} players about their move deadline`);
+            }
+        })
+        .catch((err) => console.error("Error warning about deadlines:", err));
+}, DEADLINE_WARNING_INTERVAL_MS);
+
+// Sockets that stopped answering pings are closed, which cleans up their user
+setInterval(() => {
+    const closed = protocol.checkHeartbeats(wss.clients);
+    if (closed > 0) {
+        console.log(`\tClosed ${closed} sockets that stopped answering`);
+    }
+}, protocol.HEARTBEAT_INTERVAL_MS);
+
+// Games with a running clock are watched again after a restart
+logic.getActiveTimedGames()
+    .then((gameIds) => Promise.all(gameIds.map(watchClock)))
+    .catch((err) => console.error("Error restoring clocks:", err));
+
+// Bots play the moves they owed when the server stopped, one game at a time
+logic.getBotTurnGames()
+    .then(async (gameIds) => {
+        for (const gameId of gameIds) {
+            await games.playBotTurn(gameId).catch((err) => console.error("Error playing bot move:", err));
+        }
+    })
+    .catch((err) => console.error("Error finding bot moves:", err));
+
 const PORT = 3000;
 server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
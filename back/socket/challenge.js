@@ -0,0 +1,103 @@
+/**
+ * CHALLENGE SOCKET HANDLERS
+ *
+ * Sending, cancelling and answering challenges, an accepted challenge starts
+ * its game for both players.
+ */
+
+const logic = require(`../logic.js`),
+      { id, timeControlInput, variantInput } = require(`../apiSchemas.js`),
+      { send, sendToUser } = require(`./state.js`),
+      { sendStartGame, watchClock } = require(`./game.js`);
+
+// Helper to send a challenge and tell the user it is for, they see it later with GET /challenges if they are offline
+const createChallenge = async (userId, challengerId, options) => {
+    const challenge = await logic.sendChallenge(userId, challengerId, options);
+    if (challenge && !challenge.error) {
+        sendToUser(challenge.challengerId, { action: "challenge", challenge });
+        console.log(`\tChallenge ${challenge.challengeId} sent from User ${userId} to User ${challenge.challengerId}`);
+    }
+    return challenge;
+};
+
+// Helper to answer a challenge, accepting it starts the game for both players
+const answerChallenge = async (challengeId, reply, userId) => {
+    const result = await logic.sendChallengeResponse(challengeId, reply, userId);
+    if (!result || result.error) {
+        return result;
+    }
+    if (result.game) {
+        sendToUser(result.challenge.senderId, { action: "challengeAccepted", challenge: result.challenge });
+        sendStartGame(result.game.player1, result.game.player2, result.game.gameId);
+        await watchClock(result.game.gameId);
+        console.log(`\tGame ${result.game.gameId} started from challenge ${challengeId}`);
+    } else {
+        sendToUser(result.challenge.senderId, { action: "challengeDeclined", challengeId: result.challenge.challengeId, userId: Number(userId) });
+        console.log(`\tChallenge ${challengeId} declined by User ${userId}`);
+    }
+    return result;
+};
+
+// Helper to cancel a challenge and tell the user it was for
+const withdrawChallenge = async (challengeId, userId) => {
+    const challenge = await logic.cancelChallenge(challengeId, userId);
+    if (!challenge.error) {
+        sendToUser(challenge.challengerId, { action: "challengeCancelled", challengeId: challenge.challengeId, userId: Number(userId) });
+    }
+    return challenge;
+};
+
+// Answering a challenge, the game is made on the server from the stored challenge
+const replyHandler = (reply) => ({
+    schema: { required: ["challengeId"], properties: { challengeId: id } },
+    handle: async ({ userId }, { challengeId }) => {
+        const result = await answerChallenge(challengeId, reply, userId);
+        return result || { error: `Challenge with ID ${challengeId} not found`, status: 404 };
+    }
+});
+
+const handlers = {
+    sendChallenge: {
+        schema: {
+            required: ["targetUserId"],
+            properties: {
+                targetUserId: id,
+                timeControl: timeControlInput,
+                colour: { type: "string", enum: ["red", "yellow", "random"] },
+                rated: { type: "boolean" },
+                ...variantInput
+            }
+        },
+        handle: async ({ ws, userId }, { targetUserId, timeControl, colour, rated, variant, rows, columns, connect }) => {
+            const challenge = await createChallenge(userId, targetUserId, { timeControl, colour, rated, variant, rows, columns, connect });
+            if (!challenge) {
+                return { error: "Target user was not found", status: 404 };
+            }
+            if (!challenge.error) {
+                send(ws, { action: "challengeSent", challenge });
+            }
+            return challenge;
+        }
+    },
+
+    cancelChallenge: {
+        schema: { required: ["challengeId"], properties: { challengeId: id } },
+        handle: async ({ ws, userId }, { challengeId }) => {
+            const challenge = await withdrawChallenge(challengeId, userId);
+            if (!challenge.error) {
+                send(ws, { action: "challengeCancelled", challengeId: challenge.challengeId });
+            }
+            return challenge;
+        }
+    },
+
+    startGame: replyHandler("accept"),
+    declineChallenge: replyHandler("decline")
+};
+
+module.exports = {
+    handlers,
+    createChallenge,
+    answerChallenge,
+    withdrawChallenge
+};
@@ -0,0 +1,111 @@
+/**
+ * CHAT SOCKET HANDLERS
+ *
+ * Messages in the lobby, named rooms and game rooms, direct messages, read
+ * receipts and typing indicators.
+ */
+
+const logic = require(`../logic.js`),
+      { id } = require(`../apiSchemas.js`),
+      { rooms, send, sendToUser, sendToRoom } = require(`./state.js`);
+
+// Helper to send the last messages of a room to a user that joined it
+const sendChatHistory = async (ws, userId, room) => {
+    const history = await logic.getChatHistory(room, userId);
+    if (!history.error) {
+        send(ws, { action: "chatHistory", room: history.room, messages: history.messages, nextCursor: history.nextCursor });
+    }
+};
+
+// Helper to send a direct message, the recipient gets it right away when they are online
+const deliverDirectMessage = async (userId, username, recipientId, text) => {
+    const message = await logic.sendDirectMessage(userId, username, recipientId, text);
+    if (!message.error) {
+        sendToUser(message.recipientId, { action: "directMessage", ...message });
+    }
+    return message;
+};
+
+// Helper to mark a conversation as read and send the read receipt to the other user
+const readConversation = async (userId, otherId, upToMessageId) => {
+    const result = await logic.markConversationRead(userId, otherId, upToMessageId);
+    if (!result.error && result.count > 0) {
+        sendToUser(result.userId, { action: "directMessageRead", userId: Number(userId), upToMessageId: result.upToMessageId, readAt: result.readAt });
+    }
+    return result;
+};
+
+// Helper to post a chat message to a room the socket is in and send it to everyone there
+const postToRoom = async ({ ws, userId, username }, room, text, payload) => {
+    if (!rooms.has(room) || !rooms.get(room).has(ws)) {
+        return { error: "Join the room before sending messages", status: 403 };
+    }
+    const chat = await logic.postChatMessage(userId, username, room, text);
+    if (chat.error) {
+        return chat;
+    }
+    await sendToRoom(room, { ...payload, ...chat }, userId);
+    return chat;
+};
+
+const handlers = {
+    // Chat in the lobby or any room the user joined
+    message: {
+        schema: {
+            required: ["room", "message"],
+            properties: { room: { type: ["string", "integer"] }, message: { type: "string" } }
+        },
+        handle: (context, { room, message }) => postToRoom(context, String(room), message, { action: "message" })
+    },
+
+    // Chat in the room of a game
+    gameChat: {
+        schema: {
+            required: ["gameId", "message"],
+            properties: { gameId: id, message: { type: "string" } }
+        },
+        handle: (context, { gameId, message }) => postToRoom(context, String(gameId), message, { action: "gameChat", gameId })
+    },
+
+    directMessage: {
+        schema: {
+            required: ["targetUserId", "message"],
+            properties: { targetUserId: id, message: { type: "string" } }
+        },
+        handle: async ({ ws, userId, username }, { targetUserId, message }) => {
+            const direct = await deliverDirectMessage(userId, username, targetUserId, message);
+            if (!direct.error) {
+                send(ws, { action: "directMessageSent", ...direct });
+            }
+            return direct;
+        }
+    },
+
+    directMessageRead: {
+        schema: {
+            required: ["targetUserId", "messageId"],
+            properties: { targetUserId: id, messageId: id }
+        },
+        handle: ({ userId }, { targetUserId, messageId }) => readConversation(userId, targetUserId, messageId)
+    },
+
+    // Typing indicators are only passed on, they aren't stored
+    typing: {
+        schema: {
+            required: ["targetUserId"],
+            properties: { targetUserId: id, typing: { type: "boolean" } }
+        },
+        handle: async ({ userId }, { targetUserId, typing }) => {
+            if (!(await logic.isBlocked(userId, targetUserId))) {
+                sendToUser(targetUserId, { action: "typing", userId: Number(userId), typing: typing !== false });
+            }
+        }
+    }
+};
+
+module.exports = {
+    handlers,
+    sendChatHistory,
+    deliverDirectMessage,
+    readConversation
+};
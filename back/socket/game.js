@@ -0,0 +1,250 @@
+/**
+ * GAME SOCKET HANDLERS
+ *
+ * Moves, clocks, reconnecting players, spectators, and the resign, draw,
+ * takeback and rematch actions of a game.
+ */
+
+const logic = require(`../logic.js`),
+      { id } = require(`../apiSchemas.js`),
+      { userSockets, spectators, send, sendToUser, sendToGame, joinRoom, removeSpectator } = require(`./state.js`);
+
+const clockTimers = new Map(),
+      disconnectTimers = new Map(),
+      CLOCK_GRACE_MS = 250,
+      RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// Helper to put a reconnecting player back in their unfinished games and send them the full state
+const resumeGames = async (ws, userId) => {
+    const games = await logic.getUnfinishedGames(userId);
+    for (const game of games) {
+        joinRoom(game.gameId, ws);
+
+        // The player came back in time, their opponent is told the game goes on
+        const timerKey = `${game.gameId}:${userId}`;
+        if (disconnectTimers.has(timerKey)) {
+            clearTimeout(disconnectTimers.get(timerKey));
+            disconnectTimers.delete(timerKey);
+            sendToUser(game.opponentId, { action: "opponentReconnected", gameId: game.gameId, userId: Number(userId) });
+        }
+
+        send(ws, { action: "gameSync", ...game, opponentConnected: game.opponentIsBot || userSockets.has(String(game.opponentId)) });
+        console.log(`\tUser ${userId} resumed game ${game.gameId}`);
+
+        // A bot move that failed or was lost in a restart is played now
+        if (game.opponentIsBot && game.currentTurn === game.opponentId) {
+            playBotTurn(game.gameId).catch((err) => console.error("Error playing bot move:", err));
+        }
+    }
+};
+
+// Helper to give a disconnected player time to come back before they forfeit their games,
+// correspondence games are played without staying connected so they are left alone
+const handleDisconnect = async (userId) => {
+    const games = await logic.getUnfinishedGames(userId);
+    for (const game of games) {
+        if (game.opponentIsBot || game.correspondence) {
+            continue;
+        }
+
+        const timerKey = `${game.gameId}:${userId}`;
+        clearTimeout(disconnectTimers.get(timerKey));
+        disconnectTimers.set(timerKey, setTimeout(async () => {
+            disconnectTimers.delete(timerKey);
+            try {
+                const result = await logic.forfeitGame(game.gameId, userId);
+                if (result) {
+                    sendToGame(result, { action: "gameOver", gameId: result.gameId, ...result.gameOver });
+                    console.log(`\tUser ${userId} forfeited game ${game.gameId} after disconnecting`);
+                }
+            } catch (err) {
+                console.error("Error forfeiting game:", err);
+            }
+        }, RECONNECT_GRACE_MS));
+
+        sendToUser(game.opponentId, { action: "opponentDisconnected", gameId: game.gameId, userId: Number(userId), graceMs: RECONNECT_GRACE_MS });
+    }
+};
+
+// Helper to tell both players that their game has started, player 1 plays red and moves first
+const sendStartGame = (player1Id, player2Id, gameId) => {
+    sendToUser(player1Id, { action: "startGame", opponentId: player2Id, gameId, colour: "red" });
+    sendToUser(player2Id, { action: "startGame", opponentId: player1Id, gameId, colour: "yellow" });
+};
+
+// Helper to notify players of a move, and of the result if it ended the game
+const broadcastMove = (result) => {
+    const moveMessage = { action: "gameMove", gameId: result.gameId, type: result.type, col: result.col, row: result.row, playerId: result.playerId,
+                          nextTurn: result.nextTurn, clocks: result.clocks, variantState: result.variantState };
+    sendToGame(result, moveMessage);
+    if (result.gameOver) {
+        sendToGame(result, { action: "gameOver", gameId: result.gameId, ...result.gameOver });
+    } else if (result.clocks) {
+        watchClock(result.gameId).catch((err) => console.error("Error watching clock:", err));
+    }
+};
+
+// Helper to end a game on time once the clock of the player to move runs out
+const watchClock = async (gameId) => {
+    gameId = Number(gameId);
+    clearTimeout(clockTimers.get(gameId));
+    clockTimers.delete(gameId);
+
+    const clock = await logic.getClock(gameId);
+    if (!clock) {
+        return;
+    }
+    clockTimers.set(gameId, setTimeout(async () => {
+        clockTimers.delete(gameId);
+        try {
+            const result = await logic.checkTimeout(gameId);
+            if (result) {
+                sendToGame(result, { action: "gameOver", gameId, ...result.gameOver });
+            } else {
+                await watchClock(gameId);
+            }
+        } catch (err) {
+            console.error("Error checking clock:", err);
+        }
+    }, Math.max(0, clock.remainingMs) + CLOCK_GRACE_MS));
+};
+
+// Helper to let the bot answer when it is its turn
+const playBotTurn = async (gameId) => {
+    const result = await logic.playBotMove(gameId);
+    if (result && !result.error) {
+        broadcastMove(result);
+    }
+};
+
+// Helper to make a move and tell the players and spectators, the same for the HTTP route and the socket
+const playMove = async (gameId, userId, col, pop) => {
+    const result = await logic.makeMove(gameId, userId, col, pop);
+    if (result.error) {
+        // The move came in too late and lost the game on time
+        if (result.gameOver) {
+            sendToGame(result, { action: "gameOver", gameId: result.gameId, ...result.gameOver });
+        }
+        return result;
+    }
+
+    broadcastMove(result);
+    // Let the bot answer if it is its turn
+    if (result.botToMove) {
+        playBotTurn(result.gameId).catch((err) => console.error("Error playing bot move:", err));
+    }
+    return result;
+};
+
+// What the players can do in their game besides moving, each is checked and saved by the logic layer
+const GAME_ACTIONS = {
+    resign: (gameId, userId) => logic.resignGame(gameId, userId),
+    offerDraw: (gameId, userId) => logic.offerDraw(gameId, userId),
+    acceptDraw: (gameId, userId) => logic.answerDrawOffer(gameId, userId, true),
+    declineDraw: (gameId, userId) => logic.answerDrawOffer(gameId, userId, false),
+    requestTakeback: (gameId, userId) => logic.requestTakeback(gameId, userId),
+    acceptTakeback: (gameId, userId) => logic.answerTakeback(gameId, userId, true),
+    declineTakeback: (gameId, userId) => logic.answerTakeback(gameId, userId, false),
+    offerRematch: (gameId, userId) => logic.offerRematch(gameId, userId),
+    acceptRematch: (gameId, userId) => logic.answerRematch(gameId, userId, true),
+    declineRematch: (gameId, userId) => logic.answerRematch(gameId, userId, false)
+};
+
+// Helper to run a resign, draw, takeback or rematch action and tell the players and spectators,
+// an accepted rematch starts its game and an accepted takeback restarts the clock
+const runGameAction = async (action, gameId, userId) => {
+    const result = await GAME_ACTIONS[action](gameId, userId);
+    if (result.error) {
+        return result;
+    }
+
+    if (result.gameOver) {
+        sendToGame(result, { action: "gameOver", gameId: result.gameId, ...result.gameOver });
+    } else {
+        sendToGame(result, { action: result.event.action, gameId: result.gameId, ...result.event });
+    }
+    if (result.rematch) {
+        sendStartGame(result.rematch.player1, result.rematch.player2, result.rematch.gameId);
+        await watchClock(result.rematch.gameId);
+    } else if (action === "acceptTakeback") {
+        await watchClock(result.gameId);
+    }
+    console.log(`\tUser ${userId} did ${action} in game ${result.gameId}`);
+    return result;
+};
+
+const gameIdSchema = { required: ["gameId"], properties: { gameId: id } };
+
+const handlers = {
+    gameMove: {
+        schema: {
+            required: ["gameId", "col"],
+            properties: { gameId: id, col: { type: "integer", minimum: 0 }, pop: { type: "boolean" } }
+        },
+        handle: ({ userId }, { gameId, col, pop }) => playMove(gameId, userId, col, pop)
+    },
+
+    spectate: {
+        schema: gameIdSchema,
+        handle: async ({ ws, userId }, { gameId }) => {
+            const snapshot = await logic.getSpectatorSnapshot(gameId, userId);
+            if (snapshot.error) {
+                return snapshot;
+            }
+
+            const key = String(snapshot.gameId);
+            if (!spectators.has(key)) {
+                spectators.set(key, { game: { gameId: snapshot.gameId, player1: snapshot.player1, player2: snapshot.player2 }, sockets: new Set() });
+            }
+            const watching = spectators.get(key);
+            watching.sockets.add(ws);
+            joinRoom(key, ws);
+
+            send(ws, { action: "spectateStart", ...snapshot, spectatorCount: watching.sockets.size });
+            sendToGame(watching.game, { action: "spectatorCount", gameId: snapshot.gameId, count: watching.sockets.size });
+            console.log(`\tUser ${userId} is spectating game ${key}`);
+            return { gameId: snapshot.gameId, spectatorCount: watching.sockets.size };
+        }
+    },
+
+    stopSpectating: {
+        schema: gameIdSchema,
+        handle: async ({ ws }, { gameId }) => {
+            removeSpectator(gameId, ws);
+            send(ws, { action: "spectateStopped", gameId });
+        }
+    }
+};
+
+for (const action of Object.keys(GAME_ACTIONS)) {
+    handlers[action] = {
+        schema: gameIdSchema,
+        handle: ({ userId }, { gameId }) => runGameAction(action, gameId, userId)
+    };
+}
+
+/**
+ * Protocol 1 clients send their moves through the HTTP route and then relay them
+ * to the room with { action: "gameMove", gmId, col, row, board }. The server now
+ * sends every move it saved to the game itself, so the relay is ignored: passing
+ * it on would let anyone in the room send the players a board of their own.
+ */
+const legacyHandlers = {
+    gameMove: {
+        schema: { properties: { gmId: {}, col: {}, row: {}, board: {} } },
+        handle: async () => {}
+    }
+};
+
+module.exports = {
+    handlers,
+    legacyHandlers,
+    resumeGames,
+    handleDisconnect,
+    sendStartGame,
+    broadcastMove,
+    watchClock,
+    playBotTurn,
+    playMove,
+    runGameAction
+};
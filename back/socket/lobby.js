@@ -0,0 +1,123 @@
+/**
+ * LOBBY SOCKET HANDLERS
+ *
+ * Joining and leaving rooms, the matchmaking queue, friends' presence and
+ * following tournaments.
+ */
+
+const logic = require(`../logic.js`),
+      { id } = require(`../apiSchemas.js`),
+      { userSockets, rooms, matchQueue, tournamentWatchers, send, sendToUser, joinRoom, getPresence, updatePresence } = require(`./state.js`),
+      { sendStartGame, watchClock } = require(`./game.js`),
+      { sendChatHistory } = require(`./chat.js`);
+
+// Helper to send a user that just connected what their friends are doing
+const sendFriendsPresence = async (ws, userId) => {
+    const friendIds = await logic.getFriendIds(userId);
+    send(ws, { action: "friendsPresence", friends: friendIds.map((friendId) => ({ userId: friendId, ...getPresence(friendId) })) });
+};
+
+// Helper to send a tournament update to its players and the users watching it, the
+// games of a new round are started like any other game
+const sendTournamentEvent = async (event) => {
+    const watching = tournamentWatchers.get(String(event.tournamentId)) || new Set();
+    for (const playerId of event.playerIds) {
+        if (!watching.has(userSockets.get(String(playerId)))) {
+            sendToUser(playerId, event.message);
+        }
+    }
+    for (const client of watching) {
+        send(client, event.message);
+    }
+    for (const game of event.games) {
+        sendStartGame(game.player1, game.player2, game.gameId);
+        await watchClock(game.gameId);
+    }
+};
+
+const room = { type: ["string", "integer"], description: "\"lobby\", a game ID or a named room" };
+
+const handlers = {
+    join: {
+        schema: { required: ["room"], properties: { room } },
+        handle: async ({ ws, userId }, { room }) => {
+            const access = await logic.canAccessRoom(room, userId);
+            if (access.error) {
+                return access;
+            }
+            joinRoom(access.room, ws);
+            console.log(`\tUser ${userId} joined room: ${access.room}`);
+            await updatePresence(userId);
+            await sendChatHistory(ws, userId, access.room);
+            return { room: access.room };
+        }
+    },
+
+    leave: {
+        schema: { required: ["room"], properties: { room } },
+        handle: async ({ ws, userId }, { room }) => {
+            room = String(room);
+            if (rooms.has(room)) {
+                rooms.get(room).delete(ws);
+                console.log(`\tUser ${userId} left room: ${room}`);
+                await updatePresence(userId);
+            }
+            return { room };
+        }
+    },
+
+    queueJoin: {
+        schema: { properties: { rated: { type: "boolean" } } },
+        handle: async ({ ws, userId }, { rated }) => {
+            const rating = await logic.getRating(userId);
+            matchQueue.set(userId, { userId, rating, rated: rated !== false, joinedAt: Date.now() });
+            send(ws, { action: "queueJoined", rating, queueSize: matchQueue.size });
+            console.log(`\tUser ${userId} joined the matchmaking queue`);
+            return { rating, queueSize: matchQueue.size };
+        }
+    },
+
+    queueLeave: {
+        schema: { properties: {} },
+        handle: async ({ ws, userId }) => {
+            matchQueue.delete(userId);
+            send(ws, { action: "queueLeft" });
+            console.log(`\tUser ${userId} left the matchmaking queue`);
+        }
+    },
+
+    watchTournament: {
+        schema: { required: ["tournamentId"], properties: { tournamentId: id } },
+        handle: async ({ ws }, { tournamentId }) => {
+            const standings = await logic.getTournamentStandings(tournamentId);
+            if (standings.error) {
+                return standings;
+            }
+            const key = String(standings.tournamentId);
+            if (!tournamentWatchers.has(key)) {
+                tournamentWatchers.set(key, new Set());
+            }
+            tournamentWatchers.get(key).add(ws);
+            send(ws, { action: "tournamentWatching", ...standings });
+            return { tournamentId: standings.tournamentId };
+        }
+    },
+
+    unwatchTournament: {
+        schema: { required: ["tournamentId"], properties: { tournamentId: id } },
+        handle: async ({ ws }, { tournamentId }) => {
+            const key = String(tournamentId),
+                  watching = tournamentWatchers.get(key);
+            if (watching && watching.delete(ws) && watching.size === 0) {
+                tournamentWatchers.delete(key);
+            }
+            send(ws, { action: "tournamentUnwatched", tournamentId });
+        }
+    }
+};
+
+module.exports = {
+    handlers,
+    sendFriendsPresence,
+    sendTournamentEvent
+};
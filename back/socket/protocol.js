@@ -0,0 +1,211 @@
+/**
+ * SOCKET PROTOCOL
+ *
+ * Messages are JSON objects with an `action`. Every action has a schema and a
+ * handler in one of the domain modules (lobby, chat, challenge, game), this
+ * module checks the message against the schema, runs the handler and answers.
+ *
+ * Protocol 1 is what clients spoke before there were versions: fields are loosely
+ * typed, errors are { error: "text" } and nothing is acknowledged. A socket speaks
+ * it until the client asks for a newer one, with ?protocol=2 when it connects or
+ * with { action: "hello", versions: [2] } later. The server answers with
+ * { action: "welcome", protocol, supportedProtocols, heartbeatIntervalMs }.
+ *
+ * In protocol 2 a message can't have fields its action doesn't list, fields must
+ * have the right type, and every message is answered with
+ *   { action: "ack", id, request, result }
+ *   { action: "error", id, request, error: { code, message, details } }
+ * where id is whatever the client put in the message and request is its action.
+ * The error codes are the ones of the HTTP API.
+ *
+ * Every socket is pinged and the ones that stop answering are closed. Browsers
+ * answer pings on their own, clients can also send { action: "ping" } and get
+ * { action: "pong" } back.
+ */
+
+const api = require(`../api.js`),
+      { send } = require(`./state.js`);
+
+const PROTOCOL_VERSIONS = [1, 2],
+      LEGACY_PROTOCOL = 1,
+      HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 30 * 1000,
+      UNKNOWN_ACTION_CODE = "UNKNOWN_ACTION",
+      UNSUPPORTED_PROTOCOL_CODE = "UNSUPPORTED_PROTOCOL";
+
+// Fields every message can have besides the ones of its action
+const MESSAGE_FIELDS = {
+    action: { type: "string" },
+    id: { type: ["string", "integer"], description: "Request ID, sent back in the ack or error" }
+};
+
+// picks the newest version both sides speak, null when there is none.
+function chooseVersion(versions) {
+    const common = versions.filter((version) => PROTOCOL_VERSIONS.includes(version));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+function sendWelcome(ws) {
+    send(ws, {
+        action: "welcome",
+        protocol: ws.protocolVersion,
+        supportedProtocols: PROTOCOL_VERSIONS,
+        heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS
+    });
+}
+
+// handler of an action, only the table's own keys so "constructor" isn't one.
+function findHandler(table, action) {
+    return Object.prototype.hasOwnProperty.call(table, action) ? table[action] : null;
+}
+
+// answers a message that failed, in the shape of the socket's protocol.
+function sendError(ws, request, status, message, details, code) {
+    if (ws.protocolVersion === LEGACY_PROTOCOL) {
+        return send(ws, { error: message });
+    }
+    send(ws, { action: "error", id: request.id, request: request.action, error: api.createError(status, message, details, code) });
+}
+
+/**
+ * Sets up a socket that just connected: its protocol version, from the protocol
+ * query parameter ("2" or "1,2"), and the heartbeat.
+ * @param {Object} ws - The socket.
+ * @param {String} requested - Value of the protocol query parameter, null when there is none.
+ * @returns {Boolean} false when the client only speaks versions the server doesn't.
+ */
+function negotiate(ws, requested) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    if (requested === null || requested === undefined) {
+        ws.protocolVersion = LEGACY_PROTOCOL;
+        return true;
+    }
+    const version = chooseVersion(String(requested).split(",").map(Number));
+    if (version === null) {
+        return false;
+    }
+    ws.protocolVersion = version;
+    sendWelcome(ws);
+    return true;
+}
+
+// Actions of the protocol itself, every socket has them
+const protocolHandlers = {
+    hello: {
+        schema: {
+            required: ["versions"],
+            properties: { versions: { type: "array", minItems: 1, items: { type: "integer", minimum: 1 } } }
+        },
+        handle: async ({ ws }, { versions }) => {
+            const version = chooseVersion(versions);
+            if (version === null) {
+                return { error: `Supported protocols are ${PROTOCOL_VERSIONS.join(", ")}`, status: 400, code: UNSUPPORTED_PROTOCOL_CODE };
+            }
+            ws.protocolVersion = version;
+            sendWelcome(ws);
+            return { protocol: version };
+        }
+    },
+    ping: {
+        schema: { properties: {} },
+        acknowledge: false,
+        handle: async ({ ws }, { id }) => {
+            send(ws, { action: "pong", id, time: Date.now() });
+        }
+    }
+};
+
+/**
+ * Builds the function that handles the messages of every socket.
+ * @param {Array} modules - Domain modules, each with `handlers` and maybe
+ *                          `legacyHandlers` that replace some of them in protocol 1.
+ *                          A handler is { schema: { required, properties }, handle(context, message) },
+ *                          handle returns the result for the ack or { error, status }.
+ * @returns {Function} handleMessage(ws, context, rawMessage), context is what the
+ *                     handlers get besides the socket (userId, username).
+ */
+function createDispatcher(modules) {
+    const handlers = { ...protocolHandlers },
+          legacyHandlers = {};
+    for (const module of modules) {
+        for (const [action, handler] of Object.entries(module.handlers)) {
+            if (handlers[action]) {
+                throw new Error(`Action ${action} has two handlers`);
+            }
+            handlers[action] = handler;
+        }
+        Object.assign(legacyHandlers, module.legacyHandlers);
+    }
+
+    return async (ws, context, rawMessage) => {
+        ws.isAlive = true;
+        let message;
+        try {
+            message = JSON.parse(rawMessage);
+        } catch (err) {
+            return sendError(ws, {}, 400, "Invalid message format", undefined, api.INVALID_JSON_ERROR_CODE);
+        }
+        if (message === null || typeof message !== "object" || Array.isArray(message)) {
+            return sendError(ws, {}, 400, "Invalid message format");
+        }
+
+        const legacy = ws.protocolVersion === LEGACY_PROTOCOL,
+              handler = (legacy && findHandler(legacyHandlers, message.action)) || findHandler(handlers, message.action);
+        if (!handler) {
+            return sendError(ws, message, 400, "Unknown action", undefined, UNKNOWN_ACTION_CODE);
+        }
+
+        // Protocol 1 clients sent numbers as strings and extra fields, so it is only coerced
+        const schema = { type: "object", required: handler.schema.required, properties: { ...handler.schema.properties, ...MESSAGE_FIELDS } },
+              { value, errors } = api.validate(schema, message, { coerce: legacy, strict: !legacy });
+        if (errors.length > 0) {
+            return sendError(ws, message, 400, api.describeErrors(errors), errors, api.VALIDATION_ERROR_CODE);
+        }
+
+        try {
+            const result = await handler.handle({ ...context, ws }, value);
+            if (result && result.error) {
+                return sendError(ws, message, result.status || 400, result.error, undefined, result.code);
+            }
+            if (ws.protocolVersion !== LEGACY_PROTOCOL && handler.acknowledge !== false) {
+                send(ws, { action: "ack", id: message.id, request: message.action, result: result === undefined ? null : result });
+            }
+        } catch (err) {
+            console.error(`Error handling ${message.action}:`, err);
+            sendError(ws, message, 500, legacy ? "Invalid message format" : `An error occured on the server!`);
+        }
+    };
+}
+
+/**
+ * Closes the sockets that didn't answer the last ping and pings the others, run
+ * every HEARTBEAT_INTERVAL_MS. Closing a socket cleans up its user like any close.
+ * @param {Set} clients - Every connected socket.
+ * @returns {Integer} Number of sockets that were closed.
+ */
+function checkHeartbeats(clients) {
+    let closed = 0;
+    for (const ws of clients) {
+        if (!ws.isAlive) {
+            ws.terminate();
+            closed++;
+            continue;
+        }
+        ws.isAlive = false;
+        if (ws.readyState === ws.OPEN) {
+            ws.ping();
+        }
+    }
+    return closed;
+}
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    HEARTBEAT_INTERVAL_MS,
+    negotiate,
+    createDispatcher,
+    checkHeartbeats
+};
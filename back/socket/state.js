@@ -0,0 +1,136 @@
+/**
+ * SOCKET STATE
+ *
+ * Who is connected and where, shared by the HTTP routes and the WebSocket
+ * handlers, and the helpers to send them messages.
+ */
+
+const WebSocket = require('ws'),
+      logic     = require(`../logic.js`);
+
+const userSockets = new Map(),
+      rooms = new Map(),
+      matchQueue = new Map(),
+      spectators = new Map(),
+      presence = new Map(),
+      tournamentWatchers = new Map();
+
+rooms.set("lobby", new Set()); // Initialize the lobby
+
+// Helper to send a message to a socket if it is still open
+const send = (ws, message) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+};
+
+// Helper to send a message to a user if they are connected
+const sendToUser = (userId, message) => {
+    send(userSockets.get(String(userId)), message);
+};
+
+// Helper to send a message to both players of a game if they are connected
+const sendToPlayers = (game, message) => {
+    for (const playerId of [game.player1, game.player2]) {
+        sendToUser(playerId, message);
+    }
+};
+
+// Helper to send a message to everyone following a game, the players and the spectators
+const sendToGame = (game, message) => {
+    sendToPlayers(game, message);
+    const watching = spectators.get(String(game.gameId));
+    for (const client of watching ? watching.sockets : []) {
+        send(client, message);
+    }
+};
+
+// Helper to send a chat message to everyone in a room, users that blocked the sender
+// or were blocked by them don't get it
+const sendToRoom = async (room, message, senderId) => {
+    const blockedIds = new Set((await logic.getBlockedUserIds(senderId)).map(String));
+    for (const client of rooms.get(String(room)) || []) {
+        if (!blockedIds.has(client.userId)) {
+            send(client, message);
+        }
+    }
+};
+
+// Helper to put a socket in a room, the room is made when it is the first one in it
+const joinRoom = (room, ws) => {
+    room = String(room);
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    rooms.get(room).add(ws);
+};
+
+// Helper to stop a socket from spectating a game and tell the others the new count
+const removeSpectator = (gameId, ws) => {
+    gameId = String(gameId);
+    const watching = spectators.get(gameId);
+    if (!watching || !watching.sockets.delete(ws)) {
+        return;
+    }
+    if (rooms.has(gameId)) {
+        rooms.get(gameId).delete(ws);
+    }
+    sendToGame(watching.game, { action: "spectatorCount", gameId: watching.game.gameId, count: watching.sockets.size });
+    if (watching.sockets.size === 0) {
+        spectators.delete(gameId);
+    }
+};
+
+// Helper to work out what a user is doing from the rooms their socket is in, a
+// game room they are spectating doesn't count as playing.
+const getPresence = (userId) => {
+    const ws = userSockets.get(String(userId));
+    if (!ws) {
+        return { status: "offline", gameId: null };
+    }
+    for (const [room, clients] of rooms.entries()) {
+        const watching = spectators.get(room);
+        if (/^\d+$/.test(room) && clients.has(ws) && !(watching && watching.sockets.has(ws))) {
+            return { status: "game", gameId: Number(room) };
+        }
+    }
+    return { status: rooms.get("lobby").has(ws) ? "lobby" : "online", gameId: null };
+};
+
+// Helper to tell a user's friends what they are doing when it changes
+const updatePresence = async (userId) => {
+    userId = String(userId);
+    const current = getPresence(userId),
+          previous = presence.get(userId) || { status: "offline", gameId: null };
+    if (current.status === previous.status && current.gameId === previous.gameId) {
+        return;
+    }
+    if (current.status === "offline") {
+        presence.delete(userId);
+    } else {
+        presence.set(userId, current);
+    }
+
+    const friendIds = await logic.getFriendIds(userId);
+    for (const friendId of friendIds) {
+        sendToUser(friendId, { action: "presence", userId: Number(userId), ...current });
+    }
+};
+
+module.exports = {
+    userSockets,
+    rooms,
+    matchQueue,
+    spectators,
+    presence,
+    tournamentWatchers,
+    send,
+    sendToUser,
+    sendToPlayers,
+    sendToGame,
+    sendToRoom,
+    joinRoom,
+    removeSpectator,
+    getPresence,
+    updatePresence
+};
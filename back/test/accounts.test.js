@@ -0,0 +1,65 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`),
+      mailer = require(`../mailer.js`);
+
+// keeps the mails instead of sending them
+const captureMail = (t) => {
+    const mails = [];
+    mailer.setTransport({ async send(mail) { mails.push(mail); } });
+    t.after(() => mailer.setTransport(mailer.logTransport));
+    return mails;
+};
+
+test("a reset code is mailed when the account is found by its username or its email", async (t) => {
+    const mails = captureMail(t);
+    t.mock.method(DB, "getUserWithUsernameOrEmail", async (username, email) =>
+        username === "alice" || email === "alice@example.com" ? { user_id: 3, username: "alice", email: "alice@example.com" } : undefined);
+    t.mock.method(DB, "addPasswordReset", async () => 1);
+
+    await logic.requestPasswordReset(null, "Alice@Example.com");
+    await logic.requestPasswordReset("alice", null);
+    await logic.requestPasswordReset("bob", null);
+    assert.equal(mails.length, 2);
+    assert.equal(mails[0].to, "alice@example.com");
+
+    // only a hash of the code is stored
+    const code = mails[0].text.match(/password: ([0-9a-f]+)/)[1];
+    assert.notEqual(DB.addPasswordReset.mock.calls[0].arguments[1], code);
+});
+
+test("a reset password can't contain the username and the code stays usable until it passes", async (t) => {
+    t.mock.method(DB, "getPasswordReset", async () => ({ user_id: 3, username: "alice" }));
+    t.mock.method(DB, "usePasswordReset", async () => 3);
+    t.mock.method(DB, "updatePassword", async () => 1);
+    t.mock.method(DB, "revokeAllSessions", async () => [7, 8]);
+
+    assert.match((await logic.resetPassword("code", "Alice2024x", "Alice2024x")).error, /username/);
+    assert.equal(DB.usePasswordReset.mock.callCount(), 0);
+
+    assert.deepEqual(await logic.resetPassword("code", "Tr1cky-Pass", "Tr1cky-Pass"), { userId: 3, revokedSessions: [7, 8] });
+    assert.equal(DB.usePasswordReset.mock.callCount(), 1);
+});
+
+test("an unknown or used reset code is refused", async (t) => {
+    t.mock.method(DB, "getPasswordReset", async () => undefined);
+    t.mock.method(DB, "updatePassword", async () => assert.fail("the password was changed"));
+    assert.match((await logic.resetPassword("code", "Tr1cky-Pass", "Tr1cky-Pass")).error, /not valid/);
+    assert.match((await logic.resetPassword("code", "Tr1cky-Pass", "Tr1cky-Pas")).error, /not matching/);
+});
+
+test("without a mail transport the body of a mail is never logged", async (t) => {
+    const logged = [];
+    t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+    t.mock.method(console, "warn", (...args) => logged.push(args.join(" ")));
+
+    const transport = mailer.getDefaultTransport({});
+    assert.equal(transport, mailer.logTransport);
+    await transport.send({ to: "alice@example.com", subject: "Reset your password", text: "Use this code: secret-code" });
+    assert.equal(logged.length, 1);
+    assert.match(logged[0], /alice@example.com/);
+    assert.doesNotMatch(logged[0], /secret-code/);
+
+    assert.equal(mailer.getDefaultTransport({ MAIL_TRANSPORT: "console" }), mailer.consoleTransport);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`),
+      AI = require(`../ai.js`);
+
+// red has three in the bottom row and yellow three on top of them, red to move
+const redToWin = () => {
+    const board = logic.createEmptyBoard();
+    board[5] = ["red", "red", "red", null, null, null, null];
+    board[4] = ["yellow", "yellow", "yellow", null, null, null, null];
+    return board;
+};
+
+test("the analysis scores a win in one as a win at distance 1", () => {
+    const analysis = AI.analyzePosition(redToWin(), "red", { maxDepth: 2 }),
+          winning = analysis.columns.find((column) => column.col === 3);
+    assert.deepEqual([winning.result, winning.distance], ["win", 1]);
+    assert.equal(analysis.columns.length, 7);
+    assert.ok(analysis.columns.filter((column) => column.col !== 3).every((column) => column.result !== "win"));
+});
+
+test("boards sent for analysis are checked", async () => {
+    const floating = logic.createEmptyBoard();
+    floating[2][0] = "red";
+    assert.match((await logic.analyzeBoard(floating)).error, /column 1 is floating/);
+
+    const painted = logic.createEmptyBoard();
+    painted[5][0] = "blue";
+    assert.match((await logic.analyzeBoard(painted)).error, /Cells must be/);
+
+    assert.match((await logic.analyzeBoard([[null, null]])).error, /^Board must be/);
+    assert.match((await logic.analyzeBoard(logic.createEmptyBoard(4, 4), null, 5)).error, /^Connect/);
+
+    const twoMoves = logic.createEmptyBoard();
+    twoMoves[5][0] = "red";
+    twoMoves[5][1] = "red";
+    assert.match((await logic.analyzeBoard(twoMoves)).error, /whose turn/);
+});
+
+test("the colour to move is worked out from the discs and the best column is picked", async () => {
+    const analysis = await logic.analyzeBoard(redToWin());
+    assert.equal(analysis.toMove, "red");
+    assert.equal(analysis.bestCol, 3);
+});
+
+test("only a few analyses run at once", async () => {
+    const board = logic.createEmptyBoard(4, 4);
+    board.slice(1).forEach((row, index) => row.fill(index % 2 === 0 ? "red" : "yellow"));
+    board[3] = ["red", "yellow", "red", "yellow"];
+    const results = await Promise.all([logic.analyzeBoard(board), logic.analyzeBoard(board), logic.analyzeBoard(board)]);
+    assert.deepEqual(results.map((result) => result.status || 200), [200, 200, 503]);
+    assert.equal((await logic.analyzeBoard(board)).toMove, "red");
+});
+
+test("games can only be analyzed while they are played, without pops", async (t) => {
+    const game = { game_id: 2, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(redToWin()) };
+    t.mock.method(DB, "getGameWithId", async () => game);
+
+    assert.equal((await logic.analyzeGame(2)).bestCol, 3);
+    game.variant = "popout";
+    assert.equal((await logic.analyzeGame(2)).status, 409);
+    game.variant = "standard";
+    game.ended_at = new Date();
+    assert.equal((await logic.analyzeGame(2)).status, 409);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      { once } = require('node:events'),
+      express = require('express'),
+      api = require(`../api.js`),
+      schemas = require(`../apiSchemas.js`);
+
+const move = {
+    type: "object",
+    required: ["col"],
+    properties: { col: { type: "integer", minimum: 0, maximum: 8 }, pop: { type: "boolean" } }
+};
+
+test("valid values pass unchanged", () => {
+    assert.deepEqual(api.validate(move, { col: 3, pop: true }), { value: { col: 3, pop: true }, errors: [] });
+});
+
+test("types, bounds and required properties are checked with the path of the value", () => {
+    assert.deepEqual(api.validate(move, { col: "3" }, { path: "body" }).errors, [{ path: "body.col", message: "must be integer" }]);
+    assert.deepEqual(api.validate(move, { col: 9 }).errors, [{ path: "col", message: "must be at most 8" }]);
+    assert.deepEqual(api.validate(move, {}).errors, [{ path: "col", message: "is required" }]);
+    assert.deepEqual(api.validate(move, [3]).errors, [{ path: "", message: "must be object" }]);
+});
+
+test("coerce turns strings into the numbers and booleans of the schema", () => {
+    const { value, errors } = api.validate(move, { col: "3", pop: "false" }, { coerce: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { col: 3, pop: false });
+    assert.deepEqual(api.validate(move, { col: "3.5" }, { coerce: true }).errors, [{ path: "col", message: "must be integer" }]);
+});
+
+test("strict only rejects properties the schema doesn't list", () => {
+    assert.deepEqual(api.validate(move, { col: 1, extra: 1 }).errors, []);
+    assert.deepEqual(api.validate(move, { col: 1, extra: 1 }, { strict: true }).errors, [{ path: "extra", message: "is not allowed" }]);
+    assert.deepEqual(api.validate({ type: "object", additionalProperties: { type: "integer" } }, { a: 1, b: "x" }, { strict: true }).errors,
+                     [{ path: "b", message: "must be integer" }]);
+});
+
+test("strings, enums and arrays", () => {
+    const schema = {
+        type: "object",
+        properties: {
+            name: { type: "string", minLength: 3, maxLength: 5, pattern: "^[a-z]+$" },
+            colour: { type: "string", enum: ["red", "yellow"] },
+            ids: { type: "array", minItems: 1, maxItems: 2, items: { type: "integer" } }
+        }
+    };
+    assert.deepEqual(api.validate(schema, { name: "ab", colour: "blue", ids: [] }).errors.map((error) => error.path + " " + error.message), [
+        "name must be at least 3 characters",
+        "colour must be one of red, yellow",
+        "ids must have at least 1 items"
+    ]);
+    assert.deepEqual(api.validate(schema, { name: "ABCDEF", ids: [1, "2", 3] }).errors.map((error) => error.path + " " + error.message), [
+        "name must be at most 5 characters",
+        "name must match ^[a-z]+$",
+        "ids must have at most 2 items",
+        "ids.1 must be integer"
+    ]);
+});
+
+test("$ref points to a component and nullable refs also take null", () => {
+    const components = { Point: { type: "object", required: ["x"], properties: { x: { type: "integer" } } } },
+          schema = { type: "object", properties: { at: schemas.nullable(schemas.ref("Point")) } };
+    assert.deepEqual(api.validate(schema, { at: null }, { components }).errors, []);
+    assert.deepEqual(api.validate(schema, { at: { x: 1 } }, { components }).errors, []);
+    assert.deepEqual(api.validate(schema, { at: { x: "1" } }, { components }).errors,
+                     [{ path: "at", message: "does not match any of the allowed schemas" }]);
+    assert.throws(() => api.validate(schemas.ref("Missing"), {}, { components }), /Unknown schema/);
+});
+
+test("components only point to components that exist", () => {
+    const document = api.createOpenApiDocument([], schemas.components),
+          refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g) || [];
+    for (const ref of refs) {
+        assert.ok(document.components.schemas[ref.split("/").pop()], `${ref} is missing`);
+    }
+});
+
+test("errors get the code of their status unless they have their own", () => {
+    assert.deepEqual(api.createError(404, "Game not found"), { code: "NOT_FOUND", message: "Game not found" });
+    assert.equal(api.createError(418, "Teapot").code, "BAD_REQUEST");
+    assert.equal(api.createError(502, "Bad gateway").code, "INTERNAL_ERROR");
+    assert.deepEqual(api.createError(400, "body.col must be integer", [{ path: "body.col", message: "must be integer" }], api.VALIDATION_ERROR_CODE),
+                     { code: "VALIDATION_FAILED", message: "body.col must be integer", details: [{ path: "body.col", message: "must be integer" }] });
+    assert.equal(api.describeErrors([{ path: "a", message: "is required" }, { path: "b", message: "is not allowed" }]), "a is required, b is not allowed");
+});
+
+test("express paths become OpenAPI paths", () => {
+    const document = api.createOpenApiDocument([
+        { name: "getGame", method: "get", path: "/game/:gameId(\\d+)", summary: "Get a game", params: { gameId: schemas.id } }
+    ], schemas.components);
+    assert.deepEqual(Object.keys(document.paths), ["/game/{gameId}"]);
+    assert.equal(document.paths["/game/{gameId}"].get.operationId, "getGame");
+});
+
+// serves the routers on a free port for the length of the test
+const serve = async (t, ...routers) => {
+    const app = express();
+    app.use(express.json());
+    routers.forEach(([prefix, router]) => app.use(prefix, router));
+    const server = app.listen(0);
+    await once(server, "listening");
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+test("an old path can find the session the old way when there is no bearer token", async (t) => {
+    const routes = [{
+              name: "checkSession", method: "post", path: "/checkSession", auth: true, legacy: "json",
+              legacyAuth: async (req) => req.body.sessionId === 4 ? { userId: 1, username: "alice", sessionId: 4 } : null,
+              handler: async (req) => req.username
+          }],
+          options = { authenticate: async (req) => req.headers.authorization === "Bearer good" ? { userId: 2, username: "bob", sessionId: 5 } : null },
+          url = await serve(t, [api.API_PREFIX, api.createRouter(routes, options)], ["/", api.createLegacyRouter(routes, options)]);
+    const post = (path, body, headers = {}) =>
+        fetch(url + path, { method: "POST", headers: { "content-type": "application/json", ...headers }, body: JSON.stringify(body) });
+
+    assert.deepEqual(await (await post("/checkSession", { userId: 1, sessionId: 4 })).json(), { message: "alice" });
+    assert.deepEqual(await (await post("/checkSession", {}, { authorization: "Bearer good" })).json(), { message: "bob" });
+    assert.equal((await post("/checkSession", { userId: 1, sessionId: 3 })).status, 401);
+    // the versioned path only takes the bearer token
+    assert.equal((await post(`${api.API_PREFIX}/checkSession`, { userId: 1, sessionId: 4 })).status, 401);
+});
+
+test("only the routes from before /api/v1 answer at their old path", async (t) => {
+    const routes = [
+              { name: "getUsername", method: "post", path: "/getUsername", legacy: "json", handler: async () => "alice" },
+              { name: "getFriends", method: "get", path: "/friends", handler: async () => [] }
+          ],
+          url = await serve(t, [api.API_PREFIX, api.createRouter(routes, {})], ["/", api.createLegacyRouter(routes, {})]);
+
+    const old = await fetch(`${url}/getUsername`, { method: "POST" });
+    assert.deepEqual(await old.json(), { message: "alice" });
+    assert.equal(old.headers.get("deprecation"), "true");
+    assert.equal(old.headers.get("link"), `<${api.API_PREFIX}/getUsername>; rel="successor-version"`);
+
+    assert.equal((await fetch(`${url}/friends`)).status, 404);
+    assert.deepEqual(await (await fetch(`${url}${api.API_PREFIX}/friends`)).json(), { data: [] });
+});
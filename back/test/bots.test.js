@@ -0,0 +1,80 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`),
+      AI = require(`../ai.js`);
+
+// board with red's discs in the bottom row at the given columns and yellow's on top of them
+const threeInARow = (columns) => {
+    const board = logic.createEmptyBoard();
+    for (const col of columns) {
+        board[5][col] = "red";
+        board[4][col] = "yellow";
+    }
+    return board;
+};
+
+test("every level plays a column that has room", () => {
+    const board = logic.createEmptyBoard();
+    board.forEach((row) => row.fill("red", 0, 6));
+    for (const level of AI.BOT_LEVELS) {
+        assert.equal(AI.chooseMove(board, "yellow", level), 6, level);
+    }
+    board.forEach((row) => row.fill("red"));
+    assert.equal(AI.chooseMove(board, "yellow", "hard"), -1);
+    assert.throws(() => AI.chooseMove(logic.createEmptyBoard(), "red", "impossible"), /Unknown bot level/);
+});
+
+test("medium and hard take a win and block the opponent's", () => {
+    const board = threeInARow([0, 1, 2]);
+    for (const level of ["medium", "hard"]) {
+        assert.equal(AI.chooseMove(board, "red", level), 3, `${level} wins`);
+        assert.equal(AI.chooseMove(board, "yellow", level), 3, `${level} blocks`);
+    }
+});
+
+test("the bots play to the connect length of the game", () => {
+    // four in a row only wins when the game is Connect 4
+    const board = threeInARow([1, 2, 3, 4]);
+    assert.ok([0, 5].includes(AI.chooseMove(board, "red", "medium", 5)));
+    assert.equal(logic.getWinningCells(board, 5, 1, 5), null);
+});
+
+test("bot games need a known level and a variant without pops", async (t) => {
+    t.mock.method(DB, "getBotUser", async () => assert.fail("no game should be made"));
+    assert.equal((await logic.createBotGame(1, "impossible")).status, 400);
+    assert.match((await logic.createBotGame(1, "easy", { variant: "popout" })).error, /Bots can't play popout/);
+});
+
+const mockGame = (t, game) => {
+    t.mock.method(DB, "getGameWithId", async () => game);
+    t.mock.method(DB, "updateGameState", async () => 1);
+    t.mock.method(DB, "addMove", async () => {});
+};
+
+test("the bot plays through the same move rules as the players", async (t) => {
+    const board = threeInARow([0, 1]);
+    board[5][2] = "red";
+    const game = { game_id: 9, player1_id: 1, player2_id: 2, current_turn: 2, game_state: JSON.stringify(board),
+                   player1_bot_level: null, player2_bot_level: "medium" };
+    mockGame(t, game);
+
+    const result = await logic.playBotMove(9);
+    assert.equal(result.playerId, 2);
+    assert.equal(result.col, 3, "the bot blocks");
+    assert.equal(result.board[5][3], "yellow");
+    assert.equal(result.botToMove, false);
+
+    game.current_turn = 1;
+    assert.equal(await logic.playBotMove(9), null, "it is not the bot's turn");
+});
+
+test("only a move that hands the turn to a bot asks the bot to play", async (t) => {
+    const game = { game_id: 9, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(logic.createEmptyBoard()),
+                   player1_bot_level: null, player2_bot_level: null };
+    mockGame(t, game);
+
+    assert.equal((await logic.makeMove(9, 1, 3)).botToMove, false);
+    game.player2_bot_level = "easy";
+    assert.equal((await logic.makeMove(9, 1, 3)).botToMove, true);
+});
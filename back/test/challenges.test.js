@@ -0,0 +1,84 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const createChallenge = (changes = {}) => ({
+    challenge_id: 11, sender_id: 3, challenger_id: 4, status: "pending", colour: "yellow", rated: 0, time_control: null,
+    variant: "standard", board_rows: 6, board_columns: 7, connect_length: 4, expires_at: new Date(Date.now() + 60000), ...changes
+});
+
+const mockChallenge = (t, challenge) => {
+    t.mock.method(DB, "getChallengeWithId", async () => challenge);
+    t.mock.method(DB, "sendChallengeResponse", async () => true);
+    t.mock.method(DB, "cancelChallenge", async () => true);
+};
+
+test("a challenge stores its options and expires after a day", async (t) => {
+    t.mock.method(DB, "getProfile", async () => ({ user_id: 4 }));
+    t.mock.method(DB, "isBlocked", async () => false);
+    t.mock.method(DB, "getPendingChallengeBetween", async () => undefined);
+    t.mock.method(DB, "sendAChallenge", async () => 11);
+    t.mock.method(DB, "getChallengeWithId", async () => createChallenge({ rated: 1 }));
+
+    const challenge = await logic.sendChallenge(3, "4", { colour: "yellow", rated: "true", timeControl: { type: "perMove", perMoveMs: 30000 } });
+    assert.deepEqual([challenge.challengeId, challenge.status, challenge.rated], [11, "pending", true]);
+
+    const [senderId, challengerId, options, expiresAt] = DB.sendAChallenge.mock.calls[0].arguments;
+    assert.deepEqual([senderId, challengerId, options.colour, options.rated, options.timeControl], [3, 4, "yellow", true, { type: "perMove", perMoveMs: 30000 }]);
+    const ttlMs = new Date(`${expiresAt}Z`).getTime() - Date.now();
+    assert.equal(ttlMs > 23 * 60 * 60 * 1000 && ttlMs <= 24 * 60 * 60 * 1000, true);
+});
+
+test("a challenge with bad options, or one to a user already challenged, is refused", async (t) => {
+    t.mock.method(DB, "getProfile", async () => ({ user_id: 4 }));
+    t.mock.method(DB, "isBlocked", async () => false);
+    t.mock.method(DB, "getPendingChallengeBetween", async () => createChallenge());
+    t.mock.method(DB, "sendAChallenge", async () => assert.fail("the challenge was stored"));
+
+    assert.match((await logic.sendChallenge(3, 4, { colour: "green" })).error, /Colour must be one of/);
+    assert.match((await logic.sendChallenge(3, 4, { timeControl: { type: "hourglass" } })).error, /Time control type/);
+    assert.equal((await logic.sendChallenge(3, 4)).status, 409);
+    assert.equal((await logic.sendChallenge(3, 3)).status, 400);
+});
+
+test("accepting a challenge makes a game with the colours the sender asked for", async (t) => {
+    mockChallenge(t, createChallenge());
+    t.mock.method(DB, "createGame", async () => 21);
+    t.mock.method(DB, "setChallengeGame", async () => 1);
+
+    const { challenge, game } = await logic.sendChallengeResponse(11, "accept", 4);
+    assert.deepEqual([challenge.status, challenge.gameId], ["accepted", 21]);
+    assert.deepEqual(game, { gameId: 21, player1: 4, player2: 3 });
+    assert.deepEqual(DB.setChallengeGame.mock.calls[0].arguments, [11, 21]);
+});
+
+test("a challenge past its expiry can't be answered even before the expiry job ran", async (t) => {
+    mockChallenge(t, createChallenge({ expires_at: new Date(Date.now() - 1000) }));
+
+    assert.deepEqual(await logic.sendChallengeResponse(11, "accept", 4), { error: "Challenge is expired!", status: 409 });
+    assert.equal(DB.sendChallengeResponse.mock.callCount(), 0);
+    assert.equal((await logic.sendChallengeResponse(11, "accept", 3)).status, 403);
+    assert.equal((await logic.sendChallengeResponse(11, "maybe", 4)).status, 400);
+});
+
+test("a challenge answered at the same time as another reply is no longer pending", async (t) => {
+    mockChallenge(t, createChallenge());
+    DB.sendChallengeResponse.mock.mockImplementation(async () => false);
+    assert.deepEqual(await logic.sendChallengeResponse(11, "decline", 4), { error: "Challenge is no longer pending!", status: 409 });
+});
+
+test("only the sender can cancel a challenge", async (t) => {
+    mockChallenge(t, createChallenge());
+    assert.equal((await logic.cancelChallenge(11, 4)).status, 404);
+    assert.equal((await logic.cancelChallenge(11, "3")).status, "cancelled");
+});
+
+test("pending challenges are split into the ones sent and received, and the expired ones are reported", async (t) => {
+    t.mock.method(DB, "getPendingChallengesForUser", async () => [createChallenge(), createChallenge({ challenge_id: 12, sender_id: 5, challenger_id: 3 })]);
+    const challenges = await logic.getChallenges("3");
+    assert.deepEqual([challenges.outgoing.map((c) => c.challengeId), challenges.incoming.map((c) => c.challengeId)], [[11], [12]]);
+
+    t.mock.method(DB, "expireChallenges", async () => [createChallenge({ status: "expired" })]);
+    assert.deepEqual(await logic.expireChallenges(), [{ challengeId: 11, senderId: 3, challengerId: 4 }]);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+// The rate limit is kept per user for the whole process, every test uses its own users
+
+test("bad words are hidden with their endings but words that only contain them are kept", () => {
+    assert.equal(logic.filterProfanity("what the FUCK"), "what the ****");
+    assert.equal(logic.filterProfanity("pissed and bastards"), "****** and ********");
+    assert.equal(logic.filterProfanity("a dickens of a scunthorpe classic"), "a dickens of a scunthorpe classic");
+});
+
+test("a user can send five messages in ten seconds", () => {
+    const start = 1000000;
+    for (let i = 0; i < 5; i++) {
+        assert.equal(logic.takeChatRateLimit(101, start + i * 1000), 0);
+    }
+    assert.equal(logic.takeChatRateLimit(101, start + 5000), 5000);
+    assert.equal(logic.takeChatRateLimit(102, start + 5000), 0, "other users are not slowed down");
+    assert.equal(logic.takeChatRateLimit(101, start + 10000), 0, "the oldest message left the window");
+});
+
+test("a message is cleaned up, filtered and stored", async (t) => {
+    t.mock.method(DB, "getActiveMute", async () => undefined);
+    t.mock.method(DB, "addChatMessage", async () => 40);
+
+    const message = await logic.postChatMessage(103, "alice", "lobby", "  hello\u0007 you shit ");
+    assert.deepEqual([message.messageId, message.room, message.message], [40, "lobby", "hello  you ****"]);
+    assert.deepEqual(DB.addChatMessage.mock.calls[0].arguments, ["lobby", 103, "hello  you ****"]);
+});
+
+test("empty, long, muted and too fast messages are refused", async (t) => {
+    t.mock.method(DB, "getActiveMute", async () => undefined);
+    t.mock.method(DB, "addChatMessage", async () => 41);
+
+    assert.equal((await logic.postChatMessage(104, "bob", "lobby", " \n ")).error, "Message is empty");
+    assert.equal((await logic.postChatMessage(104, "bob", "lobby", 5)).error, "Message is empty");
+    assert.equal((await logic.postChatMessage(104, "bob", "lobby", "a".repeat(501))).status, 400);
+    for (let i = 0; i < 5; i++) {
+        await logic.postChatMessage(104, "bob", "lobby", "hi");
+    }
+    assert.equal((await logic.postChatMessage(104, "bob", "lobby", "hi")).status, 429);
+
+    DB.getActiveMute.mock.mockImplementation(async () => ({ muted_until: new Date(Date.now() + 60000) }));
+    assert.match((await logic.postChatMessage(105, "carol", "lobby", "hi")).error, /muted/);
+    assert.equal(DB.addChatMessage.mock.callCount(), 5);
+});
+
+test("only moderators can mute, and only for a limited time", async (t) => {
+    t.mock.method(DB, "isModerator", async (userId) => userId === 1);
+    t.mock.method(DB, "getProfile", async (userId) => ({ user_id: userId }));
+    t.mock.method(DB, "addMute", async () => 1);
+
+    assert.equal((await logic.muteUser(2, "lobby", 3)).status, 403);
+    assert.equal((await logic.muteUser(1, "lobby", 1)).status, 400);
+    assert.equal((await logic.muteUser(1, "lobby", 3, 7 * 24 * 60 + 1)).status, 400);
+
+    const mute = await logic.muteUser(1, "lobby", "3", 5, "spam");
+    assert.deepEqual([mute.room, mute.userId, mute.reason], ["lobby", 3, "spam"]);
+    assert.equal(DB.addMute.mock.callCount(), 1);
+});
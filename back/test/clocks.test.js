@@ -0,0 +1,70 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const turnStartedAt = new Date("2026-03-01T12:00:00Z");
+
+const createGame = (timeControl, changes = {}) => ({
+    game_id: 4, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(logic.createEmptyBoard()),
+    ended_at: null, winner_id: null, time_control: timeControl, clock_player1_ms: 60000, clock_player2_ms: 50000,
+    turn_started_at: turnStartedAt, ply_count: 0, ...changes
+});
+
+const after = (ms) => new Date(turnStartedAt.getTime() + ms);
+
+test("a time control is read from JSON and checked against its limits", () => {
+    assert.equal(logic.parseTimeControl(null), null);
+    assert.deepEqual(logic.parseTimeControl('{"type":"increment","initialMs":60000}'), { type: "increment", initialMs: 60000, incrementMs: 0 });
+    assert.deepEqual(logic.parseTimeControl({ type: "perMove", perMoveMs: "30000" }), { type: "perMove", perMoveMs: 30000 });
+    assert.deepEqual(logic.parseTimeControl({ type: "correspondence", daysPerMove: 3 }), { type: "correspondence", daysPerMove: 3 });
+
+    assert.match(logic.parseTimeControl("{type").error, /JSON/);
+    assert.match(logic.parseTimeControl({ type: "hourglass" }).error, /type must be one of/);
+    assert.match(logic.parseTimeControl({ type: "increment", initialMs: 9999 }).error, /initialMs/);
+    assert.match(logic.parseTimeControl({ type: "increment", initialMs: 60000, incrementMs: 60001 }).error, /incrementMs/);
+    assert.match(logic.parseTimeControl({ type: "perMove", perMoveMs: 1.5 }).error, /perMoveMs/);
+    assert.match(logic.parseTimeControl({ type: "correspondence", daysPerMove: 15 }).error, /daysPerMove/);
+});
+
+test("a move takes the time it used off the mover's clock and adds the increment", () => {
+    const game = createGame({ type: "increment", initialMs: 60000, incrementMs: 2000 });
+    assert.deepEqual(logic.advanceClocks(game, after(5000)), { player1Ms: 57000, player2Ms: 50000 });
+    assert.deepEqual(logic.advanceClocks({ ...game, current_turn: 2 }, after(5000)), { player1Ms: 60000, player2Ms: 47000 });
+});
+
+test("a per move clock starts again in full after every move", () => {
+    const game = createGame({ type: "perMove", perMoveMs: 30000 }, { clock_player1_ms: 30000, clock_player2_ms: 30000 });
+    assert.deepEqual(logic.advanceClocks(game, after(25000)), { player1Ms: 30000, player2Ms: 30000 });
+    assert.deepEqual(logic.advanceClocks(createGame({ type: "correspondence", daysPerMove: 2 }), after(5000)),
+                     { player1Ms: 2 * 24 * 60 * 60 * 1000, player2Ms: 50000 });
+    assert.equal(logic.advanceClocks(createGame(null), after(5000)), null);
+});
+
+test("a move made after the clock ran out loses the game on time", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame({ type: "increment", initialMs: 60000, incrementMs: 0 }, { turn_started_at: new Date(Date.now() - 61000) }));
+    t.mock.method(DB, "updateGameState", async () => assert.fail("the move was saved"));
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "addUnratedGame", async () => 1);
+
+    const result = await logic.makeMove(4, 1, 3);
+    assert.equal(result.status, 409);
+    assert.deepEqual([result.gameOver.winnerId, result.gameOver.reason], [2, "timeout"]);
+    assert.deepEqual(DB.endGame.mock.calls[0].arguments, [4, 2, "timeout"]);
+});
+
+test("the timeout check only ends games where the player to move is out of time", async (t) => {
+    const timeControl = { type: "increment", initialMs: 60000, incrementMs: 0 };
+    let game = createGame(timeControl, { turn_started_at: new Date(Date.now() - 1000) });
+    t.mock.method(DB, "getGameWithId", async () => game);
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "addUnratedGame", async () => 1);
+
+    assert.equal(await logic.checkTimeout(4), null);
+    game = createGame(null);
+    assert.equal(await logic.checkTimeout(4), null);
+    assert.equal(DB.endGame.mock.callCount(), 0);
+
+    game = createGame(timeControl, { current_turn: 2, turn_started_at: new Date(Date.now() - 51000) });
+    assert.equal((await logic.checkTimeout(4)).gameOver.winnerId, 1);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`),
+      notifier = require(`../notifier.js`);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createGame = (changes = {}) => ({
+    game_id: 12, player1_id: 1, player1_username: "alice", player2_id: 2, player2_username: "bob", current_turn: 1,
+    game_state: JSON.stringify(logic.createEmptyBoard()), ended_at: null, winner_id: null, correspondence: 1, rated: 0,
+    time_control: { type: "correspondence", daysPerMove: 3 }, clock_player1_ms: 3 * DAY_MS, clock_player2_ms: 3 * DAY_MS,
+    turn_started_at: new Date(), ply_count: 0, move_count: 0, variant: "standard", board_rows: 6, board_columns: 7, connect_length: 4,
+    ...changes
+});
+
+const notification = (notificationId, userId) => ({
+    notification_id: notificationId, user_id: userId, username: `user${userId}`, email: null, type: "yourTurn", game_id: 12,
+    details: '{"opponentId":2}', created_at: new Date(), read_at: null
+});
+
+test("after a move the opponent is notified with their deadline", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    t.mock.method(DB, "updateGameState", async () => 1);
+    t.mock.method(DB, "addMove", async () => 1);
+    t.mock.method(DB, "addNotification", async () => 1);
+
+    await logic.makeMove(12, 1, 3);
+    const [userId, type, gameId, { opponentId, deadline }] = DB.addNotification.mock.calls[0].arguments;
+    assert.deepEqual([userId, type, gameId, opponentId], [2, "yourTurn", 12, 1]);
+    assert.equal(Math.abs(deadline.getTime() - (Date.now() + 3 * DAY_MS)) < 1000, true);
+});
+
+test("both players are notified when a correspondence game ends", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "addUnratedGame", async () => 1);
+    t.mock.method(DB, "addNotification", async () => 1);
+
+    await logic.resignGame(12, 1);
+    assert.deepEqual(DB.addNotification.mock.calls.map((call) => call.arguments.slice(0, 3)), [[1, "gameEnded", 12], [2, "gameEnded", 12]]);
+    assert.deepEqual(DB.addNotification.mock.calls[0].arguments[3], { winnerId: 2, draw: false, reason: "resign" });
+});
+
+test("a player is warned once when their deadline is a day away", async (t) => {
+    const now = Date.now();
+    t.mock.method(DB, "getGamesNearDeadline", async () => [
+        createGame({ turn_started_at: new Date(now - 2.5 * DAY_MS) }),
+        createGame({ game_id: 13, turn_started_at: new Date(now - 2.5 * DAY_MS) }),
+        createGame({ game_id: 14, turn_started_at: new Date(now - 1.5 * DAY_MS) }),
+        createGame({ game_id: 15, turn_started_at: new Date(now - 4 * DAY_MS) })
+    ]);
+    t.mock.method(DB, "setDeadlineWarned", async (gameId) => gameId !== 13);
+    t.mock.method(DB, "addNotification", async () => 1);
+
+    assert.equal(await logic.warnDeadlines(), 1);
+    assert.deepEqual(DB.addNotification.mock.calls[0].arguments.slice(0, 3), [1, "deadlineApproaching", 12]);
+});
+
+test("short move times are warned when a quarter of the time is left", async (t) => {
+    const now = Date.now(),
+          timeControl = { type: "correspondence", daysPerMove: 1 };
+    t.mock.method(DB, "getGamesNearDeadline", async () => [
+        createGame({ time_control: timeControl, clock_player1_ms: DAY_MS, turn_started_at: new Date(now - 0.7 * DAY_MS) }),
+        createGame({ game_id: 13, time_control: timeControl, clock_player1_ms: DAY_MS, turn_started_at: new Date(now - 0.8 * DAY_MS) })
+    ]);
+    t.mock.method(DB, "setDeadlineWarned", async () => true);
+    t.mock.method(DB, "addNotification", async () => 1);
+
+    assert.equal(await logic.warnDeadlines(), 1);
+    assert.equal(DB.addNotification.mock.calls[0].arguments[2], 13);
+});
+
+test("notifications of online users go over the WebSocket, the rest through the transport", async (t) => {
+    const sent = [];
+    notifier.setTransport({ async send(sentNotification, user) {
+        if (user.userId === 3) {
+            throw new Error("transport is down");
+        }
+        sent.push([sentNotification.notificationId, user.username]);
+    } });
+    t.after(() => notifier.setTransport(notifier.emailTransport));
+    t.mock.method(DB, "getUndeliveredNotifications", async () => [notification(1, 1), notification(2, 2), notification(3, 3), notification(4, 4)]);
+    t.mock.method(DB, "markNotificationsDelivered", async () => 4);
+
+    const { online, errors } = await logic.deliverNotifications([1, "2"]);
+    assert.deepEqual(online.map((sentNotification) => [sentNotification.notificationId, sentNotification.details]), [[1, { opponentId: 2 }], [2, { opponentId: 2 }]]);
+    assert.deepEqual(sent, [[4, "user4"]]);
+    assert.equal(errors.length, 1);
+    assert.deepEqual(DB.markNotificationsDelivered.mock.calls[0].arguments, [[1, 2, 3, 4]]);
+});
+
+test("games waiting on a player are listed from their side of the board", async (t) => {
+    t.mock.method(DB, "getActiveGamesForUser", async () => ({ total: 1, games: [createGame({ current_turn: 2, move_count: 1 })] }));
+
+    const { games } = await logic.getMyTurnGames("2", 1, 10);
+    assert.deepEqual(DB.getActiveGamesForUser.mock.calls[0].arguments, [2, true, 10, 0]);
+    assert.deepEqual([games[0].opponent, games[0].colour, games[0].myTurn, games[0].correspondence], [{ userId: 1, username: "alice" }, "yellow", true, true]);
+});
+
+test("only notification IDs can be marked read", async (t) => {
+    t.mock.method(DB, "markNotificationsRead", async () => 2);
+    assert.equal((await logic.markNotificationsRead(1, [1, "x"])).status, 400);
+    assert.equal((await logic.markNotificationsRead(1, "1")).status, 400);
+    assert.deepEqual(await logic.markNotificationsRead(1, ["4", 5]), { marked: 2 });
+    assert.deepEqual(await logic.markNotificationsRead(1), { marked: 2 });
+    assert.deepEqual(DB.markNotificationsRead.mock.calls.map((call) => call.arguments), [[1, [4, 5]], [1, null]]);
+});
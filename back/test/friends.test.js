@@ -0,0 +1,66 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const profiles = { 3: { user_id: 3, username: "alice" }, 4: { user_id: 4, username: "bob" }, 9: { user_id: 9, username: "easy_bot", bot_level: "easy" } };
+
+const mockUsers = (t, { friendship, blocked = false } = {}) => {
+    t.mock.method(DB, "getProfile", async (userId) => profiles[userId]);
+    t.mock.method(DB, "isBlocked", async () => blocked);
+    t.mock.method(DB, "getFriendship", async () => friendship);
+    t.mock.method(DB, "addFriendRequest", async () => 1);
+    t.mock.method(DB, "acceptFriendRequest", async () => 1);
+    t.mock.method(DB, "deleteFriendship", async () => 1);
+    t.mock.method(DB, "addBlock", async () => 1);
+};
+
+test("a friend request is stored, or accepted when the other user already sent one", async (t) => {
+    mockUsers(t);
+    assert.deepEqual(await logic.sendFriendRequest(3, "4"), { userId: 4, accepted: false });
+    assert.deepEqual(DB.addFriendRequest.mock.calls[0].arguments, [3, 4]);
+
+    DB.getFriendship.mock.mockImplementation(async () => ({ requester_id: 4, status: "pending" }));
+    assert.deepEqual(await logic.sendFriendRequest(3, 4), { userId: 4, accepted: true });
+    assert.deepEqual(DB.acceptFriendRequest.mock.calls[0].arguments, [4, 3]);
+});
+
+test("friend requests aren't sent twice, to yourself, to bots or across a block", async (t) => {
+    mockUsers(t, { friendship: { requester_id: 3, status: "pending" } });
+    assert.equal((await logic.sendFriendRequest(3, 4)).status, 409);
+    assert.equal((await logic.sendFriendRequest(3, 3)).status, 400);
+    assert.match((await logic.sendFriendRequest(3, 9)).error, /bot/);
+    assert.equal((await logic.sendFriendRequest(3, 5)).status, 404);
+
+    DB.isBlocked.mock.mockImplementation(async () => true);
+    assert.equal((await logic.sendFriendRequest(3, 4)).status, 403);
+    assert.equal(DB.addFriendRequest.mock.callCount(), 0);
+});
+
+test("only the user a request was sent to can answer it", async (t) => {
+    mockUsers(t, { friendship: { requester_id: 4, status: "pending" } });
+    assert.equal((await logic.respondToFriendRequest(4, 3, true)).status, 404);
+    assert.deepEqual(await logic.respondToFriendRequest(3, "4", false), { userId: 4, accepted: false });
+    assert.equal(DB.deleteFriendship.mock.callCount(), 1);
+    assert.equal(DB.acceptFriendRequest.mock.callCount(), 0);
+});
+
+test("friends and requests are split by who sent them", async (t) => {
+    t.mock.method(DB, "getFriendships", async () => [
+        { other_id: 4, other_username: "bob", status: "accepted", requester_id: 3, accepted_at: new Date() },
+        { other_id: 5, other_username: "carol", status: "pending", requester_id: 3 },
+        { other_id: 6, other_username: "dave", status: "pending", requester_id: 6 }
+    ]);
+    const friends = await logic.getFriends("3");
+    assert.deepEqual([friends.friends, friends.outgoing, friends.incoming].map((list) => list.map((user) => user.username)),
+                     [["bob"], ["carol"], ["dave"]]);
+});
+
+test("blocking a user works even when they blocked back and says if a friendship ended", async (t) => {
+    mockUsers(t, { friendship: { requester_id: 3, status: "accepted" }, blocked: true });
+    assert.deepEqual(await logic.blockUser(3, 4), { userId: 4, removedFriendship: true });
+    assert.equal((await logic.blockUser(3, 3)).status, 400);
+
+    t.mock.method(DB, "removeBlock", async () => 0);
+    assert.equal((await logic.unblockUser(3, 4)).status, 404);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      bcrypt = require('bcrypt'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const now = Date.now();
+
+// the throttle rows a number of recent failures would have stored
+const throttle = (key, failures, lockedUntil = null) => ({ throttle_key: key, failures, locked_until: lockedUntil, last_failure_at: new Date(now - 1000) });
+
+const mockLogin = (t, throttles, user) => {
+    t.mock.method(DB, "getLoginThrottles", async () => throttles);
+    t.mock.method(DB, "getUserWithUsername", async () => user);
+    t.mock.method(DB, "saveLoginFailure", async () => 1);
+    t.mock.method(DB, "clearLoginThrottle", async () => 1);
+    t.mock.method(DB, "addLoginAttempt", async () => 1);
+};
+
+// the failure count and the wait stored for a throttle key
+const savedFailure = (key) => {
+    const [, failures, lockedUntil] = DB.saveLoginFailure.mock.calls.find((call) => call.arguments[0] === key).arguments;
+    return { failures, waitMs: lockedUntil ? lockedUntil.getTime() - Date.now() : 0 };
+};
+
+test("a password has to be long enough, mixed and not common", () => {
+    assert.equal(logic.checkPasswordPolicy("Tr1cky-Pass", "alice"), null);
+    assert.match(logic.checkPasswordPolicy("Password1", "alice"), /too common/);
+    assert.match(logic.checkPasswordPolicy("xAlice2024", "alice"), /username/);
+    assert.match(logic.checkPasswordPolicy(`A1${"a".repeat(71)}`, "alice"), /longer than 72/);
+    assert.equal(logic.checkPasswordPolicy("Ab1", "alice"), "Password must be at least 8 characters long!");
+    assert.equal(logic.checkPasswordPolicy("trickypass", "alice"), "Password must contain an uppercase letter and a number!");
+    assert.equal(logic.checkPasswordPolicy("Ab1", null), "Password must be at least 8 characters long!");
+});
+
+test("failed logins are free at first and then the wait doubles", async (t) => {
+    mockLogin(t, [throttle("user:alice", 3), throttle("ip:10.0.0.1", 0)], undefined);
+
+    const result = await logic.getUserWithUsernamePassword("Alice", "Tr1cky-Pass", "10.0.0.1");
+    assert.equal(result.status, 401);
+    const account = savedFailure("user:alice");
+    assert.equal(account.failures, 4);
+    assert.equal(account.waitMs > 0 && account.waitMs <= 1000, true);
+    assert.deepEqual(savedFailure("ip:10.0.0.1"), { failures: 1, waitMs: 0 });
+    assert.equal(DB.addLoginAttempt.mock.calls[0].arguments[0].reason, "unknown_user");
+
+    DB.saveLoginFailure.mock.resetCalls();
+    DB.getLoginThrottles.mock.mockImplementation(async () => [throttle("user:alice", 5)]);
+    await logic.getUserWithUsernamePassword("alice", "Tr1cky-Pass", "10.0.0.1");
+    assert.equal(savedFailure("user:alice").waitMs > 3000, true);
+});
+
+test("enough failures in a row lock the account and old failures are forgotten", async (t) => {
+    mockLogin(t, [throttle("user:alice", 9), { ...throttle("ip:10.0.0.1", 49), last_failure_at: new Date(now - 2 * 60 * 60 * 1000) }], undefined);
+
+    await logic.getUserWithUsernamePassword("alice", "Tr1cky-Pass", "10.0.0.1");
+    const account = savedFailure("user:alice");
+    assert.equal(account.failures, 10);
+    assert.equal(account.waitMs > 14 * 60 * 1000, true);
+    assert.deepEqual(savedFailure("ip:10.0.0.1"), { failures: 1, waitMs: 0 });
+});
+
+test("a locked login is refused without checking the password", async (t) => {
+    mockLogin(t, [throttle("user:alice", 4, new Date(now + 30000))], { user_id: 3, password: "never checked" });
+
+    const result = await logic.getUserWithUsernamePassword("alice", "Tr1cky-Pass", "10.0.0.1");
+    assert.equal(result.status, 429);
+    assert.equal(result.retryAfter > 25 && result.retryAfter <= 30, true);
+    assert.equal(DB.getUserWithUsername.mock.callCount(), 0);
+    assert.equal(DB.addLoginAttempt.mock.calls[0].arguments[0].reason, "locked");
+});
+
+test("a good password clears the failures of the account", async (t) => {
+    mockLogin(t, [throttle("user:alice", 2)], { user_id: 3, username: "alice", password: await bcrypt.hash("Tr1cky-Pass", 4) });
+
+    assert.equal((await logic.getUserWithUsernamePassword("alice", "Tr1cky-Pass", "10.0.0.1")).user_id, 3);
+    assert.deepEqual(DB.clearLoginThrottle.mock.calls[0].arguments, ["user:alice"]);
+    assert.equal(DB.saveLoginFailure.mock.callCount(), 0);
+});
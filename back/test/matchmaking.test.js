@@ -0,0 +1,41 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      logic = require(`../logic.js`);
+
+const now = 1000000;
+
+const waiting = (userId, rating, waitedMs = 0, rated = true) => ({ userId, rating, rated, joinedAt: now - waitedMs });
+
+// the user IDs of every match, lowest first, the colours are random
+const pairsOf = (matches) => matches.map((match) => match.map((player) => player.userId).sort()).sort();
+
+test("players close in rating are matched right away", () => {
+    assert.deepEqual(pairsOf(logic.findMatches([waiting(1, 1500), waiting(2, 1590)], now)), [[1, 2]]);
+    assert.deepEqual(logic.findMatches([waiting(1, 1500), waiting(2, 1601)], now), []);
+});
+
+test("the accepted rating gap widens the longer a player waits, up to a limit", () => {
+    // 100 points plus 50 for every 10 seconds
+    assert.deepEqual(pairsOf(logic.findMatches([waiting(1, 1500, 20000), waiting(2, 1700)], now)), [[1, 2]]);
+    assert.deepEqual(logic.findMatches([waiting(1, 1500, 19999), waiting(2, 1700)], now), []);
+    assert.deepEqual(logic.findMatches([waiting(1, 1000, 60 * 60 * 1000), waiting(2, 1801)], now), []);
+    assert.deepEqual(pairsOf(logic.findMatches([waiting(1, 1000, 60 * 60 * 1000), waiting(2, 1800)], now)), [[1, 2]]);
+});
+
+test("the longest waiting player gets the closest opponent first", () => {
+    const queue = [waiting(3, 1550, 0), waiting(1, 1500, 5000), waiting(2, 1590, 1000), waiting(4, 1620, 0)];
+    assert.deepEqual(pairsOf(logic.findMatches(queue, now)), [[1, 3], [2, 4]]);
+});
+
+test("rated and casual players are never matched together", () => {
+    assert.deepEqual(logic.findMatches([waiting(1, 1500, 0, true), waiting(2, 1500, 0, false)], now), []);
+    assert.deepEqual(logic.findMatches([waiting(1, 1500)], now), []);
+});
+
+test("both colours are given out", () => {
+    const first = new Set();
+    for (let i = 0; i < 50; i++) {
+        first.add(logic.findMatches([waiting(1, 1500), waiting(2, 1500)], now)[0][0].userId);
+    }
+    assert.deepEqual([...first].sort(), [1, 2]);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+// The rate limit is kept per user for the whole process, every test uses its own senders
+
+const mockUsers = (t, blocked = false) => {
+    t.mock.method(DB, "getProfile", async (userId) => userId === 9 ? { user_id: 9, bot_level: "easy" } : (userId < 300 ? { user_id: userId } : undefined));
+    t.mock.method(DB, "isBlocked", async () => blocked);
+    t.mock.method(DB, "addDirectMessage", async () => 60);
+};
+
+const storedMessage = (messageId, senderId, recipientId) =>
+    ({ message_id: messageId, sender_id: senderId, recipient_id: recipientId, body: `message ${messageId}`, created_at: new Date(), read_at: null });
+
+test("a direct message keeps its line breaks and is stored for the recipient", async (t) => {
+    mockUsers(t);
+    const message = await logic.sendDirectMessage(201, "alice", "202", " hi\u0007\nthere ");
+    assert.deepEqual([message.messageId, message.senderId, message.recipientId, message.message, message.readAt], [60, 201, 202, "hi \nthere", null]);
+    assert.deepEqual(DB.addDirectMessage.mock.calls[0].arguments, [201, 202, "hi \nthere"]);
+});
+
+test("users that blocked each other, bots and unknown users can't be messaged", async (t) => {
+    mockUsers(t, true);
+    assert.equal((await logic.sendDirectMessage(203, "alice", 202, "hi")).status, 403);
+    DB.isBlocked.mock.mockImplementation(async () => false);
+    assert.match((await logic.sendDirectMessage(203, "alice", 9, "hi")).error, /bot/);
+    assert.equal((await logic.sendDirectMessage(203, "alice", 301, "hi")).status, 404);
+    assert.equal((await logic.sendDirectMessage(203, "alice", 203, "hi")).status, 400);
+    assert.equal((await logic.sendDirectMessage(203, "alice", 202, "a".repeat(1001))).status, 400);
+    assert.equal(DB.addDirectMessage.mock.callCount(), 0);
+});
+
+test("direct messages count against the chat rate limit", async (t) => {
+    mockUsers(t);
+    for (let i = 0; i < 5; i++) {
+        await logic.sendDirectMessage(204, "alice", 202, "hi");
+    }
+    assert.equal((await logic.sendDirectMessage(204, "alice", 202, "hi")).status, 429);
+});
+
+test("conversations show the unread messages and who is blocked", async (t) => {
+    t.mock.method(DB, "getBlockedUserIds", async () => [203]);
+    t.mock.method(DB, "getConversations", async () => [
+        { other_id: 202, other_username: "bob", unread: "2", ...storedMessage(7, 202, 201) },
+        { other_id: 203, other_username: "carol", unread: "1", ...storedMessage(5, 203, 201) }
+    ]);
+
+    const { conversations, unread } = await logic.getConversations(201);
+    assert.equal(unread, 3);
+    assert.deepEqual(conversations.map((conversation) => [conversation.username, conversation.blocked]), [["bob", false], ["carol", true]]);
+    assert.equal(conversations[0].lastMessage.message, "message 7");
+});
+
+test("a conversation is read a page at a time, newest first", async (t) => {
+    t.mock.method(DB, "getDirectMessages", async () => [storedMessage(9, 202, 201), storedMessage(8, 201, 202), storedMessage(7, 202, 201)]);
+
+    const page = await logic.getConversation(201, "202", null, 2);
+    assert.deepEqual(DB.getDirectMessages.mock.calls[0].arguments, [201, 202, null, 3]);
+    assert.deepEqual(page.messages.map((message) => message.messageId), [9, 8]);
+    assert.equal(page.nextCursor, 8);
+    assert.equal((await logic.getConversation(201, "bob")).status, 404);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const usernames = new Map([[1, "alice"], [2, "bob"]]);
+
+// stored moves of the columns in order, red first
+const storedMoves = (columns, createdAt = new Date(2026, 0, 2, 12)) => columns.map((col, index) => ({
+    ply: index + 1, player_id: index % 2 === 0 ? 1 : 2, col_index: col, row_index: 0, move_type: "drop", created_at: createdAt
+}));
+
+test("moves are written as the columns from 1, pops start with a p", () => {
+    const moves = [...storedMoves([3, 3]), { ply: 3, player_id: 1, col_index: 0, row_index: 5, move_type: "pop" }];
+    assert.equal(logic.formatGameText({ game_id: 1, player1_id: 1, player2_id: 2 }, moves, usernames, "moves"), "44p1");
+});
+
+test("an exported game reads back with the same headers and moves", () => {
+    const game = { game_id: 8, player1_id: 1, player2_id: 2, winner_id: 1, ended_at: new Date(2026, 0, 3, 12) },
+          text = logic.formatGameText(game, storedMoves([0, 6, 1, 6, 2, 6, 3]), usernames, "pgn");
+    assert.equal(text, [
+        `[Event "Connect Four"]`, `[Site "ConnectFour"]`, `[Date "2026.01.02"]`, `[EndDate "2026.01.03"]`,
+        `[Red "alice"]`, `[Yellow "bob"]`, `[Result "1-0"]`, `[GameId "8"]`, ``, `1727374 1-0`
+    ].join("\n"));
+
+    const parsed = logic.parseGameText(text);
+    assert.deepEqual(parsed.headers, { Event: "Connect Four", Site: "ConnectFour", Date: "2026.01.02", EndDate: "2026.01.03",
+                                       Red: "alice", Yellow: "bob", Result: "1-0" });
+    assert.deepEqual(parsed.moves.map((move) => move.col), [0, 6, 1, 6, 2, 6, 3]);
+    assert.equal(parsed.variant.variant, "standard");
+});
+
+test("other variants and board sizes are kept in the headers", () => {
+    const game = { game_id: 8, player1_id: 1, player2_id: 2, variant: "popout", board_rows: 7, board_columns: 8, connect_length: 4 },
+          parsed = logic.parseGameText(logic.formatGameText(game, storedMoves([7]), usernames, "pgn"));
+    assert.deepEqual(parsed.variant, { variant: "popout", rows: "7", columns: "8", connect: "4" });
+    assert.deepEqual(logic.parseVariant(parsed.variant), { variant: "popout", rows: 7, columns: 8, connect: 4, pops: true });
+    assert.equal(parsed.headers.Result, "*");
+});
+
+test("text that isn't a game is refused", () => {
+    assert.match(logic.parseGameText("").error, /No game/);
+    assert.match(logic.parseGameText("44x5").error, /column numbers/);
+    assert.match(logic.parseGameText(`[Result "2-0"]\n44`).error, /Result must be/);
+    assert.match(logic.parseGameText(`[Board "big"]\n44`).error, /rows x columns/);
+    // unknown headers are dropped and the result can come after the moves
+    assert.deepEqual(logic.parseGameText(`[Secret "x"]\n4 4 5\n1/2-1/2`).headers, { Result: "1/2-1/2" });
+});
+
+test("imported moves are checked against the rules before the game is stored", async (t) => {
+    t.mock.method(DB, "createAnalysisGame", async () => 30);
+    t.mock.method(DB, "addMoves", async (gameId, moves) => moves.length);
+
+    assert.deepEqual(await logic.importGame(1, "1727374"), { gameId: 30, plies: 7, result: "1-0" });
+    const [userId, board, headers] = DB.createAnalysisGame.mock.calls[0].arguments;
+    assert.equal(userId, 1);
+    assert.equal(JSON.parse(board)[5][3], "red");
+    assert.equal(headers.Result, "1-0");
+
+    assert.match((await logic.importGame(1, "17273745")).error, /already over/);
+    assert.match((await logic.importGame(1, "8")).error, /not on the board/);
+    assert.match((await logic.importGame(1, "1111111")).error, /Column is full/);
+    assert.match((await logic.importGame(1, "[Result \"0-1\"]\n1727374")).error, /does not match/);
+    assert.match((await logic.importGame(1, "[Variant \"pop10\"]\n1")).error, /can't be imported/);
+    assert.equal(DB.createAnalysisGame.mock.callCount(), 1);
+});
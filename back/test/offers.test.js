@@ -0,0 +1,63 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const timeControl = { type: "increment", initialMs: 60000, incrementMs: 2000 };
+
+const createGame = (changes = {}) => ({
+    game_id: 3, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(logic.createEmptyBoard()),
+    ended_at: null, winner_id: null, time_control: timeControl, clock_player1_ms: 30000, clock_player2_ms: 40000,
+    turn_started_at: new Date(), ply_count: 0, ...changes
+});
+
+const move = (ply, playerId, col, row) => ({ ply, player_id: playerId, col_index: col, row_index: row, move_type: "drop" });
+
+test("a move is stored with the clocks both players had before it", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    t.mock.method(DB, "updateGameState", async () => 1);
+    t.mock.method(DB, "addMove", async () => 1);
+
+    const result = await logic.makeMove(3, 1, 2);
+    assert.equal(result.clocks[1] > 30000, true, "the increment is added after the move");
+    assert.deepEqual(DB.addMove.mock.calls[0].arguments, [3, 1, 2, 5, "drop", { player1Ms: 30000, player2Ms: 40000 }]);
+});
+
+test("an accepted takeback rebuilds the board without the last move", async (t) => {
+    const board = logic.createEmptyBoard();
+    board[5][3] = "red";
+    board[5][4] = "yellow";
+    const game = createGame({ current_turn: 1, game_state: JSON.stringify(board), takeback_requested_by: 2, ply_count: 2 }),
+          restored = { ...game, current_turn: 2, clock_player1_ms: 30000, clock_player2_ms: 41000, takeback_requested_by: null };
+    t.mock.method(DB, "getGameWithId", async () => DB.undoLastMove.mock.callCount() ? restored : game);
+    t.mock.method(DB, "getMovesForGame", async () => [move(1, 1, 3, 5), move(2, 2, 4, 5)]);
+    t.mock.method(DB, "undoLastMove", async () => true);
+
+    const { event } = await logic.answerTakeback(3, 1, true);
+    const [gameId, requesterId, rebuilt] = DB.undoLastMove.mock.calls[0].arguments;
+    assert.deepEqual([gameId, requesterId], [3, 2]);
+    assert.equal(rebuilt[5][3], "red");
+    assert.equal(rebuilt[5][4], null);
+    assert.equal(event.currentTurn, 2);
+    assert.equal(event.clocks[1], 30000);
+    assert.equal(event.clocks[2] <= 41000 && event.clocks[2] > 40000, true, "the clocks come from the game after the takeback");
+});
+
+test("only the player who made the last move can ask to take it back", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    t.mock.method(DB, "getBotLevel", async () => null);
+    t.mock.method(DB, "getMovesForGame", async () => [move(1, 1, 3, 5), move(2, 2, 4, 5)]);
+    t.mock.method(DB, "setGameOffer", async () => assert.fail("the request was stored"));
+
+    assert.equal((await logic.requestTakeback(3, 1)).status, 409);
+});
+
+test("offers can't be made to bots or in games that are over", async (t) => {
+    t.mock.method(DB, "getBotLevel", async () => "easy");
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    assert.match((await logic.offerDraw(3, 1)).error, /Bots/);
+
+    DB.getGameWithId.mock.mockImplementation(async () => createGame({ ended_at: new Date(), winner_id: 2 }));
+    assert.equal((await logic.resignGame(3, 1)).status, 409);
+    assert.equal((await logic.offerDraw(3, 3)).status, 403);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const user = { user_id: 3, username: "alice", display_name: "Alice", avatar_url: null, bio: null, country: "NL", rating: 1500, rated_games: 0 };
+
+const finishedGame = (opponentId, winnerId, asPlayer1 = true) =>
+    ({ player1_id: asPlayer1 ? 3 : opponentId, player2_id: asPlayer1 ? opponentId : 3, winner_id: winnerId });
+
+test("profile fields are trimmed, checked and cleared when they are empty", () => {
+    assert.equal(logic.validateProfileField("displayName", "  Alice\u0007 "), "Alice");
+    assert.equal(logic.validateProfileField("displayName", "a".repeat(31)), false);
+    assert.equal(logic.validateProfileField("displayName", 5), false);
+    assert.equal(logic.validateProfileField("bio", "line one\nline two\t"), "line one\nline two");
+    assert.equal(logic.validateProfileField("bio", ""), null);
+    assert.equal(logic.validateProfileField("bio", "   "), null);
+    assert.equal(logic.validateProfileField("country", "nl"), "NL");
+    assert.equal(logic.validateProfileField("country", "N1"), false);
+    assert.equal(logic.validateProfileField("avatarUrl", "https://example.com/me.png"), "https://example.com/me.png");
+    assert.equal(logic.validateProfileField("avatarUrl", "javascript:alert(1)"), false);
+    assert.equal(logic.validateProfileField("avatarUrl", "not a link"), false);
+});
+
+test("only the fields that were sent are changed", async (t) => {
+    t.mock.method(DB, "updateProfile", async () => 1);
+    t.mock.method(DB, "getProfile", async () => user);
+
+    const profile = await logic.updateProfile(3, { displayName: "Alice", country: "", username: "mallory" });
+    assert.deepEqual(DB.updateProfile.mock.calls[0].arguments, [3, { displayName: "Alice", country: null }]);
+    assert.equal(profile.username, "alice");
+
+    assert.equal((await logic.updateProfile(3, { bio: "a".repeat(501) })).error, "Bio can't be longer than 500 characters!");
+    assert.match((await logic.updateProfile(3, {})).error, /Nothing to change/);
+    assert.equal(DB.updateProfile.mock.callCount(), 1);
+});
+
+test("the stats count the results by colour, the streaks and the most played opponents", async (t) => {
+    t.mock.method(DB, "getProfile", async (userId) => userId === 3 ? user : undefined);
+    t.mock.method(DB, "getUsernameById", async (userId) => ({ username: `player${userId}` }));
+    t.mock.method(DB, "getFinishedGamesForUser", async () => [
+        finishedGame(4, 3), finishedGame(4, 3, false), finishedGame(5, null), finishedGame(4, 3), finishedGame(5, 3, false), finishedGame(5, 5)
+    ]);
+
+    const stats = await logic.getUserStats("3");
+    assert.deepEqual([stats.played, stats.wins, stats.losses, stats.draws, stats.winRate], [6, 4, 1, 1, 0.667]);
+    assert.deepEqual([stats.asPlayer1.played, stats.asPlayer2.wins], [4, 2]);
+    assert.deepEqual([stats.currentStreak, stats.bestStreak], [0, 2]);
+    assert.deepEqual(stats.mostPlayedOpponents.map((opponent) => [opponent.username, opponent.played, opponent.wins]),
+                     [["player4", 3, 3], ["player5", 3, 1]]);
+
+    assert.equal((await logic.getUserStats(9)).status, 404);
+});
+
+test("a player without finished games has no win rate", async (t) => {
+    t.mock.method(DB, "getProfile", async () => user);
+    t.mock.method(DB, "getFinishedGamesForUser", async () => []);
+    const stats = await logic.getUserStats(3);
+    assert.deepEqual([stats.played, stats.winRate, stats.mostPlayedOpponents], [0, null, []]);
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      WebSocket = require('ws'),
+      protocol = require(`../socket/protocol.js`);
+
+// socket that keeps what the server sent it
+const createSocket = (protocolVersion = 2) => ({
+    readyState: WebSocket.OPEN,
+    OPEN: WebSocket.OPEN,
+    protocolVersion,
+    sent: [],
+    pings: 0,
+    terminated: false,
+    send(message) { this.sent.push(JSON.parse(message)); },
+    on() {},
+    ping() { this.pings++; },
+    terminate() { this.terminated = true; }
+});
+
+const echo = {
+    handlers: {
+        echo: {
+            schema: { required: ["n"], properties: { n: { type: "integer" } } },
+            handle: async ({ userId }, { n }) => ({ n, userId })
+        },
+        refuse: {
+            schema: { properties: {} },
+            handle: async () => ({ error: "Not yours", status: 403 })
+        },
+        crash: {
+            schema: { properties: {} },
+            handle: async () => { throw new Error("boom"); }
+        },
+        quiet: {
+            schema: { properties: {} },
+            acknowledge: false,
+            handle: async ({ ws }) => { ws.send(JSON.stringify({ action: "quiet" })); }
+        }
+    },
+    legacyHandlers: {
+        echo: {
+            schema: { properties: { n: {} } },
+            handle: async ({ ws }, { n }) => { ws.send(JSON.stringify({ action: "echo", n })); }
+        }
+    }
+};
+
+const handleMessage = protocol.createDispatcher([echo]),
+      context = { userId: "7", username: "alice" };
+
+const dispatch = async (ws, message) => {
+    ws.sent = [];
+    await handleMessage(ws, context, typeof message === "string" ? message : JSON.stringify(message));
+    return ws.sent;
+};
+
+test("the version is picked from the protocol query parameter", () => {
+    const legacy = createSocket(null);
+    assert.equal(protocol.negotiate(legacy, null), true);
+    assert.equal(legacy.protocolVersion, 1);
+    assert.deepEqual(legacy.sent, []);
+
+    const current = createSocket(null);
+    assert.equal(protocol.negotiate(current, "1,2"), true);
+    assert.equal(current.protocolVersion, 2);
+    assert.deepEqual(current.sent, [{ action: "welcome", protocol: 2, supportedProtocols: protocol.PROTOCOL_VERSIONS,
+                                      heartbeatIntervalMs: protocol.HEARTBEAT_INTERVAL_MS }]);
+
+    assert.equal(protocol.negotiate(createSocket(null), "9"), false);
+});
+
+test("protocol 2 acknowledges requests with their id and the result", async () => {
+    assert.deepEqual(await dispatch(createSocket(), { action: "echo", id: "a1", n: 3 }),
+                     [{ action: "ack", id: "a1", request: "echo", result: { n: 3, userId: "7" } }]);
+    assert.deepEqual(await dispatch(createSocket(), { action: "quiet", id: 2 }), [{ action: "quiet" }]);
+});
+
+test("protocol 2 answers bad messages with typed errors", async () => {
+    const ws = createSocket(),
+          codeOf = async (message) => (await dispatch(ws, message))[0].error.code;
+
+    assert.equal(await codeOf("{not json"), "INVALID_JSON");
+    assert.equal(await codeOf("[1]"), "BAD_REQUEST");
+    assert.equal(await codeOf({ action: "nope", id: 1 }), "UNKNOWN_ACTION");
+    assert.equal(await codeOf({ action: "constructor", id: 1 }), "UNKNOWN_ACTION");
+    assert.equal(await codeOf({ action: "refuse", id: 1 }), "FORBIDDEN");
+
+    assert.deepEqual(await dispatch(ws, { action: "echo", id: 5, n: "3", extra: true }), [{
+        action: "error",
+        id: 5,
+        request: "echo",
+        error: {
+            code: "VALIDATION_FAILED",
+            message: "n must be integer, extra is not allowed",
+            details: [{ path: "n", message: "must be integer" }, { path: "extra", message: "is not allowed" }]
+        }
+    }]);
+});
+
+test("a handler that throws gets a server error and the socket keeps working", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const ws = createSocket();
+    assert.deepEqual((await dispatch(ws, { action: "crash", id: 1 }))[0].error,
+                     { code: "INTERNAL_ERROR", message: "An error occured on the server!" });
+    assert.equal((await dispatch(ws, { action: "echo", id: 2, n: 1 }))[0].action, "ack");
+});
+
+test("protocol 1 coerces fields, uses its own handlers and only sends { error }", async () => {
+    const ws = createSocket(1);
+    assert.deepEqual(await dispatch(ws, { action: "echo", n: "3" }), [{ action: "echo", n: "3" }]);
+    assert.deepEqual(await dispatch(ws, { action: "refuse", extra: 1 }), [{ error: "Not yours" }]);
+    assert.deepEqual(await dispatch(ws, "{not json"), [{ error: "Invalid message format" }]);
+    assert.deepEqual(await dispatch(ws, { action: "nope" }), [{ error: "Unknown action" }]);
+});
+
+test("hello moves a socket to the newest version both sides speak", async () => {
+    const ws = createSocket(1);
+    assert.deepEqual(await dispatch(ws, { action: "hello", id: 1, versions: [2, 3] }), [
+        { action: "welcome", protocol: 2, supportedProtocols: protocol.PROTOCOL_VERSIONS, heartbeatIntervalMs: protocol.HEARTBEAT_INTERVAL_MS },
+        { action: "ack", id: 1, request: "hello", result: { protocol: 2 } }
+    ]);
+    assert.equal((await dispatch(ws, { action: "hello", id: 2, versions: [3] }))[0].error.code, "UNSUPPORTED_PROTOCOL");
+    assert.equal(ws.protocolVersion, 2);
+});
+
+test("ping is answered with a pong instead of an ack", async () => {
+    const [pong] = await dispatch(createSocket(), { action: "ping", id: 9 });
+    assert.equal(pong.action, "pong");
+    assert.equal(pong.id, 9);
+    assert.equal(typeof pong.time, "number");
+});
+
+test("two modules can't handle the same action", () => {
+    assert.throws(() => protocol.createDispatcher([echo, { handlers: { echo: echo.handlers.echo } }]), /echo has two handlers/);
+});
+
+test("sockets that didn't answer the last ping are closed, the others are pinged", () => {
+    const alive = createSocket(),
+          dead = createSocket();
+    alive.isAlive = true;
+    dead.isAlive = false;
+
+    assert.equal(protocol.checkHeartbeats(new Set([alive, dead])), 1);
+    assert.equal(dead.terminated, true);
+    assert.equal(alive.terminated, false);
+    assert.equal(alive.pings, 1);
+    assert.equal(alive.isAlive, false);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const player = (userId, rating, ratedGames = 50) => ({ user_id: userId, rating, rated_games: ratedGames });
+
+test("equal players win and lose half of the K-factor", () => {
+    assert.deepEqual(logic.calculateRatingChange(player(1, 1500), player(2, 1500), 1),
+                     { userId: 1, opponentId: 2, score: 1, ratingBefore: 1500, ratingAfter: 1510 });
+    assert.equal(logic.calculateRatingChange(player(2, 1500), player(1, 1500), 0).ratingAfter, 1490);
+    assert.equal(logic.calculateRatingChange(player(1, 1500), player(2, 1500), 0.5).ratingAfter, 1500);
+});
+
+test("beating a stronger player is worth more than beating a weaker one", () => {
+    // 400 points apart the stronger player is expected to score 10 out of 11
+    assert.equal(logic.calculateRatingChange(player(1, 1200), player(2, 1600), 1).ratingAfter, 1218);
+    assert.equal(logic.calculateRatingChange(player(2, 1600), player(1, 1200), 1).ratingAfter, 1602);
+    assert.equal(logic.calculateRatingChange(player(2, 1600), player(1, 1200), 0.5).ratingAfter, 1592);
+});
+
+test("new players move faster until they played enough rated games", () => {
+    assert.equal(logic.calculateRatingChange(player(1, 1200, 29), player(2, 1200), 1).ratingAfter, 1220);
+    assert.equal(logic.calculateRatingChange(player(1, 1200, 30), player(2, 1200), 1).ratingAfter, 1210);
+});
+
+test("a rated result saves the changes of both players", async (t) => {
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "getRatings", async () => [player(1, 1500), player(2, 1500)]);
+    t.mock.method(DB, "saveRatingChanges", async () => {});
+    t.mock.method(DB, "getGameWithId", async () => ({ game_id: 4, player1_id: 1, player2_id: 2, current_turn: 1, rated: 1 }));
+
+    const { gameOver } = await logic.resignGame(4, 1);
+    assert.deepEqual(gameOver, { winnerId: 2, draw: false, reason: "resign", winningCells: [], ratings: {
+        1: { before: 1500, after: 1490 },
+        2: { before: 1500, after: 1510 }
+    } });
+    const [gameId, changes] = DB.saveRatingChanges.mock.calls[0].arguments;
+    assert.equal(gameId, 4);
+    assert.deepEqual(changes.map((change) => [change.userId, change.score]), [[1, 0], [2, 1]]);
+});
+
+test("unrated games only count the games played", async (t) => {
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "addUnratedGame", async () => {});
+    t.mock.method(DB, "saveRatingChanges", async () => assert.fail("ratings of an unrated game changed"));
+    t.mock.method(DB, "getGameWithId", async () => ({ game_id: 4, player1_id: 1, player2_id: 2, current_turn: 1, rated: 0 }));
+
+    assert.equal((await logic.resignGame(4, 2)).gameOver.ratings, null);
+    assert.deepEqual(DB.addUnratedGame.mock.calls[0].arguments, [[1, 2]]);
+});
+
+test("the leaderboard ranks across pages and only knows some windows", async (t) => {
+    t.mock.method(DB, "getLeaderboard", async () => ({ players: [{ user_id: 7, username: "carol", rating: 1700, rated_games: 40 }], total: 21 }));
+
+    const second = await logic.getLeaderboard(2, 20);
+    assert.deepEqual(second.players, [{ rank: 21, userId: 7, username: "carol", rating: 1700, ratedGames: 40 }]);
+    assert.deepEqual(DB.getLeaderboard.mock.calls[0].arguments, [20, 20, null]);
+
+    assert.equal((await logic.getLeaderboard(1, 20, "decade")).status, 400);
+});
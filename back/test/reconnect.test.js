@@ -0,0 +1,46 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const createGame = (changes = {}) => ({
+    game_id: 6, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(logic.createEmptyBoard()),
+    ended_at: null, winner_id: null, time_control: null, rated: 0, ...changes
+});
+
+test("a reconnecting player gets the board, the turn and the last move of every unfinished game", async (t) => {
+    t.mock.method(DB, "getUnfinishedGamesForUser", async () => [createGame(), createGame({ game_id: 7, player1_id: 9, player1_bot_level: "easy", player2_id: 1 })]);
+    t.mock.method(DB, "getMovesForGames", async () => [
+        { game_id: 6, ply: 1, player_id: 1, col_index: 3, row_index: 5, move_type: "drop" },
+        { game_id: 6, ply: 2, player_id: 2, col_index: 4, row_index: 5, move_type: "drop" }
+    ]);
+
+    const [game, botGame] = await logic.getUnfinishedGames("1");
+    assert.deepEqual(DB.getMovesForGames.mock.calls[0].arguments, [[6, 7]]);
+    assert.deepEqual([game.opponentId, game.opponentIsBot, game.moveCount, game.lastMove.col], [2, false, 2, 4]);
+    assert.deepEqual([botGame.opponentId, botGame.opponentIsBot, botGame.moveCount, botGame.lastMove], [9, true, 0, null]);
+});
+
+test("a player who doesn't come back loses the game", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame());
+    t.mock.method(DB, "endGame", async () => true);
+    t.mock.method(DB, "addUnratedGame", async () => 1);
+
+    const result = await logic.forfeitGame(6, "2");
+    assert.deepEqual([result.gameOver.winnerId, result.gameOver.reason], [1, "disconnect"]);
+    assert.deepEqual(DB.endGame.mock.calls[0].arguments, [6, 1, "disconnect"]);
+    assert.equal(await logic.forfeitGame(6, 3), null);
+});
+
+test("a game that already ended isn't forfeited", async (t) => {
+    t.mock.method(DB, "getGameWithId", async () => createGame({ ended_at: new Date(), winner_id: 2 }));
+    t.mock.method(DB, "endGame", async () => assert.fail("the game was ended again"));
+    assert.equal(await logic.forfeitGame(6, 2), null);
+
+    // The game ended between reading and forfeiting it, the stored result is kept
+    const ended = createGame({ ended_at: new Date(), winner_id: 1, end_reason: "connect" });
+    DB.getGameWithId.mock.mockImplementation(async () => DB.endGame.mock.callCount() ? ended : createGame());
+    DB.endGame.mock.mockImplementation(async () => false);
+    const result = await logic.forfeitGame(6, 1);
+    assert.deepEqual([result.gameOver.winnerId, result.gameOver.reason], [1, "connect"]);
+});
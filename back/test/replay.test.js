@@ -0,0 +1,57 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const game = { game_id: 5, player1_id: 1, player2_id: 2 },
+      createdAt = new Date("2026-01-02T10:00:00Z");
+
+// stored moves of the columns in order, red first
+const storedMoves = (columns) => {
+    const heights = {};
+    return columns.map((col, index) => {
+        heights[col] = (heights[col] || 0) + 1;
+        return { ply: index + 1, player_id: index % 2 === 0 ? 1 : 2, col_index: col, row_index: 6 - heights[col], move_type: "drop", created_at: createdAt };
+    });
+};
+
+const mockGame = (t, columns) => {
+    t.mock.method(DB, "getGameWithId", async (gameId) => Number(gameId) === 5 ? game : undefined);
+    t.mock.method(DB, "getMovesForGame", async () => storedMoves(columns));
+};
+
+test("the move list has every move in order", async (t) => {
+    mockGame(t, [3, 3, 4]);
+    assert.deepEqual(await logic.getGameMoves(5), [
+        { ply: 1, playerId: 1, type: "drop", col: 3, row: 5, createdAt },
+        { ply: 2, playerId: 2, type: "drop", col: 3, row: 4, createdAt },
+        { ply: 3, playerId: 1, type: "drop", col: 4, row: 5, createdAt }
+    ]);
+    assert.equal((await logic.getGameMoves(6)).status, 404);
+});
+
+test("a replay rebuilds the board after any ply", async (t) => {
+    mockGame(t, [3, 3, 4]);
+
+    const start = await logic.replayGame(5, 0);
+    assert.deepEqual(start.board, logic.createEmptyBoard());
+    assert.equal(start.lastMove, null);
+
+    const second = await logic.replayGame(5, "2");
+    assert.equal(second.ply, 2);
+    assert.equal(second.totalPlies, 3);
+    assert.equal(second.board[5][3], "red");
+    assert.equal(second.board[4][3], "yellow");
+    assert.equal(second.board[5][4], null);
+    assert.deepEqual([second.lastMove.ply, second.lastMove.col], [2, 3]);
+
+    assert.equal((await logic.replayGame(5)).ply, 3);
+});
+
+test("a replay can't go past the moves that were played", async (t) => {
+    mockGame(t, [3, 3, 4]);
+    for (const ply of [-1, 4, 1.5, "one"]) {
+        assert.deepEqual(await logic.replayGame(5, ply), { error: "Ply must be between 0 and 3", status: 400 });
+    }
+    assert.equal((await logic.replayGame(6, 0)).status, 404);
+});
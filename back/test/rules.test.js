@@ -0,0 +1,95 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const standard = { variant: "standard", rows: 6, columns: 7, connect: 4, pops: false };
+
+// plays the columns in order, red first, and returns the result of the last move
+const playColumns = (board, columns, variant = standard) => {
+    let result = null;
+    columns.forEach((col, index) => {
+        result = logic.applyMove(board, variant, null, index % 2 === 0 ? "red" : "yellow", col, false);
+    });
+    return result;
+};
+
+test("empty board has the size asked for, top row first", () => {
+    const board = logic.createEmptyBoard(6, 7);
+    assert.equal(board.length, 6);
+    assert.ok(board.every((row) => row.length === 7 && row.every((cell) => cell === null)));
+});
+
+test("discs fall to the lowest free row of their column", () => {
+    const board = logic.createEmptyBoard();
+    assert.equal(playColumns(board, [3]).row, 5);
+    assert.equal(playColumns(board, [3]).row, 4);
+    assert.equal(board[5][3], "red");
+    assert.equal(board[4][3], "red");
+});
+
+test("a full column can't take another disc", () => {
+    const board = logic.createEmptyBoard();
+    playColumns(board, [0, 0, 0, 0, 0, 0]);
+    assert.deepEqual(logic.applyMove(board, standard, null, "red", 0, false), { error: "Column is full" });
+});
+
+test("four in a row wins in every direction", () => {
+    // red plays 0-3 on the bottom row, yellow stacks on top of them
+    const horizontal = playColumns(logic.createEmptyBoard(), [0, 0, 1, 1, 2, 2, 3]);
+    assert.equal(horizontal.winner, "red");
+    assert.deepEqual(horizontal.winningCells, [[5, 0], [5, 1], [5, 2], [5, 3]]);
+
+    const vertical = playColumns(logic.createEmptyBoard(), [0, 1, 0, 1, 0, 1, 0]);
+    assert.equal(vertical.winner, "red");
+    assert.deepEqual(vertical.winningCells, [[2, 0], [3, 0], [4, 0], [5, 0]]);
+
+    const rising = playColumns(logic.createEmptyBoard(), [0, 1, 1, 2, 2, 3, 2, 3, 3, 6, 3]);
+    assert.equal(rising.winner, "red");
+    assert.deepEqual(rising.winningCells, [[2, 3], [3, 2], [4, 1], [5, 0]]);
+
+    const falling = playColumns(logic.createEmptyBoard(), [6, 5, 5, 4, 4, 3, 4, 3, 3, 0, 3]);
+    assert.equal(falling.winner, "red");
+    assert.deepEqual(falling.winningCells, [[2, 3], [3, 4], [4, 5], [5, 6]]);
+});
+
+test("three in a row doesn't win", () => {
+    const result = playColumns(logic.createEmptyBoard(), [0, 0, 1, 1, 2]);
+    assert.equal(result.winner, null);
+    assert.equal(result.winningCells, null);
+});
+
+test("a line of the other colour doesn't count", () => {
+    const board = logic.createEmptyBoard();
+    playColumns(board, [0, 6, 1, 6, 2]);
+    board[5][3] = "yellow";
+    assert.equal(logic.getWinningCells(board, 5, 3), null);
+});
+
+test("nobody can move on a full board", () => {
+    const board = logic.createEmptyBoard(4, 4);
+    board.forEach((row, rowIndex) => row.fill(rowIndex % 2 === 0 ? "red" : "yellow"));
+    assert.equal(logic.hasLegalMove(board, standard, null, "red"), false);
+    board[0][2] = null;
+    assert.equal(logic.hasLegalMove(board, standard, null, "red"), true);
+});
+
+test("a winning move that loses the race with a resign reports the resign", async (t) => {
+    const board = logic.createEmptyBoard();
+    board[5] = ["red", "red", "red", null, null, null, null];
+    board[4] = ["yellow", "yellow", "yellow", null, null, null, null];
+    const game = { game_id: 9, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(board),
+                   ended_at: null, winner_id: null, rated: 0 },
+          resigned = { ...game, ended_at: new Date(), winner_id: 2, end_reason: "resign" };
+
+    t.mock.method(DB, "getGameWithId", async () => DB.endGame.mock.callCount() ? resigned : game);
+    t.mock.method(DB, "updateGameState", async () => 1);
+    t.mock.method(DB, "addMove", async () => {});
+    t.mock.method(DB, "endGame", async () => false);
+    t.mock.method(DB, "addUnratedGame", async () => assert.fail("the result was already recorded"));
+
+    const result = await logic.makeMove(9, 1, 3);
+    assert.equal(result.row, 5);
+    assert.equal(result.nextTurn, null);
+    assert.deepEqual(result.gameOver, { winnerId: 2, draw: false, reason: "resign", winningCells: [], ratings: null });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+test("a session only stores the hash of the secret in its bearer token", async (t) => {
+    t.mock.method(DB, "addSessionToUser", async () => 12);
+
+    const session = await logic.setSession("10.0.0.1", 3, "Firefox");
+    const [sessionId, secret] = session.token.split(".");
+    assert.equal(session.sessionId, 12);
+    assert.equal(sessionId, "12");
+
+    const [userId, , secretHash, ip, userAgent] = DB.addSessionToUser.mock.calls[0].arguments;
+    assert.deepEqual([userId, ip, userAgent], [3, "10.0.0.1", "Firefox"]);
+    assert.notEqual(secretHash, secret);
+    assert.equal(DB.addSessionToUser.mock.calls[0].arguments.includes(secret), false);
+});
+
+test("a bearer token is only accepted with the secret of its session", async (t) => {
+    t.mock.method(DB, "addSessionToUser", async () => 12);
+    const { token } = await logic.setSession("10.0.0.1", 3);
+    const secretHash = DB.addSessionToUser.mock.calls[0].arguments[2];
+    t.mock.method(DB, "getActiveSession", async (sessionId) =>
+        String(sessionId) === "12" ? { session_id: 12, user_id: 3, username: "alice", secret_hash: secretHash, last_seen_at: new Date() } : undefined);
+
+    assert.deepEqual(await logic.verifySession(token, "10.0.0.2"), { userId: 3, username: "alice", sessionId: 12 });
+    assert.equal(await logic.verifySession(`12.${"0".repeat(64)}`, "10.0.0.2"), null);
+    assert.equal(await logic.verifySession(token.replace(/^12/, "13"), "10.0.0.2"), null);
+    assert.equal(await logic.verifySession("12", "10.0.0.2"), null);
+    assert.equal(await logic.verifySession(undefined, "10.0.0.2"), null);
+});
+
+test("a session that is used is kept alive, at most once per refresh interval", async (t) => {
+    t.mock.method(DB, "addSessionToUser", async () => 12);
+    t.mock.method(DB, "touchSession", async () => 1);
+    const { token } = await logic.setSession("10.0.0.1", 3),
+          session = { session_id: 12, user_id: 3, username: "alice", secret_hash: DB.addSessionToUser.mock.calls[0].arguments[2], last_seen_at: null };
+    t.mock.method(DB, "getActiveSession", async () => session);
+
+    await logic.verifySession(token, "10.0.0.2");
+    assert.equal(DB.touchSession.mock.callCount(), 1);
+    assert.equal(DB.touchSession.mock.calls[0].arguments[2], "10.0.0.2");
+
+    session.last_seen_at = new Date();
+    await logic.verifySession(token, "10.0.0.2");
+    assert.equal(DB.touchSession.mock.callCount(), 1);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const createGame = (changes = {}) => ({
+    game_id: 8, player1_id: 1, player2_id: 2, current_turn: 2, game_state: JSON.stringify(logic.createEmptyBoard()),
+    ended_at: null, winner_id: null, time_control: null, allow_spectators: 1, is_analysis: 0, ...changes
+});
+
+const mockGame = (t, game) => t.mock.method(DB, "getGameWithId", async (gameId) => Number(gameId) === 8 ? game : undefined);
+
+test("a spectator gets the board, the turn and the last move of a live game", async (t) => {
+    mockGame(t, createGame());
+    t.mock.method(DB, "getMovesForGame", async () => [
+        { ply: 1, player_id: 1, col_index: 3, row_index: 5, move_type: "drop", created_at: new Date() }
+    ]);
+
+    const snapshot = await logic.getSpectatorSnapshot(8, 5);
+    assert.equal(snapshot.currentTurn, 2);
+    assert.equal(snapshot.moveCount, 1);
+    assert.deepEqual([snapshot.lastMove.playerId, snapshot.lastMove.col], [1, 3]);
+    assert.equal(snapshot.clocks, null);
+});
+
+test("players, games with spectating off and finished games can't be spectated", async (t) => {
+    mockGame(t, createGame({ allow_spectators: 0 }));
+    assert.equal((await logic.getSpectatorSnapshot(8, 5)).status, 403);
+    assert.equal((await logic.getSpectatorSnapshot(8, "1")).status, 400);
+    assert.equal((await logic.getSpectatorSnapshot(9, 5)).status, 404);
+
+    DB.getGameWithId.mock.mockImplementation(async () => createGame({ ended_at: new Date(), winner_id: 1 }));
+    assert.equal((await logic.getSpectatorSnapshot(8, 5)).status, 409);
+});
+
+test("only the players can turn spectating on or off", async (t) => {
+    mockGame(t, createGame());
+    t.mock.method(DB, "setAllowSpectators", async () => 1);
+
+    assert.equal((await logic.setAllowSpectators(8, 5, false)).status, 403);
+    assert.equal((await logic.setAllowSpectators(8, 1, "no")).status, 400);
+    assert.equal(DB.setAllowSpectators.mock.callCount(), 0);
+
+    assert.equal((await logic.setAllowSpectators(8, "2", false)).allowSpectators, false);
+    assert.deepEqual(DB.setAllowSpectators.mock.calls[0].arguments, [8, false]);
+});
+
+test("the chat of a game is only open to spectators when the game allows them", async (t) => {
+    mockGame(t, createGame({ allow_spectators: 0 }));
+    assert.deepEqual(await logic.canAccessRoom("lobby", 5), { room: "lobby" });
+    assert.deepEqual(await logic.canAccessRoom("8", 1), { room: "8" });
+    assert.equal((await logic.canAccessRoom("8", 5)).status, 403);
+    assert.equal((await logic.canAccessRoom("9", 5)).status, 404);
+    assert.equal((await logic.canAccessRoom("no room!", 5)).status, 400);
+
+    DB.getGameWithId.mock.mockImplementation(async () => createGame());
+    assert.deepEqual(await logic.canAccessRoom("8", 5), { room: "8" });
+});
+
+test("live games are listed a page at a time", async (t) => {
+    t.mock.method(DB, "getLiveGames", async () => ({
+        total: 1,
+        games: [{ game_id: 8, player1_id: 1, player1_username: "alice", player2_id: 2, player2_username: "bob", current_turn: 2,
+                  move_count: 1, rated: 1, time_control: null, variant: "standard", board_rows: 6, board_columns: 7, connect_length: 4 }]
+    }));
+
+    const live = await logic.getLiveGames(2, 5);
+    assert.deepEqual([live.page, live.pageSize, live.total], [2, 5, 1]);
+    assert.deepEqual(DB.getLiveGames.mock.calls[0].arguments, [5, 5]);
+    assert.deepEqual(live.games[0].player2, { userId: 2, username: "bob" });
+    assert.equal(live.games[0].rated, true);
+});
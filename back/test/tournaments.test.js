@@ -0,0 +1,113 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      logic = require(`../logic.js`);
+
+const A = 1, B = 2, C = 3, D = 4;
+
+const players = (...userIds) => userIds.map((userId, index) => ({ user_id: userId, username: `user${userId}`, seed: index + 1 }));
+
+const pairing = (round, slot, player1Id, player2Id, result) => ({ round, slot, player1_id: player1Id, player2_id: player2Id, result });
+
+// every round of a round robin, as "low:high" keys of the games and the byes
+const playRoundRobin = (seeds) => {
+    const rounds = seeds.length % 2 === 0 ? seeds.length - 1 : seeds.length,
+          games = [],
+          byes = [];
+    for (let round = 1; round <= rounds; round++) {
+        const pairings = logic.pairRoundRobin(seeds, round),
+              inRound = pairings.flatMap((pairing) => [pairing.player1Id, pairing.player2Id]).filter((userId) => userId !== null);
+        assert.equal(new Set(inRound).size, inRound.length, `round ${round} has a player twice`);
+        for (const { player1Id, player2Id } of pairings) {
+            if (player2Id === null) {
+                byes.push(player1Id);
+            } else {
+                games.push([player1Id, player2Id].sort().join(":"));
+            }
+        }
+    }
+    return { games, byes };
+};
+
+test("round robin pairs every player with every other player once", () => {
+    const { games, byes } = playRoundRobin([A, B, C, D]);
+    assert.equal(games.length, 6);
+    assert.equal(new Set(games).size, 6);
+    assert.deepEqual(byes, []);
+});
+
+test("round robin with an odd number of players gives everyone one bye", () => {
+    const { games, byes } = playRoundRobin([A, B, C, D, 5]);
+    assert.equal(new Set(games).size, 10);
+    assert.deepEqual([...byes].sort(), [A, B, C, D, 5]);
+});
+
+test("round robin changes colours from round to round", () => {
+    const [first] = logic.pairRoundRobin([A, B, C, D], 1).filter((pairing) => pairing.player1Id === A || pairing.player2Id === A),
+          [second] = logic.pairRoundRobin([A, B, C, D], 2).filter((pairing) => pairing.player1Id === A || pairing.player2Id === A);
+    assert.notEqual(first.player1Id === A, second.player1Id === A);
+});
+
+test("knockout places the top seeds so they can only meet in the final", () => {
+    assert.deepEqual(logic.pairKnockout([A, B, C, D], [], 1), [
+        { slot: 1, player1Id: A, player2Id: D },
+        { slot: 2, player1Id: B, player2Id: C }
+    ]);
+    // the best seed gets the bye when the field isn't a power of two
+    assert.deepEqual(logic.pairKnockout([A, B, C], [], 1), [
+        { slot: 1, player1Id: A, player2Id: null },
+        { slot: 2, player1Id: B, player2Id: C }
+    ]);
+});
+
+test("knockout winners of neighbouring slots meet in the next round", () => {
+    const round1 = [pairing(1, 1, A, D, "1-0"), pairing(1, 2, B, C, "0-1")];
+    assert.deepEqual(logic.pairKnockout([A, B, C, D], round1, 2), [{ slot: 1, player1Id: A, player2Id: C }]);
+
+    // a drawn slot is replayed, its winner isn't known yet
+    const drawn = [pairing(1, 1, A, D, "1-0"), pairing(1, 2, B, C, "1/2-1/2")];
+    assert.deepEqual(logic.pairKnockout([A, B, C, D], drawn, 2), [{ slot: 1, player1Id: A, player2Id: null }]);
+});
+
+test("standings are ordered by points, Buchholz and Sonneborn-Berger", () => {
+    const pairings = [pairing(1, 1, A, B, "1-0"), pairing(1, 2, C, D, "1-0"), pairing(2, 1, B, D, "1-0")],
+          standings = logic.getStandings({ format: "round-robin" }, players(A, B, C, D), pairings);
+
+    assert.deepEqual(standings.map((standing) => standing.userId), [A, B, C, D]);
+    assert.deepEqual(standings.map((standing) => standing.points), [1, 1, 1, 0]);
+    assert.deepEqual(standings.map((standing) => standing.buchholz), [1, 1, 0, 2]);
+    assert.deepEqual(standings.map((standing) => standing.sonnebornBerger), [1, 0, 0, 0]);
+    assert.deepEqual(standings.map((standing) => standing.rank), [1, 2, 3, 4]);
+    assert.deepEqual([standings[1].wins, standings[1].losses, standings[1].draws], [1, 1, 0]);
+});
+
+test("a bye counts as a win without an opponent for the tie-breaks", () => {
+    const standings = logic.getStandings({ format: "swiss" }, players(A, B, C), [pairing(1, 1, A, B, "1/2-1/2"), pairing(1, 2, C, null, "bye")]);
+    const c = standings.find((standing) => standing.userId === C);
+    assert.deepEqual([c.points, c.byes, c.wins, c.buchholz], [1, 1, 0, 0]);
+    assert.equal(standings[0].userId, C);
+});
+
+test("knockout standings put the players still in ahead of the eliminated ones", () => {
+    const pairings = [pairing(1, 1, A, D, "0-1"), pairing(1, 2, B, C, "1-0"), pairing(2, 1, D, B, null)],
+          standings = logic.getStandings({ format: "knockout" }, players(A, B, C, D), pairings);
+    assert.deepEqual(standings.map((standing) => standing.userId), [B, D, A, C]);
+    assert.deepEqual(standings.map((standing) => standing.eliminated), [false, false, true, true]);
+});
+
+test("Swiss avoids rematches and gives red to the player who had it less", () => {
+    const pairings = [
+        pairing(1, 1, A, B, "1-0"), pairing(1, 2, C, D, "1-0"),
+        pairing(2, 1, A, C, "1-0"), pairing(2, 2, B, D, "1-0")
+    ];
+    // A and B are first and second but already played, so A gets D and B gets C
+    assert.deepEqual(logic.pairSwiss({ format: "swiss" }, players(A, B, C, D), pairings), [
+        { slot: 1, player1Id: D, player2Id: A },
+        { slot: 2, player1Id: B, player2Id: C }
+    ]);
+});
+
+test("Swiss gives the bye to the lowest player who didn't have one", () => {
+    const pairings = [pairing(1, 1, A, B, "1-0"), pairing(1, 2, C, null, "bye")],
+          round2 = logic.pairSwiss({ format: "swiss" }, players(A, B, C), pairings);
+    assert.deepEqual(round2.find((pairing) => pairing.player2Id === null), { slot: 2, player1Id: B, player2Id: null });
+});
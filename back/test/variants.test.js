@@ -0,0 +1,114 @@
+const { test } = require('node:test'),
+      assert = require('node:assert/strict'),
+      DB = require(`../db.js`),
+      logic = require(`../logic.js`);
+
+const popout = logic.parseVariant({ variant: "popout" }),
+      pop10 = logic.parseVariant({ variant: "pop10" });
+
+test("variants get their own board and custom sizes are checked", () => {
+    assert.deepEqual(logic.parseVariant(), { variant: "standard", rows: 6, columns: 7, connect: 4, pops: false });
+    assert.deepEqual(logic.parseVariant({ variant: "five-in-a-row" }), { variant: "five-in-a-row", rows: 6, columns: 9, connect: 5, pops: false });
+    assert.deepEqual(logic.parseVariant({ variant: "popout", rows: "8", columns: 9, connect: 5 }),
+                     { variant: "popout", rows: 8, columns: 9, connect: 5, pops: true });
+
+    assert.equal(logic.parseVariant({ variant: "gomoku" }).status, 400);
+    assert.equal(logic.parseVariant({ variant: "toString" }).status, 400);
+    assert.match(logic.parseVariant({ variant: "pop10", rows: 8 }).error, /can't be changed/);
+    assert.match(logic.parseVariant({ rows: 11 }).error, /^Rows/);
+    assert.match(logic.parseVariant({ columns: 3 }).error, /^Columns/);
+    assert.match(logic.parseVariant({ rows: 4, columns: 4, connect: 5 }).error, /^Connect/);
+});
+
+test("only the variants with pops let a player pop their own bottom disc", () => {
+    const board = logic.createEmptyBoard();
+    board[5][0] = "red";
+    assert.match(logic.applyPop(board, logic.parseVariant(), null, "red", 0).error, /can't be popped/);
+    assert.match(logic.applyPop(board, popout, null, "yellow", 0).error, /your own disc/);
+
+    const result = logic.applyMove(board, popout, null, "red", 0, true);
+    assert.equal(result.type, "pop");
+    assert.equal(board[5][0], null);
+});
+
+test("in PopOut a pop that makes lines for both players wins for the player popping", () => {
+    const board = logic.createEmptyBoard();
+    // popping red's disc in column 0 lets a yellow disc fall into the bottom row
+    // and a red disc into the row above
+    board[5] = ["red", "yellow", "yellow", "yellow", null, null, null];
+    board[4] = ["yellow", "red", "red", "red", null, null, null];
+    board[3][0] = "red";
+
+    const result = logic.applyPop(board, popout, null, "red", 0);
+    assert.equal(result.winner, "red");
+    assert.deepEqual(result.winningCells, [[4, 0], [4, 1], [4, 2], [4, 3]]);
+});
+
+test("in PopOut a pop that only makes a line for the opponent loses", () => {
+    const board = logic.createEmptyBoard();
+    board[5] = ["red", "yellow", "yellow", "yellow", null, null, null];
+    board[4][0] = "yellow";
+
+    assert.equal(logic.applyPop(board, popout, null, "red", 0).winner, "yellow");
+});
+
+test("Pop 10 fills the board row by row before anything can be popped", () => {
+    const board = logic.createEmptyBoard(),
+          state = logic.createVariantState(pop10);
+    assert.equal(state.phase, "setup");
+
+    logic.applyMove(board, pop10, state, "red", 3, false);
+    assert.match(logic.applyMove(board, pop10, state, "yellow", 3, false).error, /lower rows/);
+    assert.match(logic.applyMove(board, pop10, state, "yellow", 3, true).error, /once the board is full/);
+
+    // the rest of the bottom row, then the rows above from left to right
+    const columns = [0, 1, 2, 4, 5, 6, ...Array.from({ length: 35 }, (_, index) => index % 7)];
+    for (const [index, col] of columns.entries()) {
+        assert.equal(logic.applyMove(board, pop10, state, index % 2 === 0 ? "yellow" : "red", col, false).winner, null);
+    }
+    assert.equal(state.phase, "play");
+    assert.match(logic.applyMove(board, pop10, state, "red", 0, false).error, /Pop one of your discs/);
+});
+
+test("Pop 10 captures discs popped from a line, others go back on the board", () => {
+    const state = { phase: "play", captured: { red: 9, yellow: 0 }, pendingDrop: false },
+          board = logic.createEmptyBoard();
+    board[5] = ["red", "yellow", "red", "red", "red", "red", "yellow"];
+
+    const lonely = logic.applyPop(board, pop10, state, "red", 0);
+    assert.equal(lonely.captured, false);
+    assert.equal(lonely.again, true);
+    assert.equal(state.pendingDrop, true);
+    assert.match(logic.applyPop(board, pop10, state, "red", 2).error, /Drop the disc/);
+    assert.equal(logic.applyMove(board, pop10, state, "red", 0, false).row, 5);
+    assert.equal(state.pendingDrop, false);
+
+    const captured = logic.applyPop(board, pop10, state, "red", 3);
+    assert.equal(captured.captured, true);
+    assert.equal(state.captured.red, 10);
+    assert.equal(captured.winner, "red");
+});
+
+test("a Pop 10 player with nothing to pop has no legal move", () => {
+    const board = logic.createEmptyBoard(),
+          state = { phase: "play", captured: { red: 0, yellow: 0 }, pendingDrop: false };
+    board[5][0] = "yellow";
+    assert.equal(logic.hasLegalMove(board, pop10, state, "red"), false);
+    assert.equal(logic.hasLegalMove(board, pop10, state, "yellow"), true);
+});
+
+test("a Pop 10 move is only saved against the move count it was checked with", async (t) => {
+    const board = logic.createEmptyBoard();
+    board[5] = ["red", "yellow", "red", "red", "red", "red", "yellow"];
+    const game = { game_id: 4, player1_id: 1, player2_id: 2, current_turn: 1, game_state: JSON.stringify(board), variant: "pop10",
+                   variant_state: { phase: "play", captured: { red: 0, yellow: 0 }, pendingDrop: false }, ply_count: 42 };
+    t.mock.method(DB, "getGameWithId", async () => game);
+    t.mock.method(DB, "updateGameState", async () => 0);
+    t.mock.method(DB, "addMove", async () => assert.fail("a stale move was saved"));
+
+    // the player keeps the turn to drop the popped disc, a second pop sent at the same time must not go through
+    const result = await logic.makeMove(4, 1, 0, true);
+    assert.equal(result.status, 409);
+    const [, nextTurn, , currentTurn, plyCount] = DB.updateGameState.mock.calls[0].arguments;
+    assert.deepEqual([nextTurn, currentTurn, plyCount], [1, 1, 42]);
+});